@@ -0,0 +1,111 @@
+import React, { useState, useRef } from 'react';
+import { Archive, Upload, Download, CheckCircle, XCircle } from 'lucide-react';
+import appConfig from '../config/appConfig';
+
+function ArchiveTimestampManager({ results, isArchiving, onArchive, onDownload, onClose }) {
+  const [authorityUrl, setAuthorityUrl] = useState(appConfig.timestamping.authorityUrl || 'http://localhost:8788/tsa');
+  const fileInputRef = useRef(null);
+
+  const handleFilesSelected = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0 || !authorityUrl.trim()) return;
+
+    await onArchive(files, authorityUrl.trim());
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-hidden">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <Archive className="w-6 h-6 text-blue-600" />
+              <h2 className="text-2xl font-bold text-gray-900">Archive Timestamps</h2>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              ✕
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mt-2">
+            Re-timestamp certified images before their certificates or timestamp authorities expire
+          </p>
+        </div>
+
+        <div className="p-6 overflow-y-auto max-h-[calc(90vh-200px)] space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Timestamp authority URL</label>
+            <input
+              type="url"
+              value={authorityUrl}
+              onChange={(e) => setAuthorityUrl(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-blue-400 transition-colors">
+            <input
+              type="file"
+              ref={fileInputRef}
+              onChange={handleFilesSelected}
+              accept="image/jpeg,image/png"
+              multiple
+              className="hidden"
+            />
+            <p className="text-sm text-gray-500 mb-4">
+              Each image gets a new timestamp over its signature and all earlier timestamps.
+              The signed claim and the image data are not changed. Timestamps are kept in the
+              C2PA manifest store, in the space reserved when the image was signed; once that is
+              full the image has to be certified again.
+            </p>
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isArchiving || !authorityUrl.trim()}
+              className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors font-medium inline-flex items-center gap-2"
+            >
+              <Upload className="w-4 h-4" />
+              {isArchiving ? 'Timestamping...' : 'Select Certified Images'}
+            </button>
+          </div>
+
+          {results.length > 0 && (
+            <div className="space-y-2">
+              {results.map((result, index) => (
+                <div key={`${result.name}-${index}`} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  <div className="flex items-center gap-2 min-w-0">
+                    {result.error ? (
+                      <XCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+                    ) : (
+                      <CheckCircle className="w-5 h-5 text-green-600 flex-shrink-0" />
+                    )}
+                    <div className="min-w-0">
+                      <div className="text-sm font-medium text-gray-800 truncate">{result.name}</div>
+                      <div className={`text-xs ${result.error ? 'text-red-600' : 'text-gray-500'}`}>
+                        {result.error || `Archive timestamp ${result.count} at ${new Date(result.time).toLocaleString()}` +
+                          (result.remainingBytes !== null ? `, ${result.remainingBytes} reserved bytes left` : '')}
+                      </div>
+                    </div>
+                  </div>
+                  {result.blob && (
+                    <button
+                      onClick={() => onDownload(result)}
+                      className="text-blue-600 hover:text-blue-800 flex-shrink-0"
+                      title="Download archived image"
+                    >
+                      <Download className="w-5 h-5" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ArchiveTimestampManager;
@@ -0,0 +1,859 @@
+import React, { useState } from 'react';
+import { Shield, Building, Download, Trash2, Plus, AlertCircle, XCircle, FileSignature, Upload, Ban, FileX, Server, Link, Clock, KeyRound, LifeBuoy, Printer } from 'lucide-react';
+import { X509Certificate } from '../utils/certificates/X509Certificate';
+import { CertificationRequest } from '../utils/certificates/CertificationRequest';
+import { CertificateRevocationList } from '../utils/certificates/CertificateRevocationList';
+import RootKeyRecovery from './RootKeyRecovery';
+
+function CertificateAuthorityManager({
+  authorities,
+  isWorking,
+  error,
+  onCreateRoot,
+  onCreateIntermediate,
+  onDelete,
+  onSignRequest,
+  onRevoke,
+  onPublishCRL,
+  onSetResponderUrl,
+  onExportResponderBundle,
+  onIssueTimestampingBundle,
+  onExportKeyShares,
+  onRecoverRootKey,
+  onExport,
+  onClose
+}) {
+  const [formData, setFormData] = useState({
+    commonName: '',
+    organization: '',
+    country: 'US',
+    validityDays: 3650,
+    issuerId: '',
+    ocspUrl: ''
+  });
+  const [formError, setFormError] = useState(null);
+  const [signingRequest, setSigningRequest] = useState(null);
+  const [signingForm, setSigningForm] = useState({ issuerId: '', validityDays: 365 });
+  const [signingResult, setSigningResult] = useState(null);
+  const [revocationForm, setRevocationForm] = useState({
+    issuerId: '',
+    serialNumber: '',
+    reason: 'keyCompromise',
+    invalidityDate: ''
+  });
+  const [revocationResult, setRevocationResult] = useState(null);
+  const [keySplit, setKeySplit] = useState(null);
+  const [showRecovery, setShowRecovery] = useState(false);
+
+  const roots = authorities.filter(authority => authority.caRole === 'root');
+  const canIssueCA = (authority) => {
+    const basicConstraints = X509Certificate.getExtension(
+      authority,
+      X509Certificate.EXTENSIONS.BASIC_CONSTRAINTS
+    )?.extnValue;
+    return basicConstraints?.pathLenConstraint !== 0;
+  };
+
+  const handleChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    setFormError(null);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (!formData.commonName.trim()) {
+      setFormError('Common Name is required');
+      return;
+    }
+    if (!formData.issuerId && !formData.organization.trim()) {
+      setFormError('Organization is required for a root CA');
+      return;
+    }
+
+    try {
+      if (formData.issuerId) {
+        await onCreateIntermediate(formData, formData.issuerId);
+      } else {
+        await onCreateRoot(formData);
+      }
+      setFormData(prev => ({ ...prev, commonName: '' }));
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleRequestFile = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setFormError(null);
+    setSigningResult(null);
+    try {
+      const pem = await file.text();
+      const parsed = CertificationRequest.parse(pem);
+      setSigningRequest({ pem, subject: parsed.subject, fileName: file.name });
+    } catch (err) {
+      setSigningRequest(null);
+      setFormError(`Invalid certificate request: ${err.message}`);
+    }
+    event.target.value = '';
+  };
+
+  const handleSignRequest = async (e) => {
+    e.preventDefault();
+
+    if (!signingRequest || !signingForm.issuerId) {
+      setFormError('Choose a certificate request and an issuing CA');
+      return;
+    }
+
+    try {
+      const issued = await onSignRequest(signingRequest.pem, signingForm.issuerId, signingForm.validityDays);
+      setSigningResult(`Issued certificate ${issued.tbsCertificate.serialNumber} for ${issued.tbsCertificate.subject.string}`);
+      setSigningRequest(null);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleRevoke = async (e) => {
+    e.preventDefault();
+
+    if (!revocationForm.issuerId || !revocationForm.serialNumber.trim()) {
+      setFormError('Choose the issuing CA and enter the serial number to revoke');
+      return;
+    }
+
+    try {
+      await onRevoke(revocationForm.issuerId, {
+        serialNumber: revocationForm.serialNumber,
+        reason: revocationForm.reason,
+        invalidityDate: revocationForm.invalidityDate || null
+      });
+      setRevocationResult(`Serial ${revocationForm.serialNumber} revoked - publish a new CRL to distribute it`);
+      setRevocationForm(prev => ({ ...prev, serialNumber: '', invalidityDate: '' }));
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handlePublishCRL = async (authority) => {
+    try {
+      const pem = await onPublishCRL(authority.id);
+      downloadFile(pem, `${fileBaseName(authority)}.crl`, 'application/pkix-crl');
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleSetResponderUrl = async (authority) => {
+    const ocspUrl = window.prompt(
+      'Status responder URL for certificates issued from now on (leave empty to remove):',
+      authority.ocspUrl || 'http://localhost:8787/ocsp'
+    );
+    if (ocspUrl === null) return;
+
+    try {
+      await onSetResponderUrl(authority.id, ocspUrl);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleExportResponderBundle = async (authority) => {
+    if (!window.confirm('The responder bundle contains the private key of a new status responder certificate, valid for 90 days. Only copy it to the machine running the status responder. Continue?')) return;
+
+    try {
+      const bundle = await onExportResponderBundle(authority.id);
+      downloadFile(bundle, `${fileBaseName(authority)}-responder.json`, 'application/json');
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleIssueTimestampingBundle = async (authority) => {
+    const commonName = window.prompt(
+      'Name of the timestamp authority. Its bundle contains the unencrypted private key; save it only as local-services/tsa-bundle.json on the machine running the TSA.',
+      `${authority.tbsCertificate?.subject?.organizationName || 'Local'} Timestamp Authority`
+    );
+    if (!commonName || !commonName.trim()) return;
+
+    try {
+      const bundle = await onIssueTimestampingBundle(authority.id, { commonName: commonName.trim(), validityDays: 1825 });
+      downloadFile(bundle, 'tsa-bundle.json', 'application/json');
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleSplitKey = async (e) => {
+    e.preventDefault();
+
+    const { authority, threshold, shareCount } = keySplit;
+    if (threshold < 2 || threshold > shareCount) {
+      setFormError('The threshold must be at least 2 and at most the number of shares');
+      return;
+    }
+    if (!window.confirm(`Any ${threshold} of the ${shareCount} shares will rebuild ${authority.tbsCertificate?.subject?.commonName}'s private key. Give each share to a different custodian. Continue?`)) return;
+
+    try {
+      const shares = await onExportKeyShares(authority.id, { threshold, shareCount });
+      setKeySplit(prev => ({ ...prev, shares }));
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  const handleDownloadShare = (share, index) => {
+    const { authority, shareCount } = keySplit;
+    downloadFile(share, `${fileBaseName(authority)}-key-share-${index + 1}-of-${shareCount}.txt`, 'text/plain');
+  };
+
+  const handlePrintShare = (share) => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      setFormError('Allow pop-ups to print shares');
+      return;
+    }
+    const pre = printWindow.document.createElement('pre');
+    pre.textContent = share;
+    printWindow.document.body.appendChild(pre);
+    printWindow.print();
+  };
+
+  const handleExport = (authority) => {
+    downloadFile(onExport(authority), `${fileBaseName(authority)}.pem`, 'application/x-pem-file');
+  };
+
+  const fileBaseName = (authority) =>
+    (authority.tbsCertificate?.subject?.commonName || 'ca').replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+
+  const downloadFile = (text, fileName, mimeType) => {
+    const dataUri = `data:${mimeType};charset=utf-8,` + encodeURIComponent(text);
+
+    const link = document.createElement('a');
+    link.setAttribute('href', dataUri);
+    link.setAttribute('download', fileName);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
+  const handleDelete = async (authority) => {
+    if (!window.confirm(`Delete ${authority.tbsCertificate?.subject?.commonName}? Its private key cannot be recovered.`)) return;
+
+    try {
+      await onDelete(authority.id);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+
+  // Show each root followed by the intermediates below it
+  const renderAuthority = (authority, depth = 0) => {
+    const children = authorities.filter(candidate => candidate.issuerId === authority.id);
+    const subject = authority.tbsCertificate?.subject;
+
+    return (
+      <div key={authority.id}>
+        <div
+          className="border border-gray-200 rounded-lg p-4 hover:bg-gray-50 transition-colors"
+          style={{ marginLeft: depth * 24 }}
+        >
+          <div className="flex items-start justify-between">
+            <div className="flex-1">
+              <div className="flex items-center gap-2 mb-2">
+                <Building className="w-5 h-5 text-blue-600" />
+                <span className="font-medium text-gray-800">{subject?.commonName}</span>
+                <span className={`text-xs px-2 py-0.5 rounded ${
+                  authority.caRole === 'root'
+                    ? 'bg-purple-100 text-purple-700'
+                    : 'bg-blue-100 text-blue-700'
+                }`}>
+                  {authority.caRole === 'root' ? 'Root CA' : 'Intermediate CA'}
+                </span>
+              </div>
+              <div className="grid grid-cols-2 gap-2 text-sm text-gray-600">
+                <div>
+                  <span className="text-gray-500">Subject:</span> {subject?.string}
+                </div>
+                <div>
+                  <span className="text-gray-500">Valid Until:</span>{' '}
+                  {new Date(authority.tbsCertificate?.validity?.notAfter).toLocaleDateString()}
+                </div>
+                <div>
+                  <span className="text-gray-500">Revoked:</span> {(authority.revocations || []).length}
+                </div>
+                <div>
+                  <span className="text-gray-500">Last CRL:</span> {authority.crlNumber ? `#${authority.crlNumber}` : 'Never published'}
+                </div>
+                <div className="col-span-2 break-all">
+                  <span className="text-gray-500">Status Responder:</span> {authority.ocspUrl || 'None'}
+                </div>
+              </div>
+            </div>
+
+            <div className="flex gap-1 ml-4">
+              <button
+                onClick={() => handleExport(authority)}
+                className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Export CA certificate"
+              >
+                <Download className="w-4 h-4" />
+              </button>
+              {onPublishCRL && (
+                <button
+                  onClick={() => handlePublishCRL(authority)}
+                  disabled={isWorking}
+                  className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                  title="Publish certificate revocation list"
+                >
+                  <FileX className="w-4 h-4" />
+                </button>
+              )}
+              {onSetResponderUrl && (
+                <button
+                  onClick={() => handleSetResponderUrl(authority)}
+                  disabled={isWorking}
+                  className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                  title="Set status responder URL"
+                >
+                  <Link className="w-4 h-4" />
+                </button>
+              )}
+              {onExportResponderBundle && (
+                <button
+                  onClick={() => handleExportResponderBundle(authority)}
+                  disabled={isWorking}
+                  className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                  title="Export bundle for the local status responder"
+                >
+                  <Server className="w-4 h-4" />
+                </button>
+              )}
+              {onIssueTimestampingBundle && (
+                <button
+                  onClick={() => handleIssueTimestampingBundle(authority)}
+                  disabled={isWorking}
+                  className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                  title="Issue TSA certificate for the local timestamp authority"
+                >
+                  <Clock className="w-4 h-4" />
+                </button>
+              )}
+              {onExportKeyShares && authority.caRole === 'root' && (
+                <button
+                  onClick={() => setKeySplit({ authority, threshold: 3, shareCount: 5, shares: null })}
+                  disabled={isWorking}
+                  className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                  title="Back up root key as shares"
+                >
+                  <KeyRound className="w-4 h-4" />
+                </button>
+              )}
+              <button
+                onClick={() => handleDelete(authority)}
+                disabled={isWorking}
+                className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                title="Delete certificate authority"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+        {children.length > 0 && (
+          <div className="mt-2 space-y-2">
+            {children.map(child => renderAuthority(child, depth + 1))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const shownError = formError || error;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <Shield className="w-6 h-6 text-blue-600" />
+              <h2 className="text-2xl font-bold text-gray-900">Certificate Authority</h2>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              ✕
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mt-2">
+            Create an organization root CA and intermediates to issue photographer certificates
+          </p>
+        </div>
+
+        <div className="p-6 overflow-y-auto">
+          {/* Create Section */}
+          <form onSubmit={handleCreate} className="mb-6 p-4 border border-gray-200 rounded-lg">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center gap-2">
+              <Plus className="w-5 h-5" />
+              New Certificate Authority
+            </h3>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Issued By
+                </label>
+                <select
+                  value={formData.issuerId}
+                  onChange={(e) => handleChange('issuerId', e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">Self-signed (new root CA)</option>
+                  {authorities.filter(canIssueCA).map(authority => (
+                    <option key={authority.id} value={authority.id}>
+                      {authority.tbsCertificate?.subject?.commonName}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Common Name (CN) *
+                </label>
+                <input
+                  type="text"
+                  value={formData.commonName}
+                  onChange={(e) => handleChange('commonName', e.target.value)}
+                  placeholder={formData.issuerId ? 'e.g., Studio Issuing CA' : 'e.g., Studio Root CA'}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+
+              {!formData.issuerId && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Organization (O) *
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.organization}
+                      onChange={(e) => handleChange('organization', e.target.value)}
+                      placeholder="e.g., Example News Agency"
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Country (C)
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.country}
+                      onChange={(e) => handleChange('country', e.target.value.toUpperCase())}
+                      maxLength="2"
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                </>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Validity Period (days)
+                </label>
+                <input
+                  type="number"
+                  value={formData.validityDays}
+                  onChange={(e) => handleChange('validityDays', parseInt(e.target.value) || 3650)}
+                  min="1"
+                  max="7300"
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Status Responder URL
+                </label>
+                <input
+                  type="url"
+                  value={formData.ocspUrl}
+                  onChange={(e) => handleChange('ocspUrl', e.target.value)}
+                  placeholder="e.g., http://localhost:8787/ocsp"
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+
+            <div className="mt-4 flex justify-end">
+              <button
+                type="submit"
+                disabled={isWorking}
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:bg-gray-400 flex items-center gap-2"
+              >
+                {isWorking ? (
+                  <>
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                    Creating...
+                  </>
+                ) : (
+                  <>
+                    <Shield className="w-4 h-4" />
+                    {formData.issuerId ? 'Create Intermediate CA' : 'Create Root CA'}
+                  </>
+                )}
+              </button>
+            </div>
+
+            {shownError && (
+              <div className="mt-4 text-red-600 flex items-center gap-2">
+                <XCircle className="w-5 h-5" />
+                <span className="text-sm">{shownError}</span>
+              </div>
+            )}
+          </form>
+
+          {/* Sign Request Section */}
+          {authorities.length > 0 && onSignRequest && (
+            <form onSubmit={handleSignRequest} className="mb-6 p-4 border border-gray-200 rounded-lg">
+              <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                <FileSignature className="w-5 h-5" />
+                Sign Certificate Request
+              </h3>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Certificate Request (CSR)
+                  </label>
+                  <label className="w-full p-2 border border-dashed border-gray-300 rounded-lg flex items-center gap-2 cursor-pointer hover:bg-gray-50 text-sm text-gray-600">
+                    <Upload className="w-4 h-4" />
+                    {signingRequest ? signingRequest.fileName : 'Choose a .csr or .pem file'}
+                    <input
+                      type="file"
+                      accept=".csr,.pem,.req"
+                      onChange={handleRequestFile}
+                      className="hidden"
+                    />
+                  </label>
+                  {signingRequest && (
+                    <p className="text-xs text-gray-600 mt-1 font-mono break-all">
+                      Subject: {signingRequest.subject.string}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Issuing CA
+                  </label>
+                  <select
+                    value={signingForm.issuerId}
+                    onChange={(e) => setSigningForm(prev => ({ ...prev, issuerId: e.target.value }))}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="">Select a CA</option>
+                    {authorities.map(authority => (
+                      <option key={authority.id} value={authority.id}>
+                        {authority.tbsCertificate?.subject?.commonName}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Validity Period (days)
+                  </label>
+                  <input
+                    type="number"
+                    value={signingForm.validityDays}
+                    onChange={(e) => setSigningForm(prev => ({ ...prev, validityDays: parseInt(e.target.value) || 365 }))}
+                    min="1"
+                    max="3650"
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+
+              <div className="mt-4 flex items-center justify-between">
+                <span className="text-sm text-green-700">{signingResult}</span>
+                <button
+                  type="submit"
+                  disabled={isWorking || !signingRequest}
+                  className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:bg-gray-400 flex items-center gap-2"
+                >
+                  <FileSignature className="w-4 h-4" />
+                  Sign and Download Certificate
+                </button>
+              </div>
+            </form>
+          )}
+
+          {/* Revoke Section */}
+          {authorities.length > 0 && onRevoke && (
+            <form onSubmit={handleRevoke} className="mb-6 p-4 border border-gray-200 rounded-lg">
+              <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                <Ban className="w-5 h-5" />
+                Revoke Certificate
+              </h3>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Issuing CA
+                  </label>
+                  <select
+                    value={revocationForm.issuerId}
+                    onChange={(e) => setRevocationForm(prev => ({ ...prev, issuerId: e.target.value }))}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="">Select a CA</option>
+                    {authorities.map(authority => (
+                      <option key={authority.id} value={authority.id}>
+                        {authority.tbsCertificate?.subject?.commonName}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Serial Number (hex)
+                  </label>
+                  <input
+                    type="text"
+                    value={revocationForm.serialNumber}
+                    onChange={(e) => setRevocationForm(prev => ({ ...prev, serialNumber: e.target.value }))}
+                    placeholder="e.g., 3f2a9c..."
+                    className="w-full p-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Reason
+                  </label>
+                  <select
+                    value={revocationForm.reason}
+                    onChange={(e) => setRevocationForm(prev => ({ ...prev, reason: e.target.value }))}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {Object.keys(CertificateRevocationList.REASONS)
+                      .filter(reason => reason !== 'removeFromCRL')
+                      .map(reason => (
+                        <option key={reason} value={reason}>{reason}</option>
+                      ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Invalidity Date
+                  </label>
+                  <input
+                    type="datetime-local"
+                    value={revocationForm.invalidityDate}
+                    onChange={(e) => setRevocationForm(prev => ({ ...prev, invalidityDate: e.target.value }))}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    When the key is believed compromised; signatures made earlier stay valid
+                  </p>
+                </div>
+              </div>
+
+              <div className="mt-4 flex items-center justify-between">
+                <span className="text-sm text-green-700">{revocationResult}</span>
+                <button
+                  type="submit"
+                  disabled={isWorking}
+                  className="px-6 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors font-medium disabled:bg-gray-400 flex items-center gap-2"
+                >
+                  <Ban className="w-4 h-4" />
+                  Revoke
+                </button>
+              </div>
+            </form>
+          )}
+
+          {/* Key Share Backup Section */}
+          {keySplit && (
+            <form onSubmit={handleSplitKey} className="mb-6 p-4 border border-gray-200 rounded-lg">
+              <h3 className="text-lg font-semibold text-gray-800 mb-1 flex items-center gap-2">
+                <KeyRound className="w-5 h-5" />
+                Back Up Root Key as Shares
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                {keySplit.authority.tbsCertificate?.subject?.string}
+              </p>
+
+              {keySplit.shares ? (
+                <ul className="space-y-2">
+                  {keySplit.shares.map((share, index) => (
+                    <li key={index} className="flex items-center justify-between p-2 bg-gray-50 rounded text-sm">
+                      <span>Share {index + 1} of {keySplit.shareCount}</span>
+                      <div className="flex gap-1">
+                        <button
+                          type="button"
+                          onClick={() => handleDownloadShare(share, index)}
+                          className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                          title="Download share"
+                        >
+                          <Download className="w-4 h-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handlePrintShare(share)}
+                          className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                          title="Print share"
+                        >
+                          <Printer className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Number of Shares
+                    </label>
+                    <input
+                      type="number"
+                      value={keySplit.shareCount}
+                      onChange={(e) => setKeySplit(prev => ({ ...prev, shareCount: parseInt(e.target.value) || 2 }))}
+                      min="2"
+                      max="255"
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Shares Needed to Recover
+                    </label>
+                    <input
+                      type="number"
+                      value={keySplit.threshold}
+                      onChange={(e) => setKeySplit(prev => ({ ...prev, threshold: parseInt(e.target.value) || 2 }))}
+                      min="2"
+                      max={keySplit.shareCount}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                </div>
+              )}
+
+              <div className="mt-4 flex items-center justify-between">
+                <span className="text-sm text-gray-600">
+                  {keySplit.shares
+                    ? 'Hand each share to a different custodian; this list is not kept'
+                    : 'Fewer shares than the threshold reveal nothing about the key'}
+                </span>
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setKeySplit(null)}
+                    className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors font-medium"
+                  >
+                    {keySplit.shares ? 'Done' : 'Cancel'}
+                  </button>
+                  {!keySplit.shares && (
+                    <button
+                      type="submit"
+                      disabled={isWorking}
+                      className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:bg-gray-400 flex items-center gap-2"
+                    >
+                      <KeyRound className="w-4 h-4" />
+                      Create Shares
+                    </button>
+                  )}
+                </div>
+              </div>
+            </form>
+          )}
+
+          {/* Authorities List */}
+          <div>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-semibold text-gray-800">
+                Certificate Authorities ({authorities.length})
+              </h3>
+              {onRecoverRootKey && (
+                <button
+                  onClick={() => setShowRecovery(true)}
+                  disabled={isWorking}
+                  className="px-3 py-1 text-sm text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-50 transition-colors flex items-center gap-1"
+                >
+                  <LifeBuoy className="w-4 h-4" />
+                  Recover Root Key
+                </button>
+              )}
+            </div>
+
+            {roots.length === 0 ? (
+              <div className="text-center py-8 bg-gray-50 rounded-lg">
+                <Building className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+                <p className="text-gray-500">No certificate authorities</p>
+                <p className="text-sm text-gray-400 mt-1">Create a root CA to issue photographer certificates</p>
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {roots.map(root => renderAuthority(root))}
+              </div>
+            )}
+          </div>
+
+          {/* Info Section */}
+          <div className="mt-6 p-4 bg-blue-50 rounded-lg">
+            <div className="flex items-start gap-3">
+              <AlertCircle className="w-5 h-5 text-blue-600 mt-0.5" />
+              <div className="text-sm text-blue-800">
+                <p className="font-medium mb-1">About Certificate Authorities</p>
+                <ul className="space-y-1 text-xs">
+                  <li>• Export the root CA certificate and import it into the trust verifier once</li>
+                  <li>• Photographer certificates issued by the root or its intermediates are then accepted automatically</li>
+                  <li>• Issue photographer certificates by choosing an issuer in "Generate New Certificate"</li>
+                  <li>• Or sign a photographer's CSR; their private key never leaves their device</li>
+                  <li>• After revoking a certificate, publish a CRL and import it into each verifier</li>
+                  <li>• With a status responder URL, verifiers ask the local responder online; re-export its bundle after each revocation</li>
+                  <li>• Issue a TSA certificate to run the local timestamp authority, so signing times are vouched for by your CA</li>
+                  <li>• Back up a root key as K-of-N shares for separate custodians; any K of them recover it in a ceremony</li>
+                  <li>• CA private keys are stored in this browser only</li>
+                </ul>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="p-6 border-t border-gray-200 bg-gray-50">
+          <button
+            onClick={onClose}
+            className="w-full sm:w-auto px-6 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors font-medium"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+
+      {showRecovery && (
+        <RootKeyRecovery
+          onRecover={onRecoverRootKey}
+          onClose={() => setShowRecovery(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default CertificateAuthorityManager;
@@ -1,7 +1,17 @@
 import React, { useState } from 'react';
 import { Shield, X, User, Building, Mail, Globe, Calendar } from 'lucide-react';
+import appConfig from '../config/appConfig';
 
-function CertificateGenerationForm({ onGenerate, onClose, isGenerating }) {
+const SIGNATURE_ALGORITHMS = [
+  { value: 'ES256', label: 'ECDSA P-256 (ES256)' },
+  { value: 'ES384', label: 'ECDSA P-384 (ES384)' },
+  { value: 'PS256', label: 'RSA-PSS 2048 (PS256)' },
+  { value: 'Ed25519', label: 'Ed25519' }
+];
+
+const HASH_ALGORITHMS = ['SHA-256', 'SHA-384', 'SHA-512'];
+
+function CertificateGenerationForm({ onGenerate, onClose, isGenerating, authorities = [] }) {
   const [formData, setFormData] = useState({
     commonName: '',
     organization: '',
@@ -10,13 +20,41 @@ function CertificateGenerationForm({ onGenerate, onClose, isGenerating }) {
     country: 'US',
     locality: '',
     state: '',
-    validityDays: 365
+    validityDays: 365,
+    signatureAlgorithm: appConfig.certification.signatureAlgorithm,
+    hashAlgorithm: appConfig.certification.hashAlgorithm,
+    keySource: 'browser',
+    remoteUrl: appConfig.remoteSigning.serviceUrl,
+    remoteKeyId: '',
+    issuerId: '',
+    output: 'certificate',
+    backupPem: '',
+    backupPassphrase: ''
   });
 
   const [errors, setErrors] = useState({});
 
+  const isRequest = formData.output === 'request';
+  const isBackup = formData.output === 'backup';
+  const isRemote = !isBackup && formData.keySource === 'remote';
+  const selectedIssuer = isRequest || isBackup
+    ? null
+    : authorities.find(authority => authority.id === formData.issuerId) || null;
+
   const validateForm = () => {
     const newErrors = {};
+
+    // A backup carries its own subject and validity
+    if (isBackup) {
+      if (!formData.backupPem) {
+        newErrors.backupPem = 'Select an identity backup file';
+      }
+      if (!formData.backupPassphrase) {
+        newErrors.backupPassphrase = 'Passphrase is required';
+      }
+      setErrors(newErrors);
+      return Object.keys(newErrors).length === 0;
+    }
     
     if (!formData.commonName.trim()) {
       newErrors.commonName = 'Common Name is required';
@@ -34,9 +72,16 @@ function CertificateGenerationForm({ onGenerate, onClose, isGenerating }) {
       newErrors.country = 'Country code must be 2 letters';
     }
     
-    if (formData.validityDays < 1 || formData.validityDays > 3650) {
+    if (!isRequest && (formData.validityDays < 1 || formData.validityDays > 3650)) {
       newErrors.validityDays = 'Validity must be between 1 and 3650 days';
     }
+
+    if (isRemote && !/^https?:\/\//.test(formData.remoteUrl.trim())) {
+      newErrors.remoteUrl = 'Enter the signing service URL';
+    }
+    if (isRemote && !formData.remoteKeyId.trim()) {
+      newErrors.remoteKeyId = 'Key ID is required';
+    }
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -58,6 +103,13 @@ function CertificateGenerationForm({ onGenerate, onClose, isGenerating }) {
     }
   };
 
+  const handleBackupFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    handleChange('backupPem', await file.text());
+  };
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
       <div className="bg-white rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-hidden">
@@ -76,142 +128,146 @@ function CertificateGenerationForm({ onGenerate, onClose, isGenerating }) {
             </button>
           </div>
           <p className="text-sm text-gray-600 mt-2">
-            Create a new X.509 self-signed certificate for image signing
+            Create a new X.509 certificate for image signing
           </p>
         </div>
 
         <form onSubmit={handleSubmit} className="p-6 space-y-6 overflow-y-auto max-h-[calc(90vh-200px)]">
-          {/* Subject Information */}
-          <div>
-            <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center gap-2">
-              <User className="w-5 h-5" />
-              Subject Information
-            </h3>
-            
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {!isBackup && (
+            <>
+              {/* Subject Information */}
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Common Name (CN) *
-                </label>
-                <input
-                  type="text"
-                  value={formData.commonName}
-                  onChange={(e) => handleChange('commonName', e.target.value)}
-                  placeholder="e.g., John Smith Photography"
-                  className={`w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                    errors.commonName ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                />
-                {errors.commonName && (
-                  <p className="text-xs text-red-600 mt-1">{errors.commonName}</p>
-                )}
-              </div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                  <User className="w-5 h-5" />
+                  Subject Information
+                </h3>
+                
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Common Name (CN) *
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.commonName}
+                      onChange={(e) => handleChange('commonName', e.target.value)}
+                      placeholder="e.g., John Smith Photography"
+                      className={`w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        errors.commonName ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                    />
+                    {errors.commonName && (
+                      <p className="text-xs text-red-600 mt-1">{errors.commonName}</p>
+                    )}
+                  </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Organization (O) *
-                </label>
-                <input
-                  type="text"
-                  value={formData.organization}
-                  onChange={(e) => handleChange('organization', e.target.value)}
-                  placeholder="e.g., Independent Photographer"
-                  className={`w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                    errors.organization ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                />
-                {errors.organization && (
-                  <p className="text-xs text-red-600 mt-1">{errors.organization}</p>
-                )}
-              </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Organization (O) *
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.organization}
+                      onChange={(e) => handleChange('organization', e.target.value)}
+                      placeholder="e.g., Independent Photographer"
+                      className={`w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        errors.organization ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                    />
+                    {errors.organization && (
+                      <p className="text-xs text-red-600 mt-1">{errors.organization}</p>
+                    )}
+                  </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Organizational Unit (OU)
-                </label>
-                <input
-                  type="text"
-                  value={formData.organizationalUnit}
-                  onChange={(e) => handleChange('organizationalUnit', e.target.value)}
-                  placeholder="e.g., Digital Media"
-                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-              </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Organizational Unit (OU)
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.organizationalUnit}
+                      onChange={(e) => handleChange('organizationalUnit', e.target.value)}
+                      placeholder="e.g., Digital Media"
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Email Address
-                </label>
-                <input
-                  type="email"
-                  value={formData.email}
-                  onChange={(e) => handleChange('email', e.target.value)}
-                  placeholder="photographer@example.com"
-                  className={`w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                    errors.email ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                />
-                {errors.email && (
-                  <p className="text-xs text-red-600 mt-1">{errors.email}</p>
-                )}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Email Address
+                    </label>
+                    <input
+                      type="email"
+                      value={formData.email}
+                      onChange={(e) => handleChange('email', e.target.value)}
+                      placeholder="photographer@example.com"
+                      className={`w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        errors.email ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                    />
+                    {errors.email && (
+                      <p className="text-xs text-red-600 mt-1">{errors.email}</p>
+                    )}
+                  </div>
+                </div>
               </div>
-            </div>
-          </div>
 
-          {/* Location Information */}
-          <div>
-            <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center gap-2">
-              <Globe className="w-5 h-5" />
-              Location Information
-            </h3>
-            
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {/* Location Information */}
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Country (C)
-                </label>
-                <input
-                  type="text"
-                  value={formData.country}
-                  onChange={(e) => handleChange('country', e.target.value.toUpperCase())}
-                  placeholder="US"
-                  maxLength="2"
-                  className={`w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                    errors.country ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                />
-                {errors.country && (
-                  <p className="text-xs text-red-600 mt-1">{errors.country}</p>
-                )}
-              </div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                  <Globe className="w-5 h-5" />
+                  Location Information
+                </h3>
+                
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Country (C)
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.country}
+                      onChange={(e) => handleChange('country', e.target.value.toUpperCase())}
+                      placeholder="US"
+                      maxLength="2"
+                      className={`w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        errors.country ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                    />
+                    {errors.country && (
+                      <p className="text-xs text-red-600 mt-1">{errors.country}</p>
+                    )}
+                  </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  State/Province (ST)
-                </label>
-                <input
-                  type="text"
-                  value={formData.state}
-                  onChange={(e) => handleChange('state', e.target.value)}
-                  placeholder="e.g., California"
-                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-              </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      State/Province (ST)
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.state}
+                      onChange={(e) => handleChange('state', e.target.value)}
+                      placeholder="e.g., California"
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Locality/City (L)
-                </label>
-                <input
-                  type="text"
-                  value={formData.locality}
-                  onChange={(e) => handleChange('locality', e.target.value)}
-                  placeholder="e.g., San Francisco"
-                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Locality/City (L)
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.locality}
+                      onChange={(e) => handleChange('locality', e.target.value)}
+                      placeholder="e.g., San Francisco"
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                  </div>
+                </div>
               </div>
-            </div>
-          </div>
+            </>
+          )}
 
           {/* Certificate Settings */}
           <div>
@@ -221,42 +277,203 @@ function CertificateGenerationForm({ onGenerate, onClose, isGenerating }) {
             </h3>
             
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
+              <div className="md:col-span-2">
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Validity Period (days)
+                  Output
                 </label>
-                <input
-                  type="number"
-                  value={formData.validityDays}
-                  onChange={(e) => handleChange('validityDays', parseInt(e.target.value) || 365)}
-                  min="1"
-                  max="3650"
-                  className={`w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                    errors.validityDays ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                />
-                {errors.validityDays && (
-                  <p className="text-xs text-red-600 mt-1">{errors.validityDays}</p>
-                )}
-                <p className="text-xs text-gray-500 mt-1">
-                  Certificate will expire on {new Date(Date.now() + formData.validityDays * 24 * 60 * 60 * 1000).toLocaleDateString()}
-                </p>
+                <select
+                  value={formData.output}
+                  onChange={(e) => handleChange('output', e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="certificate">Certificate</option>
+                  <option value="request">Certificate signing request (CSR) for an agency CA</option>
+                  <option value="backup">Import an encrypted identity backup</option>
+                </select>
               </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Key Algorithm
-                </label>
-                <input
-                  type="text"
-                  value="ECDSA P-384"
-                  disabled
-                  className="w-full p-2 border border-gray-200 rounded-lg bg-gray-50 text-gray-600"
-                />
-                <p className="text-xs text-gray-500 mt-1">
-                  Using elliptic curve cryptography for security
-                </p>
-              </div>
+              {isBackup && (
+                <>
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Backup File *
+                    </label>
+                    <input
+                      type="file"
+                      accept=".pem,.p8,.key,.txt"
+                      onChange={handleBackupFile}
+                      className="w-full text-sm text-gray-700"
+                    />
+                    {errors.backupPem && (
+                      <p className="text-xs text-red-600 mt-1">{errors.backupPem}</p>
+                    )}
+                  </div>
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Backup Passphrase *
+                    </label>
+                    <input
+                      type="password"
+                      value={formData.backupPassphrase}
+                      onChange={(e) => handleChange('backupPassphrase', e.target.value)}
+                      autoComplete="off"
+                      className={`w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        errors.backupPassphrase ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                    />
+                    {errors.backupPassphrase && (
+                      <p className="text-xs text-red-600 mt-1">{errors.backupPassphrase}</p>
+                    )}
+                  </div>
+                </>
+              )}
+
+              {!isRequest && !isBackup && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Validity Period (days)
+                  </label>
+                  <input
+                    type="number"
+                    value={formData.validityDays}
+                    onChange={(e) => handleChange('validityDays', parseInt(e.target.value) || 365)}
+                    min="1"
+                    max="3650"
+                    className={`w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                      errors.validityDays ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                  />
+                  {errors.validityDays && (
+                    <p className="text-xs text-red-600 mt-1">{errors.validityDays}</p>
+                  )}
+                  <p className="text-xs text-gray-500 mt-1">
+                    Certificate will expire on {new Date(Date.now() + formData.validityDays * 24 * 60 * 60 * 1000).toLocaleDateString()}
+                  </p>
+                </div>
+              )}
+
+              {!isBackup && (
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Private Key
+                  </label>
+                  <select
+                    value={formData.keySource}
+                    onChange={(e) => handleChange('keySource', e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="browser">Generate in this browser (encrypted with your passphrase)</option>
+                    <option value="remote">Keep in a signing service</option>
+                  </select>
+                </div>
+              )}
+
+              {isRemote && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Signing Service URL *
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.remoteUrl}
+                      onChange={(e) => handleChange('remoteUrl', e.target.value)}
+                      className={`w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        errors.remoteUrl ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                      placeholder="http://localhost:8789"
+                    />
+                    {errors.remoteUrl && (
+                      <p className="text-xs text-red-600 mt-1">{errors.remoteUrl}</p>
+                    )}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Key ID *
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.remoteKeyId}
+                      onChange={(e) => handleChange('remoteKeyId', e.target.value)}
+                      className={`w-full p-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        errors.remoteKeyId ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                      placeholder="newsroom-es384"
+                    />
+                    {errors.remoteKeyId && (
+                      <p className="text-xs text-red-600 mt-1">{errors.remoteKeyId}</p>
+                    )}
+                    <p className="text-xs text-gray-500 mt-1">
+                      The service's key decides the signature algorithm
+                    </p>
+                  </div>
+                </>
+              )}
+
+              {!isBackup && !isRemote && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Signature Algorithm
+                  </label>
+                  <select
+                    value={formData.signatureAlgorithm}
+                    onChange={(e) => handleChange('signatureAlgorithm', e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {SIGNATURE_ALGORITHMS.map(algorithm => (
+                      <option key={algorithm.value} value={algorithm.value}>{algorithm.label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Key type for this identity; manifests record it for verifiers
+                  </p>
+                </div>
+              )}
+
+              {!isBackup && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Image Hash
+                  </label>
+                  <select
+                    value={formData.hashAlgorithm}
+                    onChange={(e) => handleChange('hashAlgorithm', e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {HASH_ALGORITHMS.map(algorithm => (
+                      <option key={algorithm} value={algorithm}>{algorithm}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Digest that binds certified images to their manifest
+                  </p>
+                </div>
+              )}
+
+              {!isRequest && !isBackup && (
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Issuer
+                  </label>
+                  <select
+                    value={formData.issuerId}
+                    onChange={(e) => handleChange('issuerId', e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    <option value="">Self-signed</option>
+                    {authorities.map(authority => (
+                      <option key={authority.id} value={authority.id}>
+                        {authority.tbsCertificate?.subject?.string} ({authority.caRole === 'root' ? 'Root CA' : 'Intermediate CA'})
+                      </option>
+                    ))}
+                  </select>
+                  {selectedIssuer && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Validity is limited to the issuer's expiry on {new Date(selectedIssuer.tbsCertificate.validity.notAfter).toLocaleDateString()}
+                    </p>
+                  )}
+                </div>
+              )}
             </div>
           </div>
 
@@ -265,11 +482,39 @@ function CertificateGenerationForm({ onGenerate, onClose, isGenerating }) {
             <div className="flex items-start gap-3">
               <Shield className="w-5 h-5 text-blue-600 mt-0.5" />
               <div className="text-sm text-blue-800">
-                <p className="font-medium mb-1">About Self-Signed Certificates</p>
-                <p className="text-xs">
-                  This certificate will be self-signed and suitable for development and testing. 
-                  The certificate must be explicitly trusted by importing it into the trust verifier.
-                </p>
+                {isBackup ? (
+                  <>
+                    <p className="font-medium mb-1">About Identity Backups</p>
+                    <p className="text-xs">
+                      A backup exported from either signing app holds the certificate, its CA chain and the 
+                      private key encrypted with the backup passphrase. The key is stored here under your studio passphrase.
+                    </p>
+                  </>
+                ) : isRequest ? (
+                  <>
+                    <p className="font-medium mb-1">About Certificate Signing Requests</p>
+                    <p className="text-xs">
+                      A key pair is generated and kept in this browser. Send the downloaded CSR to your agency; 
+                      once its CA returns the signed certificate, install it from "Pending Certificate Requests".
+                    </p>
+                  </>
+                ) : selectedIssuer ? (
+                  <>
+                    <p className="font-medium mb-1">About CA-Issued Certificates</p>
+                    <p className="text-xs">
+                      This certificate will be signed by {selectedIssuer.tbsCertificate?.subject?.commonName}. 
+                      Verifiers that trust the organization root CA accept it without importing it individually.
+                    </p>
+                  </>
+                ) : (
+                  <>
+                    <p className="font-medium mb-1">About Self-Signed Certificates</p>
+                    <p className="text-xs">
+                      This certificate will be self-signed and suitable for development and testing. 
+                      The certificate must be explicitly trusted by importing it into the trust verifier.
+                    </p>
+                  </>
+                )}
               </div>
             </div>
           </div>
@@ -297,7 +542,7 @@ function CertificateGenerationForm({ onGenerate, onClose, isGenerating }) {
             ) : (
               <>
                 <Shield className="w-4 h-4" />
-                Generate Certificate
+                {isBackup ? 'Import Identity' : isRequest ? 'Create Signing Request' : 'Generate Certificate'}
               </>
             )}
           </button>
@@ -1,7 +1,7 @@
 import React, { memo } from 'react';
-import { Shield, Download, RefreshCw } from 'lucide-react';
+import { Shield, Download, RefreshCw, Lock, Unlock, Archive } from 'lucide-react';
 
-const CertificateInfo = memo(({ certificate, onExport, onGenerateNew }) => {
+const CertificateInfo = memo(({ certificate, onExport, onExportBackup, onGenerateNew, isLocked, onLock, onUnlock }) => {
   if (!certificate) {
     return (
       <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
@@ -60,6 +60,14 @@ const CertificateInfo = memo(({ certificate, onExport, onGenerateNew }) => {
             {certificate.fingerprint?.sha256?.substring(0, 47)}...
           </p>
         </div>
+        {!certificate.isSelfSigned && (
+          <div>
+            <span className="text-xs text-gray-500 uppercase">Issued By</span>
+            <p className="font-mono text-xs text-gray-800 break-all">
+              {certificate.tbsCertificate?.issuer?.string || 'N/A'}
+            </p>
+          </div>
+        )}
         <div className="flex justify-between text-sm">
           <span className="text-gray-600">Valid Until:</span>
           <span className="font-medium text-gray-800">
@@ -72,12 +80,21 @@ const CertificateInfo = memo(({ certificate, onExport, onGenerateNew }) => {
               ? 'bg-amber-100 text-amber-700' 
               : 'bg-green-100 text-green-700'
           }`}>
-            {certificate.isSelfSigned ? 'Self-Signed Development' : 'Verified'}
+            {certificate.isSelfSigned ? 'Self-Signed Development' : 'CA-Issued'}
           </span>
         </div>
       </div>
 
       <div className="mt-4 space-y-2">
+        {onLock && onUnlock && (
+          <button
+            onClick={isLocked ? onUnlock : onLock}
+            className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg text-sm font-medium text-gray-700 transition-colors"
+          >
+            {isLocked ? <Unlock className="w-4 h-4" /> : <Lock className="w-4 h-4" />}
+            {isLocked ? 'Unlock Signing Key' : 'Lock Signing Key'}
+          </button>
+        )}
         {onExport && (
           <button
             onClick={onExport}
@@ -87,6 +104,15 @@ const CertificateInfo = memo(({ certificate, onExport, onGenerateNew }) => {
             Export Public Certificate
           </button>
         )}
+        {onExportBackup && (
+          <button
+            onClick={onExportBackup}
+            className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg text-sm font-medium text-gray-700 transition-colors"
+          >
+            <Archive className="w-4 h-4" />
+            Export Encrypted Backup
+          </button>
+        )}
         {onGenerateNew && (
           <button
             onClick={onGenerateNew}
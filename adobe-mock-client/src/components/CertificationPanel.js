@@ -1,5 +1,72 @@
 import React, { memo, useState, useEffect } from 'react';
-import { Shield, Save, CheckCircle } from 'lucide-react';
+import { Shield, Save, CheckCircle, AlertTriangle, RefreshCw } from 'lucide-react';
+
+const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString();
+
+const identityLabel = (identity) => {
+  const { subject, issuer } = identity.tbsCertificate;
+  const organization = subject.organizationName ? ` (${subject.organizationName})` : '';
+  const issuedBy = identity.isSelfSigned ? 'self-signed' : `issued by ${issuer.commonName}`;
+  return `${subject.commonName}${organization} - ${issuedBy}${identity.isDefault ? ', default' : ''}`;
+};
+
+// Warns before the signing certificate expires and explains why signing
+// is blocked once it has
+const ExpiryNotice = ({ expiry, onRenew, onGenerateNew, isRenewing }) => {
+  if (!expiry || expiry.status === 'valid') return null;
+
+  if (expiry.status === 'expiring') {
+    return (
+      <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg">
+        <div className="flex items-center gap-2 text-amber-800">
+          <AlertTriangle className="w-5 h-5" />
+          <span className="font-medium">
+            Certificate expires {expiry.daysRemaining === 0 ? 'today' : `in ${expiry.daysRemaining} day${expiry.daysRemaining === 1 ? '' : 's'}`}
+          </span>
+        </div>
+        <p className="text-sm text-amber-700 mt-1">
+          Renew it before {formatDate(expiry.notAfter)} to keep signing. The new certificate is linked to this one, so verifiers see the same photographer.
+        </p>
+        {onRenew && (
+          <button
+            onClick={onRenew}
+            disabled={isRenewing}
+            className="mt-3 px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 disabled:bg-gray-400 transition-colors flex items-center gap-2 text-sm font-medium"
+          >
+            <RefreshCw className={`w-4 h-4 ${isRenewing ? 'animate-spin' : ''}`} />
+            {isRenewing ? 'Renewing...' : 'Renew Certificate'}
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+      <div className="flex items-center gap-2 text-red-800">
+        <AlertTriangle className="w-5 h-5" />
+        <span className="font-medium">
+          {expiry.status === 'expired'
+            ? `Certificate expired on ${formatDate(expiry.notAfter)}`
+            : 'Certificate is not valid yet'}
+        </span>
+      </div>
+      <p className="text-sm text-red-700 mt-1">
+        {expiry.status === 'expired'
+          ? 'Signing is blocked. Expired certificates cannot be renewed; generate a new one.'
+          : 'Signing is blocked until the certificate becomes valid. Check your device clock.'}
+      </p>
+      {expiry.status === 'expired' && onGenerateNew && (
+        <button
+          onClick={onGenerateNew}
+          className="mt-3 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors text-sm font-medium"
+        >
+          Generate New Certificate
+        </button>
+      )}
+    </div>
+  );
+};
 
 const CertificationPanel = memo(({ 
   onCertify, 
@@ -7,7 +74,14 @@ const CertificationPanel = memo(({
   canCertify, 
   isCertifying, 
   hasCertified,
-  image 
+  image,
+  certificateExpiry,
+  onRenewCertificate,
+  onGenerateNewCertificate,
+  isRenewing,
+  identities = [],
+  signingIdentityId,
+  onSelectIdentity
 }) => {
   const [description, setDescription] = useState('');
 
@@ -52,6 +126,35 @@ const CertificationPanel = memo(({
           </p>
         </div>
 
+        {identities.length > 1 && onSelectIdentity && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Sign As
+            </label>
+            <select
+              value={signingIdentityId || ''}
+              onChange={(e) => onSelectIdentity(e.target.value)}
+              disabled={hasCertified || isCertifying}
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {identities.map(identity => (
+                <option key={identity.id} value={identity.id}>
+                  {identityLabel(identity)}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {!hasCertified && (
+          <ExpiryNotice
+            expiry={certificateExpiry}
+            onRenew={onRenewCertificate}
+            onGenerateNew={onGenerateNewCertificate}
+            isRenewing={isRenewing}
+          />
+        )}
+
         {!hasCertified ? (
           <button
             onClick={handleCertify}
@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { Users, Star, Trash2, Plus, AlertCircle } from 'lucide-react';
+import { X509Certificate } from '../utils/certificates/X509Certificate';
+import appConfig from '../config/appConfig';
+
+const EXPIRY_STYLES = {
+  valid: 'text-gray-600',
+  expiring: 'text-amber-600',
+  expired: 'text-red-600',
+  'not-yet-valid': 'text-red-600'
+};
+
+function IdentityManager({ identities, activeId, onSetDefault, onDelete, onCreate, onClose }) {
+  const [error, setError] = useState(null);
+
+  const handleSetDefault = async (identity) => {
+    setError(null);
+    try {
+      await onSetDefault(identity.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (identity) => {
+    if (!window.confirm(`Delete the identity ${identity.tbsCertificate.subject.commonName}? Its private key cannot be recovered unless you have a backup.`)) return;
+
+    setError(null);
+    try {
+      await onDelete(identity.id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-hidden">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <Users className="w-6 h-6 text-blue-600" />
+              <h2 className="text-2xl font-bold text-gray-900">Signing Identities</h2>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              ✕
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mt-2">
+            The default identity signs unless you pick another one when certifying an image
+          </p>
+        </div>
+
+        <div className="p-6 overflow-y-auto max-h-[calc(90vh-200px)] space-y-3">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2 text-sm text-red-700">
+              <AlertCircle className="w-4 h-4" />
+              {error}
+            </div>
+          )}
+
+          {identities.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-8">No signing identities stored yet</p>
+          )}
+
+          {identities.map(identity => {
+            const subject = identity.tbsCertificate.subject;
+            const expiry = X509Certificate.getExpiryStatus(identity, {
+              warningDays: appConfig.certification.renewalWarningDays
+            });
+
+            return (
+              <div
+                key={identity.id}
+                className={`border rounded-lg p-4 transition-colors ${
+                  identity.id === activeId ? 'border-blue-300 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                <div className="flex items-start justify-between">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2 mb-2">
+                      <span className="font-medium text-gray-800">{subject.commonName}</span>
+                      {subject.organizationName && (
+                        <span className="text-sm text-gray-500">{subject.organizationName}</span>
+                      )}
+                      {identity.isDefault && (
+                        <span className="text-xs px-2 py-0.5 rounded bg-blue-100 text-blue-700">Default</span>
+                      )}
+                    </div>
+                    <div className="grid grid-cols-2 gap-2 text-sm text-gray-600">
+                      <div className="col-span-2 break-all">
+                        <span className="text-gray-500">Subject:</span> {subject.string}
+                      </div>
+                      <div className="col-span-2 break-all">
+                        <span className="text-gray-500">Issuer:</span>{' '}
+                        {identity.isSelfSigned ? 'Self-signed' : identity.tbsCertificate.issuer.string}
+                      </div>
+                      <div className={EXPIRY_STYLES[expiry.status]}>
+                        <span className="text-gray-500">Expires:</span>{' '}
+                        {new Date(identity.tbsCertificate.validity.notAfter).toLocaleDateString()}
+                        {expiry.status === 'expired' && ' (expired)'}
+                        {expiry.status === 'expiring' && ` (in ${expiry.daysRemaining} days)`}
+                        {expiry.status === 'not-yet-valid' && ' (not valid yet)'}
+                      </div>
+                      <div>
+                        <span className="text-gray-500">Algorithm:</span>{' '}
+                        {X509Certificate.getSignatureAlgorithm(identity)} / {X509Certificate.getImageHashAlgorithm(identity)}
+                      </div>
+                      {identity.remoteSigner && (
+                        <div className="col-span-2 break-all">
+                          <span className="text-gray-500">Key:</span>{' '}
+                          {identity.remoteSigner.keyId} at {identity.remoteSigner.url}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="flex gap-1 ml-4">
+                    {!identity.isDefault && (
+                      <button
+                        onClick={() => handleSetDefault(identity)}
+                        className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                        title="Make default identity"
+                      >
+                        <Star className="w-4 h-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleDelete(identity)}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                      title="Delete identity"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="p-6 border-t border-gray-200">
+          <button
+            onClick={onCreate}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+          >
+            <Plus className="w-4 h-4" />
+            New Identity
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default IdentityManager;
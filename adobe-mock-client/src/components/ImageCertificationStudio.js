@@ -1,13 +1,21 @@
 import React, { useState, useCallback, memo } from 'react';
-import { Camera, Shield, AlertCircle, Key } from 'lucide-react';
+import { Camera, Shield, AlertCircle, Key, Building, Archive, Users } from 'lucide-react';
 import { useCertificate } from '../hooks/useCertificate';
+import { useCertificateAuthority } from '../hooks/useCertificateAuthority';
 import { useImageProcessor } from '../hooks/useImageProcessor';
+import { useArchiveTimestamp } from '../hooks/useArchiveTimestamp';
 import ImageUploader from './ImageUploader';
 import CertificationPanel from './CertificationPanel';
 import CertificateInfo from './CertificateInfo';
 import ExifDisplay from './ExifDisplay';
 import TrustManager from './TrustManager';
 import CertificateGenerationForm from './CertificateGenerationForm';
+import CertificateAuthorityManager from './CertificateAuthorityManager';
+import PendingRequests from './PendingRequests';
+import ArchiveTimestampManager from './ArchiveTimestampManager';
+import KeyUnlockDialog from './KeyUnlockDialog';
+import IdentityManager from './IdentityManager';
+import { X509Certificate } from '../utils/certificates/X509Certificate';
 import appConfig from '../config/appConfig';
 
 const StatusBar = memo(({ status, isProcessing }) => (
@@ -25,21 +33,78 @@ const StatusBar = memo(({ status, isProcessing }) => (
 
 StatusBar.displayName = 'StatusBar';
 
+function downloadPem(pem, fileName) {
+  const dataUri = 'data:application/x-pem-file;charset=utf-8,'+ encodeURIComponent(pem);
+
+  const link = document.createElement('a');
+  link.setAttribute('href', dataUri);
+  link.setAttribute('download', fileName);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
+function fileNameFor(subject, extension) {
+  return `${(subject?.commonName || 'certificate').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.${extension}`;
+}
+
 function ImageCertificationStudio() {
   const [status, setStatus] = useState('Initializing certificate...');
   const [photographerName, setPhotographerName] = useState('');
   const [showNameInput, setShowNameInput] = useState(false);
   const [showTrustManager, setShowTrustManager] = useState(false);
   const [showCertificateForm, setShowCertificateForm] = useState(false);
+  const [showAuthorityManager, setShowAuthorityManager] = useState(false);
+  const [showArchiveManager, setShowArchiveManager] = useState(false);
+  // { action } to run with the unlocked certificate once the passphrase is entered
+  const [unlockPrompt, setUnlockPrompt] = useState(null);
+  const [showBackupDialog, setShowBackupDialog] = useState(false);
+  const [showIdentityManager, setShowIdentityManager] = useState(false);
+  // Identity picked for the next certification; null signs with the default
+  const [signingIdentityId, setSigningIdentityId] = useState(null);
 
   const {
     certificate,
+    identities,
+    pendingRequests,
     isGenerating,
     error: certError,
+    keyState,
+    unlockKeys,
+    lockKeys,
+    getVaultKey,
     generateCertificate,
-    exportPublicCertificate
+    renewCertificate,
+    createSigningRequest,
+    installIssuedCertificate,
+    discardSigningRequest,
+    exportSigningRequest,
+    setDefaultIdentity,
+    getSigningIdentity,
+    deleteIdentity,
+    exportPublicCertificate,
+    exportIdentityBackup,
+    importIdentityBackup
   } = useCertificate(photographerName);
 
+  const {
+    authorities,
+    isWorking: isAuthorityWorking,
+    error: authorityError,
+    createRootCA,
+    createIntermediateCA,
+    deleteAuthority,
+    signCertificateRequest,
+    revokeCertificate,
+    publishRevocationList,
+    setResponderUrl,
+    exportResponderBundle,
+    issueTimestampingBundle,
+    exportKeyShares,
+    recoverRootKey,
+    exportAuthorityCertificate
+  } = useCertificateAuthority(getVaultKey);
+
   const {
     image,
     imagePreview,
@@ -52,6 +117,14 @@ function ImageCertificationStudio() {
     downloadCertifiedImage
   } = useImageProcessor();
 
+  const {
+    results: archiveResults,
+    isArchiving,
+    archiveImages,
+    downloadArchivedImage,
+    clearResults: clearArchiveResults
+  } = useArchiveTimestamp();
+
   const handleImageUpload = useCallback(async (file) => {
     setStatus('Processing image and extracting metadata...');
     const result = await processImage(file);
@@ -67,12 +140,50 @@ function ImageCertificationStudio() {
     }
   }, [processImage]);
 
-  const handleCertify = useCallback(async (description) => {
+  // Run an action that needs the private key, asking for the passphrase first
+  const withUnlockedKey = useCallback((action) => {
+    if (keyState === 'unlocked') {
+      return action(certificate);
+    }
+    setUnlockPrompt({ action });
+  }, [keyState, certificate]);
+
+  // Like withUnlockedKey, but with the identity picked for this
+  // certification when it is not the default one
+  const withSigningIdentity = useCallback((action) => withUnlockedKey(async (active) => {
+    let signingCertificate = active;
+    if (signingIdentityId && signingIdentityId !== active?.id) {
+      try {
+        signingCertificate = await getSigningIdentity(signingIdentityId);
+      } catch (error) {
+        setStatus(`Cannot sign with the selected identity: ${error.message}`);
+        return;
+      }
+    }
+    return action(signingCertificate);
+  }), [withUnlockedKey, signingIdentityId, getSigningIdentity]);
+
+  const handleUnlock = useCallback(async (passphrase) => {
+    const unlocked = await unlockKeys(passphrase);
+    const action = unlockPrompt?.action;
+    setUnlockPrompt(null);
+    setStatus('Signing key unlocked');
+    if (action) {
+      await action(unlocked);
+    }
+  }, [unlockKeys, unlockPrompt]);
+
+  const handleLock = useCallback(() => {
+    lockKeys();
+    setStatus('Signing key locked');
+  }, [lockKeys]);
+
+  const certifyWith = useCallback(async (signingCertificate, description) => {
     console.log('ImageCertificationStudio: handleCertify called');
-    console.log('Certificate available:', !!certificate);
+    console.log('Certificate available:', !!signingCertificate);
     console.log('Description:', description);
     
-    if (!certificate) {
+    if (!signingCertificate) {
       setStatus('No certificate available');
       return;
     }
@@ -81,7 +192,7 @@ function ImageCertificationStudio() {
     console.log('Calling certifyImage...');
     
     try {
-      const result = await certifyImage(certificate, description);
+      const result = await certifyImage(signingCertificate, description);
       console.log('certifyImage result:', result);
       
       if (result) {
@@ -95,7 +206,11 @@ function ImageCertificationStudio() {
       console.error('Certification error in component:', error);
       setStatus(`Certification failed: ${error.message}`);
     }
-  }, [certificate, certifyImage]);
+  }, [certifyImage]);
+
+  const handleCertify = useCallback((description) => {
+    return withSigningIdentity(signingCertificate => certifyWith(signingCertificate, description));
+  }, [withSigningIdentity, certifyWith]);
 
   const handleDownload = useCallback(() => {
     const success = downloadCertifiedImage();
@@ -109,18 +224,22 @@ function ImageCertificationStudio() {
     if (!pemCertificate) return;
 
     // Export as proper PEM file
-    const dataUri = 'data:application/x-pem-file;charset=utf-8,'+ encodeURIComponent(pemCertificate);
-    
-    const link = document.createElement('a');
-    link.setAttribute('href', dataUri);
-    link.setAttribute('download', 'certificate.pem');
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    downloadPem(pemCertificate, 'certificate.pem');
     
     setStatus('X.509 certificate exported in PEM format');
   }, [exportPublicCertificate]);
 
+  const handleExportBackup = useCallback(() => {
+    withUnlockedKey(() => setShowBackupDialog(true));
+  }, [withUnlockedKey]);
+
+  const handleBackupPassphrase = useCallback(async (passphrase) => {
+    const pem = await exportIdentityBackup(passphrase);
+    downloadPem(pem, fileNameFor(certificate?.tbsCertificate?.subject, 'identity.pem'));
+    setShowBackupDialog(false);
+    setStatus('Encrypted identity backup exported - keep it and its passphrase safe');
+  }, [exportIdentityBackup, certificate]);
+
   const handleSetPhotographerName = useCallback(() => {
     if (photographerName.trim()) {
       setShowNameInput(false);
@@ -130,30 +249,134 @@ function ImageCertificationStudio() {
   }, [photographerName, generateCertificate]);
 
   const handleGenerateNewCertificate = useCallback(() => {
-    setShowCertificateForm(true);
-  }, []);
+    withUnlockedKey(() => setShowCertificateForm(true));
+  }, [withUnlockedKey]);
+
+  const handleRenewCertificate = useCallback(() => withSigningIdentity(async (current) => {
+    setStatus('Renewing certificate with a new signing key...');
+    try {
+      const renewed = await renewCertificate(current);
+      setSigningIdentityId(id => (id === current.id ? renewed.id : id));
+      setStatus(`Certificate renewed until ${new Date(renewed.tbsCertificate.validity.notAfter).toLocaleDateString()}`);
+    } catch (error) {
+      setStatus(`Failed to renew certificate: ${error.message}`);
+    }
+  }), [withSigningIdentity, renewCertificate]);
+
+  const handleSetDefaultIdentity = useCallback(async (id) => {
+    const identity = await setDefaultIdentity(id);
+    setSigningIdentityId(null);
+    setStatus(`Default identity: ${identity?.tbsCertificate.subject.commonName}`);
+  }, [setDefaultIdentity]);
+
+  const handleDeleteIdentity = useCallback(async (id) => {
+    await deleteIdentity(id);
+    setSigningIdentityId(selected => (selected === id ? null : selected));
+    setStatus('Signing identity deleted');
+  }, [deleteIdentity]);
+
+  const handleCreateIdentity = useCallback(() => {
+    setShowIdentityManager(false);
+    handleGenerateNewCertificate();
+  }, [handleGenerateNewCertificate]);
 
   const handleCertificateFormSubmit = useCallback(async (certDetails) => {
+    if (certDetails.output === 'backup') {
+      try {
+        const imported = await importIdentityBackup(certDetails.backupPem, certDetails.backupPassphrase);
+        setStatus(`Imported signing identity for ${imported.tbsCertificate.subject.commonName}`);
+        setShowCertificateForm(false);
+      } catch (error) {
+        setStatus(`Failed to import identity backup: ${error.message}`);
+      }
+      return;
+    }
+
+    if (certDetails.output === 'request') {
+      try {
+        const { request, pem } = await createSigningRequest(certDetails);
+        downloadPem(pem, fileNameFor(request.subject, 'csr'));
+        setStatus('Certificate signing request created - send it to your agency CA');
+        setShowCertificateForm(false);
+      } catch (error) {
+        setStatus(`Failed to create certificate request: ${error.message}`);
+      }
+      return;
+    }
+
     try {
       await generateCertificate(certDetails);
-      setStatus('New certificate generated successfully');
+      setStatus(certDetails.issuerId
+        ? 'New certificate issued by certificate authority'
+        : 'New certificate generated successfully');
       setShowCertificateForm(false);
     } catch (error) {
       setStatus(`Failed to generate certificate: ${error.message}`);
     }
-  }, [generateCertificate]);
+  }, [generateCertificate, createSigningRequest, importIdentityBackup]);
+
+  const handleDownloadRequest = useCallback((request) => {
+    downloadPem(exportSigningRequest(request), fileNameFor(request.subject, 'csr'));
+  }, [exportSigningRequest]);
+
+  const handleInstallCertificate = useCallback((pemText) => withUnlockedKey(async () => {
+    try {
+      const installed = await installIssuedCertificate(pemText);
+      setStatus(`Installed certificate issued by ${installed.tbsCertificate.issuer.commonName}`);
+    } catch (error) {
+      setStatus(`Failed to install certificate: ${error.message}`);
+    }
+  }), [withUnlockedKey, installIssuedCertificate]);
+
+  const handleDiscardRequest = useCallback(async (id) => {
+    if (!window.confirm('Discard this request? Its private key will be deleted.')) return;
+    await discardSigningRequest(id);
+    setStatus('Certificate request discarded');
+  }, [discardSigningRequest]);
+
+  const handleSignRequest = useCallback(async (requestPem, issuerId, validityDays) => {
+    const { certificate: issued, pem } = await signCertificateRequest(requestPem, issuerId, validityDays);
+    downloadPem(pem, fileNameFor(issued.tbsCertificate.subject, 'pem'));
+    setStatus(`Issued certificate for ${issued.tbsCertificate.subject.commonName}`);
+    return issued;
+  }, [signCertificateRequest]);
+
+  const handleArchiveImages = useCallback(async (files, authorityUrl) => {
+    setStatus(`Adding archive timestamps to ${files.length} image(s)...`);
+    const results = await archiveImages(files, authorityUrl);
+    const failed = results.filter(result => result.error).length;
+    setStatus(failed > 0
+      ? `Archive timestamps added to ${results.length - failed} of ${results.length} image(s)`
+      : `Archive timestamps added to ${results.length} image(s) - ready for download`);
+  }, [archiveImages]);
+
+  const handleCloseArchiveManager = useCallback(() => {
+    setShowArchiveManager(false);
+    clearArchiveResults();
+  }, [clearArchiveResults]);
 
   React.useEffect(() => {
-    if (certificate && !photographerName) {
+    if (keyState === 'setup') {
+      setStatus('Choose a passphrase to protect your signing key');
+      setUnlockPrompt(prompt => prompt || {});
+    } else if (keyState === 'locked') {
+      setStatus('Signing key locked - enter your passphrase to sign');
+    } else if (certificate && !photographerName) {
       setStatus('Ready to certify images');
       setShowNameInput(false);
     } else if (isGenerating) {
       setStatus('Generating certificate...');
     }
-  }, [certificate, isGenerating, photographerName]);
+  }, [certificate, isGenerating, photographerName, keyState]);
 
   const error = certError || imageError;
-  const canCertify = image && certificate && !certifiedImageBlob;
+  // Expired certificates cannot sign; renew before they get there
+  const signingIdentity = identities.find(identity => identity.id === signingIdentityId) || certificate;
+  const certificateExpiry = signingIdentity
+    ? X509Certificate.getExpiryStatus(signingIdentity, { warningDays: appConfig.certification.renewalWarningDays })
+    : null;
+  const canSign = certificateExpiry?.status === 'valid' || certificateExpiry?.status === 'expiring';
+  const canCertify = image && certificate && canSign && !certifiedImageBlob;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
@@ -173,9 +396,30 @@ function ImageCertificationStudio() {
             <Key className="w-4 h-4" />
             Manage Trust Store
           </button>
+          <button
+            onClick={() => setShowAuthorityManager(true)}
+            className="mt-4 ml-2 inline-flex items-center gap-2 px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg text-sm font-medium text-gray-700 transition-colors"
+          >
+            <Building className="w-4 h-4" />
+            Certificate Authority
+          </button>
+          <button
+            onClick={() => setShowArchiveManager(true)}
+            className="mt-4 ml-2 inline-flex items-center gap-2 px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg text-sm font-medium text-gray-700 transition-colors"
+          >
+            <Archive className="w-4 h-4" />
+            Archive Timestamps
+          </button>
+          <button
+            onClick={() => setShowIdentityManager(true)}
+            className="mt-4 ml-2 inline-flex items-center gap-2 px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg text-sm font-medium text-gray-700 transition-colors"
+          >
+            <Users className="w-4 h-4" />
+            Signing Identities
+          </button>
         </div>
 
-        <StatusBar status={status} isProcessing={isProcessing || isGenerating} />
+        <StatusBar status={status} isProcessing={isProcessing || isGenerating || isArchiving} />
 
         {error && (
           <div className="mb-8 p-4 bg-red-50 border border-red-200 rounded-xl">
@@ -201,6 +445,13 @@ function ImageCertificationStudio() {
               isCertifying={isProcessing}
               hasCertified={!!certifiedImageBlob}
               image={image}
+              certificateExpiry={certificateExpiry}
+              onRenewCertificate={handleRenewCertificate}
+              onGenerateNewCertificate={handleGenerateNewCertificate}
+              isRenewing={isGenerating}
+              identities={identities}
+              signingIdentityId={signingIdentity?.id || null}
+              onSelectIdentity={setSigningIdentityId}
             />
           </div>
 
@@ -208,7 +459,18 @@ function ImageCertificationStudio() {
             <CertificateInfo
               certificate={certificate}
               onExport={handleExportCertificate}
+              onExportBackup={handleExportBackup}
               onGenerateNew={handleGenerateNewCertificate}
+              isLocked={keyState !== 'unlocked'}
+              onLock={handleLock}
+              onUnlock={() => setUnlockPrompt({})}
+            />
+
+            <PendingRequests
+              requests={pendingRequests}
+              onDownload={handleDownloadRequest}
+              onInstall={handleInstallCertificate}
+              onDiscard={handleDiscardRequest}
             />
 
             {exifData && <ExifDisplay exifData={exifData} />}
@@ -227,6 +489,73 @@ function ImageCertificationStudio() {
           onGenerate={handleCertificateFormSubmit}
           onClose={() => setShowCertificateForm(false)}
           isGenerating={isGenerating}
+          authorities={authorities}
+        />
+      )}
+
+      {/* Certificate Authority Modal */}
+      {showAuthorityManager && (
+        <CertificateAuthorityManager
+          authorities={authorities}
+          isWorking={isAuthorityWorking}
+          error={authorityError}
+          onCreateRoot={createRootCA}
+          onCreateIntermediate={createIntermediateCA}
+          onDelete={deleteAuthority}
+          onSignRequest={handleSignRequest}
+          onRevoke={revokeCertificate}
+          onPublishCRL={publishRevocationList}
+          onSetResponderUrl={setResponderUrl}
+          onExportResponderBundle={exportResponderBundle}
+          onIssueTimestampingBundle={issueTimestampingBundle}
+          onExportKeyShares={exportKeyShares}
+          onRecoverRootKey={recoverRootKey}
+          onExport={exportAuthorityCertificate}
+          onClose={() => setShowAuthorityManager(false)}
+        />
+      )}
+
+      {/* Passphrase Modal */}
+      {unlockPrompt && (
+        <KeyUnlockDialog
+          isSetup={keyState === 'setup'}
+          onUnlock={handleUnlock}
+          onClose={() => setUnlockPrompt(null)}
+        />
+      )}
+
+      {/* Identity Backup Passphrase Modal */}
+      {showBackupDialog && (
+        <KeyUnlockDialog
+          isSetup
+          title="Export Identity Backup"
+          description="Choose a passphrase for the backup file. It is needed to import the certificate and private key on another machine or in the other signing app."
+          submitLabel="Export Backup"
+          onUnlock={handleBackupPassphrase}
+          onClose={() => setShowBackupDialog(false)}
+        />
+      )}
+
+      {/* Signing Identities Modal */}
+      {showIdentityManager && (
+        <IdentityManager
+          identities={identities}
+          activeId={certificate?.id}
+          onSetDefault={handleSetDefaultIdentity}
+          onDelete={handleDeleteIdentity}
+          onCreate={handleCreateIdentity}
+          onClose={() => setShowIdentityManager(false)}
+        />
+      )}
+
+      {/* Archive Timestamp Modal */}
+      {showArchiveManager && (
+        <ArchiveTimestampManager
+          results={archiveResults}
+          isArchiving={isArchiving}
+          onArchive={handleArchiveImages}
+          onDownload={downloadArchivedImage}
+          onClose={handleCloseArchiveManager}
         />
       )}
     </div>
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { Lock, X } from 'lucide-react';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function KeyUnlockDialog({ isSetup, onUnlock, onClose, title, description, submitLabel }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isSetup && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      return;
+    }
+    if (isSetup && passphrase !== confirmation) {
+      setError('Passphrases do not match');
+      return;
+    }
+
+    setIsUnlocking(true);
+    setError(null);
+    try {
+      await onUnlock(passphrase);
+    } catch (err) {
+      setError(err.message);
+      setIsUnlocking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-md w-full overflow-hidden">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <Lock className="w-6 h-6 text-blue-600" />
+              <h2 className="text-2xl font-bold text-gray-900">
+                {title || (isSetup ? 'Protect Signing Keys' : 'Unlock Signing Key')}
+              </h2>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+              disabled={isUnlocking}
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mt-2">
+            {description || (isSetup
+              ? 'Choose a passphrase. Private keys are stored encrypted with it and cannot be recovered without it.'
+              : 'Enter your passphrase to sign with your private key.')}
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Passphrase</label>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              autoFocus
+              autoComplete={isSetup ? 'new-password' : 'current-password'}
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          {isSetup && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Confirm Passphrase</label>
+              <input
+                type="password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                autoComplete="new-password"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+          )}
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={isUnlocking || !passphrase}
+            className="w-full px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors font-medium"
+          >
+            {isUnlocking ? 'Working...' : submitLabel || (isSetup ? 'Set Passphrase' : 'Unlock')}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default KeyUnlockDialog;
@@ -1,10 +1,12 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { Shield, Upload, Trash2, CheckCircle, XCircle, AlertCircle, Key } from 'lucide-react';
+import { Shield, Upload, Trash2, CheckCircle, XCircle, AlertCircle, Key, FileX } from 'lucide-react';
 import { TrustStore } from '../utils/storage/TrustStore';
 import { PEMParser } from '../utils/certificates/PEMParser';
+import { CertificateRevocationList } from '../utils/certificates/CertificateRevocationList';
 
 function TrustManager({ onClose }) {
   const [trustedCerts, setTrustedCerts] = useState([]);
+  const [revocationLists, setRevocationLists] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [importStatus, setImportStatus] = useState(null);
@@ -20,6 +22,7 @@ function TrustManager({ onClose }) {
       setIsLoading(true);
       const certs = await TrustStore.getTrustedCertificates();
       setTrustedCerts(certs);
+      setRevocationLists(await TrustStore.getRevocationLists());
     } catch (err) {
       setError('Failed to load trusted certificates');
     } finally {
@@ -35,6 +38,13 @@ function TrustManager({ onClose }) {
     setImportStatus('importing');
 
     try {
+      // Revocation lists are kept beside the trusted certificates
+      const text = await file.text();
+      if (CertificateRevocationList.isRevocationList(text)) {
+        await importRevocationList(text);
+        return;
+      }
+
       // More lenient file extension check
       const validExtensions = ['.pem', '.crt', '.cer', '.cert', '.key', '.txt'];
       const hasValidExtension = validExtensions.some(ext => file.name.toLowerCase().endsWith(ext));
@@ -81,6 +91,40 @@ function TrustManager({ onClose }) {
     }
   };
 
+  const importRevocationList = async (text) => {
+    const crl = CertificateRevocationList.parse(text);
+    console.log('Parsed CRL from', crl.tbsCertList.issuer.string, 'number', crl.tbsCertList.crlNumber);
+
+    // A CRL issued by a trusted certificate is checked now; one from an
+    // intermediate CA is checked against the embedded chain at verification
+    const trustedIssuer = trustedCerts.find(cert =>
+      cert.tbsCertificate?.subject?.string === crl.tbsCertList.issuer.string && cert.der
+    );
+    if (trustedIssuer && !(await CertificateRevocationList.verify(crl, trustedIssuer))) {
+      throw new Error('CRL signature does not verify with the trusted issuer certificate');
+    }
+
+    const imported = await TrustStore.importRevocationList(crl);
+    setImportStatus(imported ? 'crl-success' : 'crl-outdated');
+    setTimeout(() => setImportStatus(null), 3000);
+    await loadTrustedCertificates();
+
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const handleRemoveRevocationList = async (id) => {
+    if (!window.confirm('Remove this revocation list?')) return;
+
+    try {
+      await TrustStore.removeRevocationList(id);
+      await loadTrustedCertificates();
+    } catch (err) {
+      setError('Failed to remove revocation list');
+    }
+  };
+
   const handleRemoveCertificate = async (fingerprint) => {
     if (!window.confirm('Remove this certificate from trust store?')) return;
 
@@ -133,7 +177,7 @@ function TrustManager({ onClose }) {
           </p>
         </div>
 
-        <div className="p-6">
+        <div className="p-6 overflow-y-auto max-h-[calc(90vh-200px)]">
           {/* Import Section */}
           <div className="mb-6">
             <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-blue-400 transition-colors">
@@ -147,7 +191,7 @@ function TrustManager({ onClose }) {
               <Key className="w-12 h-12 text-gray-400 mx-auto mb-3" />
               <h3 className="text-lg font-medium text-gray-700 mb-2">Import Certificate</h3>
               <p className="text-sm text-gray-500 mb-4">
-                Import certificate files (.pem, .crt, .cer) exported from the signing app
+                Import certificate files (.pem, .crt, .cer) or revocation lists (.crl) exported from the signing app
               </p>
               
               <button
@@ -172,6 +216,20 @@ function TrustManager({ onClose }) {
                 </div>
               )}
 
+              {importStatus === 'crl-success' && (
+                <div className="mt-4 text-green-600 flex items-center justify-center gap-2">
+                  <CheckCircle className="w-5 h-5" />
+                  <span className="text-sm">Revocation list imported successfully</span>
+                </div>
+              )}
+
+              {importStatus === 'crl-outdated' && (
+                <div className="mt-4 text-amber-600 flex items-center justify-center gap-2">
+                  <AlertCircle className="w-5 h-5" />
+                  <span className="text-sm">A newer revocation list from this issuer is already imported</span>
+                </div>
+              )}
+
               {importStatus === 'already-trusted' && (
                 <div className="mt-4 text-amber-600 flex items-center justify-center gap-2">
                   <AlertCircle className="w-5 h-5" />
@@ -273,6 +331,59 @@ function TrustManager({ onClose }) {
             )}
           </div>
 
+          {/* Revocation Lists */}
+          {revocationLists.length > 0 && (
+            <div className="mt-6">
+              <h3 className="text-lg font-semibold text-gray-800 mb-3">
+                Revocation Lists ({revocationLists.length})
+              </h3>
+              <div className="space-y-3">
+                {revocationLists.map(crl => {
+                  const stale = crl.tbsCertList.nextUpdate && new Date() > new Date(crl.tbsCertList.nextUpdate);
+
+                  return (
+                    <div key={crl.id} className="border border-gray-200 rounded-lg p-4 flex items-start justify-between">
+                      <div className="flex-1">
+                        <div className="flex items-center gap-2 mb-2">
+                          <FileX className="w-5 h-5 text-red-600" />
+                          <span className="font-medium text-gray-800">{crl.tbsCertList.issuer.string}</span>
+                          {stale && (
+                            <span className="text-xs px-2 py-0.5 bg-amber-100 text-amber-700 rounded">
+                              Update Due
+                            </span>
+                          )}
+                        </div>
+                        <div className="grid grid-cols-2 gap-2 text-sm text-gray-600">
+                          <div>
+                            <span className="text-gray-500">CRL Number:</span> {crl.tbsCertList.crlNumber ?? 'N/A'}
+                          </div>
+                          <div>
+                            <span className="text-gray-500">Revoked:</span> {crl.tbsCertList.revokedCertificates.length}
+                          </div>
+                          <div>
+                            <span className="text-gray-500">Issued:</span>{' '}
+                            {new Date(crl.tbsCertList.thisUpdate).toLocaleDateString()}
+                          </div>
+                          <div>
+                            <span className="text-gray-500">Next Update:</span>{' '}
+                            {crl.tbsCertList.nextUpdate ? new Date(crl.tbsCertList.nextUpdate).toLocaleDateString() : 'N/A'}
+                          </div>
+                        </div>
+                      </div>
+                      <button
+                        onClick={() => handleRemoveRevocationList(crl.id)}
+                        className="ml-4 p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                        title="Remove revocation list"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Info Section */}
           <div className="mt-6 p-4 bg-blue-50 rounded-lg">
             <div className="flex items-start gap-3">
@@ -282,6 +393,8 @@ function TrustManager({ onClose }) {
                 <ul className="space-y-1 text-xs">
                   <li>• Imported certificates will be used to verify image signatures</li>
                   <li>• Self-signed certificates can be trusted for development/testing</li>
+                  <li>• Trusting an organization root CA trusts every certificate it issued</li>
+                  <li>• Revoked certificates fail for signatures made after their invalidity date</li>
                   <li>• Expired certificates will be marked but remain in store for verification</li>
                   <li>• Export certificates from the signing app using "Export Certificate"</li>
                 </ul>
@@ -9,14 +9,49 @@ export const appConfig = {
     defaultSubject: 'Professional Photographer',
     defaultIssuer: 'Self-Signed Certificate',
     validityDays: 365,
+    // Warn this many days before the signing certificate expires
+    renewalWarningDays: Number(process.env.REACT_APP_RENEWAL_WARNING_DAYS ?? 30),
     allowedOperations: ['capture', 'basic_editing', 'professional_enhancement'],
     contentTypes: ['photography', 'journalism', 'art', 'documentary'],
-    signatureAlgorithm: 'ECDSA',
-    hashAlgorithm: 'SHA-384',
-    curve: 'P-384'
+    // Defaults for new certificates: ES256, ES384, PS256 or Ed25519, and
+    // the digest images are bound with (SHA-256, SHA-384 or SHA-512)
+    signatureAlgorithm: 'ES384',
+    hashAlgorithm: 'SHA-384'
+  },
+
+  timestamping: {
+    // RFC 3161 timestamp authority, e.g. http://localhost:8788/tsa for
+    // local-services/tsa-server.js; empty records the local clock
+    authorityUrl: process.env.REACT_APP_TSA_URL || ''
   },
   
-  ui: {
+  remoteSigning: {
+    // Signing service for keys kept outside the browser, e.g.
+    // local-services/kms-server.js; the token is sent as a bearer token
+    // and must match the one the service requires
+    serviceUrl: process.env.REACT_APP_REMOTE_SIGNER_URL || 'http://localhost:8789',
+    accessToken: process.env.REACT_APP_REMOTE_SIGNER_TOKEN || ''
+  },
+
+  embedding: {
+    // Where JPEG certifications are written: 'app15' (the studio's own
+    // segment), 'jumbf' (a C2PA manifest store in APP11) or 'both'
+    jpegFormat: process.env.REACT_APP_JPEG_MANIFEST_FORMAT || 'both',
+    // Bytes reserved beyond the unsigned manifest for its signature,
+    // timestamp and archive timestamps added later (roughly 2 KB each in a
+    // JPEG, more in a PNG); the region excluded from the image hash cannot
+    // grow after signing. A signed manifest that does not fit is signed
+    // again with its measured length plus this reserve.
+    reservedBytes: Number(process.env.REACT_APP_MANIFEST_RESERVED_BYTES ?? 8192)
+  },
+
+  security: {
+    // Signing keys are locked again after this many idle minutes; 0 keeps
+    // them unlocked until the page is closed
+    keyIdleTimeoutMinutes: Number(process.env.REACT_APP_KEY_IDLE_TIMEOUT_MINUTES ?? 5)
+  },
+
+    ui: {
     maxImageSizeMB: 50,
     supportedFormats: ['image/jpeg', 'image/jpg', 'image/png'],
     enableDebugMode: false
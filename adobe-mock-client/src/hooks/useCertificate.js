@@ -1,50 +1,152 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { X509Certificate } from '../utils/certificates/X509Certificate';
+import { CertificateAuthority } from '../utils/certificates/CertificateAuthority';
+import { CertificationRequest } from '../utils/certificates/CertificationRequest';
+import { ASN1 } from '../utils/certificates/ASN1';
 import { TrustStore } from '../utils/storage/TrustStore';
+import { KeyVault } from '../utils/crypto/KeyVault';
+import { IdentityBackup } from '../utils/certificates/IdentityBackup';
+import { Signer } from '../utils/crypto/Signer';
 import appConfig from '../config/appConfig';
 
+// Subject fields from the certificate form, or defaults for a first run
+function buildSubjectInfo(certDetails, photographerName) {
+  return certDetails ? {
+    commonName: certDetails.commonName,
+    name: certDetails.commonName,
+    organization: certDetails.organization,
+    organizationalUnit: certDetails.organizationalUnit,
+    email: certDetails.email || null,
+    country: certDetails.country || 'US',
+    state: certDetails.state || null,
+    locality: certDetails.locality || null
+  } : {
+    commonName: photographerName || appConfig.certification.defaultSubject,
+    name: photographerName || appConfig.certification.defaultSubject,
+    organization: 'Independent Photographer',
+    email: null,
+    country: 'US'
+  };
+}
+
+function buildSubjectAltNames(certDetails) {
+  return certDetails?.email ? [
+    { type: 'email', value: certDetails.email }
+  ] : [];
+}
+
+// Stored certificates that can sign: they have key material or a signing
+// service, a DER encoding, and have not been replaced by a renewal
+function isSigningIdentity(cert) {
+  return !!((cert.encryptedPrivateKey || cert.keyPair || cert.remoteSigner) &&
+    cert.tbsCertificate && cert.der && !cert.renewedBy);
+}
+
+// Signer for a key held by the signing service named in the form, or null
+// when the key is generated in the browser
+async function connectRemoteSigner(certDetails) {
+  if (certDetails?.keySource !== 'remote') {
+    return null;
+  }
+  const signer = await Signer.connect(certDetails.remoteUrl, certDetails.remoteKeyId.trim(), {
+    accessToken: appConfig.remoteSigning.accessToken
+  });
+  console.log('Connected to signing service key', signer.keyId, `(${signer.algorithm})`);
+  return signer;
+}
+
+// Flag one stored certificate as the default identity loaded on start
+async function markDefaultIdentity(id) {
+  for (const stored of await TrustStore.getAllCertificates()) {
+    if (!!stored.isDefault !== (stored.id === id)) {
+      await TrustStore.storeCertificate({ ...stored, isDefault: stored.id === id });
+    }
+  }
+}
+
+function requireVaultKey(vaultKeyRef) {
+  if (!vaultKeyRef.current) {
+    throw new Error('Unlock your signing keys first');
+  }
+  return vaultKeyRef.current;
+}
+
 export function useCertificate(photographerName = null) {
   const [certificate, setCertificate] = useState(null);
+  // Stored signing certificates without key material, default first
+  const [identities, setIdentities] = useState([]);
+  const [pendingRequests, setPendingRequests] = useState([]);
   const [isGenerating, setIsGenerating] = useState(false);
   const [error, setError] = useState(null);
+  // 'loading', 'setup' (no passphrase chosen yet), 'locked' or 'unlocked'
+  const [keyState, setKeyState] = useState('loading');
+  const vaultKeyRef = useRef(null);
+  const vaultParametersRef = useRef(null);
+
+  const loadIdentities = useCallback(async () => {
+    try {
+      const stored = (await TrustStore.getAllCertificates()) || [];
+      const signing = stored.filter(isSigningIdentity).map(cert => KeyVault.forget(cert));
+      signing.sort((a, b) => Number(!!b.isDefault) - Number(!!a.isDefault));
+      setIdentities(signing);
+      return signing;
+    } catch (err) {
+      console.error('Error loading signing identities:', err);
+      return [];
+    }
+  }, []);
+
+  /**
+   * Store a signing certificate, making it the default identity unless
+   * told otherwise
+   */
+  const storeIdentity = useCallback(async (cert, vaultKey, { makeDefault = true } = {}) => {
+    if (makeDefault) {
+      await markDefaultIdentity(cert.id);
+    }
+    await TrustStore.storeCertificate(await KeyVault.lock({ ...cert, isDefault: makeDefault || !!cert.isDefault }, vaultKey));
+    await loadIdentities();
+  }, [loadIdentities]);
 
   const generateCertificate = useCallback(async (certDetails = null) => {
     setIsGenerating(true);
     setError(null);
     
     try {
+      const vaultKey = requireVaultKey(vaultKeyRef);
       // Use provided details or defaults
-      const subjectInfo = certDetails ? {
-        commonName: certDetails.commonName,
-        name: certDetails.commonName,
-        organization: certDetails.organization,
-        organizationalUnit: certDetails.organizationalUnit,
-        email: certDetails.email || null,
-        country: certDetails.country || 'US',
-        state: certDetails.state || null,
-        locality: certDetails.locality || null
-      } : {
-        commonName: photographerName || appConfig.certification.defaultSubject,
-        name: photographerName || appConfig.certification.defaultSubject,
-        organization: 'Independent Photographer',
-        email: null,
-        country: 'US'
+      const subjectInfo = buildSubjectInfo(certDetails, photographerName);
+
+      const remoteSigner = await connectRemoteSigner(certDetails);
+
+      const certOptions = {
+        validityDays: certDetails?.validityDays || appConfig.certification.validityDays,
+        isCA: false,
+        subjectAltNames: buildSubjectAltNames(certDetails),
+        signatureAlgorithm: certDetails?.signatureAlgorithm || appConfig.certification.signatureAlgorithm,
+        hashAlgorithm: certDetails?.hashAlgorithm || appConfig.certification.hashAlgorithm,
+        // A service key is certified as-is and self-signs through the service
+        ...(remoteSigner && { publicKey: remoteSigner.publicKey, signer: remoteSigner })
       };
 
-      // Generate real X.509-structured certificate
-      const cert = await X509Certificate.generateCertificate(
-        subjectInfo,
-        null, // Self-signed
-        {
-          validityDays: certDetails?.validityDays || appConfig.certification.validityDays,
-          isCA: false,
-          subjectAltNames: certDetails?.email ? [
-            { type: 'email', value: certDetails.email }
-          ] : []
+      // Issue from a local certificate authority when one is selected,
+      // otherwise generate a self-signed certificate
+      let cert;
+      if (certDetails?.issuerId) {
+        const issuer = await KeyVault.unlock(await TrustStore.getAuthority(certDetails.issuerId), vaultKey);
+        if (!issuer) {
+          throw new Error('Selected certificate authority was not found');
         }
-      );
+        console.log('Issuing certificate from CA:', issuer.tbsCertificate.subject.string);
+        cert = await CertificateAuthority.issueCertificate(subjectInfo, issuer, certOptions);
+      } else {
+        cert = await X509Certificate.generateCertificate(subjectInfo, null, certOptions);
+      }
+      if (remoteSigner) {
+        cert = { ...cert, remoteSigner: { url: remoteSigner.url, keyId: remoteSigner.keyId } };
+      }
 
-      await TrustStore.storeCertificate(cert);
+      await storeIdentity(cert, vaultKey);
       setCertificate(cert);
       
       return cert;
@@ -54,14 +156,171 @@ export function useCertificate(photographerName = null) {
     } finally {
       setIsGenerating(false);
     }
-  }, [photographerName]);
+  }, [photographerName, storeIdentity]);
+
+  /**
+   * Replace the active certificate with one for a new key and the same
+   * subject. The old key signs over the new one, so verifiers that trusted
+   * the old certificate recognize the successor as the same photographer.
+   * Pass the unlocked certificate when renewing right after unlocking.
+   */
+  const renewCertificate = useCallback(async (current = certificate) => {
+    setIsGenerating(true);
+    setError(null);
+
+    try {
+      const vaultKey = requireVaultKey(vaultKeyRef);
+      if (current?.remoteSigner) {
+        throw new Error('Keys in a signing service are replaced there; certify the new service key as a new identity');
+      }
+      if (!current?.keyPair?.privateKey) {
+        throw new Error('Unlock the current signing key to renew its certificate');
+      }
+
+      const { notBefore, notAfter } = current.tbsCertificate.validity;
+      const certOptions = {
+        validityDays: Math.round((new Date(notAfter) - new Date(notBefore)) / (24 * 60 * 60 * 1000)) ||
+          appConfig.certification.validityDays,
+        isCA: false,
+        subjectAltNames: X509Certificate.getExtension(current, X509Certificate.EXTENSIONS.SUBJECT_ALT_NAME)?.extnValue || [],
+        // The new key keeps the algorithms the photographer chose
+        signatureAlgorithm: X509Certificate.getSignatureAlgorithm(current),
+        hashAlgorithm: X509Certificate.getImageHashAlgorithm(current),
+        predecessor: current
+      };
+      const subjectInfo = current.tbsCertificate.subject;
+
+      // Renew through the same local CA, or self-sign again
+      let renewed;
+      if (current.issuerId) {
+        const issuer = await KeyVault.unlock(await TrustStore.getAuthority(current.issuerId), vaultKey);
+        if (!issuer) {
+          throw new Error('The certificate authority that issued this certificate was not found');
+        }
+        renewed = await CertificateAuthority.issueCertificate(subjectInfo, issuer, certOptions);
+      } else if (current.isSelfSigned) {
+        renewed = await X509Certificate.generateCertificate(subjectInfo, null, certOptions);
+      } else {
+        throw new Error('Certificates from an external CA are renewed by sending it a new certificate request');
+      }
+
+      // The previous certificate stays stored but is no longer an identity
+      const previous = await TrustStore.getCertificate(current.id);
+      if (previous) {
+        await TrustStore.storeCertificate({ ...previous, isDefault: false, renewedBy: renewed.id });
+      }
+      const wasDefault = !!previous?.isDefault || current.id === certificate?.id;
+      await storeIdentity(renewed, vaultKey, { makeDefault: wasDefault });
+      if (wasDefault) {
+        setCertificate(renewed);
+      }
+
+      console.log('Renewed certificate:', renewed.tbsCertificate.subject.string, 'until', renewed.tbsCertificate.validity.notAfter);
+      return renewed;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsGenerating(false);
+    }
+  }, [certificate, storeIdentity]);
+
+  const loadPendingRequests = useCallback(async () => {
+    try {
+      const stored = await TrustStore.getPendingRequests();
+      setPendingRequests(stored || []);
+    } catch (err) {
+      console.error('Error loading pending certificate requests:', err);
+    }
+  }, []);
+
+  /**
+   * Create a PKCS#10 request for a CA to sign. The key pair stays in the
+   * trust store until the issued certificate is installed.
+   */
+  const createSigningRequest = useCallback(async (certDetails) => {
+    setIsGenerating(true);
+    setError(null);
+
+    try {
+      const vaultKey = requireVaultKey(vaultKeyRef);
+      const remoteSigner = await connectRemoteSigner(certDetails);
+      let request = await CertificationRequest.create(
+        buildSubjectInfo(certDetails, photographerName),
+        {
+          subjectAltNames: buildSubjectAltNames(certDetails),
+          signatureAlgorithm: certDetails?.signatureAlgorithm || appConfig.certification.signatureAlgorithm,
+          hashAlgorithm: certDetails?.hashAlgorithm || appConfig.certification.hashAlgorithm,
+          signer: remoteSigner
+        }
+      );
+      if (remoteSigner) {
+        request = { ...request, remoteSigner: { url: remoteSigner.url, keyId: remoteSigner.keyId } };
+      }
+      await TrustStore.storePendingRequest(await KeyVault.lock(request, vaultKey));
+      await loadPendingRequests();
+
+      console.log('Created certificate request:', request.subject.string);
+      return { request, pem: CertificationRequest.toPEM(request) };
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsGenerating(false);
+    }
+  }, [photographerName, loadPendingRequests]);
+
+  /**
+   * Install a certificate returned by a CA against the pending request
+   * whose public key it certifies
+   */
+  const installIssuedCertificate = useCallback(async (pemText) => {
+    setError(null);
+
+    try {
+      const vaultKey = requireVaultKey(vaultKeyRef);
+      const [leafBlock] = ASN1.fromPEM(pemText).filter(block => block.label === 'CERTIFICATE');
+      if (!leafBlock) {
+        throw new Error('No certificate found in the file');
+      }
+      const leaf = X509Certificate.fromDER(leafBlock.der);
+
+      const pending = await TrustStore.getPendingRequests();
+      const request = pending.find(candidate => CertificationRequest.matchesRequest(leaf, candidate));
+      if (!request) {
+        throw new Error('Certificate does not match any pending certificate request');
+      }
+
+      const cert = await CertificationRequest.installCertificate(await KeyVault.unlock(request, vaultKey), pemText);
+      await markDefaultIdentity(cert.id);
+      await TrustStore.installPendingCertificate(await KeyVault.lock({ ...cert, isDefault: true }, vaultKey), request.id);
+      await loadPendingRequests();
+      await loadIdentities();
+      setCertificate(cert);
+
+      console.log('Installed issued certificate:', cert.tbsCertificate.subject.string);
+      return cert;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [loadPendingRequests, loadIdentities]);
+
+  const discardSigningRequest = useCallback(async (id) => {
+    await TrustStore.deletePendingRequest(id);
+    await loadPendingRequests();
+  }, [loadPendingRequests]);
+
+  const exportSigningRequest = useCallback((request) => {
+    return CertificationRequest.toPEM(request);
+  }, []);
 
   const loadExistingCertificate = useCallback(async (certId) => {
     try {
-      const cert = await TrustStore.getCertificate(certId);
-      if (cert) {
-        // Reconstruct the keyPair from stored data if needed
-        // Note: In a real app, you'd need to reimport the keys
+      const stored = await TrustStore.getCertificate(certId);
+      if (stored) {
+        // The key pair is only restored while the vault is unlocked
+        const cert = vaultKeyRef.current ? await KeyVault.unlock(stored, vaultKeyRef.current) : stored;
         setCertificate(cert);
         return cert;
       }
@@ -71,6 +330,105 @@ export function useCertificate(photographerName = null) {
     return null;
   }, []);
 
+  /**
+   * Make a stored identity the default: it becomes the active certificate
+   * and is loaded on the next start
+   */
+  const setDefaultIdentity = useCallback(async (id) => {
+    setError(null);
+    try {
+      await markDefaultIdentity(id);
+      await loadIdentities();
+      return loadExistingCertificate(id);
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [loadIdentities, loadExistingCertificate]);
+
+  /**
+   * Unlocked copy of a stored identity, for signing with a certificate
+   * other than the default one
+   */
+  const getSigningIdentity = useCallback(async (id) => {
+    const vaultKey = requireVaultKey(vaultKeyRef);
+    const stored = await TrustStore.getCertificate(id);
+    if (!stored || !isSigningIdentity(stored)) {
+      throw new Error('Signing identity was not found');
+    }
+    return KeyVault.unlock(stored, vaultKey);
+  }, []);
+
+  /**
+   * Delete an identity with its private key and the certificates it
+   * renewed. Deleting the default makes the next identity the default.
+   */
+  const deleteIdentity = useCallback(async (id) => {
+    setError(null);
+    try {
+      const stored = await TrustStore.getAllCertificates();
+      const deleted = new Set([id]);
+      let previous;
+      while ((previous = stored.find(cert => deleted.has(cert.renewedBy) && !deleted.has(cert.id)))) {
+        deleted.add(previous.id);
+      }
+      for (const deletedId of deleted) {
+        await TrustStore.deleteCertificate(deletedId);
+      }
+
+      const remaining = await loadIdentities();
+      if (certificate?.id === id) {
+        const next = remaining[0] || null;
+        if (next) {
+          await setDefaultIdentity(next.id);
+        } else {
+          setCertificate(null);
+        }
+      }
+      console.log('Deleted signing identity', id, 'and', deleted.size - 1, 'renewed certificate(s)');
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [certificate, loadIdentities, setDefaultIdentity]);
+
+  /**
+   * Password-protected backup of the active certificate and its private key,
+   * as encrypted PKCS#8 followed by the certificate chain
+   */
+  const exportIdentityBackup = useCallback(async (passphrase) => {
+    if (!certificate?.privateKey) {
+      throw new Error('Unlock the signing key to back it up');
+    }
+    return IdentityBackup.export(certificate, passphrase);
+  }, [certificate]);
+
+  const importIdentityBackup = useCallback(async (pemText, passphrase) => {
+    setIsGenerating(true);
+    setError(null);
+
+    try {
+      const vaultKey = requireVaultKey(vaultKeyRef);
+      const imported = await IdentityBackup.import(pemText, passphrase);
+
+      // Replace a stored copy of the same certificate instead of duplicating it
+      const existing = (await TrustStore.getAllCertificates())
+        .find(cert => cert.fingerprint?.sha256 === imported.fingerprint.sha256);
+      const cert = existing ? { ...imported, id: existing.id } : imported;
+
+      await storeIdentity(cert, vaultKey);
+      setCertificate(cert);
+
+      console.log('Imported signing identity:', cert.tbsCertificate.subject.string);
+      return cert;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsGenerating(false);
+    }
+  }, [storeIdentity]);
+
   const exportPublicCertificate = useCallback(() => {
     if (!certificate) return null;
 
@@ -78,47 +436,168 @@ export function useCertificate(photographerName = null) {
     return X509Certificate.exportCertificate(certificate, false);
   }, [certificate]);
 
+  /**
+   * Encrypt keys that were stored before passphrase protection existed.
+   * Returns the migrated certificates with their keys still in memory.
+   */
+  const migratePlaintextKeys = useCallback(async (vaultKey) => {
+    const migrated = [];
+    for (const cert of await TrustStore.getAllCertificates()) {
+      if (KeyVault.hasPlaintextKey(cert)) {
+        await TrustStore.storeCertificate(await KeyVault.lock(cert, vaultKey));
+        migrated.push(cert);
+      }
+    }
+    for (const request of await TrustStore.getPendingRequests()) {
+      if (KeyVault.hasPlaintextKey(request)) {
+        await TrustStore.storePendingRequest(await KeyVault.lock(request, vaultKey));
+      }
+    }
+    for (const authority of await TrustStore.getAuthorities()) {
+      if (KeyVault.hasPlaintextKey(authority)) {
+        await TrustStore.storeAuthority(await KeyVault.lock(authority, vaultKey));
+      }
+    }
+    if (migrated.length > 0) {
+      console.log('Encrypted', migrated.length, 'stored private key(s) with the new passphrase');
+    }
+    return migrated;
+  }, []);
+
+  /**
+   * Choose the passphrase on first use, or unlock the stored keys with it.
+   * Resolves to the unlocked certificate.
+   */
+  const unlockKeys = useCallback(async (passphrase) => {
+    setError(null);
+    try {
+      const vaultKey = await KeyVault.deriveKey(passphrase, vaultParametersRef.current || {});
+
+      let unlocked = null;
+      if (certificate?.encryptedPrivateKey) {
+        // Throws on a wrong passphrase before anything is changed
+        unlocked = await KeyVault.unlock(certificate, vaultKey);
+      } else if (vaultParametersRef.current) {
+        const [record] = [...await TrustStore.getPendingRequests(), ...await TrustStore.getAuthorities()]
+          .filter(candidate => candidate.encryptedPrivateKey);
+        if (record) {
+          await KeyVault.unlock(record, vaultKey);
+        }
+      }
+
+      const migrated = await migratePlaintextKeys(vaultKey);
+      // Identities whose key lives in a signing service have nothing to unlock
+      unlocked = unlocked || migrated.find(cert => cert.id === certificate?.id) ||
+        (certificate?.remoteSigner ? certificate : null);
+
+      vaultKeyRef.current = vaultKey;
+      vaultParametersRef.current = { salt: vaultKey.salt, iterations: vaultKey.iterations };
+      setKeyState('unlocked');
+      console.log('Signing keys unlocked');
+
+      if (!unlocked) {
+        console.log('No existing certificate found, generating new one...');
+        return generateCertificate();
+      }
+      setCertificate(unlocked);
+      return unlocked;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [certificate, migratePlaintextKeys, generateCertificate]);
+
+  /**
+   * Key that encrypts stored private keys, for hooks that keep keys of
+   * their own. Throws while the keys are locked.
+   */
+  const getVaultKey = useCallback(() => requireVaultKey(vaultKeyRef), []);
+
+  const lockKeys = useCallback(() => {
+    if (!vaultKeyRef.current) return;
+
+    vaultKeyRef.current = null;
+    setCertificate(current => KeyVault.forget(current));
+    setKeyState('locked');
+    console.log('Signing keys locked');
+  }, []);
+
+  // Re-lock after the studio has been idle for the configured time
   useEffect(() => {
-    // Try to load existing certificate from store first
-    const loadOrGenerateCertificate = async () => {
-      if (!certificate && !isGenerating) {
-        try {
-          // Check if we have any existing certificates
-          const existingCerts = await TrustStore.getAllCertificates();
-          
-          if (existingCerts && existingCerts.length > 0) {
-            // Use the first valid certificate found
-            const validCert = existingCerts.find(cert => {
-              // Check if certificate has required fields and keys
-              return cert.keyPair && cert.tbsCertificate;
-            });
-            
-            if (validCert) {
-              console.log('Loading existing certificate:', validCert.tbsCertificate?.subject?.string);
-              setCertificate(validCert);
-              return;
-            }
-          }
-          
-          // No valid certificate found, generate a new one
-          console.log('No existing certificate found, generating new one...');
-          generateCertificate();
-        } catch (err) {
-          console.error('Error loading certificate:', err);
-          generateCertificate();
+    const timeoutMs = appConfig.security.keyIdleTimeoutMinutes * 60 * 1000;
+    if (keyState !== 'unlocked' || !timeoutMs) return;
+
+    let timer = null;
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(lockKeys, timeoutMs);
+    };
+    const activityEvents = ['pointerdown', 'keydown'];
+    activityEvents.forEach(event => window.addEventListener(event, resetTimer));
+    resetTimer();
+
+    return () => {
+      clearTimeout(timer);
+      activityEvents.forEach(event => window.removeEventListener(event, resetTimer));
+    };
+  }, [keyState, lockKeys]);
+
+  useEffect(() => {
+    // Load the existing certificate; its key stays encrypted until unlocked
+    const loadCertificate = async () => {
+      try {
+        const existingCerts = await TrustStore.getAllCertificates();
+        const pending = await TrustStore.getPendingRequests();
+        const authorities = await TrustStore.getAuthorities();
+
+        // Certificates stored before DER encoding cannot be exported and
+        // are skipped, as are certificates that have been renewed. The
+        // default identity is loaded, or the first one if none is set.
+        const signing = (existingCerts || []).filter(isSigningIdentity);
+        const validCert = signing.find(cert => cert.isDefault) || signing[0];
+        const encrypted = [...(existingCerts || []), ...(pending || []), ...(authorities || [])]
+          .find(record => record.encryptedPrivateKey);
+        vaultParametersRef.current = KeyVault.getParameters(encrypted);
+
+        if (validCert) {
+          console.log('Loading existing certificate:', validCert.tbsCertificate?.subject?.string);
+          setCertificate(KeyVault.forget(validCert));
         }
+        setKeyState(vaultParametersRef.current ? 'locked' : 'setup');
+      } catch (err) {
+        console.error('Error loading certificate:', err);
+        setError(err.message);
+        setKeyState('setup');
       }
     };
-    
-    loadOrGenerateCertificate();
+
+    loadCertificate();
+    loadIdentities();
+    loadPendingRequests();
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
   return {
     certificate,
+    identities,
+    pendingRequests,
     isGenerating,
     error,
+    keyState,
+    unlockKeys,
+    lockKeys,
+    getVaultKey,
     generateCertificate,
+    renewCertificate,
+    createSigningRequest,
+    installIssuedCertificate,
+    discardSigningRequest,
+    exportSigningRequest,
     loadExistingCertificate,
-    exportPublicCertificate
+    setDefaultIdentity,
+    getSigningIdentity,
+    deleteIdentity,
+    exportPublicCertificate,
+    exportIdentityBackup,
+    importIdentityBackup
   };
 }
\ No newline at end of file
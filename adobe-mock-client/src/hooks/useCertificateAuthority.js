@@ -0,0 +1,271 @@
+import { useState, useEffect, useCallback } from 'react';
+import { CertificateAuthority } from '../utils/certificates/CertificateAuthority';
+import { X509Certificate } from '../utils/certificates/X509Certificate';
+import { CertificateRevocationList } from '../utils/certificates/CertificateRevocationList';
+import { KeyShareBackup } from '../utils/certificates/KeyShareBackup';
+import { KeyVault } from '../utils/crypto/KeyVault';
+import { TrustStore } from '../utils/storage/TrustStore';
+
+/**
+ * Local certificate authorities. Their private keys are stored encrypted
+ * with the same passphrase as the signing keys; `getVaultKey` returns the
+ * unlocked vault key or throws while the keys are locked.
+ */
+export function useCertificateAuthority(getVaultKey) {
+  const [authorities, setAuthorities] = useState([]);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadAuthorities = useCallback(async () => {
+    try {
+      const stored = await TrustStore.getAuthorities();
+      setAuthorities(stored || []);
+      return stored || [];
+    } catch (err) {
+      console.error('Error loading certificate authorities:', err);
+      setError(err.message);
+      return [];
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAuthorities();
+  }, [loadAuthorities]);
+
+  const runAndReload = useCallback(async (operation) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const result = await operation();
+      await loadAuthorities();
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsWorking(false);
+    }
+  }, [loadAuthorities]);
+
+  // Stored authority with its private key decrypted
+  const getUnlockedAuthority = useCallback(async (id) => {
+    const vaultKey = getVaultKey();
+    const authority = await TrustStore.getAuthority(id);
+    if (!authority) {
+      throw new Error('Issuing certificate authority not found');
+    }
+    return KeyVault.unlock(authority, vaultKey);
+  }, [getVaultKey]);
+
+  const storeAuthority = useCallback(async (authority) => {
+    await TrustStore.storeAuthority(await KeyVault.lock(authority, getVaultKey()));
+  }, [getVaultKey]);
+
+  const createRootCA = useCallback((details) => runAndReload(async () => {
+    const vaultKey = getVaultKey();
+    console.log('Creating root CA:', details.commonName);
+    const root = await CertificateAuthority.createRootCA(
+      {
+        commonName: details.commonName,
+        organization: details.organization,
+        country: details.country || null
+      },
+      { validityDays: details.validityDays, ocspUrl: details.ocspUrl }
+    );
+    await TrustStore.storeAuthority(await KeyVault.lock(root, vaultKey));
+
+    // The studio trusts its own root so issued certificates validate locally
+    await TrustStore.importTrustedCertificate(CertificateAuthority.toTrustAnchor(root));
+    return KeyVault.forget(root);
+  }), [runAndReload, getVaultKey]);
+
+  const createIntermediateCA = useCallback((details, issuerId) => runAndReload(async () => {
+    const issuer = await getUnlockedAuthority(issuerId);
+
+    console.log('Creating intermediate CA:', details.commonName, 'under', issuer.tbsCertificate.subject.string);
+    const intermediate = await CertificateAuthority.createIntermediateCA(
+      {
+        commonName: details.commonName,
+        organization: details.organization || issuer.tbsCertificate.subject.organizationName,
+        country: details.country || issuer.tbsCertificate.subject.countryName
+      },
+      issuer,
+      { validityDays: details.validityDays, ocspUrl: details.ocspUrl }
+    );
+    await storeAuthority(intermediate);
+    return KeyVault.forget(intermediate);
+  }), [runAndReload, getUnlockedAuthority, storeAuthority]);
+
+  /**
+   * Sign a PKCS#10 request from a photographer. Returns the issued
+   * certificate followed by the issuing CA chain as PEM.
+   */
+  const signCertificateRequest = useCallback(async (requestPem, issuerId, validityDays) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const issuer = await getUnlockedAuthority(issuerId);
+      const certificate = await CertificateAuthority.signRequest(requestPem, issuer, { validityDays });
+      console.log('Signed certificate request for', certificate.tbsCertificate.subject.string);
+      return {
+        certificate,
+        pem: X509Certificate.exportCertificate(certificate, false)
+      };
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsWorking(false);
+    }
+  }, [getUnlockedAuthority]);
+
+  const revokeCertificate = useCallback((issuerId, revocation) => runAndReload(async () => {
+    const issuer = await TrustStore.getAuthority(issuerId);
+    if (!issuer) {
+      throw new Error('Issuing certificate authority not found');
+    }
+
+    console.log('Revoking certificate', revocation.serialNumber, 'issued by', issuer.tbsCertificate.subject.string);
+    const updated = CertificateAuthority.revokeCertificate(issuer, revocation);
+    await TrustStore.storeAuthority(updated);
+    return updated;
+  }), [runAndReload]);
+
+  /**
+   * Sign a new CRL for an authority. The studio's own trust store picks it
+   * up immediately; the returned PEM is for verifiers.
+   */
+  const publishRevocationList = useCallback((issuerId) => runAndReload(async () => {
+    const issuer = await getUnlockedAuthority(issuerId);
+    const { crl, authority } = await CertificateAuthority.publishRevocationList(issuer);
+    await storeAuthority(authority);
+    await TrustStore.importRevocationList(crl);
+
+    console.log('Published CRL', crl.tbsCertList.crlNumber, 'for', issuer.tbsCertificate.subject.string);
+    return CertificateRevocationList.toPEM(crl);
+  }), [runAndReload, getUnlockedAuthority, storeAuthority]);
+
+  const setResponderUrl = useCallback((issuerId, ocspUrl) => runAndReload(async () => {
+    const issuer = await TrustStore.getAuthority(issuerId);
+    if (!issuer) {
+      throw new Error('Issuing certificate authority not found');
+    }
+
+    const updated = CertificateAuthority.setResponderUrl(issuer, ocspUrl);
+    await TrustStore.storeAuthority(updated);
+    return updated;
+  }), [runAndReload]);
+
+  /**
+   * Bundle for the local status responder. Each export issues a new
+   * delegated responder certificate; the bundle holds its private key, not
+   * the CA's, and that key is not kept in the studio.
+   */
+  const exportResponderBundle = useCallback(async (issuerId) => {
+    const issuer = await getUnlockedAuthority(issuerId);
+    const { commonName, organizationName, countryName } = issuer.tbsCertificate.subject;
+    const responder = await CertificateAuthority.issueResponderCertificate(
+      {
+        commonName: `${commonName || organizationName || 'Local CA'} Status Responder`,
+        organization: organizationName,
+        country: countryName
+      },
+      issuer
+    );
+
+    console.log('Exporting responder bundle for', issuer.tbsCertificate.subject.string);
+    return JSON.stringify(CertificateAuthority.createResponderBundle(issuer, responder), null, 2);
+  }, [getUnlockedAuthority]);
+
+  /**
+   * Issue a time-stamping certificate and bundle it with its key for the
+   * local timestamp authority. The key is not kept in the studio.
+   */
+  const issueTimestampingBundle = useCallback(async (issuerId, details) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const issuer = await getUnlockedAuthority(issuerId);
+      const certificate = await CertificateAuthority.issueTimestampingCertificate(
+        {
+          commonName: details.commonName,
+          organization: details.organization || issuer.tbsCertificate.subject.organizationName,
+          country: details.country || issuer.tbsCertificate.subject.countryName
+        },
+        issuer,
+        { validityDays: details.validityDays }
+      );
+      console.log('Issued time-stamping certificate for', certificate.tbsCertificate.subject.string);
+      return JSON.stringify(CertificateAuthority.createTimestampingBundle(certificate), null, 2);
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsWorking(false);
+    }
+  }, [getUnlockedAuthority]);
+
+  /**
+   * Split a root CA key into printable shares for separate custodians
+   */
+  const exportKeyShares = useCallback(async (issuerId, { threshold, shareCount }) => {
+    const issuer = await getUnlockedAuthority(issuerId);
+
+    console.log(`Splitting root key of ${issuer.tbsCertificate.subject.string} into ${shareCount} shares (threshold ${threshold})`);
+    return KeyShareBackup.export(issuer, { threshold, shareCount });
+  }, [getUnlockedAuthority]);
+
+  /**
+   * Recovery ceremony: rebuild a root CA key from enough shares. A root
+   * still listed here gets its key back with its revocations and CRL
+   * numbering intact; otherwise the root is restored and trusted again.
+   */
+  const recoverRootKey = useCallback((shareTexts) => runAndReload(async () => {
+    const vaultKey = getVaultKey();
+    const { authority, testCertificate } = await KeyShareBackup.recover(shareTexts);
+
+    const existing = (await TrustStore.getAuthorities() || [])
+      .find(candidate => candidate.fingerprint?.sha256 === authority.fingerprint.sha256);
+    const restored = existing
+      ? { ...existing, keyPair: authority.keyPair, privateKey: authority.privateKey, recoveredAt: authority.recoveredAt }
+      : authority;
+    await TrustStore.storeAuthority(await KeyVault.lock(restored, vaultKey));
+    if (!existing) {
+      await TrustStore.importTrustedCertificate(CertificateAuthority.toTrustAnchor(restored));
+    }
+
+    console.log('Recovered root key for', restored.tbsCertificate.subject.string);
+    return { authority: KeyVault.forget(restored), testCertificate, restoredExisting: !!existing };
+  }), [runAndReload, getVaultKey]);
+
+  const deleteAuthority = useCallback((id) => runAndReload(async () => {
+    const dependents = authorities.filter(authority => authority.issuerId === id);
+    if (dependents.length > 0) {
+      throw new Error('Delete the intermediate CAs issued by this authority first');
+    }
+    await TrustStore.deleteAuthority(id);
+  }), [authorities, runAndReload]);
+
+  const exportAuthorityCertificate = useCallback((authority) => {
+    return X509Certificate.exportCertificate(authority, false);
+  }, []);
+
+  return {
+    authorities,
+    isWorking,
+    error,
+    createRootCA,
+    createIntermediateCA,
+    deleteAuthority,
+    signCertificateRequest,
+    revokeCertificate,
+    publishRevocationList,
+    setResponderUrl,
+    exportResponderBundle,
+    issueTimestampingBundle,
+    exportKeyShares,
+    recoverRootKey,
+    exportAuthorityCertificate,
+    reloadAuthorities: loadAuthorities
+  };
+}
@@ -1,3 +1,13 @@
+import { WebCryptoUtils } from '../crypto/WebCryptoUtils';
+import { X509Certificate } from '../certificates/X509Certificate';
+import { TimeStampToken } from '../certificates/TimeStampToken';
+import { Signer } from '../crypto/Signer';
+import { JUMBF } from './JUMBF';
+import { CBOR } from './CBOR';
+import { COSE } from './COSE';
+import { C2PAReader } from './C2PAReader';
+import { PerceptualHash } from '../metadata/PerceptualHash';
+
 /**
  * C2PA (Coalition for Content Provenance and Authenticity) Manifest
  * Implements the actual standard used by Adobe and other companies
@@ -6,6 +16,36 @@
 export class C2PAManifest {
   static CLAIM_VERSION = '1.0';
   static MANIFEST_SPEC = 'c2pa/1.0';
+  static CERTIFICATION_VERSION = 2;
+  static CERTIFICATION_LABEL = 'imgtrust.certification';
+  static SOFT_BINDING_LABEL = 'c2pa.soft-binding';
+  // Claims are serialized as deterministic CBOR and signed with COSE_Sign1.
+  // Earlier manifests signed RFC 8785 JSON ('jcs'), and those without a
+  // recorded canonicalization plain JSON.stringify ('legacy').
+  static CANONICALIZATION = 'cbor';
+  static JCS_CANONICALIZATION = 'jcs';
+  static LEGACY_CANONICALIZATION = 'legacy';
+  // Unprotected COSE header carrying the claim signature fields that have
+  // no standard label (timestamps, renewal links)
+  static COSE_METADATA_LABEL = 'imgtrust';
+  // Digest for hashed URIs from the claim to its assertions
+  static ASSERTION_HASH_ALGORITHM = 'sha256';
+  // How far a signed claim time may run ahead of the verifier's clock
+  static CLOCK_SKEW_MS = 5 * 60 * 1000;
+  // Archive timestamps outlive the signature, so they use a stronger hash
+  static ARCHIVE_HASH_ALGORITHM = 'SHA-512';
+  // Assertion fields that are byte strings (bstr) in C2PA
+  static BYTE_STRING_FIELDS = {
+    'c2pa.hash.data': ['hash', 'pad'],
+    'c2pa.soft-binding': ['pad']
+  };
+  // Labels of the standard boxes in a JUMBF manifest store
+  static JUMBF_LABELS = {
+    STORE: 'c2pa',
+    ASSERTIONS: 'c2pa.assertions',
+    CLAIM: 'c2pa.claim',
+    SIGNATURE: 'c2pa.signature'
+  };
 
   /**
    * Create a C2PA manifest for image certification
@@ -14,6 +54,10 @@ export class C2PAManifest {
     console.log('C2PAManifest.createManifest called');
     const manifestId = this.generateManifestId();
     const timestamp = new Date().toISOString();
+    // Recorded inside the signed claim so verifiers dispatch on it
+    const algorithm = certificate.tbsCertificate?.subjectPublicKeyInfo
+      ? X509Certificate.getSignatureAlgorithm(certificate)
+      : WebCryptoUtils.DEFAULT_SIGNATURE_ALGORITHM;
     
     try {
       // Create assertions first to catch any errors
@@ -22,7 +66,9 @@ export class C2PAManifest {
         this.createContentCredentialsAssertion(certificate),
         this.createActionsAssertion(),
         this.createCreativeWorkAssertion(description, exifData),
-        this.createHashAssertion(imageData)
+        this.createHashAssertion(imageData),
+        ...(imageData.perceptualHash ? [this.createSoftBindingAssertion(imageData.perceptualHash)] : []),
+        this.createCertificationAssertion(certificate, description, exifData, timestamp)
       ];
       console.log('Assertions created successfully');
 
@@ -40,7 +86,7 @@ export class C2PAManifest {
             // Claim signature
             claim_signature: {
               signature: null, // Will be populated after signing
-              algorithm: 'ES384',
+              algorithm,
               certificate_chain: [] // Will contain X.509 certificates
             },
             
@@ -61,10 +107,15 @@ export class C2PAManifest {
               
               // Assertions (the actual content claims)
               assertions: assertions,
+
+              // Where the signature lives and how assertions are hashed
+              // when the claim is serialized as JUMBF
+              signature: `self#jumbf=${this.JUMBF_LABELS.SIGNATURE}`,
+              alg: this.ASSERTION_HASH_ALGORITHM,
             
             // Signature info
             signature_info: {
-              alg: 'ES384',
+              alg: algorithm,
               issuer: certificate.tbsCertificate?.issuer?.string || 'Unknown',
               time: timestamp,
               cert_serial_number: certificate.tbsCertificate?.serialNumber || 'unknown'
@@ -214,22 +265,25 @@ export class C2PAManifest {
   }
 
   /**
-   * Create hash assertion for image integrity
+   * Create the hard binding (C2PA data hash): a hash of the whole image
+   * file except the byte ranges in imageData.exclusions, { start, length },
+   * where the manifest is embedded
    */
   static createHashAssertion(imageData) {
+    const algorithm = imageData.algorithm || WebCryptoUtils.DEFAULT_HASH_ALGORITHM;
     return {
       label: 'c2pa.hash.data',
       data: {
         '@context': 'https://c2pa.org/specifications/1.0/context/hash.json',
         '@type': 'C2PA_HashAssertion',
         
-        // Hash of the image data
+        // Hash of the image file outside the exclusions
         hash: imageData.hash || 'pending',
-        algorithm: 'SHA-384',
+        alg: Object.keys(C2PAReader.HASH_ALGORITHMS).find(name => C2PAReader.HASH_ALGORITHMS[name] === algorithm),
+        exclusions: (imageData.exclusions || []).map(({ start, length }) => ({ start, length })),
         
         // What's being hashed
-        name: 'Image pixel data',
-        scope: 'stripped', // Metadata stripped before hashing
+        name: 'jumbf manifest',
         
         // Pad for alignment
         pad: null
@@ -237,6 +291,140 @@ export class C2PAManifest {
     };
   }
 
+  /**
+   * Get the image hash recorded in the signed claim's hash assertion
+   */
+  static getSignedImageHash(manifest) {
+    const hash = this.getHashAssertion(manifest)?.data?.hash;
+
+    return Array.isArray(hash) ? hash : null;
+  }
+
+  /**
+   * Get the digest the signed claim's image hash was made with
+   */
+  static getSignedImageHashAlgorithm(manifest) {
+    const data = this.getHashAssertion(manifest)?.data;
+    // Manifests before exclusion ranges named the Web Crypto digest
+    return C2PAReader.HASH_ALGORITHMS[data?.alg] || data?.algorithm || WebCryptoUtils.DEFAULT_HASH_ALGORITHM;
+  }
+
+  /**
+   * Byte ranges the signed image hash leaves out, or null for manifests
+   * that hashed the image with its metadata stripped
+   */
+  static getSignedExclusions(manifest) {
+    const exclusions = this.getHashAssertion(manifest)?.data?.exclusions;
+    return Array.isArray(exclusions) ? exclusions : null;
+  }
+
+  /**
+   * Recompute the image hash the way the signed hash assertion was made:
+   * over the file outside its exclusion ranges, or, for older manifests,
+   * over the image with its metadata stripped
+   */
+  static async hashImage(manifest, imageBuffer) {
+    const algorithm = this.getSignedImageHashAlgorithm(manifest);
+    const exclusions = this.getSignedExclusions(manifest);
+    return exclusions
+      ? Array.from(await C2PAReader.hashExcluding(new Uint8Array(imageBuffer), exclusions, algorithm))
+      : WebCryptoUtils.hashImageData(imageBuffer, algorithm);
+  }
+
+  /**
+   * Create the soft binding: a perceptual hash of the pixels that still
+   * identifies the image after its metadata and manifest are stripped
+   */
+  static createSoftBindingAssertion(perceptualHash) {
+    const bytes = perceptualHash.match(/../g).map(pair => parseInt(pair, 16));
+    return {
+      label: this.SOFT_BINDING_LABEL,
+      data: {
+        alg: PerceptualHash.ALGORITHM,
+        // The whole image; value is base64 as in the C2PA soft binding
+        blocks: [{ scope: {}, value: Signer.toBase64(bytes) }],
+        name: 'Perceptual hash of the image pixels',
+        pad: null
+      }
+    };
+  }
+
+  /**
+   * The signed perceptual hash as hex digits, or null
+   */
+  static getSignedPerceptualHash(manifest) {
+    const claim = manifest?.manifests?.[manifest?.active_manifest]?.claim;
+    const assertion = claim?.assertions?.find(a => a.label === this.SOFT_BINDING_LABEL && a.data?.alg === PerceptualHash.ALGORITHM);
+    const value = assertion?.data?.blocks?.[0]?.value;
+    return value
+      ? Signer.fromBase64(value).map(byte => byte.toString(16).padStart(2, '0')).join('')
+      : null;
+  }
+
+  static getHashAssertion(manifest) {
+    const claim = manifest?.manifests?.[manifest?.active_manifest]?.claim;
+    return claim?.assertions?.find(assertion => assertion.label === 'c2pa.hash.data') || null;
+  }
+
+  /**
+   * Create certification assertion carrying the photographer-facing fields
+   * (description, time, certificate reference and full EXIF snapshot) so
+   * they are covered by the claim signature
+   */
+  static createCertificationAssertion(certificate, description, exifData, timestamp) {
+    return {
+      label: this.CERTIFICATION_LABEL,
+      data: {
+        description: description || null,
+        timestamp: timestamp,
+        certificate: {
+          fingerprint: certificate.fingerprint?.sha256 || null,
+          serialNumber: certificate.tbsCertificate?.serialNumber || null,
+          subject: certificate.tbsCertificate?.subject?.string || null
+        },
+        // Round trip drops anything that would not survive embedding
+        exifData: exifData ? JSON.parse(JSON.stringify(exifData)) : null
+      }
+    };
+  }
+
+  /**
+   * Get the certification fields covered by the claim signature.
+   * Returns null when the claim carries no certification assertion.
+   */
+  static getSignedCertification(manifest) {
+    const claim = manifest?.manifests?.[manifest?.active_manifest]?.claim;
+    const assertion = claim?.assertions?.find(a => a.label === this.CERTIFICATION_LABEL);
+    if (!assertion?.data) {
+      return null;
+    }
+
+    return {
+      manifestId: manifest.active_manifest,
+      description: assertion.data.description,
+      timestamp: assertion.data.timestamp,
+      certFingerprint: assertion.data.certificate?.fingerprint || null,
+      certificate: assertion.data.certificate || null,
+      exifData: assertion.data.exifData || null,
+      imageHash: this.getSignedImageHash(manifest),
+      imageHashAlgorithm: this.getSignedImageHashAlgorithm(manifest),
+      imageHashExclusions: this.getSignedExclusions(manifest),
+      perceptualHash: this.getSignedPerceptualHash(manifest)
+    };
+  }
+
+  /**
+   * Wrap a signed manifest into the payload embedded in the image.
+   * Everything a verifier reads lives inside the signed claim.
+   */
+  static createCertificationData(manifest) {
+    return {
+      version: this.CERTIFICATION_VERSION,
+      manifestId: manifest.active_manifest,
+      manifest: manifest
+    };
+  }
+
   /**
    * Create ingredient assertion (for derived works)
    */
@@ -269,47 +457,600 @@ export class C2PAManifest {
   }
 
   /**
-   * Sign the manifest with certificate
+   * Sign the manifest with certificate. The claim is signed by
+   * options.signer, or by the certificate's unlocked key or signing service.
+   * With options.timestampAuthorityUrl the signature is countersigned by an
+   * RFC 3161 timestamp authority; if the TSA cannot be reached the signer's
+   * clock is recorded instead.
    */
-  static async signManifest(manifest, certificate) {
-    // Create a clean version of the manifest without circular references
-    const cleanManifest = JSON.parse(JSON.stringify({
-      claim: manifest.manifests[manifest.active_manifest].claim
-    }));
-    
-    const manifestData = JSON.stringify(cleanManifest);
-    const encoder = new TextEncoder();
-    const dataBytes = encoder.encode(manifestData);
-    
-    // Create signature - check if keyPair exists, otherwise skip signing
-    let signature = null;
-    if (certificate.keyPair?.privateKey) {
-      signature = await crypto.subtle.sign(
-        {
-          name: "ECDSA",
-          hash: "SHA-384",
-        },
-        certificate.keyPair.privateKey,
-        dataBytes
-      );
+  static async signManifest(manifest, certificate, options = {}) {
+    const signer = options.signer || Signer.forCertificate(certificate);
+
+    // Expired certificates must be renewed, not used to sign new claims
+    if (signer) {
+      const expiry = X509Certificate.getExpiryStatus(certificate);
+      if (expiry.status === 'expired') {
+        throw new Error(`Signing certificate expired on ${expiry.notAfter}; renew it to keep signing`);
+      }
+      if (expiry.status === 'not-yet-valid') {
+        throw new Error(`Signing certificate is not valid before ${certificate.tbsCertificate.validity.notBefore}`);
+      }
     }
 
+    // The signing certificate comes first, followed by the issuing CA
+    // certificates a verifier needs to build the path to its trusted root
+    const issuerCertificates = await Promise.all((certificate.chain || []).map(async der => ({
+      ...X509Certificate.fromDER(der),
+      fingerprint: await X509Certificate.calculateFingerprint(der)
+    })));
+
+    // Create signature - only when a signer is available, otherwise skip signing.
+    // The COSE protected header commits to the algorithm and the chain.
+    const claimSignature = manifest.manifests[manifest.active_manifest].claim_signature;
+    let algorithm = claimSignature?.algorithm || WebCryptoUtils.DEFAULT_SIGNATURE_ALGORITHM;
+    let signatureBytes = null;
+    if (signer) {
+      const { claimBytes } = await this.encodeClaim(manifest.manifests[manifest.active_manifest].claim);
+      const signed = await COSE.sign(claimBytes, signer, {
+        certificateChain: [certificate.der, ...(certificate.chain || [])]
+      });
+      algorithm = signed.algorithm;
+      signatureBytes = signed.signature;
+    }
+
+    const timestamp = (signatureBytes && options.timestampAuthorityUrl
+      ? await this.requestSignatureTimestamp(signatureBytes, options.timestampAuthorityUrl)
+      : null) || {
+      time: new Date().toISOString(),
+      authority: 'self-signed'
+    };
+
     // Update manifest with signature
     manifest.manifests[manifest.active_manifest].claim_signature = {
-      signature: signature ? Array.from(new Uint8Array(signature)) : null,
-      algorithm: 'ES384',
+      signature: signatureBytes,
+      algorithm,
+      canonicalization: this.CANONICALIZATION,
       certificate_chain: [
-        this.formatCertificateForC2PA(certificate)
+        this.formatCertificateForC2PA(certificate),
+        ...issuerCertificates.map(issuer => this.formatCertificateForC2PA(issuer))
       ],
-      timestamp: {
-        time: new Date().toISOString(),
-        authority: 'self-signed'
-      }
+      timestamp
     };
 
+    // Certificates the signing certificate renewed, most recent first, so
+    // verifiers that trust an earlier one recognize the same photographer
+    if (certificate.predecessors?.length) {
+      manifest.manifests[manifest.active_manifest].claim_signature.certificate_predecessors =
+        certificate.predecessors.map(der => ({ der }));
+    }
+
     return manifest;
   }
 
+  /**
+   * Timestamp the signature bytes at a TSA. Returns the timestamp entry for
+   * the claim signature, or null when no token could be obtained.
+   */
+  static async requestSignatureTimestamp(signatureBytes, authorityUrl) {
+    try {
+      const token = await TimeStampToken.requestToken(authorityUrl, signatureBytes);
+      const signer = TimeStampToken.findSigner(token.signerInfo.sid, token.certificates);
+      return {
+        time: token.tstInfo.genTime,
+        authority: 'rfc3161',
+        tsa: signer?.tbsCertificate.subject.string || null,
+        token: token.der
+      };
+    } catch (error) {
+      console.warn('Trusted timestamp unavailable, using the local clock:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check the RFC 3161 token over the claim signature. Returns null for
+   * manifests timestamped by the signer's own clock; otherwise the result
+   * of TimeStampToken.verify (trusted when the TSA chains to an anchor).
+   */
+  static async verifySignatureTimestamp(manifest, options = {}) {
+    const claimSignature = manifest?.manifests?.[manifest?.active_manifest]?.claim_signature;
+    const timestamp = claimSignature?.timestamp;
+    if (timestamp?.authority !== 'rfc3161') {
+      return null;
+    }
+    if (!Array.isArray(timestamp.token) || !Array.isArray(claimSignature.signature)) {
+      return { valid: false, trusted: false, genTime: null, errors: ['Timestamp token is missing'] };
+    }
+
+    const result = await TimeStampToken.verify(timestamp.token, claimSignature.signature, options);
+    if (result.genTime && timestamp.time && new Date(result.genTime).getTime() !== new Date(timestamp.time).getTime()) {
+      result.errors.push('Recorded signing time differs from the timestamp token');
+      result.valid = false;
+      result.trusted = false;
+    }
+    return result;
+  }
+
+  /**
+   * Data covered by archive timestamp `index`: the signed claim, the
+   * signature, the certificates needed to validate it, the signature
+   * timestamp and every earlier archive timestamp (ETSI LTA style).
+   */
+  static getArchiveTimestampData(manifest, index) {
+    const activeManifest = manifest?.manifests?.[manifest?.active_manifest];
+    const claimSignature = activeManifest?.claim_signature;
+    if (!activeManifest?.claim || !Array.isArray(claimSignature?.signature)) {
+      throw new Error('Only signed manifests can be archive timestamped');
+    }
+
+    return WebCryptoUtils.canonicalize({
+      claim: activeManifest.claim,
+      signature: claimSignature.signature,
+      certificate_chain: (claimSignature.certificate_chain || []).map(entry => entry?.der || null),
+      timestamp_token: claimSignature.timestamp?.token || null,
+      archive_timestamps: (claimSignature.archive_timestamps || []).slice(0, index).map(entry => entry.token)
+    });
+  }
+
+  /**
+   * Append an archive timestamp over the signature and all existing
+   * timestamps. The claim and its signature are left untouched.
+   */
+  static async addArchiveTimestamp(manifest, authorityUrl, { hashAlgorithm = this.ARCHIVE_HASH_ALGORITHM } = {}) {
+    if (!authorityUrl) {
+      throw new Error('A timestamp authority URL is required for archive timestamps');
+    }
+
+    const claimSignature = manifest?.manifests?.[manifest?.active_manifest]?.claim_signature;
+    const archiveTimestamps = claimSignature?.archive_timestamps || [];
+    const data = this.getArchiveTimestampData(manifest, archiveTimestamps.length);
+
+    const token = await TimeStampToken.requestToken(authorityUrl, data, { hashAlgorithm });
+    const signer = TimeStampToken.findSigner(token.signerInfo.sid, token.certificates);
+    claimSignature.archive_timestamps = [
+      ...archiveTimestamps,
+      {
+        time: token.tstInfo.genTime,
+        tsa: signer?.tbsCertificate.subject.string || null,
+        hashAlgorithm,
+        token: token.der
+      }
+    ];
+    return manifest;
+  }
+
+  /**
+   * Copy of the manifest without archive timestamps, for copies that
+   * cannot grow with them (the single JPEG APP15 segment)
+   */
+  static withoutArchiveTimestamps(manifest) {
+    const activeManifest = manifest?.manifests?.[manifest?.active_manifest];
+    if (!activeManifest?.claim_signature?.archive_timestamps) {
+      return manifest;
+    }
+    const { archive_timestamps: archiveTimestamps, ...claimSignature } = activeManifest.claim_signature;
+    return {
+      ...manifest,
+      manifests: {
+        ...manifest.manifests,
+        [manifest.active_manifest]: { ...activeManifest, claim_signature: claimSignature }
+      }
+    };
+  }
+
+  /**
+   * Certification data with the archive timestamps of another copy of the
+   * same manifest, e.g. the C2PA manifest store beside the APP15 payload
+   */
+  static withArchiveTimestampsFrom(certificationData, storeManifest) {
+    const manifest = certificationData?.manifest;
+    const archiveTimestamps = storeManifest?.manifests?.[storeManifest?.active_manifest]?.claim_signature?.archive_timestamps;
+    const activeManifest = manifest?.manifests?.[manifest?.active_manifest];
+    if (!archiveTimestamps || !activeManifest || storeManifest.active_manifest !== manifest.active_manifest) {
+      return certificationData;
+    }
+    return {
+      ...certificationData,
+      manifest: {
+        ...manifest,
+        manifests: {
+          ...manifest.manifests,
+          [manifest.active_manifest]: {
+            ...activeManifest,
+            claim_signature: { ...activeManifest.claim_signature, archive_timestamps: archiveTimestamps }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Follow the renewal links from the signing certificate back through the
+   * previous certificates carried in the manifest, and find the most recent
+   * one that was valid when it was renewed and is trusted and unrevoked
+   * today. Only self-signed renewals are vouched for this way; certificates
+   * from a CA chain to their CA. Returns null when the signing certificate
+   * renews nothing; `path` is the signing certificate's verifyCertificate
+   * result through the trusted predecessor, if there is one.
+   *
+   * options.trustAnchors, options.intermediates  as for verifyCertificate
+   * options.validationTime  when the signing certificate signed
+   * options.revocationCheck  revocation check for the predecessor, which
+   *                          should not spare revocations at any time
+   */
+  static async verifyRenewedIdentity(manifest, signingCertificate, options = {}) {
+    const { trustAnchors = [], intermediates = [], validationTime = new Date(), revocationCheck = null } = options;
+    const renews = signingCertificate?.tbsCertificate &&
+      X509Certificate.getExtension(signingCertificate, X509Certificate.EXTENSIONS.PREDECESSOR);
+    if (!renews) {
+      return null;
+    }
+
+    const predecessors = await this.getPredecessorCertificates(manifest);
+    const resolved = await X509Certificate.resolveIdentity(signingCertificate, predecessors);
+    const certificates = [];
+    const errors = resolved.reason ? [resolved.reason] : [];
+    let trustedPredecessor = null;
+    let path = null;
+    const isSelfIssued = certificate => certificate.tbsCertificate.issuer.string === certificate.tbsCertificate.subject.string;
+    if (!isSelfIssued(signingCertificate)) {
+      errors.push('Certificates issued by a CA are trusted through that CA, not the certificate they renew');
+    }
+
+    for (let index = 0; index < resolved.certificates.length; index++) {
+      const certificate = resolved.certificates[index];
+      const tbs = certificate.tbsCertificate;
+      const summary = {
+        subject: tbs.subject.string,
+        issuer: tbs.issuer.string,
+        serialNumber: tbs.serialNumber,
+        fingerprint: certificate.fingerprint?.sha256 || null,
+        notBefore: tbs.validity.notBefore,
+        notAfter: tbs.validity.notAfter,
+        trusted: false
+      };
+      certificates.push(summary);
+
+      const renewed = resolved.certificates.slice(0, index);
+      if (index === 0 || trustedPredecessor || !renewed.every(isSelfIssued)) {
+        continue;
+      }
+
+      // A previous certificate must have been valid when it was renewed,
+      // the start of the certificate that replaced it, and not be revoked
+      const renewedAt = new Date(renewed[index - 1].tbsCertificate.validity.notBefore);
+      const predecessorPath = await X509Certificate.verifyCertificate(certificate, {
+        trustAnchors,
+        intermediates,
+        validationTime: renewedAt,
+        revocationCheck
+      });
+      summary.renewedAt = renewedAt.toISOString();
+      if (predecessorPath.trusted && predecessorPath.valid) {
+        summary.trusted = true;
+        trustedPredecessor = summary;
+        path = await X509Certificate.verifyRenewedCertificate(renewed, predecessorPath, { validationTime });
+      }
+    }
+
+    return {
+      certificates,
+      trustedPredecessor,
+      path,
+      complete: resolved.complete,
+      errors
+    };
+  }
+
+  /**
+   * Validate the chain of archive timestamps. Each timestamp must cover the
+   * data before it, and its TSA certificate must still have been valid when
+   * the next archive timestamp was added; the newest one is checked today.
+   * Returns null when the manifest has no archive timestamps.
+   */
+  static async verifyArchiveTimestamps(manifest, options = {}) {
+    const claimSignature = manifest?.manifests?.[manifest?.active_manifest]?.claim_signature;
+    const archiveTimestamps = claimSignature?.archive_timestamps || [];
+    if (archiveTimestamps.length === 0) {
+      return null;
+    }
+
+    const errors = [];
+    const entries = [];
+    let previousTime = claimSignature.timestamp?.time ? new Date(claimSignature.timestamp.time) : null;
+
+    for (let index = 0; index < archiveTimestamps.length; index++) {
+      const entry = archiveTimestamps[index];
+      const next = archiveTimestamps[index + 1];
+      let data;
+      try {
+        data = this.getArchiveTimestampData(manifest, index);
+      } catch (error) {
+        return { valid: false, trusted: false, entries, errors: [error.message] };
+      }
+
+      const result = await TimeStampToken.verify(entry?.token, data, {
+        ...options,
+        validationTime: next?.time ? new Date(next.time) : new Date()
+      });
+      const timeErrors = [];
+      if (result.genTime && new Date(result.genTime).getTime() !== new Date(entry.time).getTime()) {
+        timeErrors.push('Recorded archive time differs from the timestamp token');
+      }
+      if (result.genTime && previousTime && new Date(result.genTime) < previousTime) {
+        timeErrors.push('Archive timestamp predates the data it protects');
+      }
+      previousTime = result.genTime ? new Date(result.genTime) : previousTime;
+
+      const entryErrors = [...result.errors, ...timeErrors];
+      entries.push({
+        index,
+        time: result.genTime,
+        tsa: result.tsa || entry?.tsa || null,
+        hashAlgorithm: result.tstInfo?.messageImprint.hashAlgorithm || entry?.hashAlgorithm || null,
+        valid: result.valid && timeErrors.length === 0,
+        trusted: result.trusted && timeErrors.length === 0,
+        errors: entryErrors
+      });
+      entryErrors.forEach(error => errors.push(`Archive timestamp ${index + 1}: ${error}`));
+    }
+
+    // The signature timestamp is protected from the first archive timestamp
+    // on, so its TSA certificate only had to be valid until then
+    let signatureTimestamp = null;
+    if (claimSignature.timestamp?.authority === 'rfc3161') {
+      signatureTimestamp = await this.verifySignatureTimestamp(manifest, {
+        ...options,
+        validationTime: new Date(archiveTimestamps[0].time)
+      });
+      if (!signatureTimestamp.trusted) {
+        errors.push(`Signature timestamp was not valid when first archived: ${signatureTimestamp.errors[0] || 'not trusted'}`);
+      }
+    }
+
+    return {
+      valid: entries.every(entry => entry.valid) && (!signatureTimestamp || signatureTimestamp.valid),
+      trusted: errors.length === 0,
+      entries,
+      signatureTimestamp,
+      latestTime: entries[entries.length - 1].time,
+      errors
+    };
+  }
+
+  /**
+   * The time a signature is judged at: the TSA's time when its token is
+   * trusted, otherwise the timestamp inside the signed claim. Claims dated
+   * in the future fall back to the current time.
+   * Returns { time, source } with source 'tsa', 'signer-clock' or 'current-time'.
+   */
+  static resolveSigningTime(manifest, timestampResult = null) {
+    if (timestampResult?.trusted && timestampResult.genTime) {
+      return { time: timestampResult.genTime, source: 'tsa' };
+    }
+
+    const signedTime = new Date(this.getSignedCertification(manifest)?.timestamp);
+    if (!Number.isNaN(signedTime.getTime()) && signedTime.getTime() <= Date.now() + this.CLOCK_SKEW_MS) {
+      return { time: signedTime.toISOString(), source: 'signer-clock' };
+    }
+    return { time: new Date().toISOString(), source: 'current-time' };
+  }
+
+  /**
+   * Decode the DER certificates carried in the claim signature, signing
+   * certificate first. They are not covered by the signature; callers must
+   * match the signing certificate against the signed fingerprint.
+   */
+  static async getCertificateChain(manifest) {
+    const chain = manifest?.manifests?.[manifest.active_manifest]?.claim_signature?.certificate_chain || [];
+    const certificates = [];
+    for (const entry of chain) {
+      if (!entry?.der) continue;
+      try {
+        certificates.push({
+          ...X509Certificate.fromDER(entry.der),
+          fingerprint: await X509Certificate.calculateFingerprint(entry.der)
+        });
+      } catch (error) {
+        console.warn('Skipping undecodable certificate in manifest:', error.message);
+      }
+    }
+    return certificates;
+  }
+
+  /**
+   * Decode the certificates the signing certificate renewed, most recent
+   * first. Like the chain they are unsigned; each one only counts once
+   * X509Certificate.resolveIdentity has followed the renewal link to it.
+   */
+  static async getPredecessorCertificates(manifest) {
+    const predecessors = manifest?.manifests?.[manifest.active_manifest]?.claim_signature?.certificate_predecessors || [];
+    const certificates = [];
+    for (const entry of predecessors) {
+      if (!entry?.der) break;
+      try {
+        certificates.push({
+          ...X509Certificate.fromDER(entry.der),
+          fingerprint: await X509Certificate.calculateFingerprint(entry.der)
+        });
+      } catch (error) {
+        // Later links cannot be followed past an undecodable certificate
+        console.warn('Stopping at undecodable previous certificate:', error.message);
+        break;
+      }
+    }
+    return certificates;
+  }
+
+  /**
+   * Serialize a claim as C2PA does: each assertion becomes a CBOR assertion
+   * box, and the claim refers to them by hashed URI. Returns the claim
+   * bytes that COSE signs together with the assertion boxes, so the signer,
+   * the verifier and the JUMBF writer all see the same bytes.
+   */
+  static async encodeClaim(claim) {
+    const labels = new Set();
+    const assertionBoxes = [];
+    const references = [];
+    for (const assertion of claim.assertions || []) {
+      const label = this.getAssertionInstanceLabel(assertion.label, labels);
+      const box = JUMBF.cborSuperbox(label, this.encodeAssertionData(assertion.label, assertion.data));
+      assertionBoxes.push(box);
+      references.push({
+        url: `self#jumbf=${this.JUMBF_LABELS.ASSERTIONS}/${label}`,
+        alg: this.ASSERTION_HASH_ALGORITHM,
+        hash: Uint8Array.from(await this.hashJUMBFContents(box))
+      });
+    }
+
+    return {
+      claimBytes: CBOR.encode({ ...claim, assertions: references }),
+      assertionBoxes
+    };
+  }
+
+  /**
+   * Assertion data as CBOR carries it. Fields C2PA defines as byte strings
+   * are kept as number arrays in the manifest so it survives JSON; they are
+   * written as bstr, and an absent pad as an empty one.
+   */
+  static encodeAssertionData(label, data) {
+    const fields = this.BYTE_STRING_FIELDS[label];
+    if (!fields || !data) {
+      return data ?? null;
+    }
+
+    const encoded = { ...data };
+    for (const field of fields) {
+      if (Array.isArray(data[field])) {
+        encoded[field] = Uint8Array.from(data[field]);
+      } else if (field === 'pad' && data[field] === null) {
+        encoded[field] = new Uint8Array(0);
+      }
+    }
+    return encoded;
+  }
+
+  /**
+   * Assertion data read from CBOR, with byte strings back as number arrays
+   */
+  static decodeAssertionData(label, data) {
+    const fields = this.BYTE_STRING_FIELDS[label];
+    if (!fields || !data) {
+      return data;
+    }
+
+    const decoded = { ...data };
+    for (const field of fields) {
+      if (data[field] instanceof Uint8Array) {
+        decoded[field] = field === 'pad' && data[field].length === 0 ? null : Array.from(data[field]);
+      }
+    }
+    return decoded;
+  }
+
+  /**
+   * Repeated assertion labels get an instance suffix, as in C2PA
+   */
+  static getAssertionInstanceLabel(label, usedLabels) {
+    let instanceLabel = label;
+    for (let instance = 1; usedLabels.has(instanceLabel); instance++) {
+      instanceLabel = `${label}__${instance}`;
+    }
+    usedLabels.add(instanceLabel);
+    return instanceLabel;
+  }
+
+  /**
+   * Serialize the active claim into the exact JSON string that manifests
+   * signed before COSE signing covered. Signer and verifier must both go
+   * through this method.
+   */
+  static getClaimSigningPayload(manifest, canonicalization = this.JCS_CANONICALIZATION) {
+    const claim = manifest?.manifests?.[manifest.active_manifest]?.claim;
+    if (!claim) {
+      throw new Error('Active manifest has no claim');
+    }
+
+    if (canonicalization === this.JCS_CANONICALIZATION) {
+      return WebCryptoUtils.canonicalize({ claim });
+    }
+
+    if (canonicalization === this.LEGACY_CANONICALIZATION) {
+      // Create a clean version of the manifest without circular references
+      const cleanManifest = JSON.parse(JSON.stringify({ claim }));
+      return JSON.stringify(cleanManifest);
+    }
+
+    throw new Error(`Unsupported claim canonicalization: ${canonicalization}`);
+  }
+
+  /**
+   * Verify the claim signature with the signer's SPKI public key.
+   * Returns { valid, reason, canonicalization } where reason explains any
+   * failure. COSE signatures are checked over the CBOR claim with the
+   * algorithm and certificate chain in the protected header; claims signed
+   * before canonicalization was recorded are checked against their legacy
+   * JSON.stringify form.
+   */
+  static async verifyManifestSignature(manifest, publicKeyData) {
+    const activeManifest = manifest?.manifests?.[manifest?.active_manifest];
+    if (!activeManifest?.claim) {
+      return { valid: false, reason: 'Signed claim is missing from the manifest' };
+    }
+
+    const claimSignature = activeManifest.claim_signature;
+    if (!Array.isArray(claimSignature?.signature) || claimSignature.signature.length === 0) {
+      return { valid: false, reason: 'Manifest is unsigned' };
+    }
+
+    const algorithm = claimSignature.algorithm;
+    if (!WebCryptoUtils.SIGNATURE_ALGORITHMS[algorithm]) {
+      return { valid: false, reason: `Unsupported signature algorithm: ${algorithm}` };
+    }
+    // The algorithm outside the claim must match the one the claim commits to
+    const signedAlgorithm = activeManifest.claim.signature_info?.alg;
+    if (signedAlgorithm && signedAlgorithm !== algorithm) {
+      return { valid: false, reason: `Signature algorithm ${algorithm} does not match the signed ${signedAlgorithm}` };
+    }
+
+    const canonicalization = claimSignature.canonicalization || this.LEGACY_CANONICALIZATION;
+    if (canonicalization === this.CANONICALIZATION) {
+      const certificateChain = (claimSignature.certificate_chain || []).map(entry => entry?.der);
+      if (certificateChain.length === 0 || certificateChain.some(der => !Array.isArray(der))) {
+        return { valid: false, reason: 'Certificate chain is missing from the claim signature', canonicalization };
+      }
+
+      const { claimBytes } = await this.encodeClaim(activeManifest.claim);
+      const result = await COSE.verify({
+        protectedHeader: COSE.encodeProtectedHeader(algorithm, certificateChain),
+        algorithm,
+        signature: claimSignature.signature
+      }, claimBytes, publicKeyData);
+      return { ...result, canonicalization };
+    }
+
+    let payload;
+    try {
+      payload = this.getClaimSigningPayload(manifest, canonicalization);
+    } catch (error) {
+      return { valid: false, reason: error.message, canonicalization };
+    }
+
+    let publicKey;
+    try {
+      publicKey = await WebCryptoUtils.importPublicKey(publicKeyData, algorithm);
+    } catch (error) {
+      return { valid: false, reason: `Certificate public key could not be imported: ${error.message}`, canonicalization };
+    }
+
+    const valid = await WebCryptoUtils.verifySignature(publicKey, claimSignature.signature, payload);
+
+    return valid
+      ? { valid: true, reason: null, canonicalization }
+      : { valid: false, reason: 'Signature does not match the signed claim', canonicalization };
+  }
+
   /**
    * Format certificate for C2PA chain (without circular references)
    */
@@ -323,6 +1064,8 @@ export class C2PAManifest {
       notBefore: certificate.tbsCertificate?.validity?.notBefore || null,
       notAfter: certificate.tbsCertificate?.validity?.notAfter || null,
       signatureAlgorithm: certificate.signatureAlgorithm?.algorithm || 'ES384',
+      // DER-encoded X.509 certificate
+      der: certificate.der || null,
       // Only include serializable parts of tbsCertificate
       tbsCertificate: {
         version: certificate.tbsCertificate?.version,
@@ -391,25 +1134,173 @@ export class C2PAManifest {
   }
 
   /**
-   * Export manifest as JUMBF (JPEG Universal Metadata Box Format)
-   * This is the actual format used in C2PA
+   * Serialize a manifest store as a JUMBF 'c2pa' superbox, active manifest
+   * last. Each manifest holds its assertion store, the claim (referring to
+   * the assertions by hashed URI) and the claim signature: CBOR and a
+   * COSE_Sign1 for COSE-signed claims, JSON for older ones.
    */
-  static exportAsJUMBF(manifest) {
-    // In a real implementation, this would create proper JUMBF boxes
-    // For now, we'll create a simplified version
-    const jumbf = {
-      type: 'jumb',
-      boxes: [
-        {
-          type: 'jumd',
-          data: {
-            type: 'c2pa',
-            manifest: manifest
-          }
+  static async exportAsJUMBF(manifest) {
+    const ids = Object.keys(manifest?.manifests || {});
+    if (!ids.includes(manifest?.active_manifest)) {
+      throw new Error('Active manifest not found');
+    }
+    const ordered = [...ids.filter(id => id !== manifest.active_manifest), manifest.active_manifest];
+
+    const manifestBoxes = await Promise.all(ordered.map(async id => {
+      const { claim, claim_signature: claimSignature } = manifest.manifests[id];
+      if (!claim) {
+        throw new Error(`Manifest ${id} has no claim`);
+      }
+
+      const { assertionBoxes, claimBox, signatureBox } = claimSignature?.canonicalization === this.CANONICALIZATION
+        ? await this.encodeCOSEManifestBoxes(claim, claimSignature)
+        : await this.encodeJSONManifestBoxes(claim, claimSignature);
+
+      return JUMBF.superbox(
+        JUMBF.TYPES.C2PA_MANIFEST,
+        id,
+        JUMBF.superbox(JUMBF.TYPES.C2PA_ASSERTION_STORE, this.JUMBF_LABELS.ASSERTIONS, ...assertionBoxes),
+        JUMBF.superbox(JUMBF.TYPES.C2PA_CLAIM, this.JUMBF_LABELS.CLAIM, claimBox),
+        ...(signatureBox ? [JUMBF.superbox(JUMBF.TYPES.C2PA_SIGNATURE, this.JUMBF_LABELS.SIGNATURE, signatureBox)] : [])
+      );
+    }));
+
+    return JUMBF.superbox(JUMBF.TYPES.C2PA_MANIFEST_STORE, this.JUMBF_LABELS.STORE, ...manifestBoxes);
+  }
+
+  static async encodeCOSEManifestBoxes(claim, claimSignature) {
+    const { claimBytes, assertionBoxes } = await this.encodeClaim(claim);
+    const {
+      signature,
+      algorithm,
+      canonicalization,
+      certificate_chain: certificateChain,
+      ...metadata
+    } = claimSignature;
+
+    const signatureBox = Array.isArray(signature)
+      ? JUMBF.box('cbor', COSE.encodeSign1({
+          protectedHeader: COSE.encodeProtectedHeader(algorithm, (certificateChain || []).map(entry => entry.der)),
+          unprotected: { [this.COSE_METADATA_LABEL]: metadata },
+          signature
+        }))
+      : null;
+
+    return { assertionBoxes, claimBox: JUMBF.box('cbor', claimBytes), signatureBox };
+  }
+
+  static async encodeJSONManifestBoxes(claim, claimSignature) {
+    const labels = new Set();
+    const assertionBoxes = [];
+    const references = [];
+    for (const assertion of claim.assertions || []) {
+      const label = this.getAssertionInstanceLabel(assertion.label, labels);
+      const box = JUMBF.jsonSuperbox(label, assertion.data ?? null);
+      assertionBoxes.push(box);
+      references.push({
+        url: `self#jumbf=${this.JUMBF_LABELS.ASSERTIONS}/${label}`,
+        alg: this.ASSERTION_HASH_ALGORITHM,
+        hash: await this.hashJUMBFContents(box)
+      });
+    }
+
+    const encode = value => JUMBF.box('json', new TextEncoder().encode(JSON.stringify(value)));
+    return {
+      assertionBoxes,
+      claimBox: encode({ ...claim, assertions: references }),
+      signatureBox: claimSignature ? encode(claimSignature) : null
+    };
+  }
+
+  /**
+   * Rebuild a manifest store from its JUMBF serialization. Every assertion
+   * must match the hash the claim refers to it with, so the claim comes
+   * back exactly as it was signed.
+   */
+  static async fromJUMBF(bytes) {
+    const [store] = JUMBF.parse(bytes);
+    if (store?.description?.type !== JUMBF.TYPES.C2PA_MANIFEST_STORE) {
+      throw new Error('Not a C2PA manifest store');
+    }
+
+    const manifestBoxes = JUMBF.findAllByType(store, JUMBF.TYPES.C2PA_MANIFEST);
+    if (manifestBoxes.length === 0) {
+      throw new Error('C2PA manifest store contains no manifests');
+    }
+
+    const manifests = {};
+    for (const manifestBox of manifestBoxes) {
+      const id = manifestBox.description.label;
+      const claimBox = JUMBF.findByLabel(manifestBox, this.JUMBF_LABELS.CLAIM);
+      const assertionStore = JUMBF.findByLabel(manifestBox, this.JUMBF_LABELS.ASSERTIONS);
+      const signatureBox = JUMBF.findByLabel(manifestBox, this.JUMBF_LABELS.SIGNATURE);
+      if (!claimBox) {
+        throw new Error(`Manifest ${id} has no claim`);
+      }
+
+      const claim = JUMBF.readContent(claimBox);
+      const assertions = [];
+      for (const reference of claim.assertions || []) {
+        const label = String(reference?.url || '').split('/').pop();
+        const assertionBox = JUMBF.findByLabel(assertionStore, label);
+        if (!assertionBox) {
+          throw new Error(`Assertion ${label} is missing from manifest ${id}`);
+        }
+        const hash = await this.hashJUMBFContents(assertionBox.raw);
+        if (!WebCryptoUtils.bytesEqual(hash, reference.hash || [])) {
+          throw new Error(`Assertion ${label} does not match its hash in the claim`);
         }
-      ]
+        const assertionLabel = label.replace(/__\d+$/, '');
+        assertions.push({ label: assertionLabel, data: this.decodeAssertionData(assertionLabel, JUMBF.readContent(assertionBox)) });
+      }
+
+      manifests[id] = {
+        claim_signature: signatureBox ? await this.readSignatureBox(signatureBox) : null,
+        claim: { ...claim, assertions },
+        validation_status: []
+      };
+    }
+
+    return {
+      '@context': 'https://c2pa.org/specifications/1.0/context.json',
+      '@type': 'C2PAManifestStore',
+      active_manifest: manifestBoxes[manifestBoxes.length - 1].description.label,
+      manifests
+    };
+  }
+
+  /**
+   * Claim signature from a signature box: a COSE_Sign1, whose x5chain
+   * becomes the certificate chain, or the JSON of older manifests
+   */
+  static async readSignatureBox(signatureBox) {
+    if (!signatureBox.children.some(child => child.type === 'cbor')) {
+      return JUMBF.readContent(signatureBox);
+    }
+
+    const sign1 = COSE.decodeSign1(JUMBF.findContent(signatureBox).payload);
+    const certificates = await Promise.all(sign1.certificateChain.map(async der => ({
+      ...X509Certificate.fromDER(der),
+      fingerprint: await X509Certificate.calculateFingerprint(der)
+    })));
+    const unprotected = sign1.unprotected instanceof Map
+      ? Object.fromEntries([...sign1.unprotected].filter(([key]) => typeof key === 'string'))
+      : sign1.unprotected || {};
+
+    return {
+      ...(unprotected[this.COSE_METADATA_LABEL] || {}),
+      signature: sign1.signature,
+      algorithm: sign1.algorithm,
+      canonicalization: this.CANONICALIZATION,
+      certificate_chain: certificates.map(certificate => this.formatCertificateForC2PA(certificate))
     };
+  }
 
-    return JSON.stringify(jumbf);
+  /**
+   * SHA-256 over a superbox without its own box header, as hashed URIs use
+   */
+  static async hashJUMBFContents(superboxBytes) {
+    const digest = await crypto.subtle.digest('SHA-256', superboxBytes.slice(JUMBF.HEADER_LENGTH));
+    return Array.from(new Uint8Array(digest));
   }
 }
\ No newline at end of file
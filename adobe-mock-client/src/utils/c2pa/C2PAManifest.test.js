@@ -0,0 +1,408 @@
+import { C2PAManifest } from './C2PAManifest';
+import { X509Certificate } from '../certificates/X509Certificate';
+import { WebCryptoUtils } from '../crypto/WebCryptoUtils';
+import { JUMBF } from './JUMBF';
+import { COSE } from './COSE';
+import { CBOR } from './CBOR';
+
+describe('C2PAManifest', () => {
+  let certificate;
+
+  beforeAll(async () => {
+    certificate = await X509Certificate.generateCertificate({ name: 'Test Photographer' });
+  });
+
+  const createSignedManifest = async () => {
+    const manifest = await C2PAManifest.createManifest(
+      { hash: [1, 2, 3] },
+      certificate,
+      'Test description',
+      null
+    );
+    return C2PAManifest.signManifest(manifest, certificate);
+  };
+
+  describe('verifyManifestSignature', () => {
+    it('should verify a signed manifest after a JSON round trip', async () => {
+      const manifest = JSON.parse(JSON.stringify(await createSignedManifest()));
+      const publicKey = certificate.tbsCertificate.subjectPublicKeyInfo.publicKey;
+
+      const result = await C2PAManifest.verifyManifestSignature(manifest, publicKey);
+
+      expect(result).toEqual({ valid: true, reason: null, canonicalization: 'cbor' });
+    });
+
+    it('should not depend on the key order of the claim', async () => {
+      const manifest = await createSignedManifest();
+      const activeManifest = manifest.manifests[manifest.active_manifest];
+      const reordered = Object.fromEntries(Object.entries(activeManifest.claim).reverse());
+      activeManifest.claim = reordered;
+      const publicKey = certificate.tbsCertificate.subjectPublicKeyInfo.publicKey;
+
+      const result = await C2PAManifest.verifyManifestSignature(manifest, publicKey);
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should verify legacy signatures over non-canonical JSON', async () => {
+      const manifest = await createSignedManifest();
+      const claimSignature = manifest.manifests[manifest.active_manifest].claim_signature;
+      delete claimSignature.canonicalization;
+      claimSignature.signature = await WebCryptoUtils.signData(
+        certificate.keyPair.privateKey,
+        C2PAManifest.getClaimSigningPayload(manifest, 'legacy')
+      );
+      const publicKey = certificate.tbsCertificate.subjectPublicKeyInfo.publicKey;
+
+      const result = await C2PAManifest.verifyManifestSignature(manifest, publicKey);
+
+      expect(result).toEqual({ valid: true, reason: null, canonicalization: 'legacy' });
+    });
+
+    it('should verify earlier signatures over JCS-canonicalized JSON', async () => {
+      const manifest = await createSignedManifest();
+      const claimSignature = manifest.manifests[manifest.active_manifest].claim_signature;
+      claimSignature.canonicalization = 'jcs';
+      claimSignature.signature = await WebCryptoUtils.signData(
+        certificate.keyPair.privateKey,
+        C2PAManifest.getClaimSigningPayload(manifest, 'jcs')
+      );
+      const publicKey = certificate.tbsCertificate.subjectPublicKeyInfo.publicKey;
+
+      const result = await C2PAManifest.verifyManifestSignature(manifest, publicKey);
+
+      expect(result).toEqual({ valid: true, reason: null, canonicalization: 'jcs' });
+    });
+
+    it('should reject a certificate chain swapped after signing', async () => {
+      const manifest = await createSignedManifest();
+      const other = await X509Certificate.generateCertificate({ name: 'Someone Else' });
+      manifest.manifests[manifest.active_manifest].claim_signature.certificate_chain[0].der = other.der;
+      const publicKey = certificate.tbsCertificate.subjectPublicKeyInfo.publicKey;
+
+      const result = await C2PAManifest.verifyManifestSignature(manifest, publicKey);
+
+      expect(result).toMatchObject({ valid: false, reason: 'Signature does not match the signed claim' });
+    });
+
+    it('should reject a manifest whose claim was modified', async () => {
+      const manifest = await createSignedManifest();
+      manifest.manifests[manifest.active_manifest].claim.title = 'Forged title';
+      const publicKey = certificate.tbsCertificate.subjectPublicKeyInfo.publicKey;
+
+      const result = await C2PAManifest.verifyManifestSignature(manifest, publicKey);
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('Signature does not match the signed claim');
+    });
+
+    it('should reject a signature made by a different key', async () => {
+      const manifest = await createSignedManifest();
+      const other = await X509Certificate.generateCertificate({ name: 'Someone Else' });
+
+      const result = await C2PAManifest.verifyManifestSignature(
+        manifest,
+        other.tbsCertificate.subjectPublicKeyInfo.publicKey
+      );
+
+      expect(result.valid).toBe(false);
+    });
+
+    it('should reject an unsigned manifest', async () => {
+      const manifest = await createSignedManifest();
+      manifest.manifests[manifest.active_manifest].claim_signature.signature = null;
+
+      const result = await C2PAManifest.verifyManifestSignature(manifest, []);
+
+      expect(result).toEqual({ valid: false, reason: 'Manifest is unsigned' });
+    });
+  });
+
+  describe('algorithm agility', () => {
+    it.each([['Ed25519', 'SHA-512'], ['PS256', 'SHA-256'], ['ES256', 'SHA-384']])(
+      'should record and verify %s signatures over %s image hashes',
+      async (signatureAlgorithm, hashAlgorithm) => {
+        const signer = await X509Certificate.generateCertificate(
+          { name: 'Agile Photographer' },
+          null,
+          { signatureAlgorithm, hashAlgorithm }
+        );
+        const imageHash = await WebCryptoUtils.hashImageData(new TextEncoder().encode('pixels').buffer, hashAlgorithm);
+        const manifest = await C2PAManifest.signManifest(
+          await C2PAManifest.createManifest({ hash: imageHash, algorithm: hashAlgorithm }, signer, 'Agile', null),
+          signer
+        );
+        const activeManifest = manifest.manifests[manifest.active_manifest];
+
+        expect(activeManifest.claim_signature.algorithm).toBe(signatureAlgorithm);
+        expect(activeManifest.claim.signature_info.alg).toBe(signatureAlgorithm);
+        expect(C2PAManifest.getSignedCertification(manifest).imageHashAlgorithm).toBe(hashAlgorithm);
+        expect(await C2PAManifest.verifyManifestSignature(manifest, signer.tbsCertificate.subjectPublicKeyInfo.publicKey))
+          .toEqual({ valid: true, reason: null, canonicalization: 'cbor' });
+      }
+    );
+
+    it('should reject a signature algorithm that differs from the signed claim', async () => {
+      const manifest = await createSignedManifest();
+      manifest.manifests[manifest.active_manifest].claim_signature.algorithm = 'ES256';
+      const publicKey = certificate.tbsCertificate.subjectPublicKeyInfo.publicKey;
+
+      const result = await C2PAManifest.verifyManifestSignature(manifest, publicKey);
+
+      expect(result).toEqual({ valid: false, reason: 'Signature algorithm ES256 does not match the signed ES384' });
+    });
+  });
+
+  describe('getSignedCertification', () => {
+    it('should read the certification fields from the signed claim', async () => {
+      const manifest = await createSignedManifest();
+
+      const signed = C2PAManifest.getSignedCertification(manifest);
+
+      expect(signed.description).toBe('Test description');
+      expect(signed.certFingerprint).toBe(certificate.fingerprint.sha256);
+      expect(signed.imageHash).toEqual([1, 2, 3]);
+      expect(signed.manifestId).toBe(manifest.active_manifest);
+    });
+
+    it('should sign the perceptual hash as a soft binding', async () => {
+      const manifest = await C2PAManifest.signManifest(
+        await C2PAManifest.createManifest({ hash: [1, 2, 3], perceptualHash: '8f3a00c1e0d2b47f' }, certificate, 'Soft bound', null),
+        certificate
+      );
+      const restored = await C2PAManifest.fromJUMBF(await C2PAManifest.exportAsJUMBF(manifest));
+
+      expect(C2PAManifest.getSignedCertification(restored).perceptualHash).toBe('8f3a00c1e0d2b47f');
+      expect(C2PAManifest.getSignedPerceptualHash(await createSignedManifest())).toBeNull();
+      expect(await C2PAManifest.verifyManifestSignature(restored, certificate.tbsCertificate.subjectPublicKeyInfo.publicKey))
+        .toMatchObject({ valid: true });
+    });
+
+    it('should invalidate the signature when a certification field is edited', async () => {
+      const manifest = await createSignedManifest();
+      const assertion = manifest.manifests[manifest.active_manifest].claim.assertions
+        .find(a => a.label === C2PAManifest.CERTIFICATION_LABEL);
+      assertion.data.description = 'Edited description';
+
+      const result = await C2PAManifest.verifyManifestSignature(
+        manifest,
+        certificate.tbsCertificate.subjectPublicKeyInfo.publicKey
+      );
+
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('hashImage', () => {
+    const image = new TextEncoder().encode('header [manifest] pixels');
+
+    it('should hash the whole file outside the signed exclusions', async () => {
+      const manifest = await C2PAManifest.createManifest(
+        { hash: [1, 2, 3], algorithm: 'SHA-256', exclusions: [{ start: 7, length: 10 }] },
+        certificate,
+        'Bound image',
+        null
+      );
+      const expected = await WebCryptoUtils.hashImageData(new TextEncoder().encode('header  pixels'), 'SHA-256');
+
+      expect(C2PAManifest.getHashAssertion(manifest).data).toMatchObject({ alg: 'sha256', exclusions: [{ start: 7, length: 10 }] });
+      expect(C2PAManifest.getSignedCertification(manifest).imageHashExclusions).toEqual([{ start: 7, length: 10 }]);
+      expect(await C2PAManifest.hashImage(manifest, image)).toEqual(expected);
+    });
+
+    it('should strip metadata for manifests signed before exclusions', async () => {
+      const manifest = await createSignedManifest();
+      const data = C2PAManifest.getHashAssertion(manifest).data;
+      delete data.alg;
+      delete data.exclusions;
+      data.algorithm = 'SHA-512';
+
+      expect(C2PAManifest.getSignedExclusions(manifest)).toBeNull();
+      expect(await C2PAManifest.hashImage(manifest, image)).toEqual(await WebCryptoUtils.hashImageData(image, 'SHA-512'));
+    });
+  });
+
+  describe('resolveSigningTime', () => {
+    it('should prefer a trusted timestamp over the signed claim time', async () => {
+      const manifest = await createSignedManifest();
+      const signedTime = C2PAManifest.getSignedCertification(manifest).timestamp;
+
+      expect(C2PAManifest.resolveSigningTime(manifest))
+        .toEqual({ time: signedTime, source: 'signer-clock' });
+      expect(C2PAManifest.resolveSigningTime(manifest, { trusted: false, genTime: '2020-01-01T00:00:00.000Z' }))
+        .toEqual({ time: signedTime, source: 'signer-clock' });
+      expect(C2PAManifest.resolveSigningTime(manifest, { trusted: true, genTime: '2020-01-01T00:00:00.000Z' }))
+        .toEqual({ time: '2020-01-01T00:00:00.000Z', source: 'tsa' });
+    });
+
+    it('should not accept signed claim times in the future', async () => {
+      const manifest = await createSignedManifest();
+      manifest.manifests[manifest.active_manifest].claim.assertions
+        .find(a => a.label === C2PAManifest.CERTIFICATION_LABEL)
+        .data.timestamp = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+      expect(C2PAManifest.resolveSigningTime(manifest).source).toBe('current-time');
+    });
+  });
+
+  describe('getCertificateChain', () => {
+    it('should carry the signing certificate and its issuing CAs', async () => {
+      const root = await X509Certificate.generateCertificate({ name: 'Root CA' }, null, { isCA: true });
+      const issuing = await X509Certificate.generateCertificate({ name: 'Issuing CA' }, root, { isCA: true });
+      const photographer = await X509Certificate.generateCertificate({ name: 'Photographer' }, issuing);
+      const manifest = await C2PAManifest.signManifest(
+        await C2PAManifest.createManifest({ hash: [1] }, photographer, '', null),
+        photographer
+      );
+
+      const chain = await C2PAManifest.getCertificateChain(JSON.parse(JSON.stringify(manifest)));
+
+      expect(chain.map(cert => cert.tbsCertificate.subject.commonName)).toEqual(['Photographer', 'Issuing CA']);
+      expect(chain[0].fingerprint).toEqual(photographer.fingerprint);
+    });
+  });
+
+  describe('verifyRenewedIdentity', () => {
+    it('should trust a renewed certificate as the photographer it renews', async () => {
+      const renewed = await X509Certificate.generateCertificate(
+        certificate.tbsCertificate.subject,
+        null,
+        { predecessor: certificate }
+      );
+      const manifest = JSON.parse(JSON.stringify(await C2PAManifest.signManifest(
+        await C2PAManifest.createManifest({ hash: [1] }, renewed, '', null),
+        renewed
+      )));
+      const [signingCertificate] = await C2PAManifest.getCertificateChain(manifest);
+
+      const trusted = await C2PAManifest.verifyRenewedIdentity(manifest, signingCertificate, { trustAnchors: [certificate] });
+      expect(trusted.complete).toBe(true);
+      expect(trusted.trustedPredecessor.fingerprint).toBe(certificate.fingerprint.sha256);
+      expect(trusted.certificates.map(cert => cert.trusted)).toEqual([false, true]);
+      // The renewal is not a trust anchor; its path runs through the predecessor
+      expect(trusted.path).toMatchObject({ valid: true, trusted: true });
+      expect(trusted.path.anchor.fingerprint).toEqual(certificate.fingerprint);
+      expect(trusted.path.links.map(link => link.role)).toEqual(['end-entity', 'trust-anchor']);
+
+      const untrusted = await C2PAManifest.verifyRenewedIdentity(manifest, signingCertificate, { trustAnchors: [] });
+      expect(untrusted.trustedPredecessor).toBeNull();
+      expect(untrusted.path).toBeNull();
+
+      expect(await C2PAManifest.verifyRenewedIdentity(manifest, certificate, { trustAnchors: [certificate] })).toBeNull();
+    });
+
+    it('should not vouch for CA certificates or revoked predecessors', async () => {
+      const root = await X509Certificate.generateCertificate({ name: 'Agency Root CA' }, null, { isCA: true });
+      const issued = await X509Certificate.generateCertificate({ name: 'Agency Photographer' }, root);
+      const signWith = async signer => {
+        const manifest = JSON.parse(JSON.stringify(await C2PAManifest.signManifest(
+          await C2PAManifest.createManifest({ hash: [1] }, signer, '', null),
+          signer
+        )));
+        return [manifest, (await C2PAManifest.getCertificateChain(manifest))[0]];
+      };
+
+      // Renewed through the CA: trusted only if it chains to the CA itself
+      const reissued = await X509Certificate.generateCertificate(issued.tbsCertificate.subject, root, { predecessor: issued });
+      const [caManifest, caSigner] = await signWith(reissued);
+      const caRenewal = await C2PAManifest.verifyRenewedIdentity(caManifest, caSigner, { trustAnchors: [root] });
+      expect(caRenewal.trustedPredecessor).toBeNull();
+      expect(caRenewal.errors).toContain('Certificates issued by a CA are trusted through that CA, not the certificate they renew');
+
+      // Self-signed renewal of a certificate that has since been revoked
+      const selfRenewed = await X509Certificate.generateCertificate(issued.tbsCertificate.subject, null, { predecessor: issued });
+      const [manifest, signer] = await signWith(selfRenewed);
+      const good = await C2PAManifest.verifyRenewedIdentity(manifest, signer, { trustAnchors: [root] });
+      expect(good.path.links.map(link => link.role)).toEqual(['end-entity', 'end-entity', 'trust-anchor']);
+
+      const revocationCheck = jest.fn(async () => ({
+        status: 'revoked',
+        reason: 'keyCompromise',
+        effectiveDate: new Date().toISOString(),
+        affectsSignature: true
+      }));
+      const revoked = await C2PAManifest.verifyRenewedIdentity(manifest, signer, { trustAnchors: [root], revocationCheck });
+      expect(revocationCheck).toHaveBeenCalled();
+      expect(revoked.trustedPredecessor).toBeNull();
+      expect(revoked.path).toBeNull();
+    });
+
+    it('should refuse to sign with an expired certificate', async () => {
+      const expired = await X509Certificate.generateCertificate(
+        { name: 'Test Photographer' },
+        null,
+        { notBefore: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000), validityDays: 5 }
+      );
+      const manifest = await C2PAManifest.createManifest({ hash: [1] }, expired, '', null);
+
+      await expect(C2PAManifest.signManifest(manifest, expired)).rejects.toThrow(/^Signing certificate expired on/);
+    });
+  });
+
+  describe('JUMBF serialization', () => {
+    it('should write a C2PA manifest store that reads back as the signed manifest', async () => {
+      const manifest = await createSignedManifest();
+
+      const jumbf = await C2PAManifest.exportAsJUMBF(manifest);
+      const [store] = JUMBF.parse(jumbf);
+      const [manifestBox] = store.children;
+
+      expect(store.description).toMatchObject({ type: JUMBF.TYPES.C2PA_MANIFEST_STORE, label: 'c2pa' });
+      expect(manifestBox.description).toMatchObject({ type: JUMBF.TYPES.C2PA_MANIFEST, label: manifest.active_manifest });
+      expect(manifestBox.children.map(box => box.description.label)).toEqual(['c2pa.assertions', 'c2pa.claim', 'c2pa.signature']);
+      expect(JUMBF.readContent(JUMBF.findByLabel(manifestBox, 'c2pa.claim')).assertions[3].url)
+        .toBe('self#jumbf=c2pa.assertions/c2pa.hash.data');
+
+      const sign1 = COSE.decodeSign1(JUMBF.findContent(JUMBF.findByLabel(manifestBox, 'c2pa.signature')).payload);
+      expect(sign1.algorithm).toBe(manifest.manifests[manifest.active_manifest].claim_signature.algorithm);
+      expect(sign1.certificateChain).toEqual([Array.from(certificate.der)]);
+
+      const restored = await C2PAManifest.fromJUMBF(jumbf);
+      expect(restored.active_manifest).toBe(manifest.active_manifest);
+      expect(restored.manifests[manifest.active_manifest].claim).toEqual(JSON.parse(JSON.stringify(manifest.manifests[manifest.active_manifest].claim)));
+      expect(await C2PAManifest.verifyManifestSignature(restored, certificate.tbsCertificate.subjectPublicKeyInfo.publicKey))
+        .toEqual({ valid: true, reason: null, canonicalization: 'cbor' });
+    });
+
+    it('should write the data hash and its padding as CBOR byte strings', async () => {
+      const manifest = await createSignedManifest();
+      const [store] = JUMBF.parse(await C2PAManifest.exportAsJUMBF(manifest));
+      const hashBox = JUMBF.findByLabel(JUMBF.findByLabel(store.children[0], 'c2pa.assertions'), 'c2pa.hash.data');
+      const bytes = JUMBF.findContent(hashBox).payload;
+
+      // The item after the text key 'hash' has major type 2 (bstr)
+      const key = Array.from(CBOR.encode('hash'));
+      const position = bytes.findIndex((_, index) => key.every((byte, i) => bytes[index + i] === byte));
+      expect(position).toBeGreaterThan(-1);
+      expect(bytes[position + key.length] >> 5).toBe(CBOR.MAJOR.BYTES);
+
+      const data = CBOR.decode(bytes);
+      expect(data.hash).toEqual(Uint8Array.of(1, 2, 3));
+      expect(data.pad).toEqual(new Uint8Array(0));
+    });
+
+    it('should reject an assertion that no longer matches its hashed URI', async () => {
+      const manifest = await createSignedManifest();
+      const jumbf = await C2PAManifest.exportAsJUMBF(manifest);
+
+      // Same length, different title inside the CreativeWork assertion
+      const tampered = Uint8Array.from(jumbf);
+      const original = Array.from(new TextEncoder().encode('Test description'));
+      const position = tampered.findIndex((_, index) => original.every((byte, i) => tampered[index + i] === byte));
+      tampered.set(new TextEncoder().encode('Fake description'), position);
+
+      await expect(C2PAManifest.fromJUMBF(tampered))
+        .rejects.toThrow('Assertion stds.schema-org.CreativeWork does not match its hash in the claim');
+    });
+  });
+
+  describe('createCertificationData', () => {
+    it('should only carry the signed manifest', async () => {
+      const manifest = await createSignedManifest();
+
+      const data = C2PAManifest.createCertificationData(manifest);
+
+      expect(Object.keys(data).sort()).toEqual(['manifest', 'manifestId', 'version']);
+    });
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * CBOR (RFC 8949) encoding and decoding for C2PA claims, assertions and
+ * COSE structures. Encoding is deterministic (RFC 8949 section 4.2.1):
+ * integers and lengths use their shortest form and map keys are sorted by
+ * their encoded bytes, so equal values always give equal bytes. Other
+ * numbers are written as 64-bit floats.
+ *
+ * Uint8Array is a byte string, plain objects are maps with text keys and
+ * Map allows any key (COSE headers use integer labels). Decoding returns
+ * objects for maps whose keys are all text and Map otherwise.
+ */
+export class CBOR {
+  static MAJOR = {
+    UNSIGNED: 0,
+    NEGATIVE: 1,
+    BYTES: 2,
+    TEXT: 3,
+    ARRAY: 4,
+    MAP: 5,
+    TAG: 6,
+    SIMPLE: 7
+  };
+
+  /**
+   * A tagged data item, e.g. new CBOR.Tagged(18, coseSign1)
+   */
+  static Tagged = class Tagged {
+    constructor(tag, value) {
+      this.tag = tag;
+      this.value = value;
+    }
+  };
+
+  static encode(value) {
+    const parts = [];
+    this.encodeItem(value, parts);
+    return this.concat(parts);
+  }
+
+  static encodeItem(value, parts) {
+    if (value === null || value === undefined) {
+      parts.push(Uint8Array.of(0xF6));
+    } else if (value === false || value === true) {
+      parts.push(Uint8Array.of(value ? 0xF5 : 0xF4));
+    } else if (typeof value === 'number') {
+      this.encodeNumber(value, parts);
+    } else if (typeof value === 'string') {
+      const bytes = new TextEncoder().encode(value);
+      parts.push(this.encodeHead(this.MAJOR.TEXT, bytes.length), bytes);
+    } else if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+      const bytes = new Uint8Array(value);
+      parts.push(this.encodeHead(this.MAJOR.BYTES, bytes.length), bytes);
+    } else if (Array.isArray(value)) {
+      parts.push(this.encodeHead(this.MAJOR.ARRAY, value.length));
+      value.forEach(item => this.encodeItem(item, parts));
+    } else if (value instanceof this.Tagged) {
+      parts.push(this.encodeHead(this.MAJOR.TAG, value.tag));
+      this.encodeItem(value.value, parts);
+    } else if (value instanceof Map || typeof value === 'object') {
+      // Keys with undefined values are left out, as JSON does
+      const entries = (value instanceof Map ? [...value.entries()] : Object.entries(value))
+        .filter(([, item]) => item !== undefined)
+        .map(([key, item]) => [this.encode(key), item])
+        .sort(([a], [b]) => this.compareBytes(a, b));
+      parts.push(this.encodeHead(this.MAJOR.MAP, entries.length));
+      entries.forEach(([key, item]) => {
+        parts.push(key);
+        this.encodeItem(item, parts);
+      });
+    } else {
+      throw new Error(`Cannot encode ${typeof value} as CBOR`);
+    }
+  }
+
+  static encodeNumber(value, parts) {
+    if (Number.isSafeInteger(value)) {
+      parts.push(value >= 0
+        ? this.encodeHead(this.MAJOR.UNSIGNED, value)
+        : this.encodeHead(this.MAJOR.NEGATIVE, -1 - value));
+      return;
+    }
+    const bytes = new Uint8Array(9);
+    bytes[0] = 0xFB;
+    new DataView(bytes.buffer).setFloat64(1, value);
+    parts.push(bytes);
+  }
+
+  static encodeHead(major, argument) {
+    const type = major << 5;
+    if (argument < 24) {
+      return Uint8Array.of(type | argument);
+    }
+    if (argument < 0x100) {
+      return Uint8Array.of(type | 24, argument);
+    }
+    if (argument < 0x10000) {
+      return Uint8Array.of(type | 25, argument >> 8, argument & 0xFF);
+    }
+    const head = new Uint8Array(argument < 0x100000000 ? 5 : 9);
+    const view = new DataView(head.buffer);
+    if (head.length === 5) {
+      head[0] = type | 26;
+      view.setUint32(1, argument);
+    } else {
+      head[0] = type | 27;
+      view.setUint32(1, Math.floor(argument / 0x100000000));
+      view.setUint32(5, argument % 0x100000000);
+    }
+    return head;
+  }
+
+  /**
+   * Decode one data item. Trailing bytes are an error.
+   */
+  static decode(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const { value, offset } = this.decodeItem(data, 0);
+    if (offset !== data.length) {
+      throw new Error('Unexpected bytes after CBOR data item');
+    }
+    return value;
+  }
+
+  static decodeItem(data, start) {
+    if (start >= data.length) {
+      throw new Error('Truncated CBOR data');
+    }
+    const initial = data[start];
+    const major = initial >> 5;
+    const info = initial & 0x1F;
+    let offset = start + 1;
+
+    if (major === this.MAJOR.SIMPLE) {
+      switch (info) {
+        case 20: return { value: false, offset };
+        case 21: return { value: true, offset };
+        case 22: return { value: null, offset };
+        case 23: return { value: undefined, offset };
+        case 25: return { value: this.decodeHalf(this.read(data, offset, 2)), offset: offset + 2 };
+        case 26: return { value: this.view(data, offset, 4).getFloat32(0), offset: offset + 4 };
+        case 27: return { value: this.view(data, offset, 8).getFloat64(0), offset: offset + 8 };
+        default: throw new Error(`Unsupported CBOR simple value ${info}`);
+      }
+    }
+
+    let argument;
+    if (info < 24) {
+      argument = info;
+    } else if (info === 24) {
+      argument = this.read(data, offset, 1)[0];
+      offset += 1;
+    } else if (info === 25) {
+      argument = this.view(data, offset, 2).getUint16(0);
+      offset += 2;
+    } else if (info === 26) {
+      argument = this.view(data, offset, 4).getUint32(0);
+      offset += 4;
+    } else if (info === 27) {
+      const view = this.view(data, offset, 8);
+      argument = view.getUint32(0) * 0x100000000 + view.getUint32(4);
+      if (!Number.isSafeInteger(argument)) {
+        throw new Error('CBOR integers beyond 2^53 are not supported');
+      }
+      offset += 8;
+    } else {
+      throw new Error('Indefinite-length CBOR items are not supported');
+    }
+
+    switch (major) {
+      case this.MAJOR.UNSIGNED:
+        return { value: argument, offset };
+      case this.MAJOR.NEGATIVE:
+        return { value: -1 - argument, offset };
+      case this.MAJOR.BYTES:
+        return { value: Uint8Array.from(this.read(data, offset, argument)), offset: offset + argument };
+      case this.MAJOR.TEXT:
+        return { value: new TextDecoder().decode(this.read(data, offset, argument)), offset: offset + argument };
+      case this.MAJOR.ARRAY: {
+        const items = [];
+        for (let i = 0; i < argument; i++) {
+          const item = this.decodeItem(data, offset);
+          items.push(item.value);
+          offset = item.offset;
+        }
+        return { value: items, offset };
+      }
+      case this.MAJOR.MAP: {
+        const entries = [];
+        for (let i = 0; i < argument; i++) {
+          const key = this.decodeItem(data, offset);
+          const item = this.decodeItem(data, key.offset);
+          entries.push([key.value, item.value]);
+          offset = item.offset;
+        }
+        const value = entries.every(([key]) => typeof key === 'string')
+          ? Object.fromEntries(entries)
+          : new Map(entries);
+        return { value, offset };
+      }
+      case this.MAJOR.TAG: {
+        const item = this.decodeItem(data, offset);
+        return { value: new this.Tagged(argument, item.value), offset: item.offset };
+      }
+      default:
+        throw new Error(`Unsupported CBOR major type ${major}`);
+    }
+  }
+
+  static decodeHalf(bytes) {
+    const half = (bytes[0] << 8) | bytes[1];
+    const exponent = (half >> 10) & 0x1F;
+    const mantissa = half & 0x3FF;
+    const sign = half & 0x8000 ? -1 : 1;
+    if (exponent === 0) {
+      return sign * mantissa * 2 ** -24;
+    }
+    if (exponent === 31) {
+      return mantissa ? NaN : sign * Infinity;
+    }
+    return sign * (mantissa + 1024) * 2 ** (exponent - 25);
+  }
+
+  static read(data, offset, length) {
+    if (offset + length > data.length) {
+      throw new Error('Truncated CBOR data');
+    }
+    return data.subarray(offset, offset + length);
+  }
+
+  static view(data, offset, length) {
+    const bytes = this.read(data, offset, length);
+    return new DataView(bytes.buffer, bytes.byteOffset, length);
+  }
+
+  static compareBytes(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (a[i] !== b[i]) {
+        return a[i] - b[i];
+      }
+    }
+    return a.length - b.length;
+  }
+
+  static concat(parts) {
+    const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      result.set(part, position);
+      position += part.length;
+    });
+    return result;
+  }
+}
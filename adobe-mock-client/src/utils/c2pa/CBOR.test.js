@@ -0,0 +1,42 @@
+import { CBOR } from './CBOR';
+
+describe('CBOR', () => {
+  const hex = bytes => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+  it('should encode the RFC 8949 examples', () => {
+    expect(hex(CBOR.encode(0))).toBe('00');
+    expect(hex(CBOR.encode(24))).toBe('1818');
+    expect(hex(CBOR.encode(1000000))).toBe('1a000f4240');
+    expect(hex(CBOR.encode(-1000))).toBe('3903e7');
+    expect(hex(CBOR.encode(1.5))).toBe('fb3ff8000000000000');
+    expect(hex(CBOR.encode('IETF'))).toBe('6449455446');
+    expect(hex(CBOR.encode([1, [2, 3]]))).toBe('8201820203');
+    expect(hex(CBOR.encode(Uint8Array.of(1, 2, 3, 4)))).toBe('4401020304');
+  });
+
+  it('should sort map keys so equal values give equal bytes', () => {
+    const a = CBOR.encode({ b: 1, a: { y: [true, null], x: 'z' }, aa: 2 });
+    const b = CBOR.encode({ aa: 2, a: { x: 'z', y: [true, null] }, b: 1 });
+
+    expect(hex(a)).toBe(hex(b));
+    expect(CBOR.decode(a)).toEqual({ a: { x: 'z', y: [true, null] }, b: 1, aa: 2 });
+  });
+
+  it('should round trip tags, byte strings and integer map keys', () => {
+    const value = new CBOR.Tagged(18, [Uint8Array.of(0xA0), new Map([[1, -7], [33, Uint8Array.of(9)]]), null]);
+
+    const decoded = CBOR.decode(CBOR.encode(value));
+
+    expect(decoded).toBeInstanceOf(CBOR.Tagged);
+    expect(decoded.tag).toBe(18);
+    expect(decoded.value[0]).toEqual(Uint8Array.of(0xA0));
+    expect(decoded.value[1]).toEqual(new Map([[1, -7], [33, Uint8Array.of(9)]]));
+    expect(decoded.value[2]).toBeNull();
+  });
+
+  it('should reject truncated and trailing data', () => {
+    expect(() => CBOR.decode(Uint8Array.of(0x64, 0x49))).toThrow('Truncated CBOR data');
+    expect(() => CBOR.decode(Uint8Array.of(0x01, 0x02))).toThrow('Unexpected bytes after CBOR data item');
+    expect(() => CBOR.decode(Uint8Array.of(0x9F, 0xFF))).toThrow('Indefinite-length CBOR items are not supported');
+  });
+});
@@ -0,0 +1,482 @@
+/**
+ * ASN.1 DER encoder/decoder
+ * Covers the subset of X.690 Distinguished Encoding Rules needed for
+ * X.509 certificates and related PKIX structures
+ */
+export class ASN1 {
+  static TAGS = {
+    BOOLEAN: 0x01,
+    INTEGER: 0x02,
+    BIT_STRING: 0x03,
+    OCTET_STRING: 0x04,
+    NULL: 0x05,
+    OID: 0x06,
+    ENUMERATED: 0x0A,
+    UTF8_STRING: 0x0C,
+    PRINTABLE_STRING: 0x13,
+    IA5_STRING: 0x16,
+    UTC_TIME: 0x17,
+    GENERALIZED_TIME: 0x18,
+    SEQUENCE: 0x30,
+    SET: 0x31
+  };
+
+  static CLASS_CONTEXT = 0x80;
+  static CONSTRUCTED = 0x20;
+
+  // Encoding
+
+  /**
+   * Encode a TLV element from a tag byte and content bytes
+   */
+  static encode(tag, content = []) {
+    const body = this.toBytes(content);
+    const length = this.encodeLength(body.length);
+    const result = new Uint8Array(1 + length.length + body.length);
+    result[0] = tag;
+    result.set(length, 1);
+    result.set(body, 1 + length.length);
+    return result;
+  }
+
+  static encodeLength(length) {
+    if (length < 0x80) {
+      return new Uint8Array([length]);
+    }
+
+    const bytes = [];
+    while (length > 0) {
+      bytes.unshift(length & 0xFF);
+      length = Math.floor(length / 256);
+    }
+    return new Uint8Array([0x80 | bytes.length, ...bytes]);
+  }
+
+  static sequence(...items) {
+    return this.encode(this.TAGS.SEQUENCE, this.concat(...items.filter(Boolean)));
+  }
+
+  /**
+   * Encode a SET OF; DER requires the encoded elements in ascending order
+   */
+  static set(...items) {
+    const sorted = items.filter(Boolean).map(item => this.toBytes(item)).sort((a, b) => {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+      }
+      return a.length - b.length;
+    });
+    return this.encode(this.TAGS.SET, this.concat(...sorted));
+  }
+
+  static boolean(value) {
+    return this.encode(this.TAGS.BOOLEAN, [value ? 0xFF : 0x00]);
+  }
+
+  static null() {
+    return this.encode(this.TAGS.NULL);
+  }
+
+  /**
+   * Encode an INTEGER from a non-negative number, a hex string or big-endian
+   * unsigned bytes. A leading zero is added when the high bit is set.
+   */
+  static integer(value) {
+    return this.encode(this.TAGS.INTEGER, this.integerContent(value));
+  }
+
+  static enumerated(value) {
+    return this.encode(this.TAGS.ENUMERATED, this.integerContent(value));
+  }
+
+  static integerContent(value) {
+    let bytes;
+    if (typeof value === 'number') {
+      if (!Number.isSafeInteger(value) || value < 0) {
+        throw new Error(`Cannot encode integer ${value}`);
+      }
+      bytes = [];
+      do {
+        bytes.unshift(value & 0xFF);
+        value = Math.floor(value / 256);
+      } while (value > 0);
+    } else if (typeof value === 'string') {
+      bytes = Array.from(this.hexToBytes(value));
+    } else {
+      bytes = Array.from(value);
+    }
+
+    while (bytes.length > 1 && bytes[0] === 0 && !(bytes[1] & 0x80)) {
+      bytes.shift();
+    }
+    if (bytes.length === 0) {
+      bytes = [0];
+    }
+    if (bytes[0] & 0x80) {
+      bytes.unshift(0);
+    }
+    return bytes;
+  }
+
+  static oid(dotted) {
+    const parts = dotted.split('.').map(Number);
+    if (parts.length < 2 || parts.some(part => !Number.isSafeInteger(part) || part < 0)) {
+      throw new Error(`Invalid OID: ${dotted}`);
+    }
+
+    const bytes = [];
+    const encodeArc = (arc) => {
+      const arcBytes = [arc & 0x7F];
+      arc = Math.floor(arc / 128);
+      while (arc > 0) {
+        arcBytes.unshift((arc & 0x7F) | 0x80);
+        arc = Math.floor(arc / 128);
+      }
+      bytes.push(...arcBytes);
+    };
+
+    encodeArc(parts[0] * 40 + parts[1]);
+    parts.slice(2).forEach(encodeArc);
+    return this.encode(this.TAGS.OID, bytes);
+  }
+
+  static bitString(bytes, unusedBits = 0) {
+    return this.encode(this.TAGS.BIT_STRING, this.concat([unusedBits], bytes));
+  }
+
+  /**
+   * Encode a named bit list (e.g. keyUsage) as a DER BIT STRING with
+   * trailing zero bits removed
+   */
+  static namedBitString(bitPositions) {
+    if (bitPositions.length === 0) {
+      return this.bitString([], 0);
+    }
+
+    const highest = Math.max(...bitPositions);
+    const bytes = new Uint8Array(Math.floor(highest / 8) + 1);
+    bitPositions.forEach(bit => {
+      bytes[Math.floor(bit / 8)] |= 0x80 >> (bit % 8);
+    });
+    return this.bitString(bytes, 7 - (highest % 8));
+  }
+
+  static octetString(bytes) {
+    return this.encode(this.TAGS.OCTET_STRING, bytes);
+  }
+
+  static utf8String(text) {
+    return this.encode(this.TAGS.UTF8_STRING, new TextEncoder().encode(text));
+  }
+
+  static printableString(text) {
+    return this.encode(this.TAGS.PRINTABLE_STRING, new TextEncoder().encode(text));
+  }
+
+  static ia5String(text) {
+    return this.encode(this.TAGS.IA5_STRING, new TextEncoder().encode(text));
+  }
+
+  /**
+   * Encode a time the way RFC 5280 requires: UTCTime through 2049,
+   * GeneralizedTime afterwards, always in UTC with whole seconds
+   */
+  static time(date) {
+    const d = new Date(date);
+    const year = d.getUTCFullYear();
+    const pad = (n) => String(n).padStart(2, '0');
+    const rest = `${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+
+    if (year >= 1950 && year < 2050) {
+      return this.encode(this.TAGS.UTC_TIME, new TextEncoder().encode(`${pad(year % 100)}${rest}`));
+    }
+    return this.generalizedTime(d);
+  }
+
+  static generalizedTime(date) {
+    const d = new Date(date);
+    const pad = (n) => String(n).padStart(2, '0');
+    const text = `${String(d.getUTCFullYear()).padStart(4, '0')}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+    return this.encode(this.TAGS.GENERALIZED_TIME, new TextEncoder().encode(text));
+  }
+
+  /**
+   * Encode a context-specific tagged element. Explicit tags wrap a complete
+   * element; implicit tags replace the tag of primitive content.
+   */
+  static contextSpecific(tagNumber, content, constructed = true) {
+    const tag = this.CLASS_CONTEXT | (constructed ? this.CONSTRUCTED : 0) | tagNumber;
+    return this.encode(tag, content);
+  }
+
+  // Decoding
+
+  /**
+   * Decode a single DER element. Returns a node with tag information,
+   * the content bytes, the full encoding and (for constructed types) the
+   * decoded children.
+   */
+  static decode(input, offset = 0) {
+    const bytes = this.toBytes(input);
+    const node = this.decodeNode(bytes, offset);
+    if (offset === 0 && node.end !== bytes.length) {
+      throw new Error('Unexpected trailing data after DER element');
+    }
+    return node;
+  }
+
+  static decodeNode(bytes, offset) {
+    if (offset + 2 > bytes.length) {
+      throw new Error('Truncated DER element');
+    }
+
+    const tag = bytes[offset];
+    if ((tag & 0x1F) === 0x1F) {
+      throw new Error('High tag numbers are not supported');
+    }
+
+    let lengthOffset = offset + 1;
+    let length = bytes[lengthOffset++];
+    if (length & 0x80) {
+      const lengthBytes = length & 0x7F;
+      if (lengthBytes === 0 || lengthBytes > 4) {
+        throw new Error('Unsupported DER length encoding');
+      }
+      length = 0;
+      for (let i = 0; i < lengthBytes; i++) {
+        length = length * 256 + bytes[lengthOffset++];
+      }
+    }
+
+    const contentStart = lengthOffset;
+    const end = contentStart + length;
+    if (end > bytes.length) {
+      throw new Error('DER element length exceeds available data');
+    }
+
+    const node = {
+      tag,
+      tagClass: tag & 0xC0,
+      constructed: (tag & this.CONSTRUCTED) !== 0,
+      tagNumber: tag & 0x1F,
+      start: offset,
+      contentStart,
+      end,
+      content: bytes.subarray(contentStart, end),
+      raw: bytes.subarray(offset, end)
+    };
+
+    if (node.constructed) {
+      node.children = [];
+      let childOffset = contentStart;
+      while (childOffset < end) {
+        const child = this.decodeNode(bytes, childOffset);
+        node.children.push(child);
+        childOffset = child.end;
+      }
+    }
+
+    return node;
+  }
+
+  static expect(node, tag, description = 'element') {
+    if (!node || node.tag !== tag) {
+      throw new Error(`Expected ${description} (tag 0x${tag.toString(16)}), found ${node ? '0x' + node.tag.toString(16) : 'nothing'}`);
+    }
+    return node;
+  }
+
+  static isContext(node, tagNumber) {
+    return !!node && node.tagClass === this.CLASS_CONTEXT && node.tagNumber === tagNumber;
+  }
+
+  static decodeOID(node) {
+    const bytes = node.content;
+    const parts = [];
+    let value = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      value = value * 128 + (bytes[i] & 0x7F);
+      if (!(bytes[i] & 0x80)) {
+        if (parts.length === 0) {
+          const first = value < 80 ? Math.floor(value / 40) : 2;
+          parts.push(first, value - first * 40);
+        } else {
+          parts.push(value);
+        }
+        value = 0;
+      }
+    }
+    return parts.join('.');
+  }
+
+  /**
+   * Decode an INTEGER as lowercase hex without the DER sign padding
+   */
+  static decodeIntegerHex(node) {
+    let bytes = Array.from(node.content);
+    while (bytes.length > 1 && bytes[0] === 0) {
+      bytes.shift();
+    }
+    return this.bytesToHex(bytes);
+  }
+
+  static decodeInteger(node) {
+    let value = 0;
+    for (const byte of node.content) {
+      value = value * 256 + byte;
+    }
+    return value;
+  }
+
+  static decodeBoolean(node) {
+    return node.content[0] !== 0;
+  }
+
+  /**
+   * Decode a BIT STRING into { unusedBits, bytes }
+   */
+  static decodeBitString(node) {
+    return {
+      unusedBits: node.content[0],
+      bytes: node.content.subarray(1)
+    };
+  }
+
+  static decodeNamedBits(node) {
+    const { unusedBits, bytes } = this.decodeBitString(node);
+    const bits = [];
+    const totalBits = bytes.length * 8 - unusedBits;
+    for (let bit = 0; bit < totalBits; bit++) {
+      if (bytes[Math.floor(bit / 8)] & (0x80 >> (bit % 8))) {
+        bits.push(bit);
+      }
+    }
+    return bits;
+  }
+
+  static decodeString(node) {
+    return new TextDecoder().decode(node.content);
+  }
+
+  static decodeTime(node) {
+    const text = this.decodeString(node);
+    let match;
+    if (node.tag === this.TAGS.UTC_TIME) {
+      match = text.match(/^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/);
+      if (!match) throw new Error(`Invalid UTCTime: ${text}`);
+      const year = Number(match[1]);
+      match[1] = String(year >= 50 ? 1900 + year : 2000 + year);
+    } else if (node.tag === this.TAGS.GENERALIZED_TIME) {
+      match = text.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(?:\.\d+)?Z$/);
+      if (!match) throw new Error(`Invalid GeneralizedTime: ${text}`);
+    } else {
+      throw new Error('Expected a time value');
+    }
+
+    const [, year, month, day, hour, minute, second] = match;
+    const fraction = node.tag === this.TAGS.GENERALIZED_TIME ? (text.match(/\.(\d+)Z$/)?.[1] || '') : '';
+    const millis = fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0;
+    return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second), millis));
+  }
+
+  // ECDSA signature format conversion
+
+  /**
+   * Convert a Web Crypto (IEEE P1363 r||s) ECDSA signature into the DER
+   * Ecdsa-Sig-Value used inside X.509 and CMS structures
+   */
+  static encodeECDSASignature(rawSignature) {
+    const raw = this.toBytes(rawSignature);
+    const half = raw.length / 2;
+    return this.sequence(
+      this.integer(raw.subarray(0, half)),
+      this.integer(raw.subarray(half))
+    );
+  }
+
+  /**
+   * Convert a DER Ecdsa-Sig-Value back into r||s with fixed-size coordinates
+   */
+  static decodeECDSASignature(derSignature, coordinateLength) {
+    const node = this.expect(this.decode(derSignature), this.TAGS.SEQUENCE, 'Ecdsa-Sig-Value');
+    const result = new Uint8Array(coordinateLength * 2);
+    node.children.slice(0, 2).forEach((integerNode, index) => {
+      let bytes = integerNode.content;
+      while (bytes.length > coordinateLength && bytes[0] === 0) {
+        bytes = bytes.subarray(1);
+      }
+      if (bytes.length > coordinateLength) {
+        throw new Error('ECDSA signature coordinate too large');
+      }
+      result.set(bytes, (index + 1) * coordinateLength - bytes.length);
+    });
+    return result;
+  }
+
+  // Byte helpers
+
+  static toBytes(value) {
+    if (value instanceof Uint8Array) return value;
+    if (value instanceof ArrayBuffer) return new Uint8Array(value);
+    if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    return Uint8Array.from(value);
+  }
+
+  static concat(...parts) {
+    const arrays = parts.map(part => this.toBytes(part));
+    const total = arrays.reduce((sum, array) => sum + array.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    arrays.forEach(array => {
+      result.set(array, offset);
+      offset += array.length;
+    });
+    return result;
+  }
+
+  static hexToBytes(hex) {
+    const clean = hex.replace(/[^0-9a-fA-F]/g, '');
+    const padded = clean.length % 2 ? `0${clean}` : clean;
+    const bytes = new Uint8Array(padded.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(padded.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  static bytesToHex(bytes) {
+    return Array.from(bytes)
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  // PEM armor
+
+  static toPEM(der, label = 'CERTIFICATE') {
+    const bytes = this.toBytes(der);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    const lines = btoa(binary).match(/.{1,64}/g) || [];
+    return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----`;
+  }
+
+  /**
+   * Extract all PEM blocks from text as { label, der } pairs
+   */
+  static fromPEM(text) {
+    const blocks = [];
+    const regex = /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/g;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const binary = atob(match[2].replace(/\s/g, ''));
+      const der = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        der[i] = binary.charCodeAt(i);
+      }
+      blocks.push({ label: match[1], der });
+    }
+    return blocks;
+  }
+}
@@ -0,0 +1,108 @@
+import { CertificationRequest } from './CertificationRequest';
+import { CertificateAuthority } from './CertificateAuthority';
+import { X509Certificate } from './X509Certificate';
+import { ASN1 } from './ASN1';
+
+describe('CertificationRequest', () => {
+  let root;
+  let intermediate;
+  let request;
+
+  beforeAll(async () => {
+    root = await CertificateAuthority.createRootCA({ name: 'Agency Root CA', organization: 'Agency' });
+    intermediate = await CertificateAuthority.createIntermediateCA({ name: 'Agency Issuing CA' }, root);
+    request = await CertificationRequest.create(
+      { name: 'Freelance Photographer', organization: 'Freelance', country: 'SE' },
+      { subjectAltNames: [{ type: 'email', value: 'photo@example.com' }] }
+    );
+  });
+
+  it('should encode a PKCS#10 request with subject, public key and requested SAN', async () => {
+    const pem = CertificationRequest.toPEM(request);
+    expect(pem).toContain('-----BEGIN CERTIFICATE REQUEST-----');
+
+    const parsed = CertificationRequest.parse(pem);
+    expect(parsed.subject.string).toBe(request.subject.string);
+    expect(parsed.subjectPublicKeyInfo.publicKey).toEqual(request.publicKey);
+    expect(parsed.requestedExtensions[0].extnValue).toEqual([{ type: 'email', value: 'photo@example.com' }]);
+    expect(await CertificationRequest.verify(parsed)).toBe(true);
+  });
+
+  it('should reject a request whose signature does not match its key', async () => {
+    const other = await CertificationRequest.create({ name: 'Someone Else' });
+    const parsed = CertificationRequest.parse(request.der);
+    const forged = { ...parsed, signatureValue: CertificationRequest.parse(other.der).signatureValue };
+
+    expect(await CertificationRequest.verify(forged)).toBe(false);
+    await expect(CertificateAuthority.signRequest(
+      ASN1.toPEM(ASN1.sequence(
+        ASN1.decode(request.der).children[0].raw,
+        X509Certificate.encodeAlgorithmIdentifier('ES384'),
+        ASN1.bitString(forged.signatureValue)
+      ), CertificationRequest.PEM_LABEL),
+      intermediate
+    )).rejects.toThrow('Certificate request signature does not verify');
+  });
+
+  it('should issue a certificate for the requested key without the private key', async () => {
+    const issued = await CertificateAuthority.signRequest(CertificationRequest.toPEM(request), intermediate);
+
+    expect(issued.keyPair).toBeNull();
+    expect(issued.privateKey).toBeNull();
+    expect(issued.tbsCertificate.subject.string).toBe(request.subject.string);
+    expect(issued.tbsCertificate.subjectPublicKeyInfo.publicKey).toEqual(request.publicKey);
+    expect(X509Certificate.getExtension(issued, X509Certificate.EXTENSIONS.SUBJECT_ALT_NAME).extnValue)
+      .toEqual([{ type: 'email', value: 'photo@example.com' }]);
+
+    const result = await X509Certificate.verifyCertificate(issued, {
+      trustAnchors: [CertificateAuthority.toTrustAnchor(root)],
+      intermediates: [intermediate]
+    });
+    expect(result.trusted).toBe(true);
+  });
+
+  it('should install the issued certificate against the waiting key pair', async () => {
+    const issued = await CertificateAuthority.signRequest(CertificationRequest.toPEM(request), intermediate);
+    const installed = await CertificationRequest.installCertificate(
+      request,
+      X509Certificate.exportCertificate(issued, false)
+    );
+
+    expect(installed.der).toEqual(issued.der);
+    expect(installed.keyPair).toBe(request.keyPair);
+    expect(installed.chain).toEqual([intermediate.der]);
+    expect(installed.trustChain).toEqual([
+      intermediate.tbsCertificate.subject.string,
+      root.tbsCertificate.subject.string
+    ]);
+
+    // The installed key pair signs data the certificate's key verifies
+    const publicKey = await crypto.subtle.importKey(
+      'spki',
+      new Uint8Array(installed.tbsCertificate.subjectPublicKeyInfo.publicKey),
+      { name: 'ECDSA', namedCurve: 'P-384' },
+      false,
+      ['verify']
+    );
+    const signature = await crypto.subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-384' },
+      installed.keyPair.privateKey,
+      new TextEncoder().encode('image')
+    );
+    expect(await crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-384' },
+      publicKey,
+      signature,
+      new TextEncoder().encode('image')
+    )).toBe(true);
+  });
+
+  it('should refuse to install a certificate for a different key', async () => {
+    const other = await CertificateAuthority.issueCertificate({ name: 'Other Photographer' }, intermediate);
+
+    await expect(CertificationRequest.installCertificate(
+      request,
+      X509Certificate.exportCertificate(other, false)
+    )).rejects.toThrow('Certificate public key does not match the pending request');
+  });
+});
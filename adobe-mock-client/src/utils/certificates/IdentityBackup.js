@@ -0,0 +1,186 @@
+import { ASN1 } from './ASN1';
+import { X509Certificate } from './X509Certificate';
+import { WebCryptoUtils } from '../crypto/WebCryptoUtils';
+
+/**
+ * Password-protected backup of a signing identity: the private key as an
+ * encrypted PKCS#8 block (PBES2 with PBKDF2 and AES-CBC, RFC 8018) followed
+ * by the certificate and its issuing CAs. OpenSSL reads the same file.
+ */
+export class IdentityBackup {
+  static ENCRYPTED_KEY_LABEL = 'ENCRYPTED PRIVATE KEY';
+  static ITERATIONS = 600000;
+  static SALT_LENGTH = 16;
+
+  static OIDS = {
+    PBES2: '1.2.840.113549.1.5.13',
+    PBKDF2: '1.2.840.113549.1.5.12',
+    HMAC_SHA1: '1.2.840.113549.2.7',
+    HMAC_SHA256: '1.2.840.113549.2.9'
+  };
+
+  static CIPHERS = {
+    '2.16.840.1.101.3.4.1.2': 128,
+    '2.16.840.1.101.3.4.1.22': 192,
+    '2.16.840.1.101.3.4.1.42': 256
+  };
+
+  static AES256_CBC = '2.16.840.1.101.3.4.1.42';
+
+  static async deriveKey(passphrase, salt, iterations, hash, length) {
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash, salt: new Uint8Array(salt), iterations },
+      baseKey,
+      { name: 'AES-CBC', length },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Encode an EncryptedPrivateKeyInfo for PKCS#8 key bytes
+   */
+  static async encryptPrivateKey(privateKeyData, passphrase, { iterations = this.ITERATIONS } = {}) {
+    if (!passphrase) {
+      throw new Error('A passphrase is required');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(this.SALT_LENGTH));
+    const iv = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.deriveKey(passphrase, salt, iterations, 'SHA-256', 256);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, key, new Uint8Array(privateKeyData));
+
+    return ASN1.sequence(
+      ASN1.sequence(
+        ASN1.oid(this.OIDS.PBES2),
+        ASN1.sequence(
+          ASN1.sequence(
+            ASN1.oid(this.OIDS.PBKDF2),
+            ASN1.sequence(
+              ASN1.octetString(salt),
+              ASN1.integer(iterations),
+              ASN1.sequence(ASN1.oid(this.OIDS.HMAC_SHA256), ASN1.null())
+            )
+          ),
+          ASN1.sequence(ASN1.oid(this.AES256_CBC), ASN1.octetString(iv))
+        )
+      ),
+      ASN1.octetString(new Uint8Array(ciphertext))
+    );
+  }
+
+  /**
+   * Decrypt an EncryptedPrivateKeyInfo and return the PKCS#8 key bytes
+   */
+  static async decryptPrivateKey(der, passphrase) {
+    const [algorithmNode, encryptedDataNode] = ASN1.decode(der).children;
+    const [schemeNode, paramsNode] = algorithmNode.children;
+    if (ASN1.decodeOID(schemeNode) !== this.OIDS.PBES2) {
+      throw new Error('Unsupported private key encryption; export the key with PBES2');
+    }
+
+    const [kdfNode, cipherNode] = paramsNode.children;
+    if (ASN1.decodeOID(kdfNode.children[0]) !== this.OIDS.PBKDF2) {
+      throw new Error('Unsupported key derivation function');
+    }
+    const [saltNode, iterationsNode, ...optional] = kdfNode.children[1].children;
+    // keyLength is optional, and the PRF defaults to HMAC-SHA1
+    const prfNode = optional.find(node => node.tag === ASN1.TAGS.SEQUENCE);
+    const prf = prfNode ? ASN1.decodeOID(prfNode.children[0]) : this.OIDS.HMAC_SHA1;
+    const hash = { [this.OIDS.HMAC_SHA1]: 'SHA-1', [this.OIDS.HMAC_SHA256]: 'SHA-256' }[prf];
+
+    const keyLength = this.CIPHERS[ASN1.decodeOID(cipherNode.children[0])];
+    if (!hash || !keyLength) {
+      throw new Error('Unsupported private key encryption; use AES-CBC with HMAC-SHA256');
+    }
+
+    const key = await this.deriveKey(
+      passphrase,
+      saltNode.content,
+      ASN1.decodeInteger(iterationsNode),
+      hash,
+      keyLength
+    );
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-CBC', iv: new Uint8Array(cipherNode.children[1].content) },
+        key,
+        new Uint8Array(encryptedDataNode.content)
+      );
+      return Array.from(new Uint8Array(plaintext));
+    } catch (error) {
+      throw new Error('Incorrect passphrase');
+    }
+  }
+
+  /**
+   * PEM backup of an unlocked certificate: encrypted key, certificate, CAs
+   */
+  static async export(certificate, passphrase, options = {}) {
+    if (certificate?.remoteSigner) {
+      throw new Error('This identity\'s key is kept in a signing service and cannot be backed up here');
+    }
+    if (!certificate?.privateKey) {
+      throw new Error('Unlock the signing key to back it up');
+    }
+
+    const encryptedKey = await this.encryptPrivateKey(certificate.privateKey, passphrase, options);
+    return `${ASN1.toPEM(encryptedKey, this.ENCRYPTED_KEY_LABEL)}\n${X509Certificate.exportCertificate(certificate, false)}`;
+  }
+
+  /**
+   * Restore a certificate record with its key pair from a backup. The key
+   * must belong to the certificate.
+   */
+  static async import(pemText, passphrase) {
+    const blocks = ASN1.fromPEM(pemText);
+    const keyBlock = blocks.find(block => block.label === this.ENCRYPTED_KEY_LABEL);
+    if (!keyBlock) {
+      throw new Error('No encrypted private key found in the backup');
+    }
+    const [leafBlock, ...issuerBlocks] = blocks.filter(block => block.label === 'CERTIFICATE');
+    if (!leafBlock) {
+      throw new Error('No certificate found in the backup');
+    }
+
+    const privateKey = await this.decryptPrivateKey(keyBlock.der, passphrase);
+    const leaf = X509Certificate.fromDER(leafBlock.der);
+    const keyPair = {
+      privateKey: await WebCryptoUtils.importPrivateKey(privateKey).catch(() => {
+        throw new Error('Incorrect passphrase');
+      }),
+      publicKey: await WebCryptoUtils.importPublicKey(leaf.tbsCertificate.subjectPublicKeyInfo.publicKey)
+    };
+
+    const challenge = crypto.getRandomValues(new Uint8Array(32));
+    const signature = await WebCryptoUtils.signData(keyPair.privateKey, challenge);
+    if (!await WebCryptoUtils.verifySignature(keyPair.publicKey, signature, challenge)) {
+      throw new Error('Private key does not match the certificate');
+    }
+
+    const issuers = issuerBlocks.map(block => X509Certificate.fromDER(block.der));
+    const trustChain = issuers.map(issuer => issuer.tbsCertificate.subject.string);
+    const topmost = issuers[issuers.length - 1] || leaf;
+    if (!topmost.isSelfSigned) {
+      trustChain.push(topmost.tbsCertificate.issuer.string);
+    }
+
+    return {
+      id: `cert-${leaf.tbsCertificate.serialNumber}-${Date.now()}`,
+      ...leaf,
+      fingerprint: await X509Certificate.calculateFingerprint(leafBlock.der),
+      keyPair,
+      privateKey,
+      trustChain: leaf.isSelfSigned ? ['self-signed'] : trustChain,
+      chain: issuers.filter(issuer => !issuer.isSelfSigned).map(issuer => issuer.der),
+      importedAt: new Date().toISOString()
+    };
+  }
+}
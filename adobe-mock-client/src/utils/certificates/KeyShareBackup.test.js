@@ -0,0 +1,59 @@
+import { KeyShareBackup } from './KeyShareBackup';
+import { CertificateAuthority } from './CertificateAuthority';
+import { X509Certificate } from './X509Certificate';
+import { WebCryptoUtils } from '../crypto/WebCryptoUtils';
+
+describe('KeyShareBackup', () => {
+  let root;
+
+  beforeAll(async () => {
+    root = await CertificateAuthority.createRootCA({ name: 'Agency Root CA', organization: 'Agency' });
+  });
+
+  it('should split a root key into printable shares that hide the key', async () => {
+    const shares = await KeyShareBackup.export(root, { threshold: 3, shareCount: 5 });
+
+    expect(shares).toHaveLength(5);
+    expect(shares[1]).toContain('Root key share 2 of 5 - any 3 shares recover the key');
+    expect(shares[1]).toContain(root.fingerprint.sha256);
+    expect(shares.join('\n')).not.toContain('PRIVATE KEY');
+
+    const parsed = await Promise.all(shares.map(share => KeyShareBackup.parse(share)));
+    expect(new Set(parsed.map(share => share.setId)).size).toBe(1);
+    expect(parsed.map(share => share.index)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('should recover the key from a threshold of shares and sign a test certificate', async () => {
+    const shares = await KeyShareBackup.export(root, { threshold: 3, shareCount: 5 });
+    const { authority, testCertificate } = await KeyShareBackup.recover([shares[4], shares[0], shares[2]]);
+
+    expect(authority.privateKey).toEqual(root.privateKey);
+    expect(authority.der).toEqual(root.der);
+    expect(authority.caRole).toBe('root');
+    expect(await X509Certificate.verifySignedBy(testCertificate, root)).toBe(true);
+
+    const signature = await WebCryptoUtils.signData(authority.keyPair.privateKey, 'crl');
+    expect(await WebCryptoUtils.verifySignature(root.keyPair.publicKey, signature, 'crl')).toBe(true);
+  });
+
+  it('should refuse too few, mixed or damaged shares', async () => {
+    const shares = await KeyShareBackup.export(root, { threshold: 2, shareCount: 3 });
+    const otherSet = await KeyShareBackup.export(root, { threshold: 2, shareCount: 3 });
+
+    await expect(KeyShareBackup.recover([shares[0]])).rejects.toThrow('1 more share(s) needed to recover the key');
+    await expect(KeyShareBackup.recover([shares[0], otherSet[1]])).rejects.toThrow('Shares come from different backups');
+    await expect(KeyShareBackup.recover([shares[0], shares[0]])).rejects.toThrow('The same share was given more than once');
+
+    const lines = shares[1].split('\n');
+    const line = lines.findIndex(text => text.startsWith('-----BEGIN')) + 2;
+    lines[line] = `${lines[line].substring(0, 10)}${lines[line][10] === 'A' ? 'B' : 'A'}${lines[line].substring(11)}`;
+    await expect(KeyShareBackup.parse(lines.join('\n'))).rejects.toThrow('check it against the printed copy');
+  });
+
+  it('should only split root CA keys', async () => {
+    const intermediate = await CertificateAuthority.createIntermediateCA({ name: 'Agency Photo CA' }, root);
+
+    await expect(KeyShareBackup.export(intermediate, { threshold: 2, shareCount: 3 }))
+      .rejects.toThrow('Only root CA keys are backed up as shares');
+  });
+});
@@ -0,0 +1,211 @@
+import { WebCryptoUtils } from '../crypto/WebCryptoUtils';
+import { X509Certificate } from './X509Certificate';
+import { CertificateRevocationList } from './CertificateRevocationList';
+
+/**
+ * Online certificate status checks (OCSP-style)
+ * The responder named in a certificate's authorityInfoAccess extension
+ * answers for one serial number with a status signed by the issuing CA,
+ * or by a responder certificate the CA issued for that purpose.
+ * Verified answers are cached until their nextUpdate; a CRL is consulted
+ * when no responder gives a definite answer.
+ */
+export class RevocationStatusClient {
+  static REQUEST_TIMEOUT_MS = 5000;
+  static CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+  // Verified responses keyed by responder, issuer and serial number
+  static cache = new Map();
+
+  static getResponderUrl(certificate) {
+    const access = X509Certificate.getExtension(certificate, X509Certificate.EXTENSIONS.AUTHORITY_INFO_ACCESS)?.extnValue;
+    return (Array.isArray(access) ? access : []).find(entry => entry.method === 'ocsp' && entry.location)?.location || null;
+  }
+
+  static getIssuerKeyId(issuer) {
+    return X509Certificate.getExtension(issuer, X509Certificate.EXTENSIONS.SUBJECT_KEY_ID)?.extnValue || null;
+  }
+
+  /**
+   * Ask the certificate's responder for its status. Never throws: failures
+   * come back as status 'unknown' with an error message.
+   */
+  static async checkStatus(certificate, issuer, { signingTime = null, responderUrl = null } = {}) {
+    const url = responderUrl || this.getResponderUrl(certificate);
+    const request = {
+      issuerName: issuer.tbsCertificate.subject.string,
+      issuerKeyId: this.getIssuerKeyId(issuer),
+      serialNumber: certificate.tbsCertificate.serialNumber
+    };
+    if (!url) {
+      return { source: 'ocsp', status: CertificateRevocationList.REVOCATION_STATUS.UNKNOWN, error: 'No status responder' };
+    }
+
+    const cacheKey = `${url}|${request.issuerName}|${request.serialNumber}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && new Date(cached.nextUpdate) > new Date()) {
+      return this.withSigningTime({ ...cached, cached: true }, signingTime);
+    }
+
+    try {
+      const response = await this.fetchResponse(url, request);
+      const status = await this.verifyResponse(response, certificate, issuer);
+      this.cache.set(cacheKey, { ...status, responderUrl: url });
+      console.log('Status responder answered', status.status, 'for serial', request.serialNumber);
+      return this.withSigningTime({ ...status, responderUrl: url, cached: false }, signingTime);
+    } catch (error) {
+      console.warn('Status responder check failed:', error.message);
+      return {
+        source: 'ocsp',
+        status: CertificateRevocationList.REVOCATION_STATUS.UNKNOWN,
+        responderUrl: url,
+        error: error.message
+      };
+    }
+  }
+
+  static async fetchResponse(url, request) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.REQUEST_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(request),
+        signal: controller.signal
+      });
+      const body = await response.json();
+      if (!response.ok || body.responseStatus !== 'successful') {
+        throw new Error(`Responder returned ${body.responseStatus || response.status}`);
+      }
+      return body;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * A responder certificate sent with a response may sign for the issuer
+   * when the issuer signed it, it carries the OCSPSigning extended key
+   * usage and it is currently valid (RFC 6960 4.2.2.2)
+   */
+  static async getDelegatedResponder(encodedCertificate, issuer) {
+    let responder;
+    try {
+      responder = X509Certificate.fromDER(Array.from(atob(encodedCertificate), char => char.charCodeAt(0)));
+    } catch (error) {
+      throw new Error(`Undecodable responder certificate: ${error.message}`);
+    }
+
+    if (responder.tbsCertificate.issuer.string !== issuer.tbsCertificate.subject.string ||
+        !(await X509Certificate.verifySignedBy(responder, issuer))) {
+      throw new Error('Responder certificate was not issued by the certificate issuer');
+    }
+    const extendedKeyUsage = X509Certificate.getExtension(responder, X509Certificate.EXTENSIONS.EXTENDED_KEY_USAGE)?.extnValue;
+    if (!Array.isArray(extendedKeyUsage) || !extendedKeyUsage.includes(X509Certificate.EXTENDED_KEY_USAGE.OCSP_SIGNING)) {
+      throw new Error('Responder certificate is not authorized to sign status responses');
+    }
+    const now = new Date();
+    const { notBefore, notAfter } = responder.tbsCertificate.validity;
+    if (now < new Date(notBefore) || now > new Date(notAfter)) {
+      throw new Error('Responder certificate is expired or not yet valid');
+    }
+    return responder;
+  }
+
+  /**
+   * Check that a response is signed by the issuer or its delegated
+   * responder, is about this certificate and is current. Returns the
+   * status without signing-time evaluation so it can be cached.
+   */
+  static async verifyResponse(response, certificate, issuer) {
+    const tbs = response?.tbsResponse;
+    if (!tbs) {
+      throw new Error('Malformed status response');
+    }
+    const delegated = Array.isArray(response.certificates) && response.certificates.length > 0;
+    const signer = delegated ? await this.getDelegatedResponder(response.certificates[0], issuer) : issuer;
+    // Responses are signed with the signer's key, so with its algorithm
+    if (response.signatureAlgorithm !== X509Certificate.getSignatureAlgorithm(signer)) {
+      throw new Error('Malformed status response');
+    }
+
+    const issuerKeyId = this.getIssuerKeyId(issuer);
+    if (tbs.issuerName !== issuer.tbsCertificate.subject.string ||
+        (issuerKeyId && tbs.issuerKeyId && tbs.issuerKeyId !== issuerKeyId)) {
+      throw new Error('Status response is for a different issuer');
+    }
+    if (tbs.serialNumber !== certificate.tbsCertificate.serialNumber) {
+      throw new Error('Status response is for a different serial number');
+    }
+
+    const publicKey = await WebCryptoUtils.importPublicKey(signer.tbsCertificate.subjectPublicKeyInfo.publicKey);
+    const signature = Array.from(atob(response.signature || ''), char => char.charCodeAt(0));
+    if (!(await WebCryptoUtils.verifySignature(publicKey, signature, WebCryptoUtils.canonicalize(tbs)))) {
+      throw new Error(`Status response signature does not verify with the ${delegated ? 'responder' : 'issuer'} key`);
+    }
+
+    const now = Date.now();
+    if (new Date(tbs.thisUpdate).getTime() > now + this.CLOCK_SKEW_MS) {
+      throw new Error('Status response is not yet valid');
+    }
+    if (!tbs.nextUpdate || new Date(tbs.nextUpdate).getTime() < now) {
+      throw new Error('Status response is out of date');
+    }
+
+    const status = {
+      source: 'ocsp',
+      status: tbs.certStatus,
+      producedAt: tbs.producedAt,
+      thisUpdate: tbs.thisUpdate,
+      nextUpdate: tbs.nextUpdate
+    };
+    if (tbs.certStatus !== CertificateRevocationList.REVOCATION_STATUS.REVOKED) {
+      return status;
+    }
+    return {
+      ...status,
+      reason: tbs.revocationReason || 'unspecified',
+      revocationDate: tbs.revocationTime,
+      invalidityDate: tbs.invalidityDate || null,
+      effectiveDate: tbs.invalidityDate || tbs.revocationTime
+    };
+  }
+
+  static withSigningTime(status, signingTime) {
+    if (status.status !== CertificateRevocationList.REVOCATION_STATUS.REVOKED) {
+      return status;
+    }
+    return {
+      ...status,
+      affectsSignature: !signingTime || new Date(signingTime) >= new Date(status.effectiveDate)
+    };
+  }
+
+  static clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Build a revocation check for X509Certificate.verifyCertificate that asks
+   * the online responder first and falls back to the given CRLs. As with
+   * CertificateRevocationList.createRevocationCheck, signingTime must be a
+   * trusted (TSA) time or null.
+   */
+  static createRevocationCheck(crls = [], { signingTime = null } = {}) {
+    const crlCheck = CertificateRevocationList.createRevocationCheck(crls, { signingTime });
+
+    return async (certificate, issuer) => {
+      const online = this.getResponderUrl(certificate)
+        ? await this.checkStatus(certificate, issuer, { signingTime })
+        : null;
+      if (online && online.status !== CertificateRevocationList.REVOCATION_STATUS.UNKNOWN) {
+        return online;
+      }
+
+      const offline = await crlCheck(certificate, issuer);
+      // Keep the responder's error visible when no CRL knows the certificate either
+      return offline.status === CertificateRevocationList.REVOCATION_STATUS.UNKNOWN && online ? online : offline;
+    };
+  }
+}
@@ -0,0 +1,190 @@
+import { RevocationStatusClient } from './RevocationStatusClient';
+import { CertificateAuthority } from './CertificateAuthority';
+import { X509Certificate } from './X509Certificate';
+import { ASN1 } from './ASN1';
+import { WebCryptoUtils } from '../crypto/WebCryptoUtils';
+
+const RESPONDER_URL = 'http://localhost:8787/ocsp';
+
+describe('RevocationStatusClient', () => {
+  let root;
+  let intermediate;
+  let photographer;
+  let anchors;
+
+  beforeAll(async () => {
+    root = await CertificateAuthority.createRootCA({ name: 'Agency Root CA', organization: 'Agency' });
+    intermediate = await CertificateAuthority.createIntermediateCA(
+      { name: 'Agency Issuing CA' },
+      root,
+      { ocspUrl: RESPONDER_URL }
+    );
+    photographer = await CertificateAuthority.issueCertificate({ name: 'Jane Photographer' }, intermediate);
+    anchors = [CertificateAuthority.toTrustAnchor(root)];
+  });
+
+  beforeEach(() => {
+    RevocationStatusClient.clearCache();
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  // Sign a response the way local-services/ocsp-responder.js does
+  const signedResponse = async (signer, fields = {}) => {
+    const now = new Date();
+    const tbsResponse = {
+      responderId: { name: signer.tbsCertificate.subject.string, keyId: RevocationStatusClient.getIssuerKeyId(signer) },
+      issuerName: intermediate.tbsCertificate.subject.string,
+      issuerKeyId: RevocationStatusClient.getIssuerKeyId(intermediate),
+      serialNumber: photographer.tbsCertificate.serialNumber,
+      certStatus: 'good',
+      producedAt: now.toISOString(),
+      thisUpdate: now.toISOString(),
+      nextUpdate: new Date(now.getTime() + 60 * 60 * 1000).toISOString(),
+      ...fields
+    };
+    const signature = await WebCryptoUtils.signData(signer.keyPair.privateKey, WebCryptoUtils.canonicalize(tbsResponse));
+    return {
+      responseStatus: 'successful',
+      tbsResponse,
+      signatureAlgorithm: 'ES384',
+      signature: btoa(String.fromCharCode(...signature))
+    };
+  };
+
+  const respondWith = (body) => {
+    global.fetch.mockResolvedValue({ ok: true, status: 200, json: async () => body });
+  };
+
+  it('should point issued certificates at the issuer responder', () => {
+    expect(RevocationStatusClient.getResponderUrl(photographer)).toBe(RESPONDER_URL);
+    expect(X509Certificate.getExtension(photographer, X509Certificate.EXTENSIONS.AUTHORITY_INFO_ACCESS).extnValue)
+      .toEqual([{ method: 'ocsp', location: RESPONDER_URL }]);
+    // The root has no responder, so the intermediate it issued carries none
+    expect(RevocationStatusClient.getResponderUrl(intermediate)).toBeNull();
+  });
+
+  it('should accept a signed good status and cache it until nextUpdate', async () => {
+    respondWith(await signedResponse(intermediate));
+
+    const first = await RevocationStatusClient.checkStatus(photographer, intermediate);
+    const second = await RevocationStatusClient.checkStatus(photographer, intermediate);
+
+    expect(first).toMatchObject({ source: 'ocsp', status: 'good', cached: false, responderUrl: RESPONDER_URL });
+    expect(second).toMatchObject({ status: 'good', cached: true });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+      issuerName: intermediate.tbsCertificate.subject.string,
+      issuerKeyId: RevocationStatusClient.getIssuerKeyId(intermediate),
+      serialNumber: photographer.tbsCertificate.serialNumber
+    });
+  });
+
+  it('should reject revoked certificates only for signatures after the invalidity date', async () => {
+    const invalidityDate = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    respondWith(await signedResponse(intermediate, {
+      certStatus: 'revoked',
+      revocationTime: new Date().toISOString(),
+      revocationReason: 'keyCompromise',
+      invalidityDate
+    }));
+
+    const verifyAt = (signingTime) => X509Certificate.verifyCertificate(photographer, {
+      trustAnchors: anchors,
+      intermediates: [intermediate],
+      revocationCheck: RevocationStatusClient.createRevocationCheck([], { signingTime })
+    });
+
+    const after = await verifyAt(new Date());
+    expect(after.revoked).toBe(true);
+    expect(after.errors[0]).toContain('Revoked (keyCompromise)');
+
+    const before = await verifyAt(new Date(Date.parse(invalidityDate) - 60 * 1000));
+    expect(before.valid).toBe(true);
+    expect(before.links[0].revocation).toMatchObject({ source: 'ocsp', status: 'revoked', affectsSignature: false, cached: true });
+  });
+
+  it('should not trust responses signed by another key', async () => {
+    respondWith(await signedResponse(root));
+
+    const status = await RevocationStatusClient.checkStatus(photographer, intermediate);
+    expect(status.status).toBe('unknown');
+    expect(status.error).toBe('Status response signature does not verify with the issuer key');
+  });
+
+  it('should accept responses signed by a delegated responder of the issuer', async () => {
+    const responder = await CertificateAuthority.issueResponderCertificate({ name: 'Agency Status Responder' }, intermediate);
+    respondWith({
+      ...(await signedResponse(responder)),
+      certificates: [btoa(String.fromCharCode(...responder.der))]
+    });
+
+    const status = await RevocationStatusClient.checkStatus(photographer, intermediate);
+    expect(status).toMatchObject({ source: 'ocsp', status: 'good' });
+  });
+
+  it('should not accept responder certificates without the OCSPSigning purpose or from another issuer', async () => {
+    // Issued by the intermediate, but for signing images
+    respondWith({
+      ...(await signedResponse(photographer)),
+      certificates: [btoa(String.fromCharCode(...photographer.der))]
+    });
+    const undelegated = await RevocationStatusClient.checkStatus(photographer, intermediate);
+    expect(undelegated.status).toBe('unknown');
+    expect(undelegated.error).toBe('Responder certificate is not authorized to sign status responses');
+
+    RevocationStatusClient.clearCache();
+    const foreign = await CertificateAuthority.issueResponderCertificate({ name: 'Root Status Responder' }, root);
+    respondWith({
+      ...(await signedResponse(foreign)),
+      certificates: [btoa(String.fromCharCode(...foreign.der))]
+    });
+    const otherIssuer = await RevocationStatusClient.checkStatus(photographer, intermediate);
+    expect(otherIssuer.status).toBe('unknown');
+    expect(otherIssuer.error).toBe('Responder certificate was not issued by the certificate issuer');
+  });
+
+  it('should refuse out of date responses and fall back to revocation lists', async () => {
+    respondWith(await signedResponse(intermediate, {
+      thisUpdate: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+      nextUpdate: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+    }));
+    const { crl } = await CertificateAuthority.publishRevocationList(intermediate);
+
+    const check = RevocationStatusClient.createRevocationCheck([crl]);
+    const status = await check(photographer, intermediate);
+    expect(status).toMatchObject({ source: 'crl', status: 'good' });
+
+    const withoutList = await RevocationStatusClient.createRevocationCheck([])(photographer, intermediate);
+    expect(withoutList).toMatchObject({ source: 'ocsp', status: 'unknown', error: 'Status response is out of date' });
+  });
+
+  it('should export a responder bundle with a delegated responder key, not the CA key', async () => {
+    const revoked = CertificateAuthority.revokeCertificate(intermediate, {
+      serialNumber: photographer.tbsCertificate.serialNumber,
+      reason: 'superseded'
+    });
+    const responder = await CertificateAuthority.issueResponderCertificate({ name: 'Agency Status Responder' }, intermediate);
+    const bundle = CertificateAuthority.createResponderBundle(revoked, responder);
+
+    expect(bundle.type).toBe(CertificateAuthority.RESPONDER_BUNDLE_TYPE);
+    expect(bundle.issuer.name).toBe(intermediate.tbsCertificate.subject.string);
+    expect(bundle.issuer.keyId).toBe(RevocationStatusClient.getIssuerKeyId(intermediate));
+    expect(bundle.responder.name).toBe(responder.tbsCertificate.subject.string);
+    expect(bundle.privateKey).toBe(ASN1.toPEM(responder.privateKey, 'PRIVATE KEY'));
+    expect(bundle.privateKey).not.toBe(ASN1.toPEM(intermediate.privateKey, 'PRIVATE KEY'));
+    expect(X509Certificate.getExtension(responder, X509Certificate.EXTENSIONS.EXTENDED_KEY_USAGE).extnValue)
+      .toEqual([X509Certificate.EXTENDED_KEY_USAGE.OCSP_SIGNING]);
+    expect(() => CertificateAuthority.createResponderBundle(revoked, photographer))
+      .toThrow('Certificate is not a status responder certificate');
+    expect(bundle.revocations).toEqual([expect.objectContaining({
+      serialNumber: photographer.tbsCertificate.serialNumber,
+      reason: 'superseded'
+    })]);
+    expect(() => CertificateAuthority.setResponderUrl(intermediate, 'ftp://example.com/ocsp'))
+      .toThrow('Responder URL must use http or https');
+  });
+});
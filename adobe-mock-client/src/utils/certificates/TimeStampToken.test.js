@@ -0,0 +1,199 @@
+import { TimeStampToken } from './TimeStampToken';
+import { CertificateAuthority } from './CertificateAuthority';
+import { X509Certificate } from './X509Certificate';
+import { ASN1 } from './ASN1';
+import { WebCryptoUtils } from '../crypto/WebCryptoUtils';
+import { C2PAManifest } from '../c2pa/C2PAManifest';
+
+const TSA_URL = 'http://localhost:8788/tsa';
+
+describe('TimeStampToken', () => {
+  let root;
+  let tsa;
+  let photographer;
+  let anchors;
+
+  beforeAll(async () => {
+    root = await CertificateAuthority.createRootCA({ name: 'Agency Root CA', organization: 'Agency' });
+    tsa = await CertificateAuthority.issueTimestampingCertificate({ name: 'Agency TSA', organization: 'Agency' }, root);
+    photographer = await CertificateAuthority.issueCertificate({ name: 'Jane Photographer' }, root);
+    anchors = [CertificateAuthority.toTrustAnchor(root)];
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  // Build a token the way local-services/tsa-server.js does
+  const createToken = async (signer, data, { hashAlgorithm = 'SHA-384', hashedMessage = null, nonce = null, certHash = null } = {}) => {
+    const tstInfo = ASN1.sequence(
+      ASN1.integer(1),
+      ASN1.oid(TimeStampToken.DEFAULT_POLICY),
+      ASN1.sequence(
+        ASN1.sequence(ASN1.oid(TimeStampToken.HASH_ALGORITHMS[hashAlgorithm])),
+        ASN1.octetString(hashedMessage || await TimeStampToken.digest(hashAlgorithm, data))
+      ),
+      ASN1.integer('0a1b2c3d'),
+      ASN1.generalizedTime(new Date()),
+      ASN1.sequence(ASN1.integer(1)),
+      nonce ? ASN1.integer(nonce) : null
+    );
+
+    const signedAttributes = ASN1.set(
+      ASN1.sequence(ASN1.oid(TimeStampToken.OIDS.CONTENT_TYPE), ASN1.set(ASN1.oid(TimeStampToken.OIDS.TST_INFO))),
+      ASN1.sequence(ASN1.oid(TimeStampToken.OIDS.MESSAGE_DIGEST), ASN1.set(ASN1.octetString(await TimeStampToken.digest('SHA-384', tstInfo)))),
+      ASN1.sequence(
+        ASN1.oid(TimeStampToken.OIDS.SIGNING_CERTIFICATE_V2),
+        ASN1.set(ASN1.sequence(ASN1.sequence(ASN1.sequence(ASN1.octetString(certHash || await TimeStampToken.digest('SHA-256', signer.der))))))
+      )
+    );
+    const signature = await WebCryptoUtils.signData(signer.keyPair.privateKey, signedAttributes);
+
+    const tbs = ASN1.decode(signer.der).children[0].children;
+    const signerInfo = ASN1.sequence(
+      ASN1.integer(1),
+      ASN1.sequence(tbs[3].raw, tbs[1].raw),
+      ASN1.sequence(ASN1.oid(TimeStampToken.HASH_ALGORITHMS['SHA-384'])),
+      ASN1.contextSpecific(0, ASN1.decode(signedAttributes).content),
+      X509Certificate.encodeAlgorithmIdentifier('ES384'),
+      ASN1.octetString(ASN1.encodeECDSASignature(signature))
+    );
+
+    return ASN1.sequence(
+      ASN1.oid(TimeStampToken.OIDS.SIGNED_DATA),
+      ASN1.contextSpecific(0, ASN1.sequence(
+        ASN1.integer(3),
+        ASN1.set(ASN1.sequence(ASN1.oid(TimeStampToken.HASH_ALGORITHMS['SHA-384']))),
+        ASN1.sequence(ASN1.oid(TimeStampToken.OIDS.TST_INFO), ASN1.contextSpecific(0, ASN1.octetString(tstInfo))),
+        ASN1.contextSpecific(0, signer.der),
+        ASN1.set(signerInfo)
+      ))
+    );
+  };
+
+  // A TSA answering every request for the digest and nonce it was sent
+  const respondAsTsa = async (url, { body }) => {
+    const [, imprint, nonce] = ASN1.decode(body).children;
+    const token = await createToken(tsa, null, {
+      hashAlgorithm: TimeStampToken.hashAlgorithmName(ASN1.decodeOID(imprint.children[0].children[0])),
+      hashedMessage: imprint.children[1].content,
+      nonce: ASN1.decodeIntegerHex(nonce)
+    });
+    const reply = ASN1.sequence(ASN1.sequence(ASN1.integer(0)), token);
+    return { ok: true, status: 200, arrayBuffer: async () => reply.buffer };
+  };
+
+  it('should issue TSA certificates with a single critical time-stamping usage', () => {
+    const extendedKeyUsage = X509Certificate.getExtension(tsa, X509Certificate.EXTENSIONS.EXTENDED_KEY_USAGE);
+    expect(extendedKeyUsage).toMatchObject({ critical: true, extnValue: [X509Certificate.EXTENDED_KEY_USAGE.TIMESTAMPING] });
+
+    const bundle = CertificateAuthority.createTimestampingBundle(tsa);
+    expect(bundle).toMatchObject({ type: CertificateAuthority.TIMESTAMPING_BUNDLE_TYPE, policy: TimeStampToken.DEFAULT_POLICY });
+    expect(bundle.certificates).toContain('-----BEGIN CERTIFICATE-----');
+    expect(() => CertificateAuthority.createTimestampingBundle(photographer)).toThrow('Certificate is not a time-stamping certificate');
+  });
+
+  it('should verify a token over the data as trusted time', async () => {
+    const token = await createToken(tsa, 'signature bytes');
+
+    const result = await TimeStampToken.verify(Array.from(token), 'signature bytes', { trustAnchors: anchors });
+    expect(result.errors).toEqual([]);
+    expect(result).toMatchObject({ valid: true, trusted: true, tsa: tsa.tbsCertificate.subject.string, policy: TimeStampToken.DEFAULT_POLICY });
+    expect(result.accuracy.seconds).toBe(1);
+
+    const untrusted = await TimeStampToken.verify(token, 'signature bytes', { trustAnchors: [] });
+    expect(untrusted).toMatchObject({ valid: true, trusted: false });
+  });
+
+  it('should reject tokens for other data, tampered tokens and wrong signers', async () => {
+    const token = await createToken(tsa, 'signature bytes');
+
+    const otherData = await TimeStampToken.verify(token, 'other bytes', { trustAnchors: anchors });
+    expect(otherData.valid).toBe(false);
+    expect(otherData.errors).toContain('Timestamp does not cover this signature');
+
+    // Flip a byte of the signature at the end of the token
+    const tampered = Array.from(token);
+    tampered[tampered.length - 5] ^= 0x01;
+    const tamperedResult = await TimeStampToken.verify(tampered, 'signature bytes', { trustAnchors: anchors });
+    expect(tamperedResult.errors).toContain('Timestamp signature does not verify');
+
+    const notTsa = await TimeStampToken.verify(await createToken(photographer, 'signature bytes'), 'signature bytes', { trustAnchors: anchors });
+    expect(notTsa.errors).toContain('Signer is not a time-stamping certificate');
+
+    const wrongCertHash = await TimeStampToken.verify(
+      await createToken(tsa, 'signature bytes', { certHash: new Uint8Array(32) }),
+      'signature bytes',
+      { trustAnchors: anchors }
+    );
+    expect(wrongCertHash.errors).toContain('Timestamp signing certificate hash does not match');
+  });
+
+  it('should timestamp the claim signature and fall back to the local clock', async () => {
+    global.fetch = jest.fn(respondAsTsa);
+
+    const createSigned = async (options) => C2PAManifest.signManifest(
+      await C2PAManifest.createManifest({ hash: 'abc123' }, photographer, 'Harbour at dawn', null),
+      photographer,
+      options
+    );
+
+    const manifest = await createSigned({ timestampAuthorityUrl: TSA_URL });
+    const { timestamp } = manifest.manifests[manifest.active_manifest].claim_signature;
+    expect(global.fetch).toHaveBeenCalledWith(TSA_URL, expect.objectContaining({ method: 'POST' }));
+    expect(timestamp).toMatchObject({ authority: 'rfc3161', tsa: tsa.tbsCertificate.subject.string });
+
+    const verified = await C2PAManifest.verifySignatureTimestamp(manifest, { trustAnchors: anchors });
+    expect(verified).toMatchObject({ valid: true, trusted: true, genTime: timestamp.time });
+
+    // The token only covers the signature it was issued for
+    manifest.manifests[manifest.active_manifest].claim_signature.signature[0] ^= 0x01;
+    expect((await C2PAManifest.verifySignatureTimestamp(manifest, { trustAnchors: anchors })).valid).toBe(false);
+
+    global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const offline = await createSigned({ timestampAuthorityUrl: TSA_URL });
+    expect(offline.manifests[offline.active_manifest].claim_signature.timestamp.authority).toBe('self-signed');
+    expect(await C2PAManifest.verifySignatureTimestamp(offline)).toBeNull();
+  });
+
+  it('should chain archive timestamps over the signature without changing the claim', async () => {
+    global.fetch = jest.fn(respondAsTsa);
+    const manifest = await C2PAManifest.signManifest(
+      await C2PAManifest.createManifest({ hash: 'abc123' }, photographer, 'Harbour at dawn', null),
+      photographer,
+      { timestampAuthorityUrl: TSA_URL }
+    );
+    const activeManifest = manifest.manifests[manifest.active_manifest];
+    const signed = JSON.stringify({ claim: activeManifest.claim, signature: activeManifest.claim_signature.signature });
+
+    await C2PAManifest.addArchiveTimestamp(manifest, TSA_URL);
+    await C2PAManifest.addArchiveTimestamp(manifest, TSA_URL);
+    const archived = JSON.parse(JSON.stringify(manifest));
+
+    const archivedManifest = archived.manifests[archived.active_manifest];
+    expect(JSON.stringify({ claim: archivedManifest.claim, signature: archivedManifest.claim_signature.signature })).toBe(signed);
+    expect(archivedManifest.claim_signature.archive_timestamps.map(entry => entry.hashAlgorithm)).toEqual(['SHA-512', 'SHA-512']);
+
+    const publicKey = photographer.tbsCertificate.subjectPublicKeyInfo.publicKey;
+    expect((await C2PAManifest.verifyManifestSignature(archived, publicKey)).valid).toBe(true);
+
+    const verified = await C2PAManifest.verifyArchiveTimestamps(archived, { trustAnchors: anchors });
+    expect(verified.errors).toEqual([]);
+    expect(verified).toMatchObject({ valid: true, trusted: true, signatureTimestamp: { trusted: true } });
+    expect(verified.entries).toHaveLength(2);
+    expect(verified.latestTime).toBe(archivedManifest.claim_signature.archive_timestamps[1].time);
+
+    // The second archive timestamp covers the first one
+    const tampered = JSON.parse(JSON.stringify(archived));
+    tampered.manifests[tampered.active_manifest].claim_signature.archive_timestamps[0].token[20] ^= 0x01;
+    const tamperedResult = await C2PAManifest.verifyArchiveTimestamps(tampered, { trustAnchors: anchors });
+    expect(tamperedResult.valid).toBe(false);
+    expect(tamperedResult.errors).toContain('Archive timestamp 2: Timestamp does not cover this signature');
+
+    expect(await C2PAManifest.verifyArchiveTimestamps(
+      await C2PAManifest.signManifest(await C2PAManifest.createManifest({ hash: 'abc123' }, photographer, 'Unarchived', null), photographer)
+    )).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+import { KeyVault } from './KeyVault';
+import { WebCryptoUtils } from './WebCryptoUtils';
+import { X509Certificate } from '../certificates/X509Certificate';
+
+describe('KeyVault', () => {
+  // Far fewer iterations than the default keep the tests fast
+  const ITERATIONS = 1000;
+  let certificate;
+  let vaultKey;
+
+  beforeAll(async () => {
+    certificate = await X509Certificate.generateCertificate({ name: 'Test Photographer' });
+    vaultKey = await KeyVault.deriveKey('correct horse battery staple', { iterations: ITERATIONS });
+  });
+
+  it('should store only the encrypted private key', async () => {
+    const locked = await KeyVault.lock(certificate, vaultKey);
+
+    expect(locked.keyPair).toBeUndefined();
+    expect(locked.privateKey).toBeUndefined();
+    expect(locked.encryptedPrivateKey).toMatchObject({
+      cipher: 'AES-GCM',
+      kdf: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: ITERATIONS,
+      salt: vaultKey.salt
+    });
+    expect(locked.encryptedPrivateKey.ciphertext).not.toEqual(certificate.privateKey);
+    expect(KeyVault.isLocked(locked)).toBe(true);
+    expect(KeyVault.hasPlaintextKey(locked)).toBe(false);
+  });
+
+  it('should unlock a stored key that signs for the certificate', async () => {
+    const locked = JSON.parse(JSON.stringify(await KeyVault.lock(certificate, vaultKey)));
+    const reopened = await KeyVault.deriveKey('correct horse battery staple', KeyVault.getParameters(locked));
+
+    const unlocked = await KeyVault.unlock(locked, reopened);
+    expect(unlocked.privateKey).toEqual(certificate.privateKey);
+    expect(unlocked.keyPair.privateKey.extractable).toBe(false);
+
+    const signature = await WebCryptoUtils.signData(unlocked.keyPair.privateKey, 'claim');
+    expect(await WebCryptoUtils.verifySignature(certificate.keyPair.publicKey, signature, 'claim')).toBe(true);
+    expect(KeyVault.forget(unlocked)).toEqual(locked);
+  });
+
+  it('should reject a wrong passphrase and tampered ciphertext', async () => {
+    const locked = await KeyVault.lock(certificate, vaultKey);
+
+    const wrongKey = await KeyVault.deriveKey('wrong passphrase', KeyVault.getParameters(locked));
+    await expect(KeyVault.unlock(locked, wrongKey)).rejects.toThrow('Incorrect passphrase');
+
+    const otherVault = await KeyVault.deriveKey('correct horse battery staple', { iterations: ITERATIONS });
+    await expect(KeyVault.unlock(locked, otherVault)).rejects.toThrow('Key was encrypted with a different passphrase');
+
+    locked.encryptedPrivateKey.ciphertext[0] ^= 0x01;
+    await expect(KeyVault.unlock(locked, vaultKey)).rejects.toThrow('Incorrect passphrase');
+  });
+});
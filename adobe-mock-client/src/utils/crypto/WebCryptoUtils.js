@@ -1,15 +1,109 @@
+import { ASN1 } from '../certificates/ASN1';
+
 export class WebCryptoUtils {
-  static async generateKeyPair() {
+  // Signature algorithms by their C2PA (COSE) names. Each key type signs
+  // with exactly one of them, so a key's algorithm determines its signatures.
+  static SIGNATURE_ALGORITHMS = {
+    ES256: {
+      key: { name: 'ECDSA', namedCurve: 'P-256' },
+      sign: { name: 'ECDSA', hash: 'SHA-256' }
+    },
+    ES384: {
+      key: { name: 'ECDSA', namedCurve: 'P-384' },
+      sign: { name: 'ECDSA', hash: 'SHA-384' }
+    },
+    PS256: {
+      key: { name: 'RSA-PSS', hash: 'SHA-256' },
+      generate: { modulusLength: 2048, publicExponent: new Uint8Array([0x01, 0x00, 0x01]) },
+      sign: { name: 'RSA-PSS', saltLength: 32 }
+    },
+    Ed25519: {
+      key: { name: 'Ed25519' },
+      sign: { name: 'Ed25519' }
+    }
+  };
+
+  static DEFAULT_SIGNATURE_ALGORITHM = 'ES384';
+
+  static HASH_ALGORITHMS = ['SHA-256', 'SHA-384', 'SHA-512'];
+
+  static DEFAULT_HASH_ALGORITHM = 'SHA-384';
+
+  // AlgorithmIdentifier OIDs found in SPKI and PKCS#8 key encodings
+  static KEY_OIDS = {
+    EC_PUBLIC_KEY: '1.2.840.10045.2.1',
+    RSA_ENCRYPTION: '1.2.840.113549.1.1.1',
+    RSASSA_PSS: '1.2.840.113549.1.1.10',
+    ED25519: '1.3.101.112'
+  };
+
+  static CURVE_ALGORITHMS = {
+    '1.2.840.10045.3.1.7': 'ES256',
+    '1.3.132.0.34': 'ES384'
+  };
+
+  static getAlgorithm(name) {
+    const algorithm = this.SIGNATURE_ALGORITHMS[name];
+    if (!algorithm) {
+      throw new Error(`Unsupported signature algorithm: ${name}`);
+    }
+    return algorithm;
+  }
+
+  static async generateKeyPair(algorithm = this.DEFAULT_SIGNATURE_ALGORITHM) {
+    const { key, generate } = this.getAlgorithm(algorithm);
     return await crypto.subtle.generateKey(
-      {
-        name: "ECDSA",
-        namedCurve: "P-384",
-      },
+      { ...key, ...generate },
       true,
       ["sign", "verify"]
     );
   }
 
+  /**
+   * Signature algorithm name for an imported CryptoKey
+   */
+  static getKeyAlgorithm(cryptoKey) {
+    const { name, namedCurve, hash } = cryptoKey?.algorithm || {};
+    const match = Object.entries(this.SIGNATURE_ALGORITHMS).find(([, { key }]) =>
+      key.name === name &&
+      (!key.namedCurve || key.namedCurve === namedCurve) &&
+      (!key.hash || key.hash === hash?.name)
+    );
+    if (!match) {
+      throw new Error(`Unsupported key algorithm: ${name || 'unknown'}`);
+    }
+    return match[0];
+  }
+
+  /**
+   * Signature algorithm name for SPKI or PKCS#8 key bytes, read from the
+   * key's AlgorithmIdentifier. RSA keys sign with PS256.
+   */
+  static detectKeyAlgorithm(keyData) {
+    const fields = ASN1.decode(new Uint8Array(keyData)).children || [];
+    // PKCS#8 carries a version INTEGER ahead of the AlgorithmIdentifier
+    const algorithmNode = fields[0]?.tag === ASN1.TAGS.INTEGER ? fields[1] : fields[0];
+    const [oidNode, parametersNode] = algorithmNode?.children || [];
+    const oid = oidNode ? ASN1.decodeOID(oidNode) : null;
+
+    switch (oid) {
+      case this.KEY_OIDS.EC_PUBLIC_KEY: {
+        const curve = parametersNode?.tag === ASN1.TAGS.OID ? ASN1.decodeOID(parametersNode) : null;
+        if (this.CURVE_ALGORITHMS[curve]) {
+          return this.CURVE_ALGORITHMS[curve];
+        }
+        throw new Error(`Unsupported elliptic curve: ${curve || 'unknown'}`);
+      }
+      case this.KEY_OIDS.RSA_ENCRYPTION:
+      case this.KEY_OIDS.RSASSA_PSS:
+        return 'PS256';
+      case this.KEY_OIDS.ED25519:
+        return 'Ed25519';
+      default:
+        throw new Error(`Unsupported key algorithm: ${oid || 'unknown'}`);
+    }
+  }
+
   static async exportPublicKey(publicKey) {
     const exported = await crypto.subtle.exportKey("spki", publicKey);
     return Array.from(new Uint8Array(exported));
@@ -20,25 +114,123 @@ export class WebCryptoUtils {
     return Array.from(new Uint8Array(exported));
   }
 
-  static async signData(privateKey, data) {
-    const encoder = new TextEncoder();
-    const encodedData = encoder.encode(data);
-    
-    const signature = await crypto.subtle.sign(
-      {
-        name: "ECDSA",
-        hash: "SHA-384",
-      },
-      privateKey,
-      encodedData
+  static async importPublicKey(keyData, algorithm = this.detectKeyAlgorithm(keyData)) {
+    return await crypto.subtle.importKey(
+      "spki",
+      new Uint8Array(keyData),
+      this.getAlgorithm(algorithm).key,
+      true,
+      ["verify"]
     );
-    
+  }
+
+  static async importPrivateKey(keyData, extractable = false, algorithm = this.detectKeyAlgorithm(keyData)) {
+    return await crypto.subtle.importKey(
+      "pkcs8",
+      new Uint8Array(keyData),
+      this.getAlgorithm(algorithm).key,
+      extractable,
+      ["sign"]
+    );
+  }
+
+  static async signData(privateKey, data) {
+    const encodedData = this.encodeData(data);
+    const { sign } = this.getAlgorithm(this.getKeyAlgorithm(privateKey));
+
+    const signature = await crypto.subtle.sign(sign, privateKey, encodedData);
+
     return Array.from(new Uint8Array(signature));
   }
 
-  static async hashImageData(imageData) {
+  static async verifySignature(publicKey, signature, data) {
+    const encodedData = this.encodeData(data);
+
+    try {
+      const { sign } = this.getAlgorithm(this.getKeyAlgorithm(publicKey));
+      return await crypto.subtle.verify(
+        sign,
+        publicKey,
+        new Uint8Array(signature),
+        encodedData
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Strings are signed as UTF-8; byte arrays (e.g. DER structures) as-is
+   */
+  static encodeData(data) {
+    if (typeof data === 'string') {
+      return new TextEncoder().encode(data);
+    }
+    return new Uint8Array(data);
+  }
+
+  /**
+   * Serialize a JSON value following RFC 8785 (JSON Canonicalization Scheme).
+   * Object keys are sorted by UTF-16 code units and numbers use the
+   * ECMAScript shortest round-trip form, so equal values always produce
+   * equal bytes regardless of how the object was built.
+   */
+  static canonicalize(value) {
+    if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+      value = value.toJSON();
+    }
+
+    if (value === null) {
+      return 'null';
+    }
+
+    switch (typeof value) {
+      case 'boolean':
+        return value ? 'true' : 'false';
+      case 'number':
+        if (!Number.isFinite(value)) {
+          throw new Error('Cannot canonicalize non-finite number');
+        }
+        return JSON.stringify(value);
+      case 'string':
+        return JSON.stringify(value);
+      case 'object':
+        if (Array.isArray(value)) {
+          const items = value.map(item =>
+            item === undefined || typeof item === 'function' ? 'null' : this.canonicalize(item)
+          );
+          return `[${items.join(',')}]`;
+        }
+        {
+          const members = Object.keys(value)
+            .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`);
+          return `{${members.join(',')}}`;
+        }
+      default:
+        throw new Error(`Cannot canonicalize value of type ${typeof value}`);
+    }
+  }
+
+  static bytesEqual(a, b) {
+    if (!a || !b || a.length !== b.length) {
+      return false;
+    }
+
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a[i] ^ b[i];
+    }
+    return diff === 0;
+  }
+
+  static async hashImageData(imageData, hashAlgorithm = this.DEFAULT_HASH_ALGORITHM) {
+    if (!this.HASH_ALGORITHMS.includes(hashAlgorithm)) {
+      throw new Error(`Unsupported hash algorithm: ${hashAlgorithm}`);
+    }
     const cleanImageData = await this.stripMetadata(imageData);
-    const hashBuffer = await crypto.subtle.digest('SHA-384', cleanImageData);
+    const hashBuffer = await crypto.subtle.digest(hashAlgorithm, cleanImageData);
     return Array.from(new Uint8Array(hashBuffer));
   }
 
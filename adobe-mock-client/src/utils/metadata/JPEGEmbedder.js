@@ -1,15 +1,123 @@
+import { C2PAManifest } from '../c2pa/C2PAManifest';
+import { JUMBF } from '../c2pa/JUMBF';
+
 export class JPEGEmbedder {
+  static MARKER_APP11 = 0xEB;
   static MARKER_APP15 = 0xEF;
+  static MARKER_COM = 0xFE;
   static SIGNATURE = 'IMGTRUST';
+  // COM segments that fill the certification region up to the length
+  // excluded from the signed image hash
+  static PADDING_SIGNATURE = 'IMGTRUST PADDING';
+  // APP11 JUMBF segments (ISO/IEC 19566-5): common identifier 'JP', box
+  // instance number and packet sequence number, then the box itself. Every
+  // continuation segment repeats the box's LBox and TBox.
+  static JUMBF_COMMON_IDENTIFIER = 0x4A50;
+  static JUMBF_SEGMENT_OVERHEAD = 2 + 2 + 2 + 4 + 8;
+  static MAX_SEGMENT_LENGTH = 65535;
+
+  // Where the manifest goes: the APP15 certification payload, a standard
+  // C2PA manifest store in APP11, or both
+  static FORMATS = {
+    APP15: 'app15',
+    JUMBF: 'jumbf',
+    BOTH: 'both'
+  };
 
-  static async embedCertification(imageBuffer, certificationData) {
+  static async embedCertification(imageBuffer, certificationData, { format = this.FORMATS.APP15 } = {}) {
     const uint8Array = new Uint8Array(imageBuffer);
     
     if (!this.isValidJPEG(uint8Array)) {
       throw new Error('Invalid JPEG file');
     }
+    if (!Object.values(this.FORMATS).includes(format)) {
+      throw new Error(`Unknown JPEG manifest format: ${format}`);
+    }
+
+    const region = await this.createCertificationRegion(certificationData, format, this.nextJUMBFInstance(uint8Array));
+    const [exclusion] = C2PAManifest.getSignedExclusions(certificationData.manifest) || [];
+    if (!exclusion) {
+      return this.insertSegment(uint8Array, region);
+    }
+
+    // The signed hash covers everything outside the exclusion, so the
+    // region must fill it exactly
+    if (exclusion.start !== this.getCertificationOffset(uint8Array)) {
+      throw new Error('Image does not match the certification region recorded in the manifest');
+    }
+    if (region.length > exclusion.length) {
+      throw new Error(`Certification needs ${region.length} bytes but only ${exclusion.length} were reserved when the image was signed`);
+    }
+    return this.insertSegment(uint8Array, JUMBF.concat(region, this.createPadding(exclusion.length - region.length)));
+  }
+
+  /**
+   * The certification segments for a format, without padding
+   */
+  static async createCertificationRegion(certificationData, format, instance = 1) {
+    const segments = [];
+    if (format !== this.FORMATS.APP15) {
+      const jumbf = await C2PAManifest.exportAsJUMBF(certificationData.manifest);
+      segments.push(this.createJUMBFSegments(jumbf, instance));
+    }
+    if (format !== this.FORMATS.JUMBF) {
+      segments.push(this.createCertificationSegment(certificationData));
+    }
+    return JUMBF.concat(...segments);
+  }
+
+  /**
+   * Bytes embedCertification needs for the certification, before padding
+   */
+  static async getCertificationLength(certificationData, { format = this.FORMATS.APP15 } = {}) {
+    return (await this.createCertificationRegion(certificationData, format)).length;
+  }
+
+  /**
+   * Where embedCertification inserts the certification into an image
+   * without one
+   */
+  static getCertificationOffset(imageBuffer) {
+    return this.findInsertPosition(new Uint8Array(imageBuffer));
+  }
+
+  /**
+   * Padding COM segments of exactly `length` bytes. Gaps too short for a
+   * segment are filled with 0xFF fill bytes, which may precede any marker.
+   */
+  static createPadding(length) {
+    const minimum = 4 + this.PADDING_SIGNATURE.length;
+    if (length < minimum) {
+      return new Uint8Array(length).fill(0xFF);
+    }
+
+    const signature = new TextEncoder().encode(this.PADDING_SIGNATURE);
+    const segments = [];
+    let remaining = length;
+    while (remaining > 0) {
+      // Leave enough for a last segment rather than a few stray bytes
+      let segmentLength = Math.min(remaining, this.MAX_SEGMENT_LENGTH + 2);
+      if (remaining - segmentLength > 0 && remaining - segmentLength < minimum) {
+        segmentLength -= minimum;
+      }
+      const segment = new Uint8Array(segmentLength);
+      segment[0] = 0xFF;
+      segment[1] = this.MARKER_COM;
+      segment[2] = ((segmentLength - 2) >> 8) & 0xFF;
+      segment[3] = (segmentLength - 2) & 0xFF;
+      segment.set(signature, 4);
+      segments.push(segment);
+      remaining -= segmentLength;
+    }
+    return JUMBF.concat(...segments);
+  }
 
-    const certPayload = JSON.stringify(certificationData);
+  static createCertificationSegment(certificationData) {
+    // Archive timestamps only go to the C2PA manifest store: they would
+    // soon outgrow one segment and the space reserved at signing
+    const certPayload = JSON.stringify(certificationData.manifest
+      ? { ...certificationData, manifest: C2PAManifest.withoutArchiveTimestamps(certificationData.manifest) }
+      : certificationData);
     const certBytes = new TextEncoder().encode(certPayload);
     const segmentLength = certBytes.length + this.SIGNATURE.length + 2;
     
@@ -17,8 +125,211 @@ export class JPEGEmbedder {
       throw new Error('Certification data too large for JPEG segment');
     }
 
-    const appSegment = this.createAPP15Segment(certBytes, segmentLength);
-    return this.insertSegment(uint8Array, appSegment);
+    return this.createAPP15Segment(certBytes, segmentLength);
+  }
+
+  /**
+   * Split a JUMBF superbox over as many APP11 segments as it needs
+   */
+  static createJUMBFSegments(jumbfBytes, instance) {
+    const header = jumbfBytes.subarray(0, JUMBF.HEADER_LENGTH);
+    const payload = jumbfBytes.subarray(JUMBF.HEADER_LENGTH);
+    const chunkLength = this.MAX_SEGMENT_LENGTH - this.JUMBF_SEGMENT_OVERHEAD;
+
+    const segments = [];
+    for (let offset = 0, sequence = 1; offset < payload.length || sequence === 1; offset += chunkLength, sequence++) {
+      const chunk = payload.subarray(offset, offset + chunkLength);
+      const segment = new Uint8Array(2 + this.JUMBF_SEGMENT_OVERHEAD + chunk.length);
+      const view = new DataView(segment.buffer);
+      segment[0] = 0xFF;
+      segment[1] = this.MARKER_APP11;
+      view.setUint16(2, this.JUMBF_SEGMENT_OVERHEAD + chunk.length);
+      view.setUint16(4, this.JUMBF_COMMON_IDENTIFIER);
+      view.setUint16(6, instance);
+      view.setUint32(8, sequence);
+      segment.set(header, 12);
+      segment.set(chunk, 20);
+      segments.push(segment);
+    }
+    return JUMBF.concat(...segments);
+  }
+
+  /**
+   * Replace the embedded certification, e.g. after archive timestamps were
+   * added to its manifest. The formats already present are written again;
+   * the image data is copied unchanged.
+   */
+  static async replaceCertification(imageBuffer, certificationData) {
+    const format = this.getReplacementFormat(new Uint8Array(imageBuffer), certificationData);
+    return this.embedCertification(this.removeCertification(imageBuffer), certificationData, { format });
+  }
+
+  /**
+   * Bytes replaceCertification needs for the certification, before padding
+   */
+  static async getReplacementLength(imageBuffer, certificationData) {
+    const format = this.getReplacementFormat(new Uint8Array(imageBuffer), certificationData);
+    return this.getCertificationLength(certificationData, { format });
+  }
+
+  /**
+   * The formats already embedded, plus the manifest store once there are
+   * archive timestamps, which the APP15 copy leaves out
+   */
+  static getReplacementFormat(uint8Array, certificationData) {
+    const hasCertification = this.findSegments(uint8Array).some(segment => this.isCertificationSegment(uint8Array, segment));
+    const hasJUMBF = this.findC2PAInstances(uint8Array).size > 0;
+    const manifest = certificationData.manifest;
+    const archived = !!manifest?.manifests?.[manifest?.active_manifest]?.claim_signature?.archive_timestamps?.length;
+    if (!hasJUMBF && !archived) {
+      return this.FORMATS.APP15;
+    }
+    return hasCertification ? this.FORMATS.BOTH : this.FORMATS.JUMBF;
+  }
+
+  /**
+   * Metadata segments before the scan data: { marker, offset, end }
+   */
+  static findSegments(uint8Array) {
+    const segments = [];
+    let offset = 2;
+    while (offset < uint8Array.length - 4 && uint8Array[offset] === 0xFF) {
+      const marker = uint8Array[offset + 1];
+      if (marker === 0xFF) {
+        offset++;
+        continue;
+      }
+      if (marker === 0xDA) {
+        break;
+      }
+
+      const end = offset + 2 + ((uint8Array[offset + 2] << 8) | uint8Array[offset + 3]);
+      segments.push({ marker, offset, end });
+      offset = end;
+    }
+    return segments;
+  }
+
+  static isCertificationSegment(uint8Array, { marker, offset }) {
+    const signature = new TextDecoder().decode(uint8Array.slice(offset + 4, offset + 4 + this.SIGNATURE.length));
+    return marker === this.MARKER_APP15 && signature === this.SIGNATURE;
+  }
+
+  static isPaddingSegment(uint8Array, { marker, offset }) {
+    const signature = new TextDecoder().decode(uint8Array.slice(offset + 4, offset + 4 + this.PADDING_SIGNATURE.length));
+    return marker === this.MARKER_COM && signature === this.PADDING_SIGNATURE;
+  }
+
+  /**
+   * APP11 JUMBF segments with their instance and sequence numbers
+   */
+  static findJUMBFSegments(uint8Array) {
+    return this.findSegments(uint8Array)
+      .filter(({ marker, offset, end }) => marker === this.MARKER_APP11 &&
+        end - offset >= 2 + this.JUMBF_SEGMENT_OVERHEAD &&
+        ((uint8Array[offset + 4] << 8) | uint8Array[offset + 5]) === this.JUMBF_COMMON_IDENTIFIER)
+      .map(segment => {
+        const view = new DataView(uint8Array.buffer, uint8Array.byteOffset + segment.offset);
+        return {
+          ...segment,
+          instance: view.getUint16(6),
+          sequence: view.getUint32(8)
+        };
+      });
+  }
+
+  /**
+   * Reassemble each JUMBF box from its APP11 segments, by instance number
+   */
+  static assembleJUMBF(uint8Array) {
+    const instances = new Map();
+    this.findJUMBFSegments(uint8Array).forEach(segment => {
+      instances.set(segment.instance, [...(instances.get(segment.instance) || []), segment]);
+    });
+
+    const boxes = new Map();
+    instances.forEach((segments, instance) => {
+      segments.sort((a, b) => a.sequence - b.sequence);
+      const header = uint8Array.subarray(segments[0].offset + 12, segments[0].offset + 20);
+      const headerLength = new DataView(header.buffer, header.byteOffset).getUint32(0) === 1 ? 16 : 8;
+      boxes.set(instance, JUMBF.concat(
+        uint8Array.subarray(segments[0].offset + 12, segments[0].offset + 12 + headerLength),
+        ...segments.map(segment => uint8Array.subarray(segment.offset + 12 + headerLength, segment.end))
+      ));
+    });
+    return boxes;
+  }
+
+  /**
+   * Instance numbers of the JUMBF boxes that are C2PA manifest stores
+   */
+  static findC2PAInstances(uint8Array) {
+    const instances = new Set();
+    this.assembleJUMBF(uint8Array).forEach((bytes, instance) => {
+      try {
+        if (JUMBF.parse(bytes)[0]?.description?.type === JUMBF.TYPES.C2PA_MANIFEST_STORE) {
+          instances.add(instance);
+        }
+      } catch (error) {
+        // Not a JUMBF box we can read; leave it alone
+      }
+    });
+    return instances;
+  }
+
+  static nextJUMBFInstance(uint8Array) {
+    return this.findJUMBFSegments(uint8Array).reduce((max, segment) => Math.max(max, segment.instance), 0) + 1;
+  }
+
+  /**
+   * The C2PA manifest store embedded in APP11, as JUMBF bytes, or null
+   */
+  static extractJUMBF(imageBuffer) {
+    const uint8Array = new Uint8Array(imageBuffer);
+    if (!this.isValidJPEG(uint8Array)) {
+      return null;
+    }
+
+    const [instance] = this.findC2PAInstances(uint8Array);
+    return instance === undefined ? null : this.assembleJUMBF(uint8Array).get(instance);
+  }
+
+  static removeCertification(imageBuffer) {
+    const uint8Array = new Uint8Array(imageBuffer);
+    if (!this.isValidJPEG(uint8Array)) {
+      throw new Error('Invalid JPEG file');
+    }
+
+    // The APP15 payload, the C2PA manifest store and their padding are removed
+    const c2paInstances = this.findC2PAInstances(uint8Array);
+    const c2paSegments = new Set(this.findJUMBFSegments(uint8Array)
+      .filter(segment => c2paInstances.has(segment.instance))
+      .map(segment => segment.offset));
+
+    const kept = [uint8Array.slice(0, 2)];
+    let offset = 2;
+    // Metadata segments end where the scan data starts
+    this.findSegments(uint8Array).forEach(segment => {
+      if (!this.isCertificationSegment(uint8Array, segment) &&
+          !this.isPaddingSegment(uint8Array, segment) &&
+          !c2paSegments.has(segment.offset)) {
+        kept.push(uint8Array.slice(segment.offset, segment.end));
+      }
+      offset = segment.end;
+    });
+    // Skip fill bytes before the scan
+    while (offset < uint8Array.length - 4 && uint8Array[offset] === 0xFF && uint8Array[offset + 1] === 0xFF) {
+      offset++;
+    }
+    kept.push(uint8Array.slice(offset));
+
+    const result = new Uint8Array(kept.reduce((length, part) => length + part.length, 0));
+    let position = 0;
+    kept.forEach(part => {
+      result.set(part, position);
+      position += part.length;
+    });
+    return result.buffer;
   }
 
   static isValidJPEG(uint8Array) {
@@ -43,6 +354,22 @@ export class JPEGEmbedder {
   }
 
   static insertSegment(originalArray, segment) {
+    const insertPosition = this.findInsertPosition(originalArray);
+    
+    // Create result array with our segment inserted at the right position
+    const result = new Uint8Array(originalArray.length + segment.length);
+    
+    // Copy everything before insertion point
+    result.set(originalArray.slice(0, insertPosition), 0);
+    // Insert our certification segment
+    result.set(segment, insertPosition);
+    // Copy everything after insertion point
+    result.set(originalArray.slice(insertPosition), insertPosition + segment.length);
+    
+    return result.buffer;
+  }
+
+  static findInsertPosition(originalArray) {
     // Find the right place to insert our APP15 segment
     // We should insert it after existing APP segments (APP0, APP1/EXIF, etc.)
     // but before the actual image data starts
@@ -71,18 +398,24 @@ export class JPEGEmbedder {
         insertPosition++;
       }
     }
-    
-    // Create result array with our segment inserted at the right position
-    const result = new Uint8Array(originalArray.length + segment.length);
-    
-    // Copy everything before insertion point
-    result.set(originalArray.slice(0, insertPosition), 0);
-    // Insert our certification segment
-    result.set(segment, insertPosition);
-    // Copy everything after insertion point
-    result.set(originalArray.slice(insertPosition), insertPosition + segment.length);
-    
-    return result.buffer;
+    return insertPosition;
+  }
+
+  /**
+   * The APP15 copy carries no archive timestamps; take them from the C2PA
+   * manifest store when there is one
+   */
+  static async withStoredArchiveTimestamps(uint8Array, certificationData) {
+    const jumbf = this.extractJUMBF(uint8Array);
+    if (!jumbf) {
+      return certificationData;
+    }
+    try {
+      return C2PAManifest.withArchiveTimestampsFrom(certificationData, await C2PAManifest.fromJUMBF(jumbf));
+    } catch (e) {
+      console.warn('Embedded C2PA manifest store could not be read:', e.message);
+      return certificationData;
+    }
   }
 
   static async extractCertification(imageBuffer) {
@@ -109,17 +442,29 @@ export class JPEGEmbedder {
             uint8Array.slice(dataOffset, dataOffset + dataLength)
           );
           
+          let certificationData;
           try {
-            return JSON.parse(certData);
+            certificationData = JSON.parse(certData);
           } catch (e) {
             return null;
           }
+          return this.withStoredArchiveTimestamps(uint8Array, certificationData);
         }
       }
       
       offset++;
     }
     
-    return null;
+    // Without the APP15 payload, read the standard manifest store
+    const jumbf = this.extractJUMBF(uint8Array);
+    if (!jumbf) {
+      return null;
+    }
+    try {
+      return C2PAManifest.createCertificationData(await C2PAManifest.fromJUMBF(jumbf));
+    } catch (e) {
+      console.warn('Embedded C2PA manifest store could not be read:', e.message);
+      return null;
+    }
   }
 }
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * DCT-based perceptual hash (pHash) of decoded image pixels. Unlike the
+ * image hash it survives metadata stripping, recompression and resizing,
+ * so an image whose certification was removed can still be matched to it.
+ */
+export class PerceptualHash {
+  // Soft binding algorithm name recorded in the manifest
+  static ALGORITHM = 'imgtrust.phash.dct';
+  // Pixels are reduced to SAMPLE_SIZE² luminance samples; the hash is the
+  // HASH_SIZE² lowest DCT frequencies compared to their median. As in pHash
+  // the first row and column are skipped, so the DC term (overall
+  // brightness) does not take part.
+  static SAMPLE_SIZE = 32;
+  static HASH_SIZE = 8;
+  // Images are decoded at this multiple of SAMPLE_SIZE, never at full size
+  static DECODE_SCALE = 4;
+  // Hashes at most this many bits apart are treated as the same picture
+  static MATCH_DISTANCE = 10;
+
+  /**
+   * Hash an image file or blob. Decoding needs a browser canvas; the image
+   * is scaled down while it is drawn so large photos stay cheap.
+   */
+  static async fromImage(blob) {
+    const size = this.SAMPLE_SIZE * this.DECODE_SCALE;
+    const bitmap = await createImageBitmap(blob, { resizeWidth: size, resizeHeight: size, resizeQuality: 'high' });
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = size;
+      canvas.height = size;
+      const context = canvas.getContext('2d');
+      context.imageSmoothingQuality = 'high';
+      context.drawImage(bitmap, 0, 0, size, size);
+      return this.fromPixels(context.getImageData(0, 0, size, size).data, size, size);
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  /**
+   * Hash RGBA pixels (as in ImageData.data). Returns 16 hex digits.
+   */
+  static fromPixels(rgba, width, height) {
+    if (!width || !height || rgba.length < width * height * 4) {
+      throw new Error('Image has no pixel data to hash');
+    }
+
+    const samples = this.sampleLuminance(rgba, width, height);
+    const coefficients = [];
+    const dct = this.dct2D(samples);
+    for (let v = 1; v <= this.HASH_SIZE; v++) {
+      for (let u = 1; u <= this.HASH_SIZE; u++) {
+        coefficients.push(dct[v * this.SAMPLE_SIZE + u]);
+      }
+    }
+
+    const sorted = [...coefficients].sort((a, b) => a - b);
+    const median = (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2;
+    let hex = '';
+    for (let i = 0; i < coefficients.length; i += 4) {
+      const nibble = coefficients.slice(i, i + 4).reduce((bits, value) => (bits << 1) | (value > median ? 1 : 0), 0);
+      hex += nibble.toString(16);
+    }
+    return hex;
+  }
+
+  /**
+   * Average the luminance over SAMPLE_SIZE² equal areas of the image
+   */
+  static sampleLuminance(rgba, width, height) {
+    const size = this.SAMPLE_SIZE;
+    const sums = new Float64Array(size * size);
+    const counts = new Float64Array(size * size);
+    for (let y = 0; y < height; y++) {
+      const row = Math.min(size - 1, Math.floor(y * size / height));
+      for (let x = 0; x < width; x++) {
+        const column = Math.min(size - 1, Math.floor(x * size / width));
+        const i = (y * width + x) * 4;
+        sums[row * size + column] += 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2];
+        counts[row * size + column]++;
+      }
+    }
+    // Images smaller than the sample grid repeat their nearest pixel
+    return sums.map((sum, index) => {
+      if (counts[index]) {
+        return sum / counts[index];
+      }
+      const y = Math.floor(Math.floor(index / size) * height / size);
+      const x = Math.floor((index % size) * width / size);
+      const i = (y * width + x) * 4;
+      return 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2];
+    });
+  }
+
+  /**
+   * Two-dimensional DCT-II of a SAMPLE_SIZE² grid, rows then columns
+   */
+  static dct2D(samples) {
+    const size = this.SAMPLE_SIZE;
+    const rows = new Float64Array(size * size);
+    for (let y = 0; y < size; y++) {
+      const row = this.dct1D(samples.subarray(y * size, (y + 1) * size));
+      rows.set(row, y * size);
+    }
+
+    const result = new Float64Array(size * size);
+    const column = new Float64Array(size);
+    for (let x = 0; x < size; x++) {
+      for (let y = 0; y < size; y++) {
+        column[y] = rows[y * size + x];
+      }
+      this.dct1D(column).forEach((value, y) => {
+        result[y * size + x] = value;
+      });
+    }
+    return result;
+  }
+
+  static dct1D(values) {
+    const n = values.length;
+    const result = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+      let sum = 0;
+      for (let i = 0; i < n; i++) {
+        sum += values[i] * Math.cos(Math.PI * (2 * i + 1) * k / (2 * n));
+      }
+      result[k] = sum;
+    }
+    return result;
+  }
+
+  /**
+   * Number of bits in which two hashes differ
+   */
+  static distance(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+      return Infinity;
+    }
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      while (bits) {
+        distance += bits & 1;
+        bits >>= 1;
+      }
+    }
+    return distance;
+  }
+
+  /**
+   * The closest entry whose `perceptualHash` is within MATCH_DISTANCE of
+   * the hash, with its distance, or null
+   */
+  static findClosest(hash, entries) {
+    return entries.reduce((best, entry) => {
+      const distance = this.distance(hash, entry.perceptualHash);
+      return distance <= this.MATCH_DISTANCE && (!best || distance < best.distance)
+        ? { ...entry, distance }
+        : best;
+    }, null);
+  }
+}
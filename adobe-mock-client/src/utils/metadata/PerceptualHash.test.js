@@ -0,0 +1,51 @@
+import { PerceptualHash } from './PerceptualHash';
+
+describe('PerceptualHash', () => {
+  // RGBA pixels of a picture given as luminance at relative coordinates
+  const render = (width, height, picture) => {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const value = picture(x / width, y / height);
+        rgba.set([value, value, value, 255], (y * width + x) * 4);
+      }
+    }
+    return rgba;
+  };
+
+  const landscape = (x, y) => (y > 0.6 ? 60 : 170) + 30 * Math.sin(x * 9) + ((x - 0.3) ** 2 + (y - 0.3) ** 2 < 0.02 ? 40 : 0);
+  const portrait = (x, y) => 128 + 100 * Math.cos((x + y) * 12) * (x > 0.5 ? 1 : -1);
+
+  it('should give the same picture at other sizes and contrast nearly the same hash', () => {
+    const original = PerceptualHash.fromPixels(render(160, 120, landscape), 160, 120);
+    const resized = PerceptualHash.fromPixels(render(97, 73, landscape), 97, 73);
+    const flatter = PerceptualHash.fromPixels(render(160, 120, (x, y) => landscape(x, y) * 0.9 + 20), 160, 120);
+
+    expect(original).toMatch(/^[0-9a-f]{16}$/);
+    expect(PerceptualHash.distance(original, resized)).toBeLessThanOrEqual(PerceptualHash.MATCH_DISTANCE);
+    expect(PerceptualHash.distance(original, flatter)).toBeLessThanOrEqual(PerceptualHash.MATCH_DISTANCE);
+
+    // Overall brightness is the DC term, which is not hashed
+    const darker = PerceptualHash.fromPixels(render(160, 120, (x, y) => landscape(x, y) - 20), 160, 120);
+    expect(darker).toBe(original);
+  });
+
+  it('should keep different pictures apart', () => {
+    const original = PerceptualHash.fromPixels(render(160, 120, landscape), 160, 120);
+    const other = PerceptualHash.fromPixels(render(160, 120, portrait), 160, 120);
+
+    expect(PerceptualHash.distance(original, other)).toBeGreaterThan(PerceptualHash.MATCH_DISTANCE);
+  });
+
+  it('should find the closest indexed hash within the match distance', () => {
+    const entries = [
+      { id: 'far', perceptualHash: 'ffffffffffffffff' },
+      { id: 'close', perceptualHash: '00000000000000f0' },
+      { id: 'closer', perceptualHash: '0000000000000001' }
+    ];
+
+    expect(PerceptualHash.distance('0000000000000000', 'f0000000000000f1')).toBe(9);
+    expect(PerceptualHash.findClosest('0000000000000000', entries)).toMatchObject({ id: 'closer', distance: 1 });
+    expect(PerceptualHash.findClosest('ffffffff00000000', entries)).toBeNull();
+  });
+});
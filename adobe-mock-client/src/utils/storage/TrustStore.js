@@ -1,8 +1,13 @@
+import { KeyVault } from '../crypto/KeyVault';
+
 export class TrustStore {
   static DB_NAME = 'ImageTrustStore';
-  static DB_VERSION = 3; // Increased version to force migration
+  static DB_VERSION = 6; // v6 adds the certificate revocation list store
   static STORE_NAME = 'certificates';
   static TRUSTED_STORE_NAME = 'trustedCertificates';
+  static AUTHORITY_STORE_NAME = 'authorities';
+  static PENDING_REQUEST_STORE_NAME = 'pendingRequests';
+  static REVOCATION_STORE_NAME = 'revocationLists';
 
   static async openDB() {
     return new Promise((resolve, reject) => {
@@ -37,11 +42,40 @@ export class TrustStore {
           trustedStore.createIndex('serialNumber', 'tbsCertificate.serialNumber', { unique: false });
           trustedStore.createIndex('imported', 'importedAt', { unique: false });
         }
+
+        // Local certificate authorities (root and intermediate CAs with keys)
+        if (!db.objectStoreNames.contains(this.AUTHORITY_STORE_NAME)) {
+          const authorityStore = db.createObjectStore(this.AUTHORITY_STORE_NAME, { keyPath: 'id' });
+          authorityStore.createIndex('subject', 'tbsCertificate.subject.string', { unique: false });
+          authorityStore.createIndex('role', 'caRole', { unique: false });
+        }
+
+        // Key pairs waiting for a CA to sign their certificate request
+        if (!db.objectStoreNames.contains(this.PENDING_REQUEST_STORE_NAME)) {
+          const requestStore = db.createObjectStore(this.PENDING_REQUEST_STORE_NAME, { keyPath: 'id' });
+          requestStore.createIndex('subject', 'subject.string', { unique: false });
+        }
+
+        // Latest CRL per issuer, keyed by the issuer's distinguished name
+        if (!db.objectStoreNames.contains(this.REVOCATION_STORE_NAME)) {
+          db.createObjectStore(this.REVOCATION_STORE_NAME, { keyPath: 'id' });
+        }
       };
     });
   }
 
+  /**
+   * Certificates and pending requests may only carry their private key in
+   * encrypted form (see KeyVault.lock)
+   */
+  static assertKeyEncrypted(record) {
+    if (KeyVault.hasPlaintextKey(record)) {
+      throw new Error('Private keys must be encrypted before they are stored');
+    }
+  }
+
   static async storeCertificate(certificate) {
+    this.assertKeyEncrypted(certificate);
     const db = await this.openDB();
     const transaction = db.transaction([this.STORE_NAME], 'readwrite');
     const store = transaction.objectStore(this.STORE_NAME);
@@ -183,11 +217,214 @@ export class TrustStore {
     });
   }
 
-  static async validateCertificateChain(certificate) {
+  // Certificate Authority Methods
+
+  static async storeAuthority(authority) {
+    this.assertKeyEncrypted(authority);
+    const db = await this.openDB();
+    const transaction = db.transaction([this.AUTHORITY_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(this.AUTHORITY_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(authority);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result);
+      };
+    });
+  }
+
+  static async getAuthority(id) {
+    const db = await this.openDB();
+    const transaction = db.transaction([this.AUTHORITY_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(this.AUTHORITY_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result);
+      };
+    });
+  }
+
+  static async getAuthorities() {
+    const db = await this.openDB();
+    const transaction = db.transaction([this.AUTHORITY_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(this.AUTHORITY_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result);
+      };
+    });
+  }
+
+  static async deleteAuthority(id) {
+    const db = await this.openDB();
+    const transaction = db.transaction([this.AUTHORITY_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(this.AUTHORITY_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result);
+      };
+    });
+  }
+
+  static async storePendingRequest(pendingRequest) {
+    this.assertKeyEncrypted(pendingRequest);
+    const db = await this.openDB();
+    const transaction = db.transaction([this.PENDING_REQUEST_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(this.PENDING_REQUEST_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(pendingRequest);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result);
+      };
+    });
+  }
+
+  static async getPendingRequests() {
+    const db = await this.openDB();
+    const transaction = db.transaction([this.PENDING_REQUEST_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(this.PENDING_REQUEST_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result);
+      };
+    });
+  }
+
+  static async deletePendingRequest(id) {
+    const db = await this.openDB();
+    const transaction = db.transaction([this.PENDING_REQUEST_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(this.PENDING_REQUEST_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result);
+      };
+    });
+  }
+
+  /**
+   * Store the certificate issued for a pending request and drop the request
+   * in one transaction, so the key pair is never left without an owner
+   */
+  static async installPendingCertificate(certificate, requestId) {
+    this.assertKeyEncrypted(certificate);
+    const db = await this.openDB();
+    const transaction = db.transaction([this.STORE_NAME, this.PENDING_REQUEST_STORE_NAME], 'readwrite');
+    transaction.objectStore(this.STORE_NAME).put(certificate);
+    transaction.objectStore(this.PENDING_REQUEST_STORE_NAME).delete(requestId);
+
+    return new Promise((resolve, reject) => {
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(certificate.id);
+      };
+    });
+  }
+
+  /**
+   * Store a CRL unless a newer one from the same issuer is already present.
+   * Resolves to false when the stored list was kept.
+   */
+  static async importRevocationList(crl) {
+    const id = crl.tbsCertList.issuer.string;
+    const existing = await this.getRevocationList(id);
+    if (existing && (existing.tbsCertList.crlNumber || 0) > (crl.tbsCertList.crlNumber || 0)) {
+      return false;
+    }
+
+    const db = await this.openDB();
+    const transaction = db.transaction([this.REVOCATION_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(this.REVOCATION_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put({ ...crl, id, importedAt: new Date().toISOString() });
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        db.close();
+        resolve(true);
+      };
+    });
+  }
+
+  static async getRevocationList(id) {
+    const db = await this.openDB();
+    const transaction = db.transaction([this.REVOCATION_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(this.REVOCATION_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result);
+      };
+    });
+  }
+
+  static async getRevocationLists() {
+    const db = await this.openDB();
+    const transaction = db.transaction([this.REVOCATION_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(this.REVOCATION_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result);
+      };
+    });
+  }
+
+  static async removeRevocationList(id) {
+    const db = await this.openDB();
+    const transaction = db.transaction([this.REVOCATION_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(this.REVOCATION_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result);
+      };
+    });
+  }
+
+  static async validateCertificateChain(certificate, intermediates = [], options = {}) {
     const trustedCerts = await this.getTrustedCertificates();
+    const crls = await this.getRevocationLists();
     const { PEMParser } = await import('../certificates/PEMParser.js');
     
-    return PEMParser.validateAgainstTrustStore(certificate, trustedCerts);
+    return PEMParser.validateAgainstTrustStore(certificate, trustedCerts, intermediates, {
+      ...options,
+      crls
+    });
   }
 
   // Utility method to clear database (for development/debugging)
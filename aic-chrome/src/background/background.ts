@@ -2,12 +2,20 @@
 
 import { WebCryptoUtils, CertificationExtractor, TrustStoreManager } from '../shared/crypto-utils';
 import { ExifExtractor } from '../shared/exif-extractor';
+import { RevocationStatusClient } from '../shared/revocation-client';
+import { ClaimVerifier } from '../shared/claim-verifier';
+import { DER, ParsedCertificate } from '../shared/der';
+import { TimeStampToken, TimestampVerification } from '../shared/timestamp-token';
 import { 
   ChromeMessage, 
   ChromeMessageResponse, 
   TrustResult, 
   ExtensionSettings,
   Certificate,
+  CertificationData,
+  C2PAManifestStore,
+  ManifestCertificate,
+  CertificateValidity,
   TrustValidationError,
   BlockchainTrustData
 } from '../shared/types';
@@ -15,6 +23,7 @@ import {
 class BackgroundTrustEngine {
   private validationCache = new Map<string, { result: TrustResult; timestamp: number }>();
   private readonly cacheExpiryMs = 5 * 60 * 1000; // 5 minutes
+  private readonly clockSkewMs = 5 * 60 * 1000; // signed times may run this far ahead
   private settings: ExtensionSettings = {
     showTrustIndicators: true,
     indicatorPosition: 'top-right',
@@ -23,7 +32,8 @@ class BackgroundTrustEngine {
     trustContractAddress: '0x1234567890abcdef1234567890abcdef12345678', // Placeholder
     cacheDuration: 5,
     privacyLevel: 'balanced',
-    autoValidation: true
+    autoValidation: true,
+    revocationResponderUrl: '' // Used when a certificate names no responder, e.g. http://localhost:8787/ocsp
   };
 
   constructor() {
@@ -89,7 +99,7 @@ class BackgroundTrustEngine {
       // Extract certification from image
       const certificationData = await CertificationExtractor.extractFromImageUrl(imageUrl);
       
-      if (!certificationData) {
+      if (!certificationData?.manifest) {
         const result: TrustResult = {
           level: 'uncertified',
           trusted: false,
@@ -109,7 +119,9 @@ class BackgroundTrustEngine {
             originalFilename: ''
           },
           exifData: { orientation: 1, captureTime: new Date().toISOString() },
-          trustIssues: ['No embedded certification found']
+          trustIssues: ['No embedded certification found'],
+          revocationStatus: { status: 'unknown', source: 'none' },
+          validity: { status: 'invalid', checkedAt: new Date().toISOString(), source: 'current-time', expiredSince: null }
         };
         
         this.validationCache.set(imageUrl, { result, timestamp: Date.now() });
@@ -130,64 +142,217 @@ class BackgroundTrustEngine {
     }
   }
 
-  private async validateCertification(certData: any, imageUrl: string): Promise<TrustResult> {
-    const cert = certData.certificate;
-    const payload = certData.payload;
-    const signature = certData.signature;
+  private async validateCertification(certData: CertificationData, imageUrl: string): Promise<TrustResult> {
+    const manifest = certData.manifest;
+    const claim = manifest.manifests?.[manifest.active_manifest]?.claim;
+    const claimSignature = manifest.manifests?.[manifest.active_manifest]?.claim_signature;
+    const certification = ClaimVerifier.getSignedCertification(manifest);
 
-    // Check if certificate is in trust store
-    const trustedCert = await TrustStoreManager.getCertificate(cert.id);
-    const isTrusted = !!trustedCert;
+    // The signing certificate travels first in the claim signature's chain,
+    // followed by its issuing CAs
+    const chainEntry = claimSignature?.certificate_chain?.[0];
+    const certificateChain = (claimSignature?.certificate_chain || []).map(entry => {
+      try {
+        return entry?.der ? DER.parseCertificate(entry.der) : null;
+      } catch (error) {
+        console.error('Certificate in the manifest could not be decoded:', error);
+        return null;
+      }
+    });
+    const signingCertificate = certificateChain[0] || null;
+    const embeddedChain = certificateChain.filter((certificate): certificate is ParsedCertificate => !!certificate);
+    const fingerprint = signingCertificate ? await this.calculateFingerprint(signingCertificate.der) : '';
+    const cert = this.describeCertificate(chainEntry, signingCertificate, fingerprint);
 
-    // Verify certificate validity period
-    const now = new Date();
-    const validFrom = new Date(cert.validFrom);
-    const validTo = new Date(cert.validTo);
-    const isValidPeriod = now >= validFrom && now <= validTo;
+    // Check if certificate is in trust store
+    const trustedCertificates = await TrustStoreManager.getAllCertificates();
+    const isTrusted = !!signingCertificate && trustedCertificates.some(candidate =>
+      candidate.id === cert.id || DER.bytesEqual(candidate.publicKey || [], cert.publicKey));
 
-    // Verify cryptographic signature
+    // Verify the claim signature over the bytes the signer signed, with the
+    // algorithm recorded in the claim signature. The certificate must be
+    // the one the signed certification names.
     let signatureValid = false;
-    try {
-      const publicKey = await WebCryptoUtils.importPublicKey(cert.publicKey);
-      const payloadString = JSON.stringify(payload);
-      signatureValid = await WebCryptoUtils.verifySignature(publicKey, signature, payloadString);
-    } catch (error) {
-      console.error('Signature verification error:', error);
+    let signatureIssue: string | null = null;
+    if (!signingCertificate) {
+      signatureIssue = 'Signing certificate is missing from the manifest';
+    } else if (certification?.certificate?.fingerprint && certification.certificate.fingerprint !== cert.id) {
+      signatureIssue = 'Signing certificate does not match the signed certification';
+    } else {
+      const verification = await ClaimVerifier.verify(manifest, cert.publicKey);
+      signatureValid = verification.valid;
+      signatureIssue = verification.reason;
     }
 
+    // A timestamp authority token countersigns the claim signature with
+    // the TSA's clock. The validity period is judged at that trusted time,
+    // or at the signed timestamp, so images stay verified after the
+    // certificate expires.
+    const timestamp = signatureValid
+      ? await this.verifySignatureTimestamp(manifest, trustedCertificates, embeddedChain)
+      : null;
+    const validity = this.checkValidityAtSigningTime(
+      cert,
+      timestamp?.trusted ? timestamp.genTime : null,
+      signatureValid ? certification?.timestamp || null : null
+    );
+    const isValidPeriod = validity.status !== 'invalid';
+    const timestampValid = !timestamp || timestamp.valid;
+
     // For now, assume image hash is valid (would need original image for full verification)
     const imageHashValid = true;
 
+    // Ask the issuer's status responder whether the certificate was revoked;
+    // the answer must be signed by the issuer. Only a trusted TSA time can
+    // show the image was signed before the revocation; the signed timestamp
+    // is the signer's own clock.
+    const issuerCert = trustedCertificates.find(candidate => candidate.subject === cert.issuer) || null;
+    const revocationStatus = await RevocationStatusClient.checkStatus(
+      cert,
+      issuerCert,
+      cert.ocspUrl || this.settings.revocationResponderUrl,
+      validity.source === 'tsa' ? validity.checkedAt : undefined
+    );
+    const isRevoked = revocationStatus.status === 'revoked' && !!revocationStatus.affectsSignature;
+
+    const isValid = isTrusted && isValidPeriod && signatureValid && timestampValid && !isRevoked;
     const result: TrustResult = {
-      level: isTrusted && isValidPeriod && signatureValid ? 'verified' : 'warning',
+      level: isValid ? 'verified' : 'warning',
       trusted: isTrusted,
-      certificateValid: isValidPeriod,
+      certificateValid: isValidPeriod && !isRevoked,
       signatureValid: signatureValid,
       imageHashValid: imageHashValid,
-      overallStatus: (isTrusted && isValidPeriod && signatureValid && imageHashValid) ? 'verified' : 'failed',
+      overallStatus: (isValid && imageHashValid) ? 'verified' : 'failed',
       details: {
         certificateId: cert.id,
         subject: cert.subject,
         issuer: cert.issuer,
         validFrom: cert.validFrom,
         validTo: cert.validTo,
-        processingType: payload.processingType,
-        timestamp: payload.timestamp,
-        description: payload.description,
-        originalFilename: payload.originalFilename
+        processingType: '',
+        timestamp: certification?.timestamp || '',
+        description: certification?.description || claim?.title || '',
+        originalFilename: ''
       },
-      exifData: payload.exifData,
-      trustIssues: []
+      exifData: certification?.exifData || { orientation: 1, captureTime: certification?.timestamp || '' },
+      trustIssues: [],
+      revocationStatus,
+      validity
     };
 
     // Collect trust issues
     if (!isTrusted) result.trustIssues.push('Certificate not in trust store');
-    if (!isValidPeriod) result.trustIssues.push('Certificate expired or not yet valid');
-    if (!signatureValid) result.trustIssues.push('Digital signature verification failed');
+    if (!isValidPeriod) {
+      result.trustIssues.push(validity.source === 'current-time'
+        ? 'Certificate expired or not yet valid'
+        : 'Certificate was not valid when the image was signed');
+    }
+    if (!signatureValid) {
+      result.trustIssues.push(signatureIssue
+        ? `Digital signature verification failed: ${signatureIssue}`
+        : 'Digital signature verification failed');
+    }
+    if (!timestampValid) {
+      result.trustIssues.push(`Timestamp token invalid: ${timestamp?.errors[0]}`);
+    }
+    if (isRevoked) {
+      result.trustIssues.push(`Certificate revoked (${revocationStatus.reason})`);
+    }
+
+    return result;
+  }
+
+  private async calculateFingerprint(der: Uint8Array): Promise<string> {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new Uint8Array(der)));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * The signing certificate in the shape of trust store entries, identified
+   * by its SHA-256 fingerprint
+   */
+  private describeCertificate(
+    entry: ManifestCertificate | undefined,
+    parsed: ParsedCertificate | null,
+    fingerprint: string
+  ): Certificate {
+    const aia = entry?.tbsCertificate?.extensions?.find(extension => extension.extnID === '1.3.6.1.5.5.7.1.1');
+    const ocsp = Array.isArray(aia?.extnValue)
+      ? aia.extnValue.find((access: { method: string; location: string }) => access.method === 'ocsp')
+      : null;
+    return {
+      id: fingerprint,
+      subject: entry?.subject || '',
+      issuer: entry?.issuer || '',
+      serialNumber: parsed?.serialNumber || entry?.serialNumber || '',
+      validFrom: parsed?.notBefore.toISOString() || entry?.notBefore || '',
+      validTo: parsed?.notAfter.toISOString() || entry?.notAfter || '',
+      certificateType: '',
+      publicKey: parsed?.publicKey || [],
+      ocspUrl: ocsp?.location,
+      extensions: { allowedOperations: [], contentTypes: [] }
+    };
+  }
+
+  /**
+   * Check the RFC 3161 token recorded with the claim signature, if any.
+   * The time recorded next to it must be the token's genTime.
+   */
+  private async verifySignatureTimestamp(
+    manifest: C2PAManifestStore,
+    trustedCertificates: Certificate[],
+    intermediates: ParsedCertificate[]
+  ): Promise<TimestampVerification | null> {
+    const claimSignature = manifest.manifests?.[manifest.active_manifest]?.claim_signature;
+    const timestamp = claimSignature?.timestamp;
+    if (timestamp?.authority !== 'rfc3161') {
+      return null;
+    }
+    if (!Array.isArray(timestamp.token) || !Array.isArray(claimSignature.signature)) {
+      return { valid: false, trusted: false, genTime: null, errors: ['Timestamp token is missing'] };
+    }
 
+    const result = await TimeStampToken.verify(timestamp.token, claimSignature.signature, trustedCertificates, intermediates);
+    if (result.genTime && timestamp.time && new Date(result.genTime).getTime() !== new Date(timestamp.time).getTime()) {
+      return {
+        ...result,
+        valid: false,
+        trusted: false,
+        errors: [...result.errors, 'Recorded signing time differs from the timestamp token']
+      };
+    }
     return result;
   }
 
+  /**
+   * Judge the validity period at the trusted TSA time, otherwise at the
+   * signed timestamp unless it lies in the future, otherwise now
+   */
+  private checkValidityAtSigningTime(
+    cert: Certificate,
+    tsaTime: string | null,
+    signedTimestamp: string | null
+  ): CertificateValidity {
+    const now = new Date();
+    const signedAt = signedTimestamp ? new Date(signedTimestamp) : null;
+    const useSignedTime = !!signedAt && !isNaN(signedAt.getTime()) &&
+      signedAt.getTime() <= now.getTime() + this.clockSkewMs;
+    const source: CertificateValidity['source'] = tsaTime ? 'tsa' : useSignedTime ? 'signer-clock' : 'current-time';
+    const checkedAt = tsaTime ? new Date(tsaTime) : useSignedTime ? signedAt as Date : now;
+
+    const validFrom = new Date(cert.validFrom);
+    const validTo = new Date(cert.validTo);
+    const validWhenSigned = checkedAt >= validFrom && checkedAt <= validTo;
+    const expiredSince = validWhenSigned && now > validTo ? cert.validTo : null;
+
+    return {
+      status: !validWhenSigned ? 'invalid' : expiredSince ? 'expired-since-signing' : 'valid',
+      checkedAt: checkedAt.toISOString(),
+      source,
+      expiredSince
+    };
+  }
+
   private async handleTrustDataRequest(data: { certificateId: string }): Promise<ChromeMessageResponse> {
     try {
       const certificate = await TrustStoreManager.getCertificate(data.certificateId);
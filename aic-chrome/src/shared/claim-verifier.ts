@@ -0,0 +1,284 @@
+// Claim signature checks for the manifests the studio embeds
+// Rebuilds exactly the bytes the signer signed: the COSE Sig_structure over
+// the CBOR claim (C2PAManifest.encodeClaim in the apps), or the JSON of
+// manifests signed before COSE
+
+import { WebCryptoUtils } from './crypto-utils';
+import { C2PAManifestStore, Claim, ClaimSignature, SignatureAlgorithm } from './types';
+
+export interface ClaimVerification {
+  valid: boolean;
+  reason: string | null;
+  canonicalization?: string;
+}
+
+// Signed certification fields (the imgtrust.certification assertion)
+export interface SignedCertification {
+  description: string | null;
+  timestamp: string | null;
+  certificate: { fingerprint: string | null; serialNumber: string | null; subject: string | null } | null;
+  exifData: any;
+}
+
+/**
+ * Deterministic CBOR encoding (RFC 8949 section 4.2.1), matching the
+ * apps' CBOR.encode: shortest integers and lengths, map keys sorted by
+ * their encoded bytes, other numbers as 64-bit floats
+ */
+class CBOR {
+  static encode(value: any): Uint8Array {
+    const parts: Uint8Array[] = [];
+    this.encodeItem(value, parts);
+    return concat(...parts);
+  }
+
+  private static encodeItem(value: any, parts: Uint8Array[]): void {
+    if (value === null || value === undefined) {
+      parts.push(Uint8Array.of(0xF6));
+    } else if (typeof value === 'boolean') {
+      parts.push(Uint8Array.of(value ? 0xF5 : 0xF4));
+    } else if (typeof value === 'number') {
+      if (Number.isSafeInteger(value)) {
+        parts.push(value >= 0 ? this.encodeHead(0, value) : this.encodeHead(1, -1 - value));
+      } else {
+        const bytes = new Uint8Array(9);
+        bytes[0] = 0xFB;
+        new DataView(bytes.buffer).setFloat64(1, value);
+        parts.push(bytes);
+      }
+    } else if (typeof value === 'string') {
+      const bytes = new TextEncoder().encode(value);
+      parts.push(this.encodeHead(3, bytes.length), bytes);
+    } else if (value instanceof Uint8Array) {
+      parts.push(this.encodeHead(2, value.length), value);
+    } else if (Array.isArray(value)) {
+      parts.push(this.encodeHead(4, value.length));
+      value.forEach(item => this.encodeItem(item, parts));
+    } else if (typeof value === 'object') {
+      // Keys with undefined values are left out, as JSON does
+      const entries = (value instanceof Map ? [...value.entries()] : Object.entries(value))
+        .filter(([, item]) => item !== undefined)
+        .map(([key, item]): [Uint8Array, any] => [this.encode(key), item])
+        .sort(([a], [b]) => compareBytes(a, b));
+      parts.push(this.encodeHead(5, entries.length));
+      entries.forEach(([key, item]) => {
+        parts.push(key);
+        this.encodeItem(item, parts);
+      });
+    } else {
+      throw new Error(`Cannot encode ${typeof value} as CBOR`);
+    }
+  }
+
+  private static encodeHead(major: number, argument: number): Uint8Array {
+    const type = major << 5;
+    if (argument < 24) return Uint8Array.of(type | argument);
+    if (argument < 0x100) return Uint8Array.of(type | 24, argument);
+    if (argument < 0x10000) return Uint8Array.of(type | 25, argument >> 8, argument & 0xFF);
+
+    const head = new Uint8Array(argument < 0x100000000 ? 5 : 9);
+    const view = new DataView(head.buffer);
+    if (head.length === 5) {
+      head[0] = type | 26;
+      view.setUint32(1, argument);
+    } else {
+      head[0] = type | 27;
+      view.setUint32(1, Math.floor(argument / 0x100000000));
+      view.setUint32(5, argument % 0x100000000);
+    }
+    return head;
+  }
+}
+
+function concat(...parts: Uint8Array[]): Uint8Array {
+  const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    result.set(part, position);
+    position += part.length;
+  });
+  return result;
+}
+
+function compareBytes(a: Uint8Array, b: Uint8Array): number {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+export class ClaimVerifier {
+  static readonly CERTIFICATION_LABEL = 'imgtrust.certification';
+  static readonly COSE_CANONICALIZATION = 'cbor';
+  static readonly JCS_CANONICALIZATION = 'jcs';
+  static readonly LEGACY_CANONICALIZATION = 'legacy';
+
+  // COSE algorithm identifiers and header labels (RFC 9052, RFC 9360)
+  private static readonly COSE_ALGORITHMS: Record<SignatureAlgorithm, number> = {
+    ES256: -7,
+    ES384: -35,
+    PS256: -37,
+    Ed25519: -8
+  };
+  private static readonly COSE_HEADER_ALG = 1;
+  private static readonly COSE_HEADER_X5CHAIN = 33;
+
+  // JUMBF superbox content type and description toggles (requestable, label)
+  private static readonly JUMBF_CBOR_TYPE = '63626f7200110010800000aa00389b71';
+  private static readonly JUMBF_TOGGLES = 0x03;
+  private static readonly ASSERTION_STORE = 'c2pa.assertions';
+
+  // Assertion fields that are byte strings (bstr) in C2PA; the manifest
+  // keeps them as number arrays
+  private static readonly BYTE_STRING_FIELDS: Record<string, string[]> = {
+    'c2pa.hash.data': ['hash', 'pad'],
+    'c2pa.soft-binding': ['pad']
+  };
+
+  /**
+   * Verify the active claim's signature with the signer's SPKI key and the
+   * algorithm recorded in the claim signature
+   */
+  static async verify(manifest: C2PAManifestStore, publicKeyData: number[]): Promise<ClaimVerification> {
+    const activeManifest = manifest?.manifests?.[manifest?.active_manifest];
+    if (!activeManifest?.claim) {
+      return { valid: false, reason: 'Signed claim is missing from the manifest' };
+    }
+
+    const claimSignature = activeManifest.claim_signature;
+    if (!Array.isArray(claimSignature?.signature) || claimSignature.signature.length === 0) {
+      return { valid: false, reason: 'Manifest is unsigned' };
+    }
+
+    const algorithm = claimSignature.algorithm;
+    if (!WebCryptoUtils.SIGNATURE_ALGORITHMS[algorithm]) {
+      return { valid: false, reason: `Unsupported signature algorithm: ${algorithm}` };
+    }
+    // The algorithm outside the claim must match the one the claim commits to
+    const signedAlgorithm = activeManifest.claim.signature_info?.alg;
+    if (signedAlgorithm && signedAlgorithm !== algorithm) {
+      return { valid: false, reason: `Signature algorithm ${algorithm} does not match the signed ${signedAlgorithm}` };
+    }
+
+    const canonicalization = claimSignature.canonicalization || this.LEGACY_CANONICALIZATION;
+    let payload: Uint8Array | string;
+    try {
+      payload = await this.getSigningPayload(activeManifest.claim, claimSignature, canonicalization);
+    } catch (error) {
+      return { valid: false, reason: (error as Error).message, canonicalization };
+    }
+
+    let publicKey: CryptoKey;
+    try {
+      publicKey = await WebCryptoUtils.importPublicKey(publicKeyData, algorithm);
+    } catch (error) {
+      return { valid: false, reason: `Certificate public key could not be imported: ${(error as Error).message}`, canonicalization };
+    }
+
+    return await WebCryptoUtils.verifySignature(publicKey, claimSignature.signature, payload)
+      ? { valid: true, reason: null, canonicalization }
+      : { valid: false, reason: 'Signature does not match the signed claim', canonicalization };
+  }
+
+  /**
+   * The certification fields covered by the claim signature, or null
+   */
+  static getSignedCertification(manifest: C2PAManifestStore): SignedCertification | null {
+    const claim = manifest?.manifests?.[manifest?.active_manifest]?.claim;
+    const data = claim?.assertions?.find(assertion => assertion.label === this.CERTIFICATION_LABEL)?.data;
+    if (!data) {
+      return null;
+    }
+    return {
+      description: data.description ?? null,
+      timestamp: data.timestamp ?? null,
+      certificate: data.certificate ?? null,
+      exifData: data.exifData ?? null
+    };
+  }
+
+  private static async getSigningPayload(
+    claim: Claim,
+    claimSignature: ClaimSignature,
+    canonicalization: string
+  ): Promise<Uint8Array | string> {
+    if (canonicalization === this.COSE_CANONICALIZATION) {
+      const chain = (claimSignature.certificate_chain || []).map(entry => entry?.der);
+      if (chain.length === 0 || chain.some(der => !Array.isArray(der))) {
+        throw new Error('Certificate chain is missing from the claim signature');
+      }
+      const certificates = chain.map(der => Uint8Array.from(der as number[]));
+      const protectedHeader = CBOR.encode(new Map<number, any>([
+        [this.COSE_HEADER_ALG, this.COSE_ALGORITHMS[claimSignature.algorithm]],
+        // A single certificate is a byte string, several are an array
+        [this.COSE_HEADER_X5CHAIN, certificates.length === 1 ? certificates[0] : certificates]
+      ]));
+      // Sig_structure (RFC 9052 section 4.4) with a detached payload
+      return CBOR.encode(['Signature1', protectedHeader, new Uint8Array(0), await this.encodeClaim(claim)]);
+    }
+    if (canonicalization === this.JCS_CANONICALIZATION) {
+      return WebCryptoUtils.canonicalize({ claim });
+    }
+    if (canonicalization === this.LEGACY_CANONICALIZATION) {
+      return JSON.stringify({ claim });
+    }
+    throw new Error(`Unsupported claim canonicalization: ${canonicalization}`);
+  }
+
+  /**
+   * The CBOR claim, referring to each assertion by the SHA-256 of its JUMBF
+   * superbox, as the signer serialized it
+   */
+  private static async encodeClaim(claim: Claim): Promise<Uint8Array> {
+    const labels = new Set<string>();
+    const references = [];
+    for (const assertion of claim.assertions || []) {
+      let label = assertion.label;
+      for (let instance = 1; labels.has(label); instance++) {
+        label = `${assertion.label}__${instance}`;
+      }
+      labels.add(label);
+
+      const box = this.cborSuperbox(label, this.encodeAssertionData(assertion.label, assertion.data));
+      references.push({
+        url: `self#jumbf=${this.ASSERTION_STORE}/${label}`,
+        alg: 'sha256',
+        hash: new Uint8Array(await crypto.subtle.digest('SHA-256', box.slice(8)))
+      });
+    }
+    return CBOR.encode({ ...claim, assertions: references });
+  }
+
+  private static encodeAssertionData(label: string, data: any): any {
+    const fields = this.BYTE_STRING_FIELDS[label];
+    if (!fields || !data) {
+      return data ?? null;
+    }
+    const encoded = { ...data };
+    for (const field of fields) {
+      if (Array.isArray(data[field])) {
+        encoded[field] = Uint8Array.from(data[field]);
+      } else if (field === 'pad' && data[field] === null) {
+        encoded[field] = new Uint8Array(0);
+      }
+    }
+    return encoded;
+  }
+
+  private static box(type: string, payload: Uint8Array): Uint8Array {
+    const box = new Uint8Array(8 + payload.length);
+    new DataView(box.buffer).setUint32(0, box.length);
+    box.set(new TextEncoder().encode(type), 4);
+    box.set(payload, 8);
+    return box;
+  }
+
+  private static cborSuperbox(label: string, value: any): Uint8Array {
+    const labelBytes = new TextEncoder().encode(label);
+    const description = new Uint8Array(16 + 1 + labelBytes.length + 1);
+    description.set(this.JUMBF_CBOR_TYPE.match(/.{2}/g)!.map(byte => parseInt(byte, 16)), 0);
+    description[16] = this.JUMBF_TOGGLES;
+    description.set(labelBytes, 17);
+    return this.box('jumb', concat(this.box('jumd', description), this.box('cbor', CBOR.encode(value))));
+  }
+}
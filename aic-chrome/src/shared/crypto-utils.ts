@@ -1,18 +1,53 @@
 // Crypto utilities migrated from your working PoC
 // All client-side cryptography with TypeScript type safety
 
-import { Certificate, CertificationData, TrustValidationError } from './types';
+import { DER, ParsedCertificate } from './der';
+import { Certificate, CertificationData, HashAlgorithm, SignatureAlgorithm, TrustValidationError } from './types';
+
+interface AlgorithmParameters {
+  key: EcKeyImportParams | RsaHashedImportParams | Algorithm;
+  sign: EcdsaParams | RsaPssParams | Algorithm;
+}
 
 export class WebCryptoUtils {
-  static async generateKeyPair(): Promise<CryptoKeyPair> {
-    return await crypto.subtle.generateKey(
-      {
-        name: "ECDSA",
-        namedCurve: "P-384",
-      },
-      true,
-      ["sign", "verify"]
-    );
+  // Keep in sync with the signer's WebCryptoUtils.SIGNATURE_ALGORITHMS
+  static readonly SIGNATURE_ALGORITHMS: Record<SignatureAlgorithm, AlgorithmParameters> = {
+    ES256: {
+      key: { name: "ECDSA", namedCurve: "P-256" },
+      sign: { name: "ECDSA", hash: "SHA-256" }
+    },
+    ES384: {
+      key: { name: "ECDSA", namedCurve: "P-384" },
+      sign: { name: "ECDSA", hash: "SHA-384" }
+    },
+    PS256: {
+      key: { name: "RSA-PSS", hash: "SHA-256" },
+      sign: { name: "RSA-PSS", saltLength: 32 }
+    },
+    Ed25519: {
+      key: { name: "Ed25519" },
+      sign: { name: "Ed25519" }
+    }
+  };
+
+  static readonly DEFAULT_SIGNATURE_ALGORITHM: SignatureAlgorithm = 'ES384';
+  static readonly DEFAULT_HASH_ALGORITHM: HashAlgorithm = 'SHA-384';
+  static readonly HASH_ALGORITHMS: HashAlgorithm[] = ['SHA-256', 'SHA-384', 'SHA-512'];
+
+  static getAlgorithm(name: string): AlgorithmParameters {
+    const algorithm = this.SIGNATURE_ALGORITHMS[name as SignatureAlgorithm];
+    if (!algorithm) {
+      throw new TrustValidationError(`Unsupported signature algorithm: ${name}`, 'UNSUPPORTED_ALGORITHM');
+    }
+    return algorithm;
+  }
+
+  static async generateKeyPair(algorithm: SignatureAlgorithm = this.DEFAULT_SIGNATURE_ALGORITHM): Promise<CryptoKeyPair> {
+    const { key } = this.getAlgorithm(algorithm);
+    const parameters = key.name === "RSA-PSS"
+      ? { ...key, modulusLength: 2048, publicExponent: new Uint8Array([0x01, 0x00, 0x01]) }
+      : key;
+    return await crypto.subtle.generateKey(parameters, true, ["sign", "verify"]) as CryptoKeyPair;
   }
 
   static async exportPublicKey(publicKey: CryptoKey): Promise<number[]> {
@@ -20,29 +55,41 @@ export class WebCryptoUtils {
     return Array.from(new Uint8Array(exported));
   }
 
-  static async importPublicKey(keyData: number[]): Promise<CryptoKey> {
+  /**
+   * Import an SPKI key for the algorithm recorded next to the signature
+   */
+  static async importPublicKey(
+    keyData: number[],
+    algorithm: string = this.DEFAULT_SIGNATURE_ALGORITHM
+  ): Promise<CryptoKey> {
     return await crypto.subtle.importKey(
       "spki",
       new Uint8Array(keyData),
-      {
-        name: "ECDSA",
-        namedCurve: "P-384",
-      },
+      this.getAlgorithm(algorithm).key,
       true,
       ["verify"]
     );
   }
 
-  static async verifySignature(publicKey: CryptoKey, signature: number[], data: string): Promise<boolean> {
-    const encoder = new TextEncoder();
-    const encodedData = encoder.encode(data);
+  /**
+   * Verify with the parameters of the algorithm the key was imported for
+   */
+  static async verifySignature(publicKey: CryptoKey, signature: number[], data: string | Uint8Array): Promise<boolean> {
+    const encodedData = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
     
     try {
+      const keyAlgorithm = publicKey.algorithm as EcKeyAlgorithm & RsaHashedKeyAlgorithm;
+      const match = (Object.keys(this.SIGNATURE_ALGORITHMS) as SignatureAlgorithm[]).find(name => {
+        const key = this.SIGNATURE_ALGORITHMS[name].key as Partial<EcKeyImportParams & RsaHashedImportParams>;
+        return key.name === keyAlgorithm.name &&
+          (!key.namedCurve || key.namedCurve === keyAlgorithm.namedCurve) &&
+          (!key.hash || key.hash === keyAlgorithm.hash?.name);
+      });
+      if (!match) {
+        return false;
+      }
       return await crypto.subtle.verify(
-        {
-          name: "ECDSA",
-          hash: "SHA-384",
-        },
+        this.SIGNATURE_ALGORITHMS[match].sign,
         publicKey,
         new Uint8Array(signature),
         encodedData
@@ -53,7 +100,45 @@ export class WebCryptoUtils {
     }
   }
 
-  static async hashImageDataWithoutMetadata(imageBuffer: ArrayBuffer): Promise<number[]> {
+  /**
+   * Whether the SPKI key signed a certificate. Never throws: keys of
+   * another algorithm simply do not verify.
+   */
+  static async verifyCertificateSignature(certificate: ParsedCertificate, issuerPublicKey: number[]): Promise<boolean> {
+    if (!certificate.signatureAlgorithm) {
+      return false;
+    }
+    try {
+      const publicKey = await this.importPublicKey(issuerPublicKey, certificate.signatureAlgorithm);
+      const signature = DER.toWebCryptoSignature(certificate.signature, certificate.signatureAlgorithm);
+      return await this.verifySignature(publicKey, Array.from(signature), certificate.tbs);
+    } catch (error) {
+      console.warn('Certificate signature check failed:', (error as Error).message);
+      return false;
+    }
+  }
+
+  // RFC 8785 canonical JSON, matching WebCryptoUtils.canonicalize in the apps
+  static canonicalize(value: any): string {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    if (typeof value === 'object') {
+      const members = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`);
+      return `{${members.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  static async hashImageDataWithoutMetadata(
+    imageBuffer: ArrayBuffer,
+    hashAlgorithm: HashAlgorithm = this.DEFAULT_HASH_ALGORITHM
+  ): Promise<number[]> {
+    if (!this.HASH_ALGORITHMS.includes(hashAlgorithm)) {
+      throw new TrustValidationError(`Unsupported hash algorithm: ${hashAlgorithm}`, 'UNSUPPORTED_ALGORITHM');
+    }
     // Real implementation: Strip certification metadata and hash clean image
     const uint8Array = new Uint8Array(imageBuffer);
     
@@ -61,7 +146,7 @@ export class WebCryptoUtils {
     if (uint8Array[0] === 0xFF && uint8Array[1] === 0xD8) {
       // JPEG - remove our APP15 segment
       const cleanBuffer = this.stripJPEGCertification(uint8Array);
-      const hashBuffer = await crypto.subtle.digest('SHA-384', cleanBuffer);
+      const hashBuffer = await crypto.subtle.digest(hashAlgorithm, cleanBuffer);
       return Array.from(new Uint8Array(hashBuffer));
     }
     
@@ -78,12 +163,12 @@ export class WebCryptoUtils {
     if (isPNG) {
       // PNG - remove our tRST chunk
       const cleanBuffer = this.stripPNGCertification(uint8Array);
-      const hashBuffer = await crypto.subtle.digest('SHA-384', cleanBuffer);
+      const hashBuffer = await crypto.subtle.digest(hashAlgorithm, cleanBuffer);
       return Array.from(new Uint8Array(hashBuffer));
     }
     
     // Unknown format - hash as-is
-    const hashBuffer = await crypto.subtle.digest('SHA-384', imageBuffer);
+    const hashBuffer = await crypto.subtle.digest(hashAlgorithm, imageBuffer);
     return Array.from(new Uint8Array(hashBuffer));
   }
 
@@ -0,0 +1,216 @@
+// Minimal DER reader for the X.509 certificates and RFC 3161 timestamp
+// tokens embedded in signed manifests
+
+import { SignatureAlgorithm, TrustValidationError } from './types';
+
+export interface DERNode {
+  tag: number;
+  content: Uint8Array;
+  raw: Uint8Array;
+  children: DERNode[];
+}
+
+export interface ParsedCertificate {
+  der: Uint8Array;
+  tbs: Uint8Array;
+  serialNumber: string;
+  issuer: Uint8Array;
+  subject: Uint8Array;
+  notBefore: Date;
+  notAfter: Date;
+  publicKey: number[];
+  keyAlgorithm: SignatureAlgorithm | null;
+  signatureAlgorithm: SignatureAlgorithm | null;
+  signature: Uint8Array;
+  extendedKeyUsage: { critical: boolean; purposes: string[] } | null;
+}
+
+export class DER {
+  static readonly OIDS = {
+    EC_PUBLIC_KEY: '1.2.840.10045.2.1',
+    EXTENDED_KEY_USAGE: '2.5.29.37',
+    TIME_STAMPING: '1.3.6.1.5.5.7.3.8',
+    OCSP_SIGNING: '1.3.6.1.5.5.7.3.9'
+  };
+
+  // Signature algorithm OIDs, by the name the manifest records
+  static readonly SIGNATURE_OIDS: Record<string, SignatureAlgorithm> = {
+    '1.2.840.10045.4.3.2': 'ES256',
+    '1.2.840.10045.4.3.3': 'ES384',
+    '1.2.840.113549.1.1.10': 'PS256',
+    '1.3.101.112': 'Ed25519'
+  };
+
+  static readonly HASH_OIDS: Record<string, string> = {
+    '2.16.840.1.101.3.4.2.1': 'SHA-256',
+    '2.16.840.1.101.3.4.2.2': 'SHA-384',
+    '2.16.840.1.101.3.4.2.3': 'SHA-512'
+  };
+
+  // Named curves of ecPublicKey SPKIs
+  private static readonly CURVES: Record<string, SignatureAlgorithm> = {
+    '1.2.840.10045.3.1.7': 'ES256',
+    '1.3.132.0.34': 'ES384'
+  };
+
+  // Byte length of r and s in raw ECDSA signatures
+  private static readonly ECDSA_COMPONENT_LENGTH: Record<string, number> = { ES256: 32, ES384: 48 };
+
+  static decode(bytes: Uint8Array, offset = 0): DERNode {
+    if (offset + 2 > bytes.length) {
+      throw new TrustValidationError('Truncated DER data', 'DER_INVALID');
+    }
+    const tag = bytes[offset];
+    let length = bytes[offset + 1];
+    let headerLength = 2;
+    if (length & 0x80) {
+      const lengthBytes = length & 0x7f;
+      if (lengthBytes === 0 || lengthBytes > 4) {
+        throw new TrustValidationError('Unsupported DER length', 'DER_INVALID');
+      }
+      length = 0;
+      for (let i = 0; i < lengthBytes; i++) {
+        length = length * 256 + bytes[offset + 2 + i];
+      }
+      headerLength += lengthBytes;
+    }
+
+    const end = offset + headerLength + length;
+    if (end > bytes.length) {
+      throw new TrustValidationError('Truncated DER data', 'DER_INVALID');
+    }
+    const node: DERNode = {
+      tag,
+      content: bytes.subarray(offset + headerLength, end),
+      raw: bytes.subarray(offset, end),
+      children: []
+    };
+    // Constructed encodings hold further elements
+    if (tag & 0x20) {
+      let position = offset + headerLength;
+      while (position < end) {
+        const child = this.decode(bytes, position);
+        node.children.push(child);
+        position += child.raw.length;
+      }
+    }
+    return node;
+  }
+
+  static decodeOID(node: DERNode): string {
+    const parts: number[] = [];
+    let value = 0;
+    for (const byte of node.content) {
+      value = value * 128 + (byte & 0x7f);
+      if (!(byte & 0x80)) {
+        if (parts.length === 0) {
+          const first = value < 80 ? Math.floor(value / 40) : 2;
+          parts.push(first, value - first * 40);
+        } else {
+          parts.push(value);
+        }
+        value = 0;
+      }
+    }
+    return parts.join('.');
+  }
+
+  // UTCTime (0x17) or GeneralizedTime (0x18), always in UTC
+  static decodeTime(node: DERNode): Date {
+    const text = new TextDecoder().decode(node.content);
+    const match = /^(\d{2}|\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(?:\.(\d+))?Z$/.exec(text);
+    if (!match) {
+      throw new TrustValidationError(`Unsupported time ${text}`, 'DER_INVALID');
+    }
+    let year = Number(match[1]);
+    if (node.tag === 0x17) {
+      year += year < 50 ? 2000 : 1900;
+    }
+    const milliseconds = match[7] ? Number(`0.${match[7]}`) * 1000 : 0;
+    return new Date(Date.UTC(year, Number(match[2]) - 1, Number(match[3]),
+      Number(match[4]), Number(match[5]), Number(match[6]), Math.round(milliseconds)));
+  }
+
+  // Integers compare as their minimal bytes in lowercase hex
+  static integerHex(node: DERNode): string {
+    let bytes = Array.from(node.content);
+    while (bytes.length > 1 && bytes[0] === 0) bytes = bytes.slice(1);
+    return bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * X.509 and CMS carry ECDSA signatures as a DER Ecdsa-Sig-Value; Web
+   * Crypto verifies raw r||s. Other algorithms are used as they are.
+   */
+  static toWebCryptoSignature(signature: Uint8Array, algorithm: SignatureAlgorithm): Uint8Array {
+    const length = this.ECDSA_COMPONENT_LENGTH[algorithm];
+    if (!length) {
+      return signature;
+    }
+    const [r, s] = this.decode(signature).children;
+    const raw = new Uint8Array(length * 2);
+    [r, s].forEach((component, index) => {
+      const bytes = component.content.subarray(Math.max(0, component.content.length - length));
+      raw.set(bytes, (index + 1) * length - bytes.length);
+    });
+    return raw;
+  }
+
+  static keyAlgorithm(spki: DERNode): SignatureAlgorithm | null {
+    const [algorithmOid, parameters] = spki.children[0].children;
+    const oid = this.decodeOID(algorithmOid);
+    if (oid === this.OIDS.EC_PUBLIC_KEY) {
+      return parameters?.tag === 0x06 ? this.CURVES[this.decodeOID(parameters)] || null : null;
+    }
+    if (oid === '1.2.840.113549.1.1.1' || oid === '1.2.840.113549.1.1.10') {
+      return 'PS256';
+    }
+    return oid === '1.3.101.112' ? 'Ed25519' : null;
+  }
+
+  static parseCertificate(der: Uint8Array | number[]): ParsedCertificate {
+    const bytes = der instanceof Uint8Array ? der : new Uint8Array(der);
+    const certificate = this.decode(bytes);
+    const [tbs, signatureAlgorithm, signature] = certificate.children;
+    if (!tbs || !signatureAlgorithm || !signature) {
+      throw new TrustValidationError('Malformed certificate', 'DER_INVALID');
+    }
+
+    // tbsCertificate: [0] version, serialNumber, signature, issuer, validity, subject, SPKI, ..., [3] extensions
+    const fields = tbs.children[0].tag === 0xa0 ? tbs.children.slice(1) : tbs.children;
+    const [serialNumber, , issuer, validity, subject, spki] = fields;
+    const extensions = fields.find(field => field.tag === 0xa3)?.children[0]?.children || [];
+
+    let extendedKeyUsage: ParsedCertificate['extendedKeyUsage'] = null;
+    for (const extension of extensions) {
+      if (this.decodeOID(extension.children[0]) !== this.OIDS.EXTENDED_KEY_USAGE) continue;
+      const critical = extension.children[1]?.tag === 0x01 && extension.children[1].content[0] !== 0;
+      const value = this.decode(extension.children[extension.children.length - 1].content);
+      extendedKeyUsage = { critical, purposes: value.children.map(purpose => this.decodeOID(purpose)) };
+    }
+
+    return {
+      der: bytes,
+      tbs: tbs.raw,
+      serialNumber: this.integerHex(serialNumber),
+      issuer: issuer.raw,
+      subject: subject.raw,
+      notBefore: this.decodeTime(validity.children[0]),
+      notAfter: this.decodeTime(validity.children[1]),
+      publicKey: Array.from(spki.raw),
+      keyAlgorithm: this.keyAlgorithm(spki),
+      signatureAlgorithm: this.SIGNATURE_OIDS[this.decodeOID(signatureAlgorithm.children[0])] || null,
+      // BIT STRING: skip the unused-bits byte
+      signature: signature.content.subarray(1),
+      extendedKeyUsage
+    };
+  }
+
+  static bytesEqual(a: ArrayLike<number>, b: ArrayLike<number>): boolean {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  }
+}
@@ -0,0 +1,171 @@
+// Online certificate status checks against the local OCSP-style responder
+// Responses are signed with the issuing CA's key, or by a responder
+// certificate the CA issued for that purpose, and cached until nextUpdate
+
+import { WebCryptoUtils } from './crypto-utils';
+import { DER } from './der';
+import { Certificate, RevocationStatus, StatusResponse, TrustValidationError } from './types';
+
+export class RevocationStatusClient {
+  private static readonly REQUEST_TIMEOUT_MS = 5000;
+  private static readonly CLOCK_SKEW_MS = 5 * 60 * 1000;
+  private static cache = new Map<string, RevocationStatus>();
+
+  /**
+   * Ask the responder about a certificate. Never throws: failures come back
+   * as status 'unknown' with an error message.
+   */
+  static async checkStatus(
+    cert: Certificate,
+    issuer: Certificate | null,
+    responderUrl: string,
+    signingTime?: string
+  ): Promise<RevocationStatus> {
+    if (!responderUrl) {
+      return { status: 'unknown', source: 'none' };
+    }
+
+    const serialNumber = this.normalizeSerial(cert.serialNumber);
+    const cacheKey = `${responderUrl}|${cert.issuer}|${serialNumber}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached?.nextUpdate && new Date(cached.nextUpdate) > new Date()) {
+      return this.withSigningTime({ ...cached, cached: true }, signingTime);
+    }
+
+    try {
+      if (!issuer) {
+        throw new TrustValidationError('Issuer certificate not in trust store', 'ISSUER_UNKNOWN');
+      }
+
+      const response = await this.fetchResponse(responderUrl, cert.issuer, serialNumber);
+      const status = await this.verifyResponse(response, issuer, cert.issuer, serialNumber);
+      this.cache.set(cacheKey, { ...status, responderUrl });
+      return this.withSigningTime({ ...status, responderUrl, cached: false }, signingTime);
+    } catch (error) {
+      const message = (error as Error).message;
+      console.warn('Status responder check failed:', message);
+      return { status: 'unknown', source: 'ocsp', responderUrl, error: message };
+    }
+  }
+
+  private static async fetchResponse(url: string, issuerName: string, serialNumber: string): Promise<StatusResponse> {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.REQUEST_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ issuerName, serialNumber }),
+        signal: controller.signal
+      });
+      const body = await response.json();
+      if (!response.ok || body.responseStatus !== 'successful') {
+        throw new TrustValidationError(`Responder returned ${body.responseStatus || response.status}`, 'RESPONDER_ERROR');
+      }
+      return body as StatusResponse;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  private static async verifyResponse(
+    response: StatusResponse,
+    issuer: Certificate,
+    issuerName: string,
+    serialNumber: string
+  ): Promise<RevocationStatus> {
+    const tbs = response.tbsResponse;
+    if (!tbs || !WebCryptoUtils.SIGNATURE_ALGORITHMS[response.signatureAlgorithm]) {
+      throw new TrustValidationError('Malformed status response', 'RESPONSE_INVALID');
+    }
+    if (tbs.issuerName !== issuerName || tbs.serialNumber !== serialNumber) {
+      throw new TrustValidationError('Status response is for a different certificate', 'RESPONSE_MISMATCH');
+    }
+
+    const [responderCertificate] = response.certificates || [];
+    const delegated = !!responderCertificate;
+    const signerKey = delegated
+      ? await this.getDelegatedResponderKey(responderCertificate, issuer)
+      : issuer.publicKey;
+    const publicKey = await WebCryptoUtils.importPublicKey(signerKey, response.signatureAlgorithm);
+    const signature = Array.from(atob(response.signature), char => char.charCodeAt(0));
+    if (!(await WebCryptoUtils.verifySignature(publicKey, signature, WebCryptoUtils.canonicalize(tbs)))) {
+      throw new TrustValidationError(
+        `Status response signature does not verify with the ${delegated ? 'responder' : 'issuer'} key`,
+        'RESPONSE_SIGNATURE'
+      );
+    }
+
+    const now = Date.now();
+    if (new Date(tbs.thisUpdate).getTime() > now + this.CLOCK_SKEW_MS || new Date(tbs.nextUpdate).getTime() < now) {
+      throw new TrustValidationError('Status response is out of date', 'RESPONSE_STALE');
+    }
+
+    const status: RevocationStatus = {
+      status: tbs.certStatus,
+      source: 'ocsp',
+      producedAt: tbs.producedAt,
+      thisUpdate: tbs.thisUpdate,
+      nextUpdate: tbs.nextUpdate
+    };
+    if (tbs.certStatus !== 'revoked') {
+      return status;
+    }
+    return {
+      ...status,
+      reason: tbs.revocationReason || 'unspecified',
+      revocationDate: tbs.revocationTime,
+      invalidityDate: tbs.invalidityDate || null,
+      effectiveDate: tbs.invalidityDate || tbs.revocationTime
+    };
+  }
+
+  /**
+   * A responder certificate may sign for the issuer when the issuer signed
+   * it, it carries the OCSPSigning extended key usage and it is currently
+   * valid (RFC 6960 4.2.2.2). Returns its SPKI key.
+   */
+  private static async getDelegatedResponderKey(encodedCertificate: string, issuer: Certificate): Promise<number[]> {
+    let responder;
+    try {
+      responder = DER.parseCertificate(Array.from(atob(encodedCertificate), char => char.charCodeAt(0)));
+    } catch (error) {
+      throw new TrustValidationError(`Undecodable responder certificate: ${(error as Error).message}`, 'RESPONDER_CERTIFICATE');
+    }
+
+    if (!(await WebCryptoUtils.verifyCertificateSignature(responder, issuer.publicKey))) {
+      throw new TrustValidationError('Responder certificate was not issued by the certificate issuer', 'RESPONDER_CERTIFICATE');
+    }
+    if (!responder.extendedKeyUsage?.purposes.includes(DER.OIDS.OCSP_SIGNING)) {
+      throw new TrustValidationError('Responder certificate is not authorized to sign status responses', 'RESPONDER_CERTIFICATE');
+    }
+    const now = new Date();
+    if (now < responder.notBefore || now > responder.notAfter) {
+      throw new TrustValidationError('Responder certificate is expired or not yet valid', 'RESPONDER_CERTIFICATE');
+    }
+    return responder.publicKey;
+  }
+
+  // Revocation only affects signatures made at or after the effective date
+  private static withSigningTime(status: RevocationStatus, signingTime?: string): RevocationStatus {
+    if (status.status !== 'revoked') {
+      return status;
+    }
+    return {
+      ...status,
+      affectsSignature: !signingTime || new Date(signingTime) >= new Date(status.effectiveDate as string)
+    };
+  }
+
+  // Serial numbers compare as the minimal DER integer bytes in lowercase hex
+  private static normalizeSerial(serialNumber: string): string {
+    let serial = String(serialNumber || '').replace(/[^0-9a-f]/gi, '').toLowerCase();
+    if (serial.length % 2 === 1) serial = `0${serial}`;
+    while (serial.length > 2 && serial.startsWith('00')) serial = serial.substring(2);
+    return serial;
+  }
+
+  static clearCache(): void {
+    this.cache.clear();
+  }
+}
@@ -0,0 +1,256 @@
+// RFC 3161 timestamp tokens recorded with claim signatures
+// Mirrors TimeStampToken.verify in the apps: the token must cover the
+// signature bytes, be signed by a time-stamping certificate and chain to
+// the trust store at genTime before its time is used.
+
+import { WebCryptoUtils } from './crypto-utils';
+import { DER, DERNode, ParsedCertificate } from './der';
+import { Certificate, SignatureAlgorithm } from './types';
+
+export interface TimestampVerification {
+  valid: boolean;
+  trusted: boolean;
+  genTime: string | null;
+  errors: string[];
+}
+
+interface ParsedToken {
+  genTime: Date;
+  imprintAlgorithm: string | null;
+  hashedMessage: Uint8Array;
+  eContent: Uint8Array;
+  certificates: ParsedCertificate[];
+  signerInfo: {
+    issuer: Uint8Array | null;
+    serialNumber: string | null;
+    digestAlgorithm: string | null;
+    contentType: string | null;
+    messageDigest: Uint8Array | null;
+    signingCertificate: { hashAlgorithm: string | null; certHash: Uint8Array } | null;
+    signedAttrsDer: Uint8Array | null;
+    signatureAlgorithm: string;
+    signature: Uint8Array;
+  };
+}
+
+export class TimeStampToken {
+  private static readonly OIDS = {
+    SIGNED_DATA: '1.2.840.113549.1.7.2',
+    TST_INFO: '1.2.840.113549.1.9.16.1.4',
+    CONTENT_TYPE: '1.2.840.113549.1.9.3',
+    MESSAGE_DIGEST: '1.2.840.113549.1.9.4',
+    SIGNING_CERTIFICATE_V2: '1.2.840.113549.1.9.16.2.47'
+  };
+
+  // Longest chain followed from the TSA certificate to the trust store
+  private static readonly MAX_CHAIN_LENGTH = 5;
+
+  /**
+   * Verify a token over the claim signature bytes. `valid` means the token
+   * is intact and covers the signature; `trusted` additionally requires the
+   * TSA certificate to chain to the trust store at genTime, through the
+   * token's certificates or `intermediates`.
+   */
+  static async verify(
+    token: number[],
+    signature: number[],
+    trustedCertificates: Certificate[],
+    intermediates: ParsedCertificate[] = []
+  ): Promise<TimestampVerification> {
+    let parsed: ParsedToken;
+    try {
+      parsed = this.parse(new Uint8Array(token));
+    } catch (error) {
+      return { valid: false, trusted: false, genTime: null, errors: [`Undecodable timestamp token: ${(error as Error).message}`] };
+    }
+    const { signerInfo } = parsed;
+    const genTime = parsed.genTime.toISOString();
+    const errors: string[] = [];
+
+    // The token must be about this signature
+    if (!parsed.imprintAlgorithm) {
+      errors.push('Unsupported message imprint algorithm');
+    } else if (!DER.bytesEqual(await this.digest(parsed.imprintAlgorithm, new Uint8Array(signature)), parsed.hashedMessage)) {
+      errors.push('Timestamp does not cover this signature');
+    }
+
+    // Signed attributes bind the TSTInfo and the signing certificate
+    if (!signerInfo.signedAttrsDer || signerInfo.contentType !== this.OIDS.TST_INFO) {
+      errors.push('Timestamp signer attributes are missing or have the wrong content type');
+    }
+    if (!signerInfo.digestAlgorithm || !signerInfo.messageDigest ||
+        !DER.bytesEqual(await this.digest(signerInfo.digestAlgorithm, parsed.eContent), signerInfo.messageDigest)) {
+      errors.push('Timestamp content digest does not match');
+    }
+
+    const signer = parsed.certificates.find(certificate =>
+      !!signerInfo.issuer && DER.bytesEqual(certificate.issuer, signerInfo.issuer) &&
+      certificate.serialNumber === signerInfo.serialNumber);
+    if (!signer) {
+      errors.push('Timestamp authority certificate not found');
+      return { valid: false, trusted: false, genTime, errors };
+    }
+
+    const { signingCertificate } = signerInfo;
+    if (!signingCertificate?.hashAlgorithm) {
+      errors.push('Timestamp does not identify its signing certificate');
+    } else if (!DER.bytesEqual(await this.digest(signingCertificate.hashAlgorithm, signer.der), signingCertificate.certHash)) {
+      errors.push('Timestamp signing certificate hash does not match');
+    }
+
+    // The signature algorithm OID, or a bare key OID paired with the digest
+    const algorithm = DER.SIGNATURE_OIDS[signerInfo.signatureAlgorithm] || signer.keyAlgorithm;
+    let signatureValid = false;
+    if (algorithm && signerInfo.signedAttrsDer) {
+      try {
+        const publicKey = await WebCryptoUtils.importPublicKey(signer.publicKey, algorithm);
+        signatureValid = await WebCryptoUtils.verifySignature(
+          publicKey,
+          Array.from(DER.toWebCryptoSignature(signerInfo.signature, algorithm as SignatureAlgorithm)),
+          signerInfo.signedAttrsDer
+        );
+      } catch (error) {
+        console.warn('Timestamp signature check failed:', (error as Error).message);
+      }
+    }
+    if (!signatureValid) {
+      errors.push('Timestamp signature does not verify');
+    }
+
+    // RFC 3161 2.3: the TSA certificate has one critical extended key usage
+    const extendedKeyUsage = signer.extendedKeyUsage;
+    if (!extendedKeyUsage?.critical || extendedKeyUsage.purposes.length !== 1 ||
+        extendedKeyUsage.purposes[0] !== DER.OIDS.TIME_STAMPING) {
+      errors.push('Signer is not a time-stamping certificate');
+    }
+
+    const valid = errors.length === 0;
+    const chainError = await this.verifyChain(
+      signer,
+      [...parsed.certificates, ...intermediates],
+      trustedCertificates,
+      parsed.genTime
+    );
+    return {
+      valid,
+      trusted: valid && !chainError,
+      genTime,
+      errors: chainError ? [...errors, chainError] : errors
+    };
+  }
+
+  /**
+   * Walk issuers through the token's certificates until a trust store key
+   * signed one. Every certificate must be valid at `time`. Returns the
+   * reason the chain fails, or null.
+   */
+  private static async verifyChain(
+    certificate: ParsedCertificate,
+    intermediates: ParsedCertificate[],
+    trustedCertificates: Certificate[],
+    time: Date
+  ): Promise<string | null> {
+    let current = certificate;
+    for (let depth = 0; depth < this.MAX_CHAIN_LENGTH; depth++) {
+      if (time < current.notBefore || time > current.notAfter) {
+        return 'Timestamp authority certificate was not valid at the timestamp time';
+      }
+      if (trustedCertificates.some(anchor => DER.bytesEqual(anchor.publicKey || [], current.publicKey))) {
+        return null;
+      }
+      for (const anchor of trustedCertificates) {
+        if (await WebCryptoUtils.verifyCertificateSignature(current, anchor.publicKey || [])) {
+          return null;
+        }
+      }
+
+      const issuer = intermediates.find(candidate =>
+        candidate !== current && DER.bytesEqual(candidate.subject, current.issuer));
+      if (!issuer || !(await WebCryptoUtils.verifyCertificateSignature(current, issuer.publicKey))) {
+        return 'Timestamp authority is not in the trust store';
+      }
+      current = issuer;
+    }
+    return 'Timestamp authority is not in the trust store';
+  }
+
+  private static async digest(algorithm: string, data: Uint8Array): Promise<Uint8Array> {
+    return new Uint8Array(await crypto.subtle.digest(algorithm, new Uint8Array(data)));
+  }
+
+  private static hashAlgorithm(algorithmIdentifier: DERNode | undefined): string | null {
+    return algorithmIdentifier ? DER.HASH_OIDS[DER.decodeOID(algorithmIdentifier.children[0])] || null : null;
+  }
+
+  // ContentInfo { signedData, [0] SignedData { ..., TSTInfo, [0] certificates, SignerInfos } }
+  private static parse(bytes: Uint8Array): ParsedToken {
+    const contentInfo = DER.decode(bytes);
+    if (DER.decodeOID(contentInfo.children[0]) !== this.OIDS.SIGNED_DATA) {
+      throw new Error('Timestamp token is not CMS SignedData');
+    }
+
+    // version, digestAlgorithms, encapContentInfo, [0] certificates, [1] crls, signerInfos
+    const [, , encapContentInfo, ...rest] = contentInfo.children[1].children[0].children;
+    const certificatesNode = rest.find(node => node.tag === 0xa0);
+    const signerInfos = rest[rest.length - 1];
+    const eContent = encapContentInfo.children[1]?.children[0]?.content;
+    if (DER.decodeOID(encapContentInfo.children[0]) !== this.OIDS.TST_INFO || !eContent) {
+      throw new Error('Timestamp token does not contain TSTInfo');
+    }
+    if (signerInfos?.tag !== 0x31 || signerInfos.children.length !== 1) {
+      throw new Error('Timestamp token must have exactly one signer');
+    }
+
+    // TSTInfo { version, policy, messageImprint, serialNumber, genTime, ... }
+    const [, , messageImprint, , genTime] = DER.decode(eContent).children;
+
+    return {
+      genTime: DER.decodeTime(genTime),
+      imprintAlgorithm: this.hashAlgorithm(messageImprint.children[0]),
+      hashedMessage: messageImprint.children[1].content,
+      eContent,
+      certificates: (certificatesNode?.children || [])
+        .filter(node => node.tag === 0x30)
+        .map(node => DER.parseCertificate(node.raw)),
+      signerInfo: this.parseSignerInfo(signerInfos.children[0])
+    };
+  }
+
+  private static parseSignerInfo(node: DERNode): ParsedToken['signerInfo'] {
+    // version, sid, digestAlgorithm, [0] signedAttrs, signatureAlgorithm, signature
+    const [, sid, digestAlgorithm, ...rest] = node.children;
+    const signedAttrs = rest[0]?.tag === 0xa0 ? rest.shift() as DERNode : null;
+    const [signatureAlgorithm, signature] = rest;
+
+    const attributes: Record<string, DERNode> = {};
+    (signedAttrs?.children || []).forEach(attribute => {
+      attributes[DER.decodeOID(attribute.children[0])] = attribute.children[1].children[0];
+    });
+    // SigningCertificateV2 { certs SEQUENCE OF ESSCertIDv2 { [hashAlgorithm SHA-256], certHash } }
+    const essCertId = attributes[this.OIDS.SIGNING_CERTIFICATE_V2]?.children[0]?.children[0];
+    const certHash = essCertId?.children.find(child => child.tag === 0x04);
+
+    // The signature covers the attributes re-tagged as a SET (RFC 5652 5.4)
+    let signedAttrsDer: Uint8Array | null = null;
+    if (signedAttrs) {
+      signedAttrsDer = new Uint8Array(signedAttrs.raw);
+      signedAttrsDer[0] = 0x31;
+    }
+
+    const issuerAndSerial = sid.tag === 0x30;
+    return {
+      issuer: issuerAndSerial ? sid.children[0].raw : null,
+      serialNumber: issuerAndSerial ? DER.integerHex(sid.children[1]) : null,
+      digestAlgorithm: this.hashAlgorithm(digestAlgorithm),
+      contentType: attributes[this.OIDS.CONTENT_TYPE] ? DER.decodeOID(attributes[this.OIDS.CONTENT_TYPE]) : null,
+      messageDigest: attributes[this.OIDS.MESSAGE_DIGEST]?.content || null,
+      signingCertificate: certHash ? {
+        hashAlgorithm: essCertId?.children[0]?.tag === 0x30 ? this.hashAlgorithm(essCertId.children[0]) : 'SHA-256',
+        certHash: certHash.content
+      } : null,
+      signedAttrsDer,
+      signatureAlgorithm: DER.decodeOID(signatureAlgorithm.children[0]),
+      signature: signature.content
+    };
+  }
+}
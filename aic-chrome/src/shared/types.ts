@@ -1,6 +1,10 @@
 // Shared TypeScript interfaces for the Chrome extension
 // Migrated from your working PoC
 
+// Signature algorithms by C2PA (COSE) name, and image binding digests
+export type SignatureAlgorithm = 'ES256' | 'ES384' | 'PS256' | 'Ed25519';
+export type HashAlgorithm = 'SHA-256' | 'SHA-384' | 'SHA-512';
+
 export interface Certificate {
   id: string;
   subject: string;
@@ -10,6 +14,7 @@ export interface Certificate {
   validTo: string;
   certificateType: string;
   publicKey: number[];
+  ocspUrl?: string;
   extensions: {
     allowedOperations: string[];
     contentTypes: string[];
@@ -38,23 +43,55 @@ export interface ExifData {
   };
 }
 
-export interface SignaturePayload {
-  imageHash: number[];
-  description: string;
-  exifData: ExifData;
-  processingType: string;
-  timestamp: string;
-  photographer: string;
-  certificateId: string;
-  originalFilename: string;
-  fileSize: number;
+// Certificate as the signer records it in the claim signature's chain
+export interface ManifestCertificate {
+  fingerprint?: { sha256: string; sha384?: string };
+  subject: string;
+  issuer: string;
+  serialNumber: string;
+  notBefore: string | null;
+  notAfter: string | null;
+  der: number[] | null;
+  tbsCertificate?: {
+    extensions?: Array<{ extnID: string; extnValue: any }>;
+  };
+}
+
+export interface ClaimSignature {
+  signature: number[] | null;
+  algorithm: SignatureAlgorithm;
+  // How the signed claim bytes were serialized; 'legacy' when absent
+  canonicalization?: 'cbor' | 'jcs' | 'legacy';
+  certificate_chain: ManifestCertificate[];
+  timestamp?: {
+    time: string;
+    authority: 'rfc3161' | 'self-signed';
+    tsa?: string | null;
+    token?: number[];
+  };
+}
+
+export interface ManifestAssertion {
+  label: string;
+  data: any;
 }
 
+export interface Claim {
+  assertions: ManifestAssertion[];
+  signature_info?: { alg?: SignatureAlgorithm };
+  [field: string]: any;
+}
+
+export interface C2PAManifestStore {
+  active_manifest: string;
+  manifests: Record<string, { claim: Claim; claim_signature: ClaimSignature }>;
+}
+
+// Payload the studio embeds in JPEG APP15 and PNG tRST
 export interface CertificationData {
-  version: string;
-  certificate: Certificate;
-  signature: number[];
-  payload: SignaturePayload;
+  version: number;
+  manifestId: string;
+  manifest: C2PAManifestStore;
 }
 
 export interface TrustResult {
@@ -77,9 +114,58 @@ export interface TrustResult {
   };
   exifData: ExifData;
   trustIssues: string[];
+  revocationStatus: RevocationStatus;
+  validity: CertificateValidity;
   blockchainTrust?: BlockchainTrustData;
 }
 
+// Certificate validity judged at the signing time rather than today;
+// 'expired-since-signing' still verifies
+export interface CertificateValidity {
+  status: 'valid' | 'expired-since-signing' | 'invalid';
+  checkedAt: string;
+  source: 'tsa' | 'signer-clock' | 'current-time';
+  expiredSince: string | null;
+}
+
+export interface RevocationStatus {
+  status: 'good' | 'revoked' | 'unknown';
+  source: 'ocsp' | 'none';
+  responderUrl?: string;
+  producedAt?: string;
+  thisUpdate?: string;
+  nextUpdate?: string;
+  reason?: string;
+  revocationDate?: string;
+  invalidityDate?: string | null;
+  effectiveDate?: string;
+  affectsSignature?: boolean;
+  cached?: boolean;
+  error?: string;
+}
+
+// Signed answer from the local status responder (local-services/ocsp-responder.js)
+export interface StatusResponse {
+  responseStatus: 'successful' | 'malformedRequest' | 'unauthorized';
+  tbsResponse: {
+    responderId: { name: string; keyId?: string | null };
+    issuerName: string;
+    issuerKeyId: string | null;
+    serialNumber: string;
+    certStatus: 'good' | 'revoked';
+    producedAt: string;
+    thisUpdate: string;
+    nextUpdate: string;
+    revocationTime?: string;
+    revocationReason?: string;
+    invalidityDate?: string | null;
+  };
+  signatureAlgorithm: SignatureAlgorithm;
+  signature: string;
+  // Base64 DER; a delegated responder certificate comes first
+  certificates?: string[];
+}
+
 export interface BlockchainTrustData {
   isActive: boolean;
   stakeAmount: string;
@@ -99,6 +185,7 @@ export interface ExtensionSettings {
   cacheDuration: number;
   privacyLevel: 'maximum' | 'balanced' | 'minimal';
   autoValidation: boolean;
+  revocationResponderUrl: string;
 }
 
 export interface ChromeMessage {
@@ -0,0 +1,79 @@
+import React, { memo, useRef } from 'react';
+import { Clock, Download, Upload, Trash2 } from 'lucide-react';
+
+const PendingRequests = memo(({ requests, onDownload, onInstall, onDiscard }) => {
+  const fileInputRef = useRef(null);
+
+  if (!requests || requests.length === 0) {
+    return null;
+  }
+
+  const handleFileSelect = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    await onInstall(await file.text());
+    // Allow selecting the same file again after a failed install
+    event.target.value = '';
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">Pending Certificate Requests</h2>
+        <Clock className="w-5 h-5 text-amber-500" />
+      </div>
+
+      <div className="space-y-2">
+        {requests.map(request => (
+          <div key={request.id} className="border border-gray-200 rounded-lg p-3 flex items-start justify-between">
+            <div className="flex-1 min-w-0">
+              <p className="font-mono text-sm text-gray-800 break-all">{request.subject?.string}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                Requested {new Date(request.createdAt).toLocaleString()}
+              </p>
+            </div>
+            <div className="flex gap-1 ml-4">
+              <button
+                onClick={() => onDownload(request)}
+                className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Download CSR"
+              >
+                <Download className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => onDiscard(request.id)}
+                className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                title="Discard request and its private key"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".pem,.crt,.cer"
+        onChange={handleFileSelect}
+        className="hidden"
+      />
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        className="mt-4 w-full py-2 px-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium flex items-center justify-center gap-2"
+      >
+        <Upload className="w-4 h-4" />
+        Install Signed Certificate
+      </button>
+      <p className="text-xs text-gray-500 mt-2">
+        The certificate is matched to its request by public key
+      </p>
+    </div>
+  );
+});
+
+PendingRequests.displayName = 'PendingRequests';
+
+export default PendingRequests;
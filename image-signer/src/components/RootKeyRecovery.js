@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { LifeBuoy, X, Upload, CheckCircle, XCircle, Trash2 } from 'lucide-react';
+import { KeyShareBackup } from '../utils/certificates/KeyShareBackup';
+import { X509Certificate } from '../utils/certificates/X509Certificate';
+
+/**
+ * Recovery ceremony: custodians add their root key shares one by one until
+ * the threshold is reached, then the key is rebuilt and proven by signing a
+ * test certificate.
+ */
+function RootKeyRecovery({ onRecover, onClose }) {
+  const [shares, setShares] = useState([]);
+  const [shareText, setShareText] = useState('');
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [isRecovering, setIsRecovering] = useState(false);
+
+  const parsedShares = shares.map(share => share.parsed);
+  const remaining = parsedShares.length > 0 ? KeyShareBackup.remainingShares(parsedShares) : null;
+  const caName = parsedShares.length > 0
+    ? X509Certificate.fromDER(parsedShares[0].certificateDer).tbsCertificate.subject.string
+    : null;
+
+  const addShares = async (texts) => {
+    setError(null);
+    try {
+      let collected = shares;
+      for (const text of texts) {
+        const parsed = await KeyShareBackup.parse(text);
+        const candidate = [...collected, { text, parsed }];
+        // Throws for a share from another set or one already added
+        KeyShareBackup.remainingShares(candidate.map(share => share.parsed));
+        collected = candidate;
+      }
+      setShares(collected);
+      setShareText('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleShareFiles = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0) return;
+    await addShares(await Promise.all(files.map(file => file.text())));
+  };
+
+  const handleRemove = (index) => {
+    setShares(prev => prev.filter(share => share.parsed.index !== index));
+    setError(null);
+  };
+
+  const handleRecover = async () => {
+    setIsRecovering(true);
+    setError(null);
+    try {
+      const recovered = await onRecover(shares.map(share => share.text));
+      setResult(recovered);
+      setShares([]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsRecovering(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <LifeBuoy className="w-6 h-6 text-blue-600" />
+              <h2 className="text-2xl font-bold text-gray-900">Root Key Recovery</h2>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600"
+              disabled={isRecovering}
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mt-2">
+            Each custodian adds their share. Once enough shares are present the root key is rebuilt
+            and confirmed by signing a test certificate.
+          </p>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          {result ? (
+            <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800 space-y-1">
+              <div className="flex items-center gap-2 font-medium">
+                <CheckCircle className="w-5 h-5" />
+                Root key recovered for {result.authority.tbsCertificate.subject.string}
+              </div>
+              <p>
+                Test certificate {result.testCertificate.tbsCertificate.serialNumber} for{' '}
+                {result.testCertificate.tbsCertificate.subject.string} was signed with the recovered key and verified.
+              </p>
+              <p>
+                {result.restoredExisting
+                  ? 'The CA keeps its revocations and CRL numbering.'
+                  : 'The root CA has been restored and is trusted by this studio again.'}
+              </p>
+            </div>
+          ) : (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Share
+                </label>
+                <textarea
+                  value={shareText}
+                  onChange={(e) => setShareText(e.target.value)}
+                  rows={6}
+                  placeholder="Paste a share, including its BEGIN and END lines"
+                  className="w-full p-2 border border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <div className="mt-2 flex items-center justify-between gap-2">
+                  <label className="px-4 py-2 border border-dashed border-gray-300 rounded-lg flex items-center gap-2 cursor-pointer hover:bg-gray-50 text-sm text-gray-600">
+                    <Upload className="w-4 h-4" />
+                    Choose share files
+                    <input
+                      type="file"
+                      accept=".txt,.pem"
+                      multiple
+                      onChange={handleShareFiles}
+                      className="hidden"
+                    />
+                  </label>
+                  <button
+                    onClick={() => addShares([shareText])}
+                    disabled={!shareText.trim()}
+                    className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors text-sm font-medium disabled:bg-gray-400"
+                  >
+                    Add Share
+                  </button>
+                </div>
+              </div>
+
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 mb-2">
+                  Shares Present ({shares.length}{parsedShares.length > 0 ? ` of ${parsedShares[0].threshold} needed` : ''})
+                </h3>
+                {caName && (
+                  <p className="text-xs text-gray-600 mb-2 font-mono break-all">CA: {caName}</p>
+                )}
+                {shares.length === 0 ? (
+                  <p className="text-sm text-gray-500">No shares added yet</p>
+                ) : (
+                  <ul className="space-y-1">
+                    {parsedShares.map(share => (
+                      <li key={share.index} className="flex items-center justify-between p-2 bg-gray-50 rounded text-sm">
+                        <span>Share {share.index} of {share.total}</span>
+                        <button
+                          onClick={() => handleRemove(share.index)}
+                          disabled={isRecovering}
+                          className="p-1 text-red-600 hover:bg-red-50 rounded"
+                          title="Remove share"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </>
+          )}
+
+          {error && (
+            <div className="text-red-600 flex items-center gap-2">
+              <XCircle className="w-5 h-5" />
+              <span className="text-sm">{error}</span>
+            </div>
+          )}
+        </div>
+
+        <div className="p-6 border-t border-gray-200 bg-gray-50 flex justify-between">
+          <button
+            onClick={onClose}
+            disabled={isRecovering}
+            className="px-6 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors font-medium"
+          >
+            {result ? 'Done' : 'Cancel'}
+          </button>
+          {!result && (
+            <button
+              onClick={handleRecover}
+              disabled={isRecovering || remaining !== 0}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:bg-gray-400"
+            >
+              {isRecovering
+                ? 'Recovering...'
+                : remaining > 0 ? `${remaining} more share(s) needed` : 'Recover Root Key'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RootKeyRecovery;
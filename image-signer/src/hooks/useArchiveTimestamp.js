@@ -0,0 +1,102 @@
+import { useState, useCallback } from 'react';
+import { JPEGEmbedder } from '../utils/metadata/JPEGEmbedder';
+import { PNGEmbedder } from '../utils/metadata/PNGEmbedder';
+import { C2PAManifest } from '../utils/c2pa/C2PAManifest';
+
+function embedderFor(type) {
+  const imageType = (type || '').toLowerCase();
+  if (imageType.includes('jpeg') || imageType.includes('jpg')) {
+    return JPEGEmbedder;
+  }
+  if (imageType.includes('png')) {
+    return PNGEmbedder;
+  }
+  throw new Error(`Unsupported format: ${imageType || 'unknown'}`);
+}
+
+/**
+ * Adds archive timestamps to images that were certified earlier. Only the
+ * embedded manifest changes; the image data and signed claim are kept.
+ */
+export function useArchiveTimestamp() {
+  const [results, setResults] = useState([]);
+  const [isArchiving, setIsArchiving] = useState(false);
+
+  const archiveImages = useCallback(async (files, authorityUrl) => {
+    setIsArchiving(true);
+    setResults([]);
+
+    const archived = [];
+    try {
+      for (const file of files) {
+        console.log('Archive timestamping', file.name);
+        try {
+          const embedder = embedderFor(file.type);
+          const buffer = await file.arrayBuffer();
+          const certificationData = await embedder.extractCertification(buffer);
+          if (!certificationData?.manifest) {
+            throw new Error('Image is not certified');
+          }
+
+          const manifest = await C2PAManifest.addArchiveTimestamp(certificationData.manifest, authorityUrl);
+          const archiveTimestamps = manifest.manifests[manifest.active_manifest].claim_signature.archive_timestamps;
+
+          // The space excluded from the image hash was fixed when the image
+          // was signed; once it is full no further timestamps fit
+          const [exclusion] = C2PAManifest.getSignedExclusions(manifest) || [];
+          const length = await embedder.getReplacementLength(buffer, { ...certificationData, manifest });
+          if (exclusion && length > exclusion.length) {
+            throw new Error(`No room for archive timestamp ${archiveTimestamps.length}: it needs ${length} bytes ` +
+              `but ${exclusion.length} were reserved when the image was signed. Certify the image again to keep archiving it.`);
+          }
+          const archivedBuffer = await embedder.replaceCertification(buffer, { ...certificationData, manifest });
+          console.log('Archive timestamp', archiveTimestamps.length, 'added to', file.name);
+
+          archived.push({
+            name: file.name,
+            blob: new Blob([archivedBuffer], { type: file.type }),
+            count: archiveTimestamps.length,
+            remainingBytes: exclusion ? exclusion.length - length : null,
+            time: archiveTimestamps[archiveTimestamps.length - 1].time
+          });
+        } catch (err) {
+          console.error('Archive timestamp failed for', file.name, err);
+          archived.push({ name: file.name, error: err.message });
+        }
+        setResults([...archived]);
+      }
+      return archived;
+    } finally {
+      setIsArchiving(false);
+    }
+  }, []);
+
+  const downloadArchivedImage = useCallback((result) => {
+    if (!result?.blob) return false;
+
+    const url = URL.createObjectURL(result.blob);
+    const link = document.createElement('a');
+    link.style.display = 'none';
+    link.href = url;
+    link.download = `archived_${result.name}`;
+
+    document.body.appendChild(link);
+    link.click();
+
+    setTimeout(() => {
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    }, 100);
+    return true;
+  }, []);
+
+  const clearResults = useCallback(() => setResults([]), []);
+
+  return {
+    results,
+    isArchiving,
+    archiveImages,
+    downloadArchivedImage,
+    clearResults
+  };
+}
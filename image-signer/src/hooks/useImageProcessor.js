@@ -1,9 +1,11 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
 import { ExifExtractor } from '../utils/metadata/ExifExtractor';
-import { WebCryptoUtils } from '../utils/crypto/WebCryptoUtils';
 import { JPEGEmbedder } from '../utils/metadata/JPEGEmbedder';
 import { PNGEmbedder } from '../utils/metadata/PNGEmbedder';
+import { PerceptualHash } from '../utils/metadata/PerceptualHash';
 import { C2PAManifest } from '../utils/c2pa/C2PAManifest';
+import { X509Certificate } from '../utils/certificates/X509Certificate';
+import { Signer } from '../utils/crypto/Signer';
 import appConfig from '../config/appConfig';
 
 export function useImageProcessor() {
@@ -107,17 +109,37 @@ export function useImageProcessor() {
       const originalBuffer = await image.arrayBuffer();
       console.log('Image buffer size:', originalBuffer.byteLength);
       
+      const imageType = image.type.toLowerCase();
+      console.log('Image type:', imageType);
+      let embedder;
+      if (imageType.includes('jpeg') || imageType.includes('jpg')) {
+        embedder = JPEGEmbedder;
+      } else if (imageType.includes('png')) {
+        embedder = PNGEmbedder;
+      } else {
+        throw new Error(`Unsupported format: ${imageType}`);
+      }
+      const embedOptions = { format: appConfig.embedding.jpegFormat };
+
       console.log('Step 2: Hashing image data...');
-      const imageHash = await WebCryptoUtils.hashImageData(originalBuffer);
-      console.log('Image hash generated:', imageHash.length, 'bytes');
+      // The certification is inserted as one region into the image without
+      // any earlier certification; outside that region the certified file
+      // is exactly this image, so it is hashed as is
+      const baseBuffer = embedder.removeCertification(originalBuffer);
+      const offset = embedder.getCertificationOffset(baseBuffer);
+      const hashAlgorithm = X509Certificate.getImageHashAlgorithm(certificate);
+      const imageHash = new Uint8Array(await crypto.subtle.digest(hashAlgorithm, baseBuffer));
+      console.log('Image hash generated:', hashAlgorithm, imageHash.length, 'bytes, certification at offset', offset);
 
-      // Create proper C2PA manifest
-      const imageDataWithHash = {
-        hash: Array.from(imageHash)
-        // Note: Don't include the buffer itself in the manifest!
-      };
+      // Soft binding: matches copies whose certification was stripped
+      let perceptualHash = null;
+      try {
+        perceptualHash = await PerceptualHash.fromImage(image);
+        console.log('Perceptual hash:', perceptualHash);
+      } catch (err) {
+        console.warn('Perceptual hash unavailable, certifying without soft binding:', err.message);
+      }
 
-      console.log('Step 3: Creating C2PA manifest...');
       // Create a clean certificate copy without keyPair for manifest
       const cleanCertificate = {
         tbsCertificate: certificate.tbsCertificate,
@@ -126,54 +148,60 @@ export function useImageProcessor() {
         fingerprint: certificate.fingerprint,
         isSelfSigned: certificate.isSelfSigned
       };
-      
-      let manifest = await C2PAManifest.createManifest(
-        imageDataWithHash,
+      const createManifest = length => C2PAManifest.createManifest(
+        {
+          hash: Array.from(imageHash),
+          algorithm: hashAlgorithm,
+          // Where the certification goes, left out of the hash
+          exclusions: [{ start: offset, length }],
+          perceptualHash
+        },
         cleanCertificate,
         description.trim(),
         exifData
       );
-      console.log('Manifest created successfully');
-
-      console.log('Step 4: Signing manifest...');
-      // Pass the full certificate with keyPair for signing
-      manifest = await C2PAManifest.signManifest(manifest, certificate);
-      console.log('Manifest signed successfully');
-
-      console.log('Step 5: Creating certification data...');
-      // Create certification data including EXIF and all signed metadata
-      const certificationData = {
-        manifestId: manifest.active_manifest,
-        signature: manifest.manifests[manifest.active_manifest].claim_signature.signature,
-        timestamp: new Date().toISOString(),
-        description: description.trim(),
-        certFingerprint: certificate.fingerprint?.sha256 || 'unknown',
-        // Include the EXIF data that was signed
-        exifData: exifData || null,
-        // Include image hash for integrity verification
-        imageHash: Array.from(imageHash)
-      };
+
+      console.log('Step 3: Reserving space for the manifest...');
+      // The exclusion is signed, so its length is fixed before signing:
+      // the unsigned manifest plus the configured reserve. When the
+      // signature and timestamp do not fit, the manifest is signed once more
+      // with its measured length plus the reserve
+      let reservedLength = await embedder.getCertificationLength(
+        C2PAManifest.createCertificationData(await createManifest(0)),
+        embedOptions
+      ) + appConfig.embedding.reservedBytes;
+      console.log('Reserved', reservedLength, 'bytes');
+
+      let certificationData = null;
+      for (let attempt = 1; !certificationData; attempt++) {
+        console.log('Step 4: Signing manifest...');
+        // Sign with the certificate's unlocked key or its signing service
+        const manifest = await C2PAManifest.signManifest(await createManifest(reservedLength), certificate, {
+          signer: Signer.forCertificate(certificate, { accessToken: appConfig.remoteSigning.accessToken }),
+          timestampAuthorityUrl: appConfig.timestamping.authorityUrl
+        });
+        console.log('Manifest signed successfully, timestamp authority:',
+          manifest.manifests[manifest.active_manifest].claim_signature.timestamp.authority);
+
+        console.log('Step 5: Creating certification data...');
+        // The description, timestamp, certificate reference, EXIF snapshot and
+        // image hash all live in the signed claim; nothing is stored beside it
+        const signedData = C2PAManifest.createCertificationData(manifest);
+        const length = await embedder.getCertificationLength(signedData, embedOptions);
+        if (length <= reservedLength) {
+          certificationData = signedData;
+        } else if (attempt < 2) {
+          console.log('Signed manifest needs', length, 'bytes, reserving more and signing again');
+          reservedLength = length + appConfig.embedding.reservedBytes;
+        } else {
+          throw new Error(`Signed manifest needs ${length} bytes but only ${reservedLength} could be reserved`);
+        }
+      }
       console.log('Certification data created:', certificationData);
       console.log('EXIF data included:', exifData ? 'Yes' : 'No');
-      if (exifData) {
-        console.log('EXIF dateTaken:', exifData.dateTaken);
-        console.log('Full EXIF data:', JSON.stringify(exifData, null, 2));
-      }
 
       console.log('Step 6: Embedding certification in image...');
-      let certifiedImageBuffer;
-      const imageType = image.type.toLowerCase();
-      console.log('Image type:', imageType);
-      
-      if (imageType.includes('jpeg') || imageType.includes('jpg')) {
-        console.log('Embedding in JPEG...');
-        certifiedImageBuffer = await JPEGEmbedder.embedCertification(originalBuffer, certificationData);
-      } else if (imageType.includes('png')) {
-        console.log('Embedding in PNG...');
-        certifiedImageBuffer = await PNGEmbedder.embedCertification(originalBuffer, certificationData);
-      } else {
-        throw new Error(`Unsupported format: ${imageType}`);
-      }
+      const certifiedImageBuffer = await embedder.embedCertification(baseBuffer, certificationData, embedOptions);
       console.log('Certification embedded successfully');
 
       console.log('Step 7: Creating certified blob...');
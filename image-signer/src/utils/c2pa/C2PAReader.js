@@ -0,0 +1,298 @@
+import { JUMBF } from './JUMBF';
+import { COSE } from './COSE';
+import { X509Certificate } from '../certificates/X509Certificate';
+import { WebCryptoUtils } from '../crypto/WebCryptoUtils';
+
+/**
+ * Reader for C2PA manifest stores written by any C2PA implementation
+ * (cameras, editors, c2pa-rs). Unlike C2PAManifest.fromJUMBF it makes no
+ * assumptions about the assertions present: it decodes the claim and every
+ * assertion it can, checks the hashed URIs and keeps the exact claim bytes
+ * so the COSE signature is verified over what was signed, not a
+ * re-encoding of it.
+ */
+export class C2PAReader {
+  // Hashed URI and data hash algorithm names, as Web Crypto digests
+  static HASH_ALGORITHMS = {
+    sha256: 'SHA-256',
+    sha384: 'SHA-384',
+    sha512: 'SHA-512'
+  };
+
+  static DEFAULT_HASH_ALGORITHM = 'sha256';
+  static DATA_HASH_LABEL = 'c2pa.hash.data';
+  static HARD_BINDING_PATTERN = /^c2pa\.hash\.(data|boxes|bmff(\.v\d)?)$/;
+  static ACTIONS_PATTERN = /^c2pa\.actions(\.v\d)?$/;
+  static INGREDIENT_PATTERN = /^c2pa\.ingredient(\.v\d)?$/;
+  static CREATIVE_WORK_LABEL = 'stds.schema-org.CreativeWork';
+
+  /**
+   * Read a manifest store from its JUMBF bytes. Returns the active manifest
+   * label and every manifest, active last; problems with individual
+   * manifests are recorded in their `errors` rather than thrown.
+   */
+  static async read(bytes) {
+    const [store] = JUMBF.parse(bytes);
+    if (store?.description?.type !== JUMBF.TYPES.C2PA_MANIFEST_STORE) {
+      throw new Error('Not a C2PA manifest store');
+    }
+
+    const manifestBoxes = JUMBF.findAllByType(store, JUMBF.TYPES.C2PA_MANIFEST);
+    if (manifestBoxes.length === 0) {
+      throw new Error('C2PA manifest store contains no manifests');
+    }
+
+    const manifests = [];
+    for (const manifestBox of manifestBoxes) {
+      manifests.push(await this.readManifest(store, manifestBox));
+    }
+
+    return {
+      activeManifest: manifestBoxes[manifestBoxes.length - 1].description.label,
+      manifests
+    };
+  }
+
+  static getActiveManifest(store) {
+    return store?.manifests?.find(manifest => manifest.label === store.activeManifest) || null;
+  }
+
+  static async readManifest(store, manifestBox) {
+    const label = manifestBox.description.label;
+    const result = { label, claim: null, claimBytes: null, assertions: [], signature: null, errors: [] };
+
+    // Claim boxes are labelled c2pa.claim or c2pa.claim.v2
+    const [claimBox] = JUMBF.findAllByType(manifestBox, JUMBF.TYPES.C2PA_CLAIM);
+    if (!claimBox) {
+      result.errors.push(`Manifest ${label} has no claim`);
+      return result;
+    }
+    try {
+      result.claimBytes = Uint8Array.from(JUMBF.findContent(claimBox).payload);
+      result.claim = JUMBF.readContent(claimBox);
+    } catch (error) {
+      result.errors.push(`Claim of manifest ${label} could not be decoded: ${error.message}`);
+      return result;
+    }
+
+    const claim = result.claim;
+    result.claimVersion = claimBox.description.label === 'c2pa.claim.v2' ? 2 : 1;
+    result.claimGenerator = this.getClaimGenerator(claim);
+    result.title = claim['dc:title'] || null;
+    result.format = claim['dc:format'] || null;
+    result.instanceId = claim.instanceID || null;
+
+    const references = [
+      ...(claim.assertions || []),
+      ...(claim.created_assertions || []),
+      ...(claim.gathered_assertions || [])
+    ];
+    for (const reference of references) {
+      result.assertions.push(await this.readAssertion(store, manifestBox, reference, claim.alg));
+    }
+    result.assertions
+      .filter(assertion => assertion.error)
+      .forEach(assertion => result.errors.push(assertion.error));
+
+    const [signatureBox] = JUMBF.findAllByType(manifestBox, JUMBF.TYPES.C2PA_SIGNATURE);
+    if (!signatureBox) {
+      result.errors.push(`Manifest ${label} is unsigned`);
+    } else {
+      try {
+        result.signature = COSE.decodeSign1(JUMBF.findContent(signatureBox).payload);
+      } catch (error) {
+        result.errors.push(`Claim signature could not be decoded: ${error.message}`);
+      }
+    }
+
+    result.actions = this.getActions(result.assertions);
+    result.ingredients = this.getIngredients(result.assertions);
+    result.author = this.getAuthor(result.assertions);
+    return result;
+  }
+
+  /**
+   * Resolve a hashed URI from the claim and check the assertion against it
+   */
+  static async readAssertion(store, manifestBox, reference, claimAlgorithm) {
+    const url = String(reference?.url || '');
+    const box = this.resolveURI(store, manifestBox, url);
+    const label = url.split('/').pop().replace(/__\d+$/, '');
+    const assertion = { label, url, data: null, hashValid: false, error: null };
+    if (!box) {
+      assertion.error = `Assertion ${url} is missing from the manifest store`;
+      return assertion;
+    }
+
+    const algorithm = this.HASH_ALGORITHMS[reference.alg || claimAlgorithm || this.DEFAULT_HASH_ALGORITHM];
+    if (!algorithm) {
+      assertion.error = `Assertion ${label} uses an unsupported hash algorithm: ${reference.alg || claimAlgorithm}`;
+      return assertion;
+    }
+    const digest = new Uint8Array(await crypto.subtle.digest(algorithm, Uint8Array.from(box.payload)));
+    assertion.hashValid = WebCryptoUtils.bytesEqual(digest, reference.hash || []);
+    if (!assertion.hashValid) {
+      assertion.error = `Assertion ${label} does not match its hash in the claim`;
+    }
+
+    try {
+      assertion.data = JUMBF.readContent(box);
+    } catch (error) {
+      // Embedded files such as thumbnails have no JSON or CBOR content
+      assertion.data = null;
+    }
+    return assertion;
+  }
+
+  /**
+   * Find the box a self#jumbf= URI points to. Relative URIs start in the
+   * manifest that refers to them, absolute ones (/c2pa/...) at the store.
+   */
+  static resolveURI(store, manifestBox, url) {
+    const match = /^self#jumbf=(.*)$/.exec(url);
+    if (!match) {
+      return null;
+    }
+
+    let segments = match[1].split('/').filter(Boolean);
+    let box = manifestBox;
+    if (match[1].startsWith('/')) {
+      if (segments[0] !== store.description.label) {
+        return null;
+      }
+      box = JUMBF.findByLabel(store, segments[1]);
+      segments = segments.slice(2);
+    }
+    for (const segment of segments) {
+      box = JUMBF.findByLabel(box, segment);
+      if (!box) {
+        return null;
+      }
+    }
+    return box === manifestBox ? null : box;
+  }
+
+  static getClaimGenerator(claim) {
+    if (typeof claim.claim_generator === 'string') {
+      return claim.claim_generator;
+    }
+    const info = [].concat(claim.claim_generator_info || []);
+    return info
+      .map(entry => [entry?.name, entry?.version].filter(Boolean).join(' '))
+      .filter(Boolean)
+      .join(', ') || null;
+  }
+
+  static getActions(assertions) {
+    return assertions
+      .filter(assertion => this.ACTIONS_PATTERN.test(assertion.label))
+      .flatMap(assertion => assertion.data?.actions || [])
+      .map(action => ({
+        action: action.action,
+        softwareAgent: typeof action.softwareAgent === 'string' ? action.softwareAgent : action.softwareAgent?.name || null,
+        when: action.when || null
+      }));
+  }
+
+  static getIngredients(assertions) {
+    return assertions
+      .filter(assertion => this.INGREDIENT_PATTERN.test(assertion.label))
+      .map(assertion => ({
+        title: assertion.data?.['dc:title'] || assertion.data?.title || null,
+        relationship: assertion.data?.relationship || null
+      }));
+  }
+
+  static getAuthor(assertions) {
+    const creativeWork = assertions.find(assertion => assertion.label === this.CREATIVE_WORK_LABEL);
+    const authors = [].concat(creativeWork?.data?.author || []);
+    return authors.map(author => author?.name).filter(Boolean).join(', ') || null;
+  }
+
+  /**
+   * Decode the x5chain certificates of the claim signature, signing
+   * certificate first
+   */
+  static async getCertificateChain(manifest) {
+    const certificates = [];
+    for (const der of manifest?.signature?.certificateChain || []) {
+      try {
+        certificates.push({
+          ...X509Certificate.fromDER(der),
+          fingerprint: await X509Certificate.calculateFingerprint(der)
+        });
+      } catch (error) {
+        console.warn('Skipping undecodable certificate in x5chain:', error.message);
+      }
+    }
+    return certificates;
+  }
+
+  /**
+   * Verify the COSE_Sign1 claim signature over the claim bytes as stored.
+   * Returns { valid, reason }.
+   */
+  static async verifySignature(manifest, publicKeyData) {
+    if (!manifest?.claimBytes) {
+      return { valid: false, reason: 'Signed claim is missing from the manifest' };
+    }
+    if (!manifest.signature) {
+      return { valid: false, reason: 'Manifest is unsigned' };
+    }
+    return COSE.verify(manifest.signature, manifest.claimBytes, publicKeyData);
+  }
+
+  /**
+   * Check the claim's hard binding against the asset bytes. Only data hash
+   * bindings (c2pa.hash.data) are supported. Returns
+   * { valid, reason, algorithm }.
+   */
+  static async verifyHardBinding(manifest, assetBytes) {
+    const binding = (manifest?.assertions || []).find(assertion => this.HARD_BINDING_PATTERN.test(assertion.label));
+    if (!binding) {
+      return { valid: false, reason: 'The claim has no hard binding to the image', algorithm: null };
+    }
+    if (binding.label !== this.DATA_HASH_LABEL) {
+      return { valid: false, reason: `${binding.label} hard bindings are not supported`, algorithm: null };
+    }
+    if (!binding.hashValid || !binding.data) {
+      return { valid: false, reason: binding.error || 'Data hash assertion could not be read', algorithm: null };
+    }
+
+    const name = binding.data.alg || manifest.claim?.alg || this.DEFAULT_HASH_ALGORITHM;
+    const algorithm = this.HASH_ALGORITHMS[name];
+    if (!algorithm) {
+      return { valid: false, reason: `Unsupported data hash algorithm: ${name}`, algorithm: null };
+    }
+
+    let digest;
+    try {
+      digest = await this.hashExcluding(assetBytes, binding.data.exclusions || [], algorithm);
+    } catch (error) {
+      return { valid: false, reason: error.message, algorithm };
+    }
+    return WebCryptoUtils.bytesEqual(digest, binding.data.hash || [])
+      ? { valid: true, reason: null, algorithm }
+      : { valid: false, reason: 'Image data does not match the signed data hash', algorithm };
+  }
+
+  /**
+   * Digest of the asset bytes outside the exclusion ranges ({ start, length })
+   */
+  static async hashExcluding(assetBytes, exclusions, algorithm) {
+    const bytes = assetBytes instanceof Uint8Array ? assetBytes : new Uint8Array(assetBytes);
+    const ranges = [...exclusions].sort((a, b) => a.start - b.start);
+    const parts = [];
+    let position = 0;
+    for (const { start, length } of ranges) {
+      if (!Number.isInteger(start) || !Number.isInteger(length) || start < position || start + length > bytes.length) {
+        throw new Error('Data hash exclusions overlap or lie outside the image');
+      }
+      parts.push(bytes.subarray(position, start));
+      position = start + length;
+    }
+    parts.push(bytes.subarray(position));
+
+    return new Uint8Array(await crypto.subtle.digest(algorithm, JUMBF.concat(...parts)));
+  }
+}
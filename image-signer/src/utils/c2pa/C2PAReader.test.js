@@ -0,0 +1,124 @@
+import { C2PAReader } from './C2PAReader';
+import { C2PAManifest } from './C2PAManifest';
+import { JUMBF } from './JUMBF';
+import { CBOR } from './CBOR';
+import { COSE } from './COSE';
+import { X509Certificate } from '../certificates/X509Certificate';
+import { Signer } from '../crypto/Signer';
+
+describe('C2PAReader', () => {
+  const MANIFEST_LABEL = 'urn:uuid:6fa2a1c4-3d0a-4f0e-9d1c-camera';
+  let certificate;
+  let publicKey;
+
+  beforeAll(async () => {
+    certificate = await X509Certificate.generateCertificate({ name: 'Camera Maker Device' }, null, { signatureAlgorithm: 'ES256' });
+    publicKey = certificate.tbsCertificate.subjectPublicKeyInfo.publicKey;
+  });
+
+  const sha256 = async bytes => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+
+  // A manifest store as another C2PA implementation writes it: CBOR
+  // assertions, absolute and relative hashed URIs, a data hash over the
+  // image bytes around the store and a COSE_Sign1 with the device chain
+  const createStore = async (prefix, suffix, exclusionLength) => {
+    const actions = JUMBF.cborSuperbox('c2pa.actions', {
+      actions: [{ action: 'c2pa.created', softwareAgent: { name: 'Camera Firmware', version: '2.1' } }]
+    });
+    const dataHash = JUMBF.cborSuperbox('c2pa.hash.data', {
+      exclusions: [{ start: prefix.length, length: exclusionLength }],
+      name: 'jumbf manifest',
+      alg: 'sha256',
+      hash: await sha256(JUMBF.concat(prefix, suffix)),
+      pad: new Uint8Array(0)
+    });
+    const claimBytes = CBOR.encode({
+      claim_generator: 'Camera Firmware/2.1',
+      'dc:format': 'image/jpeg',
+      instanceID: 'xmp:iid:1234',
+      signature: 'self#jumbf=c2pa.signature',
+      alg: 'sha256',
+      assertions: [
+        { url: `self#jumbf=/c2pa/${MANIFEST_LABEL}/c2pa.assertions/c2pa.actions`, hash: await sha256(actions.subarray(8)) },
+        { url: 'self#jumbf=c2pa.assertions/c2pa.hash.data', hash: await sha256(dataHash.subarray(8)) }
+      ]
+    });
+    const signed = await COSE.sign(claimBytes, Signer.local(certificate.keyPair.privateKey), { certificateChain: [certificate.der] });
+
+    return JUMBF.superbox(JUMBF.TYPES.C2PA_MANIFEST_STORE, 'c2pa', JUMBF.superbox(
+      JUMBF.TYPES.C2PA_MANIFEST,
+      MANIFEST_LABEL,
+      JUMBF.superbox(JUMBF.TYPES.C2PA_ASSERTION_STORE, 'c2pa.assertions', actions, dataHash),
+      JUMBF.superbox(JUMBF.TYPES.C2PA_CLAIM, 'c2pa.claim', JUMBF.box('cbor', claimBytes)),
+      JUMBF.superbox(JUMBF.TYPES.C2PA_SIGNATURE, 'c2pa.signature', JUMBF.box('cbor', COSE.encodeSign1(signed)))
+    ));
+  };
+
+  // The exclusion covers the store, whose length depends on the exclusion
+  const createAsset = async () => {
+    const prefix = new TextEncoder().encode('image header ');
+    const suffix = new TextEncoder().encode(' image data');
+    let store = await createStore(prefix, suffix, 0);
+    let length;
+    do {
+      length = store.length;
+      store = await createStore(prefix, suffix, length);
+    } while (store.length !== length);
+    return { asset: JUMBF.concat(prefix, store, suffix), store };
+  };
+
+  it('should read and verify a manifest store written by another implementation', async () => {
+    const { asset, store } = await createAsset();
+
+    const read = await C2PAReader.read(store);
+    const manifest = C2PAReader.getActiveManifest(read);
+
+    expect(manifest).toMatchObject({
+      label: MANIFEST_LABEL,
+      claimGenerator: 'Camera Firmware/2.1',
+      format: 'image/jpeg',
+      errors: [],
+      actions: [{ action: 'c2pa.created', softwareAgent: 'Camera Firmware', when: null }]
+    });
+    expect(manifest.assertions.map(assertion => [assertion.label, assertion.hashValid]))
+      .toEqual([['c2pa.actions', true], ['c2pa.hash.data', true]]);
+    expect((await C2PAReader.getCertificateChain(manifest))[0].fingerprint.sha256).toBe(certificate.fingerprint.sha256);
+    expect(await C2PAReader.verifySignature(manifest, publicKey)).toEqual({ valid: true, reason: null });
+    expect(await C2PAReader.verifyHardBinding(manifest, asset)).toEqual({ valid: true, reason: null, algorithm: 'SHA-256' });
+  });
+
+  it('should report image bytes changed outside the exclusions', async () => {
+    const { asset, store } = await createAsset();
+    const manifest = C2PAReader.getActiveManifest(await C2PAReader.read(store));
+    const tampered = Uint8Array.from(asset);
+    tampered[tampered.length - 1] ^= 0xFF;
+
+    expect(await C2PAReader.verifyHardBinding(manifest, tampered))
+      .toEqual({ valid: false, reason: 'Image data does not match the signed data hash', algorithm: 'SHA-256' });
+  });
+
+  it('should report an assertion that no longer matches the claim', async () => {
+    const { store } = await createAsset();
+    const tampered = Uint8Array.from(store);
+    const original = Array.from(new TextEncoder().encode('c2pa.created'));
+    const position = tampered.findIndex((_, index) => original.every((byte, i) => tampered[index + i] === byte));
+    tampered.set(new TextEncoder().encode('c2pa.deleted'), position);
+
+    const manifest = C2PAReader.getActiveManifest(await C2PAReader.read(tampered));
+
+    expect(manifest.errors).toEqual(['Assertion c2pa.actions does not match its hash in the claim']);
+    expect(await C2PAReader.verifySignature(manifest, publicKey)).toEqual({ valid: true, reason: null });
+  });
+
+  it('should verify the signature of manifests written by this app', async () => {
+    const signed = await C2PAManifest.signManifest(
+      await C2PAManifest.createManifest({ hash: [1, 2, 3] }, certificate, 'Own manifest', null),
+      certificate
+    );
+
+    const manifest = C2PAReader.getActiveManifest(await C2PAReader.read(await C2PAManifest.exportAsJUMBF(signed)));
+
+    expect(manifest.errors).toEqual([]);
+    expect(await C2PAReader.verifySignature(manifest, publicKey)).toEqual({ valid: true, reason: null });
+  });
+});
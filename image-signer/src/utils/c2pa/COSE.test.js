@@ -0,0 +1,50 @@
+import { COSE } from './COSE';
+import { X509Certificate } from '../certificates/X509Certificate';
+import { Signer } from '../crypto/Signer';
+
+describe('COSE', () => {
+  let certificate;
+  let signer;
+  const payload = new TextEncoder().encode('serialized claim');
+
+  beforeAll(async () => {
+    certificate = await X509Certificate.generateCertificate({ name: 'Test Photographer' });
+    signer = Signer.local(certificate.keyPair.privateKey);
+  });
+
+  it('should sign a detached payload and carry the chain in x5chain', async () => {
+    const signed = await COSE.sign(payload, signer, { certificateChain: [certificate.der] });
+
+    const decoded = COSE.decodeSign1(COSE.encodeSign1({ ...signed, unprotected: { note: 'kept' } }));
+
+    expect(decoded.algorithm).toBe(signer.algorithm);
+    expect(decoded.certificateChain).toEqual([Array.from(certificate.der)]);
+    expect(decoded.unprotected).toEqual({ note: 'kept' });
+    expect(decoded.payload).toBeNull();
+    expect(await COSE.verify(decoded, payload, certificate.tbsCertificate.subjectPublicKeyInfo.publicKey))
+      .toEqual({ valid: true, reason: null });
+  });
+
+  it('should reject a changed payload or protected header', async () => {
+    const signed = await COSE.sign(payload, signer, { certificateChain: [certificate.der] });
+    const publicKey = certificate.tbsCertificate.subjectPublicKeyInfo.publicKey;
+
+    expect(await COSE.verify(signed, new TextEncoder().encode('serialized claiM'), publicKey))
+      .toEqual({ valid: false, reason: 'Signature does not match the signed claim' });
+    expect(await COSE.verify({ ...signed, protectedHeader: COSE.encodeProtectedHeader(signer.algorithm) }, payload, publicKey))
+      .toEqual({ valid: false, reason: 'Signature does not match the signed claim' });
+  });
+
+  it('should refuse a certificate chain outside the signed header', async () => {
+    const signed = await COSE.sign(payload, signer);
+    const unprotected = new Map([[COSE.HEADERS.X5CHAIN, Uint8Array.from(certificate.der)]]);
+
+    expect(() => COSE.decodeSign1(COSE.encodeSign1({ ...signed, unprotected })))
+      .toThrow('Certificate chain must be in the protected header');
+  });
+
+  it('should refuse structures that are not COSE_Sign1', () => {
+    expect(() => COSE.getAlgorithmName(-999)).toThrow('Unsupported COSE algorithm: -999');
+    expect(() => COSE.decodeSign1(Uint8Array.of(0xD8, 0x61, 0x80))).toThrow('Expected a COSE_Sign1 structure, found tag 97');
+  });
+});
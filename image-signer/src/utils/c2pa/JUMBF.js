@@ -0,0 +1,201 @@
+import { CBOR } from './CBOR';
+
+/**
+ * JUMBF boxes (JPEG Universal Metadata Box Format, ISO/IEC 19566-5)
+ * A box is LBox (4-byte big-endian size), TBox (4 characters) and its
+ * payload; LBox 1 means an 8-byte XLBox size follows TBox, 0 means the
+ * box runs to the end of its container. A superbox ('jumb') starts with a
+ * description box ('jumd') naming its content type and label.
+ */
+export class JUMBF {
+  static HEADER_LENGTH = 8;
+
+  // Description box toggles
+  static TOGGLES = {
+    REQUESTABLE: 0x01,
+    LABEL: 0x02,
+    ID: 0x04,
+    HASH: 0x08
+  };
+
+  // Superbox content types; the JSON and CBOR ones also name content boxes
+  static TYPES = {
+    JSON: '6a736f6e00110010800000aa00389b71',
+    CBOR: '63626f7200110010800000aa00389b71',
+    C2PA_MANIFEST_STORE: '6332706100110010800000aa00389b71',
+    C2PA_MANIFEST: '63326d6100110010800000aa00389b71',
+    C2PA_CLAIM: '6332636c00110010800000aa00389b71',
+    C2PA_ASSERTION_STORE: '6332617300110010800000aa00389b71',
+    C2PA_SIGNATURE: '6332637300110010800000aa00389b71'
+  };
+
+  /**
+   * Encode a box of the given four-character type around payload bytes
+   */
+  static box(type, payload) {
+    const bytes = payload instanceof Uint8Array ? payload : Uint8Array.from(payload);
+    const length = this.HEADER_LENGTH + bytes.length;
+    if (length > 0xFFFFFFFF) {
+      throw new Error('JUMBF box too large');
+    }
+
+    const box = new Uint8Array(length);
+    new DataView(box.buffer).setUint32(0, length);
+    box.set(new TextEncoder().encode(type), 4);
+    box.set(bytes, this.HEADER_LENGTH);
+    return box;
+  }
+
+  /**
+   * Encode a superbox: the description box for contentType and label,
+   * followed by the content boxes
+   */
+  static superbox(contentType, label, ...contentBoxes) {
+    const labelBytes = new TextEncoder().encode(label);
+    const description = new Uint8Array(16 + 1 + labelBytes.length + 1);
+    description.set(this.hexToBytes(contentType), 0);
+    description[16] = this.TOGGLES.REQUESTABLE | this.TOGGLES.LABEL;
+    description.set(labelBytes, 17);
+
+    return this.box('jumb', this.concat(this.box('jumd', description), ...contentBoxes));
+  }
+
+  /**
+   * Superbox holding one JSON content box
+   */
+  static jsonSuperbox(label, value) {
+    return this.superbox(this.TYPES.JSON, label, this.box('json', new TextEncoder().encode(JSON.stringify(value))));
+  }
+
+  /**
+   * Superbox holding one CBOR content box
+   */
+  static cborSuperbox(label, value) {
+    return this.superbox(this.TYPES.CBOR, label, this.box('cbor', CBOR.encode(value)));
+  }
+
+  /**
+   * Decode the boxes in bytes. Superboxes get `description` and `children`;
+   * every box keeps its `payload` and the `raw` bytes it was read from.
+   */
+  static parse(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const boxes = [];
+    let offset = 0;
+
+    while (offset < data.length) {
+      if (offset + this.HEADER_LENGTH > data.length) {
+        throw new Error('Truncated JUMBF box header');
+      }
+      let length = view.getUint32(offset);
+      const type = String.fromCharCode(...data.subarray(offset + 4, offset + 8));
+      let headerLength = this.HEADER_LENGTH;
+      if (length === 1) {
+        if (offset + 16 > data.length) {
+          throw new Error('Truncated JUMBF box header');
+        }
+        length = view.getUint32(offset + 8) * 0x100000000 + view.getUint32(offset + 12);
+        headerLength = 16;
+      } else if (length === 0) {
+        length = data.length - offset;
+      }
+      if (length < headerLength || offset + length > data.length) {
+        throw new Error(`JUMBF box ${type} has an invalid length`);
+      }
+
+      const box = {
+        type,
+        payload: data.subarray(offset + headerLength, offset + length),
+        raw: data.subarray(offset, offset + length)
+      };
+      if (type === 'jumb') {
+        const [descriptionBox, ...children] = this.parse(box.payload);
+        if (descriptionBox?.type !== 'jumd') {
+          throw new Error('JUMBF superbox does not start with a description box');
+        }
+        box.description = this.parseDescription(descriptionBox.payload);
+        box.children = children;
+      }
+      boxes.push(box);
+      offset += length;
+    }
+
+    return boxes;
+  }
+
+  static parseDescription(payload) {
+    if (payload.length < 17) {
+      throw new Error('JUMBF description box is too short');
+    }
+
+    const toggles = payload[16];
+    let label = null;
+    if (toggles & this.TOGGLES.LABEL) {
+      const end = payload.indexOf(0, 17);
+      if (end === -1) {
+        throw new Error('JUMBF description label is not terminated');
+      }
+      label = new TextDecoder().decode(payload.subarray(17, end));
+    }
+
+    return {
+      type: this.bytesToHex(payload.subarray(0, 16)),
+      toggles,
+      label
+    };
+  }
+
+  /**
+   * Child superbox with the given label
+   */
+  static findByLabel(superbox, label) {
+    return (superbox?.children || []).find(child => child.description?.label === label) || null;
+  }
+
+  /**
+   * Child superboxes with the given content type
+   */
+  static findAllByType(superbox, contentType) {
+    return (superbox?.children || []).filter(child => child.description?.type === contentType);
+  }
+
+  /**
+   * First JSON or CBOR content box of a superbox
+   */
+  static findContent(superbox) {
+    const content = (superbox?.children || []).find(child => child.type === 'json' || child.type === 'cbor');
+    if (!content) {
+      throw new Error(`JUMBF box ${superbox?.description?.label || ''} has no JSON or CBOR content`);
+    }
+    return content;
+  }
+
+  /**
+   * Decode the JSON or CBOR content of a superbox
+   */
+  static readContent(superbox) {
+    const content = this.findContent(superbox);
+    return content.type === 'cbor'
+      ? CBOR.decode(content.payload)
+      : JSON.parse(new TextDecoder().decode(content.payload));
+  }
+
+  static concat(...parts) {
+    const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      result.set(part, position);
+      position += part.length;
+    });
+    return result;
+  }
+
+  static hexToBytes(hex) {
+    return Uint8Array.from(hex.match(/.{2}/g), byte => parseInt(byte, 16));
+  }
+
+  static bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
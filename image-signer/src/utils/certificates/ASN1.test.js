@@ -0,0 +1,74 @@
+import { ASN1 } from './ASN1';
+
+describe('ASN1', () => {
+  const hex = (bytes) => ASN1.bytesToHex(bytes);
+
+  it('should encode object identifiers', () => {
+    expect(hex(ASN1.oid('1.2.840.10045.4.3.3'))).toBe('06082a8648ce3d040303');
+    expect(ASN1.decodeOID(ASN1.decode(ASN1.oid('1.3.132.0.34')))).toBe('1.3.132.0.34');
+  });
+
+  it('should encode integers with sign padding', () => {
+    expect(hex(ASN1.integer(0))).toBe('020100');
+    expect(hex(ASN1.integer(128))).toBe('02020080');
+    expect(hex(ASN1.integer('00007f'))).toBe('02017f');
+    expect(ASN1.decodeIntegerHex(ASN1.decode(ASN1.integer('ff01')))).toBe('ff01');
+  });
+
+  it('should use long-form lengths above 127 bytes', () => {
+    const encoded = ASN1.octetString(new Uint8Array(300));
+
+    expect(hex(encoded.subarray(0, 4))).toBe('0482012c');
+    expect(ASN1.decode(encoded).content.length).toBe(300);
+  });
+
+  it('should encode named bit strings without trailing zero bits', () => {
+    // digitalSignature (0) and keyCertSign (5)
+    const encoded = ASN1.namedBitString([0, 5]);
+
+    expect(hex(encoded)).toBe('03020284');
+    expect(ASN1.decodeNamedBits(ASN1.decode(encoded))).toEqual([0, 5]);
+  });
+
+  it('should choose UTCTime before 2050 and GeneralizedTime after', () => {
+    const utc = ASN1.time('2024-03-01T12:34:56Z');
+    const generalized = ASN1.time('2051-01-01T00:00:00Z');
+
+    expect(utc[0]).toBe(ASN1.TAGS.UTC_TIME);
+    expect(generalized[0]).toBe(ASN1.TAGS.GENERALIZED_TIME);
+    expect(ASN1.decodeTime(ASN1.decode(utc)).toISOString()).toBe('2024-03-01T12:34:56.000Z');
+    expect(ASN1.decodeTime(ASN1.decode(generalized)).toISOString()).toBe('2051-01-01T00:00:00.000Z');
+  });
+
+  it('should sort SET OF elements by their encoding', () => {
+    const encoded = ASN1.set(ASN1.integer(2), ASN1.integer(1));
+
+    expect(hex(encoded)).toBe('3106020101020102');
+  });
+
+  it('should convert ECDSA signatures between raw and DER form', () => {
+    const raw = new Uint8Array(96);
+    raw[0] = 0x80;
+    raw[95] = 0x01;
+
+    const der = ASN1.encodeECDSASignature(raw);
+    const node = ASN1.decode(der);
+
+    expect(node.children[0].content[0]).toBe(0x00);
+    expect(node.children[1].content.length).toBe(1);
+    expect(ASN1.decodeECDSASignature(der, 48)).toEqual(raw);
+  });
+
+  it('should round trip PEM armor', () => {
+    const der = ASN1.sequence(ASN1.null());
+
+    const [block] = ASN1.fromPEM(`junk\n${ASN1.toPEM(der, 'TEST')}\n`);
+
+    expect(block.label).toBe('TEST');
+    expect(hex(block.der)).toBe(hex(der));
+  });
+
+  it('should reject truncated input', () => {
+    expect(() => ASN1.decode([0x30, 0x05, 0x02])).toThrow('DER element length exceeds available data');
+  });
+});
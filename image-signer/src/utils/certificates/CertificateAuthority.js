@@ -0,0 +1,332 @@
+import { X509Certificate } from './X509Certificate';
+import { CertificationRequest } from './CertificationRequest';
+import { CertificateRevocationList } from './CertificateRevocationList';
+import { ASN1 } from './ASN1';
+import { TimeStampToken } from './TimeStampToken';
+
+/**
+ * Local certificate authority
+ * Creates an organization root CA and optional intermediates, and issues
+ * end-entity photographer certificates signed by them. Verifiers only need
+ * to trust the root to accept every certificate it issued.
+ */
+export class CertificateAuthority {
+  static ROLES = {
+    ROOT: 'root',
+    INTERMEDIATE: 'intermediate'
+  };
+
+  static DEFAULT_VALIDITY_DAYS = {
+    root: 3650,
+    intermediate: 1825,
+    responder: 90
+  };
+
+  static TRUST_MODEL = 'organization-ca';
+
+  static RESPONDER_BUNDLE_TYPE = 'aic-revocation-responder';
+  static DEFAULT_RESPONSE_VALIDITY_MINUTES = 60;
+
+  static TIMESTAMPING_BUNDLE_TYPE = 'aic-timestamp-authority';
+
+  /**
+   * Create a self-signed root CA
+   */
+  static async createRootCA(subjectInfo, options = {}) {
+    const certificate = await X509Certificate.generateCertificate(subjectInfo, null, {
+      isCA: true,
+      pathLenConstraint: options.pathLenConstraint,
+      validityDays: options.validityDays || this.DEFAULT_VALIDITY_DAYS.root,
+      trustModel: this.TRUST_MODEL
+    });
+
+    return {
+      ...certificate,
+      caRole: this.ROLES.ROOT,
+      ocspUrl: this.normalizeResponderUrl(options.ocspUrl)
+    };
+  }
+
+  /**
+   * Create an intermediate CA signed by an existing root or intermediate
+   */
+  static async createIntermediateCA(subjectInfo, issuerCA, options = {}) {
+    this.assertCanIssue(issuerCA, { issuingCA: true });
+
+    const certificate = await X509Certificate.generateCertificate(subjectInfo, issuerCA, {
+      isCA: true,
+      pathLenConstraint: Number.isInteger(options.pathLenConstraint) ? options.pathLenConstraint : 0,
+      validityDays: this.capValidity(options.validityDays || this.DEFAULT_VALIDITY_DAYS.intermediate, issuerCA),
+      ocspUrl: issuerCA.ocspUrl || null,
+      trustModel: this.TRUST_MODEL
+    });
+
+    return {
+      ...certificate,
+      caRole: this.ROLES.INTERMEDIATE,
+      issuerId: issuerCA.id,
+      ocspUrl: this.normalizeResponderUrl(options.ocspUrl)
+    };
+  }
+
+  /**
+   * Issue an end-entity photographer certificate
+   */
+  static async issueCertificate(subjectInfo, issuerCA, options = {}) {
+    this.assertCanIssue(issuerCA);
+
+    const certificate = await X509Certificate.generateCertificate(subjectInfo, issuerCA, {
+      ...options,
+      isCA: false,
+      validityDays: this.capValidity(options.validityDays || 365, issuerCA),
+      ocspUrl: issuerCA.ocspUrl || null,
+      trustModel: this.TRUST_MODEL
+    });
+
+    return {
+      ...certificate,
+      issuerId: issuerCA.id
+    };
+  }
+
+  /**
+   * Issue a certificate for a timestamp authority. RFC 3161 requires the
+   * time-stamping purpose to be the only, critical, extended key usage.
+   */
+  static async issueTimestampingCertificate(subjectInfo, issuerCA, options = {}) {
+    return this.issueCertificate(subjectInfo, issuerCA, {
+      ...options,
+      keyUsage: ['digitalSignature', 'contentCommitment'],
+      extendedKeyUsage: [X509Certificate.EXTENDED_KEY_USAGE.TIMESTAMPING],
+      extendedKeyUsageCritical: true
+    });
+  }
+
+  /**
+   * Issue a certificate for a delegated status responder (RFC 6960
+   * 4.2.2.2). Responses signed with its key count as the issuer's, so the
+   * CA key never has to leave the studio.
+   */
+  static async issueResponderCertificate(subjectInfo, issuerCA, options = {}) {
+    return this.issueCertificate(subjectInfo, issuerCA, {
+      ...options,
+      validityDays: options.validityDays || this.DEFAULT_VALIDITY_DAYS.responder,
+      keyUsage: ['digitalSignature'],
+      extendedKeyUsage: [X509Certificate.EXTENDED_KEY_USAGE.OCSP_SIGNING]
+    });
+  }
+
+  /**
+   * Issue an end-entity certificate for a PKCS#10 request. The requester
+   * keeps the private key; only the subject and a requested subject
+   * alternative name are taken from the request.
+   */
+  static async signRequest(request, issuerCA, options = {}) {
+    this.assertCanIssue(issuerCA);
+
+    const parsed = typeof request === 'string' || !request.subjectPublicKeyInfo
+      ? CertificationRequest.parse(request)
+      : request;
+    if (!(await CertificationRequest.verify(parsed))) {
+      throw new Error('Certificate request signature does not verify');
+    }
+
+    const subjectAltNames = parsed.requestedExtensions
+      .find(ext => ext.extnID === X509Certificate.EXTENSIONS.SUBJECT_ALT_NAME)?.extnValue || [];
+
+    const certificate = await X509Certificate.generateCertificate(parsed.subject, issuerCA, {
+      ...options,
+      isCA: false,
+      publicKey: parsed.subjectPublicKeyInfo.publicKey,
+      subjectAltNames: Array.isArray(subjectAltNames) ? subjectAltNames : [],
+      validityDays: this.capValidity(options.validityDays || 365, issuerCA),
+      ocspUrl: issuerCA.ocspUrl || null,
+      trustModel: this.TRUST_MODEL
+    });
+
+    return {
+      ...certificate,
+      issuerId: issuerCA.id
+    };
+  }
+
+  /**
+   * Record the revocation of a certificate issued by this CA. Returns the
+   * updated authority; publish a new CRL for the revocation to take effect.
+   */
+  static revokeCertificate(issuerCA, { serialNumber, reason = 'unspecified', invalidityDate = null }) {
+    // Serial numbers compare as the minimal DER integer bytes in hex
+    let serial = String(serialNumber || '').replace(/[^0-9a-f]/gi, '').toLowerCase();
+    if (serial.length % 2 === 1) {
+      serial = `0${serial}`;
+    }
+    while (serial.length > 2 && serial.startsWith('00')) {
+      serial = serial.substring(2);
+    }
+    if (!serial) {
+      throw new Error('Serial number is required');
+    }
+    if (CertificateRevocationList.REASONS[reason] === undefined) {
+      throw new Error(`Unknown revocation reason: ${reason}`);
+    }
+
+    const revocationDate = new Date();
+    if (invalidityDate && new Date(invalidityDate) > revocationDate) {
+      throw new Error('Invalidity date cannot be in the future');
+    }
+
+    const revocations = (issuerCA.revocations || []).filter(entry => entry.serialNumber !== serial);
+    revocations.push({
+      serialNumber: serial,
+      reason,
+      revocationDate: revocationDate.toISOString(),
+      invalidityDate: invalidityDate ? new Date(invalidityDate).toISOString() : null
+    });
+
+    return { ...issuerCA, revocations };
+  }
+
+  /**
+   * Sign a CRL listing every revocation recorded for this CA. Returns the CRL
+   * and the authority with its CRL number advanced.
+   */
+  static async publishRevocationList(issuerCA, options = {}) {
+    const crlNumber = (issuerCA.crlNumber || 0) + 1;
+    const crl = await CertificateRevocationList.create(issuerCA, issuerCA.revocations || [], {
+      ...options,
+      crlNumber
+    });
+
+    return {
+      crl,
+      authority: { ...issuerCA, crlNumber }
+    };
+  }
+
+  /**
+   * Set the URL where this CA's status responder answers. Certificates
+   * issued afterwards point to it in their authorityInfoAccess extension.
+   */
+  static setResponderUrl(issuerCA, ocspUrl) {
+    return { ...issuerCA, ocspUrl: this.normalizeResponderUrl(ocspUrl) };
+  }
+
+  static normalizeResponderUrl(ocspUrl) {
+    if (!ocspUrl || !String(ocspUrl).trim()) {
+      return null;
+    }
+
+    let url;
+    try {
+      url = new URL(String(ocspUrl).trim());
+    } catch (error) {
+      throw new Error(`Invalid responder URL: ${ocspUrl}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('Responder URL must use http or https');
+    }
+    return url.toString();
+  }
+
+  /**
+   * Everything the local status responder (local-services/ocsp-responder.js)
+   * needs to answer for this CA: its certificate, a delegated responder
+   * certificate with its key and the current revocations. Export again
+   * after revoking a certificate.
+   */
+  static createResponderBundle(issuerCA, responderCertificate, options = {}) {
+    if (!responderCertificate?.privateKey) {
+      throw new Error('Responder private key is not available');
+    }
+    const extendedKeyUsage = X509Certificate.getExtension(responderCertificate, X509Certificate.EXTENSIONS.EXTENDED_KEY_USAGE);
+    if (!extendedKeyUsage?.extnValue.includes(X509Certificate.EXTENDED_KEY_USAGE.OCSP_SIGNING)) {
+      throw new Error('Certificate is not a status responder certificate');
+    }
+    if (responderCertificate.tbsCertificate.issuer.string !== issuerCA.tbsCertificate.subject.string) {
+      throw new Error('Responder certificate was not issued by this certificate authority');
+    }
+
+    return {
+      type: this.RESPONDER_BUNDLE_TYPE,
+      version: 2,
+      exportedAt: new Date().toISOString(),
+      issuer: {
+        name: issuerCA.tbsCertificate.subject.string,
+        keyId: X509Certificate.getExtension(issuerCA, X509Certificate.EXTENSIONS.SUBJECT_KEY_ID)?.extnValue || null,
+        certificate: ASN1.toPEM(issuerCA.der, 'CERTIFICATE')
+      },
+      responder: {
+        name: responderCertificate.tbsCertificate.subject.string,
+        certificate: ASN1.toPEM(responderCertificate.der, 'CERTIFICATE')
+      },
+      privateKey: ASN1.toPEM(responderCertificate.privateKey, 'PRIVATE KEY'),
+      responseValidityMinutes: options.responseValidityMinutes || this.DEFAULT_RESPONSE_VALIDITY_MINUTES,
+      revocations: issuerCA.revocations || []
+    };
+  }
+
+  /**
+   * Everything the local timestamp authority (local-services/tsa-server.js)
+   * needs: the time-stamping certificate with its issuing CAs and its key.
+   * The key is not encrypted; the bundle belongs only on the machine that
+   * runs the TSA.
+   */
+  static createTimestampingBundle(tsaCertificate, options = {}) {
+    if (!tsaCertificate?.privateKey) {
+      throw new Error('Timestamp authority private key is not available');
+    }
+    const extendedKeyUsage = X509Certificate.getExtension(tsaCertificate, X509Certificate.EXTENSIONS.EXTENDED_KEY_USAGE);
+    if (!extendedKeyUsage?.extnValue.includes(X509Certificate.EXTENDED_KEY_USAGE.TIMESTAMPING)) {
+      throw new Error('Certificate is not a time-stamping certificate');
+    }
+
+    return {
+      type: this.TIMESTAMPING_BUNDLE_TYPE,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      name: tsaCertificate.tbsCertificate.subject.string,
+      certificates: X509Certificate.exportCertificate(tsaCertificate, false),
+      privateKey: ASN1.toPEM(tsaCertificate.privateKey, 'PRIVATE KEY'),
+      policy: options.policy || TimeStampToken.DEFAULT_POLICY,
+      accuracySeconds: options.accuracySeconds || 1
+    };
+  }
+
+  /**
+   * A certificate may not outlive the CA that issued it
+   */
+  static capValidity(validityDays, issuerCA) {
+    const remainingMs = new Date(issuerCA.tbsCertificate.validity.notAfter).getTime() - Date.now();
+    const remainingDays = Math.floor(remainingMs / (24 * 60 * 60 * 1000));
+    return Math.max(1, Math.min(validityDays, remainingDays));
+  }
+
+  static assertCanIssue(issuerCA, { issuingCA = false } = {}) {
+    if (!issuerCA?.keyPair?.privateKey) {
+      throw new Error('Certificate authority private key is not available');
+    }
+
+    const basicConstraints = X509Certificate.getExtension(
+      issuerCA,
+      X509Certificate.EXTENSIONS.BASIC_CONSTRAINTS
+    )?.extnValue;
+    if (!basicConstraints?.cA) {
+      throw new Error('Issuer is not a certificate authority');
+    }
+    if (issuingCA && basicConstraints.pathLenConstraint === 0) {
+      throw new Error('Issuer path length constraint does not allow further intermediate CAs');
+    }
+
+    if (new Date() > new Date(issuerCA.tbsCertificate.validity.notAfter)) {
+      throw new Error('Certificate authority has expired');
+    }
+  }
+
+  /**
+   * Public part of a CA certificate, suitable for a trust store
+   */
+  static toTrustAnchor(caCertificate) {
+    const { keyPair, privateKey, ...publicCertificate } = caCertificate;
+    return publicCertificate;
+  }
+}
@@ -0,0 +1,73 @@
+import { CertificateAuthority } from './CertificateAuthority';
+import { X509Certificate } from './X509Certificate';
+
+describe('CertificateAuthority', () => {
+  let root;
+  let intermediate;
+
+  beforeAll(async () => {
+    root = await CertificateAuthority.createRootCA({ name: 'Studio Root CA', organization: 'Studio' });
+    intermediate = await CertificateAuthority.createIntermediateCA({ name: 'Studio Issuing CA' }, root);
+  });
+
+  it('should create CA certificates that may sign certificates', () => {
+    [root, intermediate].forEach(ca => {
+      expect(X509Certificate.getExtension(ca, X509Certificate.EXTENSIONS.BASIC_CONSTRAINTS).extnValue.cA).toBe(true);
+      expect(X509Certificate.getExtension(ca, X509Certificate.EXTENSIONS.KEY_USAGE).extnValue).toContain('keyCertSign');
+    });
+    expect(root.caRole).toBe('root');
+    expect(intermediate.caRole).toBe('intermediate');
+    expect(intermediate.isSelfSigned).toBe(false);
+  });
+
+  it('should issue photographer certificates that validate against the root alone', async () => {
+    const photographer = await CertificateAuthority.issueCertificate({ name: 'Jane Photographer' }, intermediate);
+
+    expect(photographer.isSelfSigned).toBe(false);
+    expect(photographer.issuerId).toBe(intermediate.id);
+    expect(photographer.trustChain).toEqual([
+      intermediate.tbsCertificate.subject.string,
+      root.tbsCertificate.subject.string
+    ]);
+    expect(photographer.chain).toEqual([intermediate.der]);
+
+    const result = await X509Certificate.verifyCertificate(photographer, {
+      trustAnchors: [CertificateAuthority.toTrustAnchor(root)],
+      intermediates: photographer.chain.map(der => X509Certificate.fromDER(der))
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.path).toHaveLength(3);
+  });
+
+  it('should not issue certificates outliving the issuer', async () => {
+    const photographer = await CertificateAuthority.issueCertificate(
+      { name: 'Long Lived' },
+      intermediate,
+      { validityDays: 10000 }
+    );
+
+    expect(new Date(photographer.tbsCertificate.validity.notAfter).getTime())
+      .toBeLessThanOrEqual(new Date(intermediate.tbsCertificate.validity.notAfter).getTime());
+  });
+
+  it('should refuse to issue from a non-CA certificate', async () => {
+    const photographer = await CertificateAuthority.issueCertificate({ name: 'Jane Photographer' }, root);
+
+    await expect(CertificateAuthority.issueCertificate({ name: 'Sub' }, photographer))
+      .rejects.toThrow('Issuer is not a certificate authority');
+  });
+
+  it('should respect the intermediate path length when creating CAs', async () => {
+    await expect(CertificateAuthority.createIntermediateCA({ name: 'Deeper CA' }, intermediate))
+      .rejects.toThrow('Issuer path length constraint does not allow further intermediate CAs');
+  });
+
+  it('should strip private keys from trust anchors', () => {
+    const anchor = CertificateAuthority.toTrustAnchor(root);
+
+    expect(anchor.keyPair).toBeUndefined();
+    expect(anchor.privateKey).toBeUndefined();
+    expect(anchor.der).toEqual(root.der);
+  });
+});
@@ -0,0 +1,125 @@
+import { CertificateRevocationList } from './CertificateRevocationList';
+import { CertificateAuthority } from './CertificateAuthority';
+import { X509Certificate } from './X509Certificate';
+import { PEMParser } from './PEMParser';
+
+describe('CertificateRevocationList', () => {
+  let root;
+  let intermediate;
+  let photographer;
+  let anchors;
+
+  beforeAll(async () => {
+    root = await CertificateAuthority.createRootCA({ name: 'Agency Root CA', organization: 'Agency' });
+    intermediate = await CertificateAuthority.createIntermediateCA({ name: 'Agency Issuing CA' }, root);
+    photographer = await CertificateAuthority.issueCertificate({ name: 'Jane Photographer' }, intermediate);
+    anchors = [CertificateAuthority.toTrustAnchor(root)];
+  });
+
+  const revoke = async (invalidityDate, reason = 'keyCompromise') => {
+    const revoked = CertificateAuthority.revokeCertificate(intermediate, {
+      serialNumber: photographer.tbsCertificate.serialNumber,
+      reason,
+      invalidityDate
+    });
+    return (await CertificateAuthority.publishRevocationList(revoked)).crl;
+  };
+
+  it('should encode entries with reason code and invalidity date', async () => {
+    const invalidityDate = new Date(Date.now() - 60 * 60 * 1000);
+    const crl = await revoke(invalidityDate);
+    const parsed = CertificateRevocationList.parse(CertificateRevocationList.toPEM(crl));
+
+    expect(parsed.tbsCertList.issuer.string).toBe(intermediate.tbsCertificate.subject.string);
+    expect(parsed.tbsCertList.crlNumber).toBe(1);
+    expect(parsed.tbsCertList.authorityKeyId).toBe(
+      X509Certificate.getExtension(intermediate, X509Certificate.EXTENSIONS.SUBJECT_KEY_ID).extnValue
+    );
+    expect(parsed.tbsCertList.revokedCertificates).toEqual([{
+      serialNumber: photographer.tbsCertificate.serialNumber,
+      revocationDate: expect.any(String),
+      reason: 'keyCompromise',
+      invalidityDate: new Date(Math.floor(invalidityDate.getTime() / 1000) * 1000).toISOString()
+    }]);
+    expect(await CertificateRevocationList.verify(parsed, intermediate)).toBe(true);
+    expect(await CertificateRevocationList.verify(parsed, root)).toBe(false);
+  });
+
+  it('should reject signatures made after the invalidity date and accept earlier ones', async () => {
+    const invalidityDate = new Date(Date.now() - 60 * 60 * 1000);
+    const crl = await revoke(invalidityDate);
+    const verifyAt = (signingTime) => X509Certificate.verifyCertificate(photographer, {
+      trustAnchors: anchors,
+      intermediates: [intermediate],
+      revocationCheck: CertificateRevocationList.createRevocationCheck([crl], { signingTime })
+    });
+
+    const after = await verifyAt(new Date());
+    expect(after.valid).toBe(false);
+    expect(after.revoked).toBe(true);
+    expect(after.errors[0]).toContain('Revoked (keyCompromise)');
+
+    const before = await verifyAt(new Date(invalidityDate.getTime() - 60 * 1000));
+    expect(before.valid).toBe(true);
+    expect(before.revoked).toBe(false);
+    expect(before.links[0].revocation).toMatchObject({ status: 'revoked', affectsSignature: false });
+  });
+
+  it('should use the revocation date when no invalidity date is given', async () => {
+    const crl = await revoke(null, 'superseded');
+    const check = CertificateRevocationList.createRevocationCheck([crl], {
+      signingTime: new Date(Date.now() - 24 * 60 * 60 * 1000)
+    });
+
+    const status = await check(photographer, intermediate);
+    expect(status.reason).toBe('superseded');
+    expect(status.effectiveDate).toBe(status.revocationDate);
+    expect(status.affectsSignature).toBe(false);
+  });
+
+  it('should report good or unknown status for unlisted certificates', async () => {
+    const { crl } = await CertificateAuthority.publishRevocationList(intermediate);
+    const check = CertificateRevocationList.createRevocationCheck([crl]);
+
+    expect((await check(photographer, intermediate)).status).toBe('good');
+    expect((await check(intermediate, root)).status).toBe('unknown');
+  });
+
+  it('should not vouch for certificates with a list past its next update', async () => {
+    const { crl } = await CertificateAuthority.publishRevocationList(intermediate, {
+      thisUpdate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+      nextUpdateDays: 1
+    });
+
+    expect(await CertificateRevocationList.createRevocationCheck([crl])(photographer, intermediate))
+      .toMatchObject({ status: 'unknown', error: 'Revocation list is out of date' });
+  });
+
+  it('should ignore lists that the issuer did not sign', async () => {
+    const impostor = await CertificateAuthority.createRootCA({ name: 'Agency Issuing CA' });
+    const forged = (await CertificateAuthority.publishRevocationList({
+      ...CertificateAuthority.revokeCertificate(impostor, { serialNumber: photographer.tbsCertificate.serialNumber })
+    })).crl;
+
+    const check = CertificateRevocationList.createRevocationCheck([forged]);
+    expect((await check(photographer, intermediate)).status).toBe('unknown');
+  });
+
+  it('should report revocation through validateAgainstTrustStore', async () => {
+    const crl = await revoke(null);
+    const result = await PEMParser.validateAgainstTrustStore(photographer, anchors, [intermediate], { crls: [crl] });
+
+    expect(result.valid).toBe(false);
+    expect(result.revoked).toBe(true);
+  });
+
+  it('should normalize serial numbers and refuse future invalidity dates', () => {
+    const revoked = CertificateAuthority.revokeCertificate(intermediate, { serialNumber: '00:0A:FF' });
+    expect(revoked.revocations[0].serialNumber).toBe('0aff');
+
+    expect(() => CertificateAuthority.revokeCertificate(intermediate, {
+      serialNumber: '01',
+      invalidityDate: new Date(Date.now() + 60 * 60 * 1000)
+    })).toThrow('Invalidity date cannot be in the future');
+  });
+});
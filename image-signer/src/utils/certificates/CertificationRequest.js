@@ -0,0 +1,175 @@
+import { WebCryptoUtils } from '../crypto/WebCryptoUtils';
+import { ASN1 } from './ASN1';
+import { X509Certificate } from './X509Certificate';
+
+/**
+ * PKCS#10 certificate signing requests (RFC 2986)
+ * The requester keeps the private key locally and sends only the request;
+ * a CA signs it and returns a certificate that is installed against the
+ * waiting key pair.
+ */
+export class CertificationRequest {
+  static PEM_LABEL = 'CERTIFICATE REQUEST';
+  static EXTENSION_REQUEST_OID = '1.2.840.113549.1.9.14'; // pkcs-9-at-extensionRequest
+
+  /**
+   * Generate a key pair and a signed request for the given subject. With
+   * options.signer the request is for that signer's key instead, and no
+   * key pair is kept.
+   */
+  static async create(subjectInfo, options = {}) {
+    const keyPair = options.signer ? null : await WebCryptoUtils.generateKeyPair(options.signatureAlgorithm);
+    const publicKeyData = options.signer
+      ? options.signer.publicKey
+      : await WebCryptoUtils.exportPublicKey(keyPair.publicKey);
+    const privateKeyData = keyPair ? await WebCryptoUtils.exportPrivateKey(keyPair.privateKey) : null;
+
+    const subject = X509Certificate.formatDistinguishedName(subjectInfo);
+    const requestedExtensions = [];
+    if (options.subjectAltNames && options.subjectAltNames.length > 0) {
+      requestedExtensions.push({
+        extnID: X509Certificate.EXTENSIONS.SUBJECT_ALT_NAME,
+        critical: false,
+        extnValue: options.subjectAltNames
+      });
+    }
+
+    const attributes = requestedExtensions.length > 0
+      ? [ASN1.sequence(
+          ASN1.oid(this.EXTENSION_REQUEST_OID),
+          ASN1.set(ASN1.sequence(...requestedExtensions.map(ext => X509Certificate.encodeExtension(ext))))
+        )]
+      : [];
+
+    const requestInfo = ASN1.sequence(
+      ASN1.integer(0),
+      X509Certificate.encodeName(subject),
+      new Uint8Array(publicKeyData),
+      ASN1.contextSpecific(0, ASN1.concat(...attributes))
+    );
+
+    const { algorithm, signature } = await X509Certificate.signDER(options.signer || keyPair.privateKey, requestInfo);
+    const der = ASN1.sequence(
+      requestInfo,
+      X509Certificate.encodeAlgorithmIdentifier(algorithm),
+      ASN1.bitString(signature)
+    );
+
+    return {
+      id: `csr-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      subject,
+      requestedExtensions,
+      publicKey: publicKeyData,
+      der: Array.from(der),
+      keyPair,
+      privateKey: privateKeyData,
+      // The CA does not record it, so the request carries the image digest choice
+      hashAlgorithm: options.hashAlgorithm
+    };
+  }
+
+  static toPEM(request) {
+    return ASN1.toPEM(request.der, this.PEM_LABEL);
+  }
+
+  /**
+   * Parse a PEM or DER certification request
+   */
+  static parse(input) {
+    let der = input;
+    if (typeof input === 'string') {
+      const block = ASN1.fromPEM(input).find(b => b.label === this.PEM_LABEL || b.label === 'NEW CERTIFICATE REQUEST');
+      if (!block) {
+        throw new Error('No CERTIFICATE REQUEST block found');
+      }
+      der = block.der;
+    }
+
+    const root = ASN1.expect(ASN1.decode(der), ASN1.TAGS.SEQUENCE, 'CertificationRequest');
+    const [infoNode, algorithmNode, signatureNode] = root.children;
+    ASN1.expect(infoNode, ASN1.TAGS.SEQUENCE, 'CertificationRequestInfo');
+    const [versionNode, subjectNode, spkiNode, attributesNode] = infoNode.children;
+
+    if (ASN1.decodeInteger(versionNode) !== 0) {
+      throw new Error('Unsupported certification request version');
+    }
+
+    let requestedExtensions = [];
+    (attributesNode?.children || []).forEach(attribute => {
+      if (ASN1.decodeOID(attribute.children[0]) === this.EXTENSION_REQUEST_OID) {
+        requestedExtensions = attribute.children[1].children[0].children
+          .map(ext => X509Certificate.decodeExtension(ext));
+      }
+    });
+
+    return {
+      subject: X509Certificate.decodeName(subjectNode),
+      subjectPublicKeyInfo: X509Certificate.decodeSubjectPublicKeyInfo(spkiNode),
+      requestedExtensions,
+      signatureAlgorithm: X509Certificate.decodeAlgorithmIdentifier(algorithmNode),
+      signatureValue: Array.from(ASN1.decodeBitString(signatureNode).bytes),
+      der: Array.from(ASN1.toBytes(der))
+    };
+  }
+
+  /**
+   * Proof of possession: the request must be signed by the key it contains
+   */
+  static async verify(parsedRequest) {
+    // A request has the same outer shape as a certificate, so the
+    // certificate signature check applies with the request's own key
+    return X509Certificate.verifySignedBy(
+      parsedRequest,
+      { tbsCertificate: { subjectPublicKeyInfo: parsedRequest.subjectPublicKeyInfo } }
+    );
+  }
+
+  /**
+   * Combine a certificate issued for a pending request with the request's
+   * key pair. `pem` holds the certificate followed by its issuing CAs.
+   */
+  static async installCertificate(pendingRequest, pem) {
+    const blocks = ASN1.fromPEM(pem).filter(b => b.label === 'CERTIFICATE');
+    if (blocks.length === 0) {
+      throw new Error('No certificate found in the file');
+    }
+
+    const [leafBlock, ...issuerBlocks] = blocks;
+    const leaf = X509Certificate.fromDER(leafBlock.der);
+    if (!this.matchesRequest(leaf, pendingRequest)) {
+      throw new Error('Certificate public key does not match the pending request');
+    }
+
+    const fingerprint = await X509Certificate.calculateFingerprint(leafBlock.der);
+    const issuers = issuerBlocks.map(block => X509Certificate.fromDER(block.der));
+    const trustChain = issuers.map(issuer => issuer.tbsCertificate.subject.string);
+    const topmost = issuers[issuers.length - 1] || leaf;
+    if (!topmost.isSelfSigned) {
+      trustChain.push(topmost.tbsCertificate.issuer.string);
+    }
+
+    return {
+      id: `cert-${leaf.tbsCertificate.serialNumber}-${Date.now()}`,
+      ...leaf,
+      fingerprint,
+      keyPair: pendingRequest.keyPair,
+      privateKey: pendingRequest.privateKey,
+      isSelfSigned: false,
+      trustChain,
+      // Keep only the CAs below a self-signed root, like locally issued certificates
+      chain: issuers.filter(issuer => !issuer.isSelfSigned).map(issuer => issuer.der),
+      hashAlgorithm: pendingRequest.hashAlgorithm,
+      remoteSigner: pendingRequest.remoteSigner,
+      requestId: pendingRequest.id
+    };
+  }
+
+  static matchesRequest(certificate, pendingRequest) {
+    return WebCryptoUtils.bytesEqual(
+      certificate.tbsCertificate.subjectPublicKeyInfo.publicKey,
+      pendingRequest.publicKey
+    );
+  }
+}
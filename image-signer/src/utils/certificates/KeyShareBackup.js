@@ -0,0 +1,196 @@
+import { ASN1 } from './ASN1';
+import { X509Certificate } from './X509Certificate';
+import { WebCryptoUtils } from '../crypto/WebCryptoUtils';
+import { SecretSharing } from '../crypto/SecretSharing';
+
+/**
+ * Threshold backup of a root CA key. The PKCS#8 key is split with Shamir
+ * secret sharing into printable shares for separate custodians; any
+ * `threshold` of them rebuild it in a recovery ceremony. Each share also
+ * carries the CA certificate, so the shares alone are enough to recover.
+ *
+ * A share is a PEM block over
+ *   SEQUENCE { version, setId OCTET STRING, threshold, total, index,
+ *              share OCTET STRING, certificate, checksum OCTET STRING }
+ * where the checksum (first 8 bytes of SHA-256 over the preceding fields)
+ * catches a share mistyped from paper.
+ */
+export class KeyShareBackup {
+  static PEM_LABEL = 'AIC ROOT KEY SHARE';
+  static VERSION = 1;
+  static SET_ID_LENGTH = 8;
+  static CHECKSUM_LENGTH = 8;
+  static TEST_CERTIFICATE_SUBJECT = { commonName: 'Root Key Recovery Test' };
+
+  /**
+   * Split a root CA's key into shareCount printable shares with the given
+   * recovery threshold. Returns the share texts, share 1 first.
+   */
+  static async export(authority, { threshold, shareCount }) {
+    if (authority?.caRole !== 'root') {
+      throw new Error('Only root CA keys are backed up as shares');
+    }
+    if (!authority.privateKey) {
+      throw new Error('Certificate authority private key is not available');
+    }
+
+    const setId = crypto.getRandomValues(new Uint8Array(this.SET_ID_LENGTH));
+    const shares = SecretSharing.split(authority.privateKey, threshold, shareCount);
+
+    return Promise.all(shares.map(async share => {
+      const fields = ASN1.concat(
+        ASN1.integer(this.VERSION),
+        ASN1.octetString(setId),
+        ASN1.integer(threshold),
+        ASN1.integer(shareCount),
+        ASN1.integer(share.index),
+        ASN1.octetString(share.bytes),
+        ASN1.toBytes(authority.der)
+      );
+      const der = ASN1.sequence(fields, ASN1.octetString(await this.checksum(fields)));
+      return this.formatShare(authority, { setId: ASN1.bytesToHex(setId), threshold, total: shareCount, index: share.index }, der);
+    }));
+  }
+
+  /**
+   * Printable share: a readable header for the custodian, then the PEM block
+   */
+  static formatShare(authority, { setId, threshold, total, index }, der) {
+    return [
+      `Root key share ${index} of ${total} - any ${threshold} shares recover the key`,
+      `CA: ${authority.tbsCertificate.subject.string}`,
+      `Certificate SHA-256: ${authority.fingerprint.sha256}`,
+      `Share set: ${setId}`,
+      `Created: ${new Date().toISOString()}`,
+      '',
+      ASN1.toPEM(der, this.PEM_LABEL),
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Read one share from its text. Surrounding text is ignored.
+   */
+  static async parse(text) {
+    const block = ASN1.fromPEM(text || '').find(b => b.label === this.PEM_LABEL);
+    if (!block) {
+      throw new Error('No root key share found');
+    }
+
+    let children;
+    try {
+      children = ASN1.expect(ASN1.decode(block.der), ASN1.TAGS.SEQUENCE, 'Key share').children;
+    } catch (error) {
+      throw new Error('Key share is damaged; check it against the printed copy');
+    }
+    const [versionNode, setIdNode, thresholdNode, totalNode, indexNode, shareNode, certificateNode, checksumNode] = children;
+    if (!checksumNode) {
+      throw new Error('Key share is damaged; check it against the printed copy');
+    }
+    if (ASN1.decodeInteger(versionNode) !== this.VERSION) {
+      throw new Error('Unsupported key share version');
+    }
+
+    const fields = ASN1.concat(...children.slice(0, -1).map(node => node.raw));
+    const checksum = await this.checksum(fields);
+    if (!WebCryptoUtils.bytesEqual(checksum, checksumNode.content)) {
+      throw new Error('Key share checksum does not match; check it against the printed copy');
+    }
+
+    const threshold = ASN1.decodeInteger(thresholdNode);
+    const total = ASN1.decodeInteger(totalNode);
+    const index = ASN1.decodeInteger(indexNode);
+    if (threshold < 2 || threshold > total || index < 1 || index > total) {
+      throw new Error('Key share numbering is invalid');
+    }
+
+    return {
+      setId: ASN1.bytesToHex(setIdNode.content),
+      threshold,
+      total,
+      index,
+      bytes: Uint8Array.from(shareNode.content),
+      certificateDer: Array.from(certificateNode.raw)
+    };
+  }
+
+  /**
+   * Check a collection of parsed shares belongs together. Returns the
+   * number still needed (0 when recovery can start).
+   */
+  static remainingShares(shares) {
+    if (shares.length === 0) {
+      return null;
+    }
+    const [first] = shares;
+    if (shares.some(share => share.setId !== first.setId)) {
+      throw new Error('Shares come from different backups; use shares from one set only');
+    }
+    if (new Set(shares.map(share => share.index)).size !== shares.length) {
+      throw new Error('The same share was given more than once');
+    }
+    return Math.max(0, first.threshold - shares.length);
+  }
+
+  /**
+   * Rebuild the root CA key from share texts and prove it: the key must
+   * match the certificate in the shares and sign a test certificate that
+   * verifies against the root. Returns the authority with its key pair and
+   * the test certificate.
+   */
+  static async recover(shareTexts) {
+    const shares = await Promise.all(shareTexts.map(text => this.parse(text)));
+    const remaining = this.remainingShares(shares);
+    if (remaining === null || remaining > 0) {
+      throw new Error(`${remaining || shares[0]?.threshold || 2} more share(s) needed to recover the key`);
+    }
+
+    const [first] = shares;
+    const privateKey = Array.from(SecretSharing.combine(shares.slice(0, first.threshold)));
+    const certificate = X509Certificate.fromDER(first.certificateDer);
+    const publicKeyData = certificate.tbsCertificate.subjectPublicKeyInfo.publicKey;
+
+    let keyPair;
+    try {
+      keyPair = {
+        privateKey: await WebCryptoUtils.importPrivateKey(privateKey),
+        publicKey: await WebCryptoUtils.importPublicKey(publicKeyData)
+      };
+    } catch (error) {
+      throw new Error('Recovered key is invalid; one of the shares is wrong');
+    }
+
+    const challenge = crypto.getRandomValues(new Uint8Array(32));
+    const signature = await WebCryptoUtils.signData(keyPair.privateKey, challenge);
+    if (!await WebCryptoUtils.verifySignature(keyPair.publicKey, signature, challenge)) {
+      throw new Error('Recovered key does not match the CA certificate; one of the shares is wrong');
+    }
+
+    const authority = {
+      id: `cert-${certificate.tbsCertificate.serialNumber}-${Date.now()}`,
+      ...certificate,
+      fingerprint: await X509Certificate.calculateFingerprint(first.certificateDer),
+      keyPair,
+      privateKey,
+      trustChain: ['self-signed'],
+      chain: [],
+      caRole: 'root',
+      ocspUrl: null,
+      recoveredAt: new Date().toISOString()
+    };
+
+    const testCertificate = await X509Certificate.generateCertificate(this.TEST_CERTIFICATE_SUBJECT, authority, {
+      validityDays: 1
+    });
+    if (!await X509Certificate.verifySignedBy(testCertificate, authority)) {
+      throw new Error('Test certificate signed with the recovered key does not verify');
+    }
+
+    return { authority, testCertificate };
+  }
+
+  static async checksum(bytes) {
+    const digest = await crypto.subtle.digest('SHA-256', ASN1.toBytes(bytes));
+    return new Uint8Array(digest).slice(0, this.CHECKSUM_LENGTH);
+  }
+}
@@ -0,0 +1,143 @@
+import { WebCryptoUtils } from './WebCryptoUtils';
+
+/**
+ * Passphrase protection for the private keys kept in the trust store.
+ * Keys are encrypted with AES-GCM under a key derived from the passphrase
+ * with PBKDF2; only the encrypted PKCS#8 bytes are ever stored.
+ */
+export class KeyVault {
+  static CIPHER = 'AES-GCM';
+  static KDF = 'PBKDF2';
+  static KDF_HASH = 'SHA-256';
+  static ITERATIONS = 600000;
+  static SALT_LENGTH = 16;
+  static IV_LENGTH = 12;
+
+  /**
+   * Derive the wrapping key from a passphrase. Pass the salt and iteration
+   * count of stored keys to unlock them; omit them to start a new vault.
+   */
+  static async deriveKey(passphrase, { salt = null, iterations = this.ITERATIONS } = {}) {
+    if (!passphrase) {
+      throw new Error('A passphrase is required');
+    }
+
+    const saltBytes = salt ? new Uint8Array(salt) : crypto.getRandomValues(new Uint8Array(this.SALT_LENGTH));
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      this.KDF,
+      false,
+      ['deriveKey']
+    );
+    const key = await crypto.subtle.deriveKey(
+      { name: this.KDF, hash: this.KDF_HASH, salt: saltBytes, iterations },
+      baseKey,
+      { name: this.CIPHER, length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+
+    return { key, salt: Array.from(saltBytes), iterations };
+  }
+
+  /**
+   * Salt and iteration count a stored record was encrypted with
+   */
+  static getParameters(record) {
+    const encrypted = record?.encryptedPrivateKey;
+    return encrypted ? { salt: encrypted.salt, iterations: encrypted.iterations } : null;
+  }
+
+  static async encryptPrivateKey(privateKeyData, vaultKey) {
+    const iv = crypto.getRandomValues(new Uint8Array(this.IV_LENGTH));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: this.CIPHER, iv },
+      vaultKey.key,
+      new Uint8Array(privateKeyData)
+    );
+
+    return {
+      cipher: this.CIPHER,
+      kdf: this.KDF,
+      hash: this.KDF_HASH,
+      iterations: vaultKey.iterations,
+      salt: vaultKey.salt,
+      iv: Array.from(iv),
+      ciphertext: Array.from(new Uint8Array(ciphertext))
+    };
+  }
+
+  static async decryptPrivateKey(encrypted, vaultKey) {
+    const sameParameters = encrypted.iterations === vaultKey.iterations &&
+      encrypted.salt.length === vaultKey.salt.length &&
+      encrypted.salt.every((byte, index) => byte === vaultKey.salt[index]);
+    if (!sameParameters) {
+      throw new Error('Key was encrypted with a different passphrase');
+    }
+
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: encrypted.cipher, iv: new Uint8Array(encrypted.iv) },
+        vaultKey.key,
+        new Uint8Array(encrypted.ciphertext)
+      );
+      return Array.from(new Uint8Array(plaintext));
+    } catch (error) {
+      // AES-GCM cannot tell a wrong key from tampered ciphertext
+      throw new Error('Incorrect passphrase');
+    }
+  }
+
+  /**
+   * Copy of a certificate or pending request that is safe to store: the
+   * key pair is dropped and the private key replaced by its encryption
+   */
+  static async lock(record, vaultKey) {
+    const { keyPair, privateKey, ...locked } = record;
+    if (privateKey) {
+      locked.encryptedPrivateKey = await this.encryptPrivateKey(privateKey, vaultKey);
+    } else if (keyPair?.privateKey && !locked.encryptedPrivateKey) {
+      throw new Error('Private key cannot be encrypted without its exported bytes');
+    }
+    return locked;
+  }
+
+  /**
+   * Decrypt the private key of a stored record and restore its key pair.
+   * The signing key is imported as non-extractable.
+   */
+  static async unlock(record, vaultKey) {
+    if (!record?.encryptedPrivateKey) {
+      return record;
+    }
+
+    const privateKey = await this.decryptPrivateKey(record.encryptedPrivateKey, vaultKey);
+    const publicKeyData = record.tbsCertificate?.subjectPublicKeyInfo?.publicKey || record.publicKey;
+    return {
+      ...record,
+      keyPair: {
+        privateKey: await WebCryptoUtils.importPrivateKey(privateKey),
+        publicKey: publicKeyData ? await WebCryptoUtils.importPublicKey(publicKeyData) : null
+      },
+      privateKey
+    };
+  }
+
+  /**
+   * Forget the decrypted key material of an unlocked record
+   */
+  static forget(record) {
+    if (!record) return record;
+    const { keyPair, privateKey, ...locked } = record;
+    return locked;
+  }
+
+  static isLocked(record) {
+    return !!record?.encryptedPrivateKey && !record.keyPair?.privateKey;
+  }
+
+  static hasPlaintextKey(record) {
+    return !!(record?.privateKey || record?.keyPair?.privateKey);
+  }
+}
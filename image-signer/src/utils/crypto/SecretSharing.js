@@ -0,0 +1,113 @@
+/**
+ * Shamir secret sharing over GF(2^8)
+ * Each byte of the secret is the constant term of its own random polynomial
+ * of degree threshold - 1; share x holds the polynomials evaluated at x.
+ * Any `threshold` shares give the secret back by interpolating at zero,
+ * fewer reveal nothing about it.
+ */
+export class SecretSharing {
+  static MAX_SHARES = 255;
+
+  // Log and antilog tables for the AES field (x^8 + x^4 + x^3 + x + 1),
+  // built from the generator 3
+  static TABLES = (() => {
+    const exp = new Uint8Array(510);
+    const log = new Uint8Array(256);
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+      exp[i] = value;
+      log[value] = i;
+      value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+    }
+    for (let i = 255; i < 510; i++) {
+      exp[i] = exp[i - 255];
+    }
+    return { exp, log };
+  })();
+
+  static multiply(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return this.TABLES.exp[this.TABLES.log[a] + this.TABLES.log[b]];
+  }
+
+  static divide(a, b) {
+    if (b === 0) {
+      throw new Error('Division by zero');
+    }
+    if (a === 0) return 0;
+    return this.TABLES.exp[this.TABLES.log[a] + 255 - this.TABLES.log[b]];
+  }
+
+  /**
+   * Split secret bytes into shareCount shares, any threshold of which
+   * recover it. Returns [{ index, bytes }] with indexes 1..shareCount.
+   */
+  static split(secret, threshold, shareCount) {
+    if (!Number.isInteger(threshold) || !Number.isInteger(shareCount) || threshold < 2 || threshold > shareCount) {
+      throw new Error('The threshold must be at least 2 and at most the number of shares');
+    }
+    if (shareCount > this.MAX_SHARES) {
+      throw new Error(`At most ${this.MAX_SHARES} shares are supported`);
+    }
+
+    const bytes = Uint8Array.from(secret);
+    const shares = Array.from({ length: shareCount }, (_, i) => ({
+      index: i + 1,
+      bytes: new Uint8Array(bytes.length)
+    }));
+
+    const coefficients = new Uint8Array(threshold);
+    bytes.forEach((byte, position) => {
+      coefficients[0] = byte;
+      crypto.getRandomValues(coefficients.subarray(1));
+      shares.forEach(share => {
+        // Horner's rule, highest coefficient first
+        let y = 0;
+        for (let i = threshold - 1; i >= 0; i--) {
+          y = this.multiply(y, share.index) ^ coefficients[i];
+        }
+        share.bytes[position] = y;
+      });
+    });
+    coefficients.fill(0);
+
+    return shares;
+  }
+
+  /**
+   * Recover the secret from shares ([{ index, bytes }]). Every share given
+   * is used, so pass exactly the shares of one split.
+   */
+  static combine(shares) {
+    if (!shares || shares.length < 2) {
+      throw new Error('At least two shares are required');
+    }
+    const indexes = shares.map(share => share.index);
+    if (indexes.some(index => !Number.isInteger(index) || index < 1 || index > this.MAX_SHARES)) {
+      throw new Error('Share numbers must be between 1 and 255');
+    }
+    if (new Set(indexes).size !== indexes.length) {
+      throw new Error('The same share was given more than once');
+    }
+    const length = shares[0].bytes.length;
+    if (shares.some(share => share.bytes.length !== length)) {
+      throw new Error('Shares have different lengths');
+    }
+
+    // Lagrange basis at x = 0: product of x_j / (x_j - x_i); subtraction is XOR
+    const weights = indexes.map((xi, i) => indexes.reduce(
+      (weight, xj, j) => (i === j ? weight : this.multiply(weight, this.divide(xj, xj ^ xi))),
+      1
+    ));
+
+    const secret = new Uint8Array(length);
+    for (let position = 0; position < length; position++) {
+      let value = 0;
+      shares.forEach((share, i) => {
+        value ^= this.multiply(weights[i], share.bytes[position]);
+      });
+      secret[position] = value;
+    }
+    return secret;
+  }
+}
@@ -0,0 +1,29 @@
+import { SecretSharing } from './SecretSharing';
+
+describe('SecretSharing', () => {
+  const secret = new TextEncoder().encode('root CA private key bytes');
+
+  it('should recover the secret from any threshold of shares', () => {
+    const shares = SecretSharing.split(secret, 3, 5);
+
+    expect(shares.map(share => share.index)).toEqual([1, 2, 3, 4, 5]);
+    expect(Array.from(SecretSharing.combine([shares[0], shares[2], shares[4]]))).toEqual(Array.from(secret));
+    expect(Array.from(SecretSharing.combine([shares[3], shares[1], shares[0]]))).toEqual(Array.from(secret));
+    expect(Array.from(SecretSharing.combine(shares))).toEqual(Array.from(secret));
+  });
+
+  it('should not recover the secret from fewer shares than the threshold', () => {
+    const shares = SecretSharing.split(secret, 3, 5);
+
+    expect(Array.from(SecretSharing.combine(shares.slice(0, 2)))).not.toEqual(Array.from(secret));
+  });
+
+  it('should reject invalid thresholds and repeated shares', () => {
+    expect(() => SecretSharing.split(secret, 1, 3)).toThrow('The threshold must be at least 2');
+    expect(() => SecretSharing.split(secret, 4, 3)).toThrow('The threshold must be at least 2');
+    expect(() => SecretSharing.split(secret, 2, 256)).toThrow('At most 255 shares are supported');
+
+    const [first] = SecretSharing.split(secret, 2, 3);
+    expect(() => SecretSharing.combine([first, first])).toThrow('The same share was given more than once');
+  });
+});
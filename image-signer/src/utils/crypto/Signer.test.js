@@ -0,0 +1,94 @@
+import { Signer } from './Signer';
+import { WebCryptoUtils } from './WebCryptoUtils';
+import { X509Certificate } from '../certificates/X509Certificate';
+import { C2PAManifest } from '../c2pa/C2PAManifest';
+
+describe('Signer', () => {
+  let serviceKey;
+  let serviceSpki;
+
+  // Answers like local-services/kms-server.js for one key
+  const mockService = (keyPair, spki, algorithm) => {
+    global.fetch.mockImplementation(async (url, init = {}) => {
+      if (url.endsWith('/sign')) {
+        const data = Signer.fromBase64(JSON.parse(init.body).data);
+        const signature = await WebCryptoUtils.signData(keyPair.privateKey, data);
+        return { ok: true, status: 200, json: async () => ({ keyId: 'newsroom', algorithm, signature: Signer.toBase64(signature) }) };
+      }
+      return { ok: true, status: 200, json: async () => ({ keyId: 'newsroom', algorithm, publicKey: Signer.toBase64(spki) }) };
+    });
+  };
+
+  beforeAll(async () => {
+    serviceKey = await WebCryptoUtils.generateKeyPair('ES256');
+    serviceSpki = await WebCryptoUtils.exportPublicKey(serviceKey.publicKey);
+  });
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('should sign locally with a Web Crypto key', async () => {
+    const keyPair = await WebCryptoUtils.generateKeyPair('Ed25519');
+    const signer = Signer.local(keyPair.privateKey);
+
+    const signature = await signer.sign('local data');
+
+    expect(signer).toMatchObject({ type: 'local', algorithm: 'Ed25519' });
+    expect(await WebCryptoUtils.verifySignature(keyPair.publicKey, signature, 'local data')).toBe(true);
+  });
+
+  it('should sign through a signing service', async () => {
+    mockService(serviceKey, serviceSpki, 'ES256');
+
+    const signer = await Signer.connect('http://kms.test/', 'newsroom', { accessToken: 'secret' });
+    const signature = await signer.sign('remote data');
+
+    expect(signer).toMatchObject({ type: 'remote', algorithm: 'ES256', keyId: 'newsroom', publicKey: serviceSpki });
+    expect(global.fetch.mock.calls[0][0]).toBe('http://kms.test/keys/newsroom');
+    const [signUrl, signInit] = global.fetch.mock.calls[1];
+    expect(signUrl).toBe('http://kms.test/keys/newsroom/sign');
+    expect(signInit.headers.Authorization).toBe('Bearer secret');
+    expect(await WebCryptoUtils.verifySignature(serviceKey.publicKey, signature, 'remote data')).toBe(true);
+  });
+
+  it('should reject signatures that do not match the service key', async () => {
+    const otherKey = await WebCryptoUtils.generateKeyPair('ES256');
+    mockService(otherKey, serviceSpki, 'ES256');
+
+    const signer = await Signer.connect('http://kms.test', 'newsroom');
+
+    await expect(signer.sign('remote data')).rejects.toThrow('Signing service returned a signature that does not match the key');
+  });
+
+  it('should reject a key described with the wrong algorithm', async () => {
+    mockService(serviceKey, serviceSpki, 'ES384');
+
+    await expect(Signer.connect('http://kms.test', 'newsroom')).rejects.toThrow('Signing service reports ES384 for a ES256 key');
+  });
+
+  it('should certify and sign claims with a key that stays in the service', async () => {
+    mockService(serviceKey, serviceSpki, 'ES256');
+    const signer = await Signer.connect('http://kms.test', 'newsroom');
+
+    const certificate = {
+      ...await X509Certificate.generateCertificate({ name: 'Newsroom Desk' }, null, { publicKey: signer.publicKey, signer }),
+      remoteSigner: { url: signer.url, keyId: signer.keyId }
+    };
+    expect(certificate.keyPair).toBeNull();
+    expect(await X509Certificate.verifySignedBy(certificate, certificate)).toBe(true);
+
+    const manifest = await C2PAManifest.signManifest(
+      await C2PAManifest.createManifest({ hash: [1, 2, 3] }, certificate, 'Remote', null),
+      certificate
+    );
+
+    expect(manifest.manifests[manifest.active_manifest].claim_signature.algorithm).toBe('ES256');
+    expect(await C2PAManifest.verifyManifestSignature(manifest, serviceSpki))
+      .toEqual({ valid: true, reason: null, canonicalization: 'cbor' });
+  });
+});
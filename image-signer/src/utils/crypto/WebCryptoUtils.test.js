@@ -34,6 +34,42 @@ describe('WebCryptoUtils', () => {
       expect(Array.isArray(signature)).toBe(true);
       expect(signature.length).toBeGreaterThan(0);
     });
+
+    it('should verify a signature with the imported SPKI public key', async () => {
+      const keyPair = await WebCryptoUtils.generateKeyPair();
+      const data = 'Test data to sign';
+
+      const signature = await WebCryptoUtils.signData(keyPair.privateKey, data);
+      const spki = await WebCryptoUtils.exportPublicKey(keyPair.publicKey);
+      const publicKey = await WebCryptoUtils.importPublicKey(spki);
+
+      expect(await WebCryptoUtils.verifySignature(publicKey, signature, data)).toBe(true);
+      expect(await WebCryptoUtils.verifySignature(publicKey, signature, data + '!')).toBe(false);
+    });
+  });
+
+  describe('algorithm agility', () => {
+    it.each(['ES256', 'ES384', 'PS256', 'Ed25519'])('should sign and verify with %s keys imported from SPKI and PKCS#8', async (algorithm) => {
+      const keyPair = await WebCryptoUtils.generateKeyPair(algorithm);
+      const spki = await WebCryptoUtils.exportPublicKey(keyPair.publicKey);
+      const pkcs8 = await WebCryptoUtils.exportPrivateKey(keyPair.privateKey);
+
+      expect(WebCryptoUtils.detectKeyAlgorithm(spki)).toBe(algorithm);
+      expect(WebCryptoUtils.detectKeyAlgorithm(pkcs8)).toBe(algorithm);
+
+      const privateKey = await WebCryptoUtils.importPrivateKey(pkcs8);
+      const publicKey = await WebCryptoUtils.importPublicKey(spki);
+      expect(WebCryptoUtils.getKeyAlgorithm(privateKey)).toBe(algorithm);
+
+      const signature = await WebCryptoUtils.signData(privateKey, 'agile');
+      expect(await WebCryptoUtils.verifySignature(publicKey, signature, 'agile')).toBe(true);
+      expect(await WebCryptoUtils.verifySignature(publicKey, signature, 'agile!')).toBe(false);
+    });
+
+    it('should reject unknown algorithms', async () => {
+      await expect(WebCryptoUtils.generateKeyPair('ES512')).rejects.toThrow('Unsupported signature algorithm: ES512');
+      await expect(WebCryptoUtils.hashImageData(new Uint8Array([1]).buffer, 'MD5')).rejects.toThrow('Unsupported hash algorithm: MD5');
+    });
   });
 
   describe('hashImageData', () => {
@@ -45,6 +81,67 @@ describe('WebCryptoUtils', () => {
       expect(hash1).toEqual(hash2);
       expect(hash1.length).toBe(48); // SHA-384 produces 48 bytes
     });
+
+    it('should hash with the requested algorithm', async () => {
+      const testData = new TextEncoder().encode('test image data');
+
+      expect(await WebCryptoUtils.hashImageData(testData.buffer, 'SHA-256')).toHaveLength(32);
+      expect(await WebCryptoUtils.hashImageData(testData.buffer, 'SHA-512')).toHaveLength(64);
+    });
+  });
+
+  describe('canonicalize', () => {
+    it('should sort object keys regardless of insertion order', () => {
+      const a = WebCryptoUtils.canonicalize({ b: 1, a: { d: [1, 2], c: null } });
+      const b = WebCryptoUtils.canonicalize({ a: { c: null, d: [1, 2] }, b: 1 });
+
+      expect(a).toBe('{"a":{"c":null,"d":[1,2]},"b":1}');
+      expect(b).toBe(a);
+    });
+
+    it('should sort keys by UTF-16 code units (RFC 8785 3.2.3)', () => {
+      const input = {
+        '\u20ac': 'Euro Sign',
+        '\r': 'Carriage Return',
+        '\ufb33': 'Hebrew Letter Dalet With Dagesh',
+        '1': 'One',
+        '\ud83d\ude00': 'Emoji: Grinning Face',
+        '\u0080': 'Control',
+        '\u00f6': 'Latin Small Letter O With Diaeresis'
+      };
+
+      const canonical = WebCryptoUtils.canonicalize(input);
+      const values = Object.values(input).sort((x, y) => canonical.indexOf(x) - canonical.indexOf(y));
+
+      expect(values).toEqual([
+        'Carriage Return',
+        'One',
+        'Control',
+        'Latin Small Letter O With Diaeresis',
+        'Euro Sign',
+        'Emoji: Grinning Face',
+        'Hebrew Letter Dalet With Dagesh'
+      ]);
+    });
+
+    it('should serialize numbers in ECMAScript form', () => {
+      expect(WebCryptoUtils.canonicalize([4.50, 2e-3, 1e30, 0.000001, 1e-7, -0]))
+        .toBe('[4.5,0.002,1e+30,0.000001,1e-7,0]');
+    });
+
+    it('should drop undefined members and reject non-finite numbers', () => {
+      expect(WebCryptoUtils.canonicalize({ a: undefined, b: [undefined] })).toBe('{"b":[null]}');
+      expect(() => WebCryptoUtils.canonicalize({ a: NaN })).toThrow();
+    });
+  });
+
+  describe('bytesEqual', () => {
+    it('should compare byte arrays by value', () => {
+      expect(WebCryptoUtils.bytesEqual([1, 2, 3], new Uint8Array([1, 2, 3]))).toBe(true);
+      expect(WebCryptoUtils.bytesEqual([1, 2, 3], [1, 2, 4])).toBe(false);
+      expect(WebCryptoUtils.bytesEqual([1, 2], [1, 2, 3])).toBe(false);
+      expect(WebCryptoUtils.bytesEqual(null, [])).toBe(false);
+    });
   });
 
   describe('stripMetadata', () => {
@@ -0,0 +1,132 @@
+import { JPEGEmbedder } from './JPEGEmbedder';
+import { C2PAManifest } from '../c2pa/C2PAManifest';
+import { X509Certificate } from '../certificates/X509Certificate';
+
+describe('JPEGEmbedder', () => {
+  let certificate;
+
+  // SOI, APP0, DQT, SOS with a few scan bytes, EOI
+  const createJPEG = () => {
+    const app0 = [0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00];
+    const dqt = [0xFF, 0xDB, 0x00, 0x43, 0x00, ...new Array(64).fill(1)];
+    const sos = [0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3F, 0x00, 0x12, 0x34, 0x56];
+    return new Uint8Array([0xFF, 0xD8, ...app0, ...dqt, ...sos, 0xFF, 0xD9]).buffer;
+  };
+
+  const createCertificationData = async (description) => {
+    const manifest = await C2PAManifest.createManifest({ hash: [1, 2, 3] }, certificate, description, null);
+    return C2PAManifest.createCertificationData(await C2PAManifest.signManifest(manifest, certificate));
+  };
+
+  beforeAll(async () => {
+    certificate = await X509Certificate.generateCertificate({ name: 'Test Photographer' });
+  });
+
+  it('should embed a C2PA manifest store in APP11 that reads back and verifies', async () => {
+    const certificationData = await createCertificationData('Harbour at dawn');
+
+    const certified = await JPEGEmbedder.embedCertification(createJPEG(), certificationData, { format: 'jumbf' });
+    const bytes = new Uint8Array(certified);
+    const segments = JPEGEmbedder.findSegments(bytes);
+
+    expect(segments.map(segment => segment.marker)).toEqual([0xE0, 0xEB, 0xDB]);
+    expect(JPEGEmbedder.findSegments(bytes).some(segment => JPEGEmbedder.isCertificationSegment(bytes, segment))).toBe(false);
+
+    const extracted = await JPEGEmbedder.extractCertification(certified);
+    expect(extracted.manifestId).toBe(certificationData.manifestId);
+    expect(await C2PAManifest.verifyManifestSignature(extracted.manifest, certificate.tbsCertificate.subjectPublicKeyInfo.publicKey))
+      .toMatchObject({ valid: true });
+  });
+
+  it('should split large manifest stores over continuation segments', async () => {
+    const certificationData = await createCertificationData('x'.repeat(70000));
+
+    const certified = new Uint8Array(await JPEGEmbedder.embedCertification(createJPEG(), certificationData, { format: 'jumbf' }));
+    const jumbfSegments = JPEGEmbedder.findJUMBFSegments(certified);
+
+    expect(jumbfSegments.length).toBeGreaterThan(1);
+    expect(jumbfSegments.map(segment => segment.sequence)).toEqual(jumbfSegments.map((_, index) => index + 1));
+    expect(new Set(jumbfSegments.map(segment => segment.instance)).size).toBe(1);
+    expect(Array.from(JPEGEmbedder.extractJUMBF(certified))).toEqual(Array.from(await C2PAManifest.exportAsJUMBF(certificationData.manifest)));
+  });
+
+  it('should keep both formats when the certification is replaced', async () => {
+    const certificationData = await createCertificationData('Harbour at dawn');
+    const certified = await JPEGEmbedder.embedCertification(createJPEG(), certificationData, { format: 'both' });
+
+    const manifest = certificationData.manifest;
+    manifest.manifests[manifest.active_manifest].claim_signature.archive_timestamps = [{ time: '2026-01-01T00:00:00.000Z' }];
+    const replaced = new Uint8Array(await JPEGEmbedder.replaceCertification(certified, certificationData));
+
+    expect(JPEGEmbedder.findSegments(replaced).map(segment => segment.marker)).toEqual([0xE0, 0xEB, 0xEF, 0xDB]);
+    const restored = await C2PAManifest.fromJUMBF(JPEGEmbedder.extractJUMBF(replaced));
+    expect(restored.manifests[manifest.active_manifest].claim_signature.archive_timestamps).toHaveLength(1);
+
+    // The APP15 copy stays the size it was signed at
+    const app15 = JPEGEmbedder.findSegments(replaced).find(segment => JPEGEmbedder.isCertificationSegment(replaced, segment));
+    const app15Data = JSON.parse(new TextDecoder().decode(replaced.slice(app15.offset + 12, app15.end)));
+    expect(app15Data.manifest.manifests[manifest.active_manifest].claim_signature.archive_timestamps).toBeUndefined();
+    const extracted = await JPEGEmbedder.extractCertification(replaced.buffer);
+    expect(extracted.manifest.manifests[manifest.active_manifest].claim_signature.archive_timestamps).toHaveLength(1);
+
+    const removed = JPEGEmbedder.removeCertification(replaced);
+    expect(Array.from(new Uint8Array(removed))).toEqual(Array.from(new Uint8Array(createJPEG())));
+
+    // APP15-only images gain a manifest store to keep the archive timestamps
+    const app15Only = await JPEGEmbedder.embedCertification(createJPEG(), await createCertificationData('Harbour at dusk'), { format: 'app15' });
+    const archivedApp15 = new Uint8Array(await JPEGEmbedder.replaceCertification(app15Only, certificationData));
+    expect(JPEGEmbedder.findSegments(archivedApp15).map(segment => segment.marker)).toEqual([0xE0, 0xEB, 0xEF, 0xDB]);
+  });
+
+  it('should fill the region excluded from the signed image hash exactly', async () => {
+    const image = createJPEG();
+    const start = JPEGEmbedder.getCertificationOffset(image);
+    const hash = Array.from(new Uint8Array(await crypto.subtle.digest('SHA-384', new Uint8Array(image))));
+    const createBoundData = async length => C2PAManifest.createCertificationData(await C2PAManifest.signManifest(
+      await C2PAManifest.createManifest({ hash, algorithm: 'SHA-384', exclusions: [{ start, length }] }, certificate, 'Bound', null),
+      certificate
+    ));
+    const certificationData = await createBoundData(40000);
+
+    const certified = await JPEGEmbedder.embedCertification(image, certificationData, { format: 'both' });
+    const bytes = new Uint8Array(certified);
+
+    expect(start).toBe(20);
+    expect(bytes.length).toBe(image.byteLength + 40000);
+    expect(JPEGEmbedder.findSegments(bytes).map(segment => segment.marker)).toEqual([0xE0, 0xEB, 0xEF, 0xFE, 0xDB]);
+    expect(await C2PAManifest.hashImage(certificationData.manifest, certified)).toEqual(hash);
+
+    // Metadata segments outside the region are covered too
+    const tampered = Uint8Array.from(bytes);
+    tampered[10] ^= 0xFF;
+    expect(await C2PAManifest.hashImage(certificationData.manifest, tampered)).not.toEqual(hash);
+
+    // Archive timestamps are written into the same region, growing only
+    // the manifest store
+    const manifest = certificationData.manifest;
+    manifest.manifests[manifest.active_manifest].claim_signature.archive_timestamps = Array.from({ length: 8 }, () => ({
+      time: '2026-01-01T00:00:00.000Z',
+      token: Array.from({ length: 1500 }, (_, i) => i % 256)
+    }));
+    expect(await JPEGEmbedder.getReplacementLength(certified, certificationData)).toBeLessThanOrEqual(40000);
+    const replaced = await JPEGEmbedder.replaceCertification(certified, certificationData);
+    expect(replaced.byteLength).toBe(certified.byteLength);
+    expect(await C2PAManifest.hashImage(manifest, replaced)).toEqual(hash);
+    expect(Array.from(new Uint8Array(JPEGEmbedder.removeCertification(replaced)))).toEqual(Array.from(new Uint8Array(image)));
+
+    await expect(JPEGEmbedder.embedCertification(image, await createBoundData(100), { format: 'both' }))
+      .rejects.toThrow(/but only 100 were reserved/);
+  });
+
+  it('should pad with whole segments and fill bytes', () => {
+    [0, 3, 20, 65537 + 10, 140000].forEach(length => {
+      const padding = JPEGEmbedder.createPadding(length);
+      const padded = new Uint8Array([0xFF, 0xD8, ...padding, ...new Uint8Array(createJPEG()).subarray(2)]);
+
+      expect(padding).toHaveLength(length);
+      expect(JPEGEmbedder.findSegments(padded).filter(segment => JPEGEmbedder.isPaddingSegment(padded, segment))
+        .reduce((total, segment) => total + segment.end - segment.offset, 0)).toBe(length < 20 ? 0 : length);
+      expect(Array.from(new Uint8Array(JPEGEmbedder.removeCertification(padded)))).toEqual(Array.from(new Uint8Array(createJPEG())));
+    });
+  });
+});
@@ -1,3 +1,5 @@
+import { C2PAManifest } from '../c2pa/C2PAManifest';
+
 export class PNGEmbedder {
   static CHUNK_TYPE = 'tRST'; // Custom chunk for trust/certification data
   static PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
@@ -14,15 +16,93 @@ export class PNGEmbedder {
       throw new Error('IEND chunk not found in PNG');
     }
 
+    let certBytes = this.encodeCertification(certificationData);
+    const [exclusion] = C2PAManifest.getSignedExclusions(certificationData.manifest) || [];
+    if (exclusion) {
+      // The signed hash covers everything outside the exclusion, so the
+      // chunk must fill it exactly; JSON allows trailing spaces
+      if (exclusion.start !== iendPosition) {
+        throw new Error('Image does not match the certification region recorded in the manifest');
+      }
+      if (certBytes.length + 12 > exclusion.length) {
+        throw new Error(`Certification needs ${certBytes.length + 12} bytes but only ${exclusion.length} were reserved when the image was signed`);
+      }
+      const padded = new Uint8Array(exclusion.length - 12).fill(0x20);
+      padded.set(certBytes);
+      certBytes = padded;
+    }
+
+    const trustChunk = this.createTrustChunk(certBytes);
+    return this.insertChunk(uint8Array, trustChunk, iendPosition);
+  }
+
+  static encodeCertification(certificationData) {
     const certPayload = JSON.stringify(certificationData);
     const certBytes = new TextEncoder().encode(certPayload);
     
     if (certBytes.length > 2147483647) {
       throw new Error('Certification data too large for PNG chunk');
     }
+    return certBytes;
+  }
 
-    const trustChunk = this.createTrustChunk(certBytes);
-    return this.insertChunk(uint8Array, trustChunk, iendPosition);
+  /**
+   * Bytes embedCertification needs for the tRST chunk, before padding
+   */
+  static async getCertificationLength(certificationData) {
+    return this.encodeCertification(certificationData).length + 12;
+  }
+
+  /**
+   * Bytes replaceCertification needs for the tRST chunk, before padding
+   */
+  static async getReplacementLength(imageBuffer, certificationData) {
+    return this.getCertificationLength(certificationData);
+  }
+
+  /**
+   * Where embedCertification inserts the chunk: before IEND
+   */
+  static getCertificationOffset(imageBuffer) {
+    return this.findIENDChunk(new Uint8Array(imageBuffer));
+  }
+
+  /**
+   * Replace the embedded certification, e.g. after archive timestamps were
+   * added to its manifest. Other chunks are copied unchanged.
+   */
+  static async replaceCertification(imageBuffer, certificationData) {
+    return this.embedCertification(this.removeCertification(imageBuffer), certificationData);
+  }
+
+  static removeCertification(imageBuffer) {
+    const uint8Array = new Uint8Array(imageBuffer);
+    if (!this.isValidPNG(uint8Array)) {
+      throw new Error('Invalid PNG file');
+    }
+
+    const kept = [uint8Array.slice(0, 8)];
+    let offset = 8;
+    while (offset + 12 <= uint8Array.length) {
+      const chunkLength = ((uint8Array[offset] << 24) |
+                          (uint8Array[offset + 1] << 16) |
+                          (uint8Array[offset + 2] << 8) |
+                          uint8Array[offset + 3]) >>> 0;
+      const chunkType = String.fromCharCode(...uint8Array.slice(offset + 4, offset + 8));
+      const end = offset + chunkLength + 12;
+      if (chunkType !== this.CHUNK_TYPE) {
+        kept.push(uint8Array.slice(offset, end));
+      }
+      offset = end;
+    }
+
+    const result = new Uint8Array(kept.reduce((length, part) => length + part.length, 0));
+    let position = 0;
+    kept.forEach(part => {
+      result.set(part, position);
+      position += part.length;
+    });
+    return result.buffer;
   }
 
   static isValidPNG(uint8Array) {
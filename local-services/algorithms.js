@@ -0,0 +1,115 @@
+// Signature algorithms shared by the local services (no dependencies)
+//
+// Names are the C2PA (COSE) ones the apps record. Each entry knows how to
+// generate a key, which digest goes with it and how to sign: JSON answers
+// carry signatures the way Web Crypto verifies them (raw r||s for ECDSA),
+// CMS carries ECDSA as a DER Ecdsa-Sig-Value.
+
+const crypto = require('crypto');
+const der = require('./der');
+
+const HASH_OIDS = {
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha384: '2.16.840.1.101.3.4.2.2',
+  sha512: '2.16.840.1.101.3.4.2.3'
+};
+const MGF1_OID = '1.2.840.113549.1.1.8';
+
+const ALGORITHMS = {
+  ES256: {
+    digest: 'sha256',
+    oid: '1.2.840.10045.4.3.2', // ecdsa-with-SHA256
+    generate: () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+  },
+  ES384: {
+    digest: 'sha384',
+    oid: '1.2.840.10045.4.3.3', // ecdsa-with-SHA384
+    generate: () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' })
+  },
+  PS256: {
+    digest: 'sha256',
+    oid: '1.2.840.113549.1.1.10', // id-RSASSA-PSS
+    saltLength: 32,
+    generate: () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  },
+  Ed25519: {
+    // Ed25519 hashes internally; CMS pairs it with SHA-512 (RFC 8419)
+    digest: 'sha512',
+    oid: '1.3.101.112', // id-Ed25519
+    prehash: false,
+    generate: () => crypto.generateKeyPairSync('ed25519')
+  }
+};
+
+// OpenSSL curve names of the ECDSA algorithms
+const CURVES = {
+  prime256v1: 'ES256',
+  secp384r1: 'ES384'
+};
+
+/**
+ * The algorithm a private or public KeyObject signs with
+ */
+function keyAlgorithm(key) {
+  const details = key.asymmetricKeyDetails || {};
+  switch (key.asymmetricKeyType) {
+    case 'ec':
+      if (!CURVES[details.namedCurve]) {
+        throw new Error(`Unsupported elliptic curve ${details.namedCurve}`);
+      }
+      return CURVES[details.namedCurve];
+    case 'rsa':
+      return 'PS256';
+    case 'rsa-pss':
+      // Keys restricted to PSS must allow SHA-256 with a 32-byte salt
+      if ((details.hashAlgorithm && details.hashAlgorithm !== 'sha256') || details.saltLength > 32) {
+        throw new Error('RSA-PSS key is restricted to other parameters than PS256');
+      }
+      return 'PS256';
+    case 'ed25519':
+      return 'Ed25519';
+    default:
+      throw new Error(`Unsupported key type ${key.asymmetricKeyType}`);
+  }
+}
+
+/**
+ * Sign with the key's algorithm. encoding 'raw' gives ECDSA as r||s, as
+ * Web Crypto expects; 'der' as X.509 and CMS expect.
+ */
+function sign(key, data, { encoding = 'raw' } = {}) {
+  const algorithm = ALGORITHMS[keyAlgorithm(key)];
+  if (algorithm.prehash === false) {
+    return crypto.sign(null, data, key);
+  }
+  if (algorithm.saltLength) {
+    return crypto.sign(algorithm.digest, data, {
+      key,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: algorithm.saltLength
+    });
+  }
+  return crypto.sign(algorithm.digest, data, {
+    key,
+    dsaEncoding: encoding === 'der' ? 'der' : 'ieee-p1363'
+  });
+}
+
+/**
+ * AlgorithmIdentifier for a signature algorithm; RSA-PSS spells out its
+ * hash, mask generation and salt length
+ */
+function algorithmIdentifier(name) {
+  const algorithm = ALGORITHMS[name];
+  if (!algorithm.saltLength) {
+    return der.sequence(der.oid(algorithm.oid));
+  }
+  const hash = der.sequence(der.oid(HASH_OIDS[algorithm.digest]), der.tlv(0x05, []));
+  return der.sequence(der.oid(algorithm.oid), der.sequence(
+    der.contextSpecific(0, hash),
+    der.contextSpecific(1, der.sequence(der.oid(MGF1_OID), hash)),
+    der.contextSpecific(2, der.integer(algorithm.saltLength))
+  ));
+}
+
+module.exports = { ALGORITHMS, HASH_OIDS, keyAlgorithm, sign, algorithmIdentifier };
@@ -0,0 +1,147 @@
+// Minimal DER encoder/decoder for the local services (no dependencies)
+
+function encodeLength(length) {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  while (length > 0) {
+    bytes.unshift(length & 0xff);
+    length = Math.floor(length / 256);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function tlv(tag, content) {
+  const body = Buffer.from(content);
+  return Buffer.concat([Buffer.from([tag]), encodeLength(body.length), body]);
+}
+
+const sequence = (...items) => tlv(0x30, Buffer.concat(items.filter(Boolean)));
+
+// DER sorts SET OF members by their encoding
+const set = (...items) => tlv(0x31, Buffer.concat(items.filter(Boolean).sort(Buffer.compare)));
+
+function integer(value) {
+  let bytes;
+  if (typeof value === 'number') {
+    bytes = [];
+    do {
+      bytes.unshift(value & 0xff);
+      value = Math.floor(value / 256);
+    } while (value > 0);
+  } else {
+    bytes = Array.from(value);
+  }
+  while (bytes.length > 1 && bytes[0] === 0 && !(bytes[1] & 0x80)) bytes.shift();
+  if (bytes[0] & 0x80) bytes.unshift(0);
+  return tlv(0x02, bytes);
+}
+
+function oid(dotted) {
+  const parts = dotted.split('.').map(Number);
+  const bytes = [parts[0] * 40 + parts[1]];
+  for (const part of parts.slice(2)) {
+    const chunk = [part & 0x7f];
+    let value = Math.floor(part / 128);
+    while (value > 0) {
+      chunk.unshift((value & 0x7f) | 0x80);
+      value = Math.floor(value / 128);
+    }
+    bytes.push(...chunk);
+  }
+  return tlv(0x06, bytes);
+}
+
+const octetString = (bytes) => tlv(0x04, bytes);
+const boolean = (value) => tlv(0x01, [value ? 0xff : 0x00]);
+const utf8String = (text) => tlv(0x0c, Buffer.from(text, 'utf8'));
+
+function bitString(bitPositions) {
+  const length = Math.max(...bitPositions) + 1;
+  const bytes = Buffer.alloc(Math.ceil(length / 8));
+  bitPositions.forEach(bit => { bytes[Math.floor(bit / 8)] |= 0x80 >> (bit % 8); });
+  return tlv(0x03, Buffer.concat([Buffer.from([bytes.length * 8 - length]), bytes]));
+}
+
+// YYYYMMDDhhmmss[.fff]Z without trailing zeros in the fraction
+function generalizedTime(date) {
+  const iso = date.toISOString();
+  const fraction = iso.substring(20, 23).replace(/0+$/, '');
+  const text = iso.substring(0, 19).replace(/[-:T]/g, '') + (fraction ? `.${fraction}` : '') + 'Z';
+  return tlv(0x18, Buffer.from(text, 'ascii'));
+}
+
+// Context-specific [n]: explicit tags wrap elements, implicit tags replace them
+const contextSpecific = (tagNumber, content, constructed = true) =>
+  tlv(0x80 | (constructed ? 0x20 : 0) | tagNumber, content);
+
+function decode(bytes, offset = 0) {
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let headerLength = 2;
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) length = length * 256 + bytes[offset + 2 + i];
+    headerLength += count;
+  }
+  const start = offset + headerLength;
+  const end = start + length;
+  if (end > bytes.length) throw new Error('Truncated DER element');
+
+  const node = {
+    tag,
+    content: bytes.subarray(start, end),
+    raw: bytes.subarray(offset, end),
+    end
+  };
+  if (tag & 0x20) {
+    node.children = [];
+    let position = start;
+    while (position < end) {
+      const child = decode(bytes, position);
+      node.children.push(child);
+      position = child.end;
+    }
+  }
+  return node;
+}
+
+function decodeOID(node) {
+  const parts = [];
+  let value = 0;
+  for (const byte of node.content) {
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      if (parts.length === 0) {
+        const first = value < 80 ? Math.floor(value / 40) : 2;
+        parts.push(first, value - first * 40);
+      } else {
+        parts.push(value);
+      }
+      value = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+function pemBlocks(text, label) {
+  const pattern = new RegExp(`-----BEGIN ${label}-----([\\s\\S]*?)-----END ${label}-----`, 'g');
+  return [...String(text).matchAll(pattern)].map(match => Buffer.from(match[1].replace(/\s+/g, ''), 'base64'));
+}
+
+module.exports = {
+  tlv,
+  sequence,
+  set,
+  integer,
+  oid,
+  octetString,
+  boolean,
+  utf8String,
+  bitString,
+  generalizedTime,
+  contextSpecific,
+  decode,
+  decodeOID,
+  pemBlocks
+};
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+// Local mock key management service for remote signing
+//
+// Keeps signing keys on this machine and signs on request, so the studio
+// can certify images with keys that never enter the browser. Keys are
+// stored unencrypted in the key file; use it for development only.
+//
+// Listens on 127.0.0.1 only. Every request needs the access token, which is
+// generated at startup unless one is given, and browsers may only call the
+// service from the studio's origin.
+//
+//   node kms-server.js [--port 8789] [--keys ./kms-keys.json] [--token secret]
+//                      [--origin http://localhost:3000]
+//
+// GET  /keys            list of keys with their SPKI public keys
+// POST /keys            { keyId, algorithm } -> new key (ES256, ES384, PS256, Ed25519)
+// GET  /keys/:id        one key
+// POST /keys/:id/sign   { data: base64 } -> { keyId, algorithm, signature: base64 }
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ALGORITHMS, sign } = require('./algorithms');
+
+const KEY_FILE_TYPE = 'aic-mock-kms';
+const MAX_REQUEST_BYTES = 1024 * 1024;
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const DEFAULT_KEY = { keyId: 'default', algorithm: 'ES384' };
+const HOST = '127.0.0.1';
+
+class KmsError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'KmsError';
+    this.statusCode = statusCode;
+  }
+}
+
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.KMS_PORT) || 8789,
+    keys: process.env.KMS_KEYS || path.join(__dirname, 'kms-keys.json'),
+    token: process.env.KMS_TOKEN || null,
+    // Comma-separated origins whose pages may call the service
+    origins: process.env.KMS_ORIGIN || 'http://localhost:3000'
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') options.port = Number(argv[++i]);
+    else if (argv[i] === '--keys') options.keys = path.resolve(argv[++i]);
+    else if (argv[i] === '--token') options.token = argv[++i];
+    else if (argv[i] === '--origin') options.origins = argv[++i];
+  }
+  options.origins = options.origins.split(',').map(origin => origin.trim()).filter(Boolean);
+  return options;
+}
+
+class KeyStore {
+  constructor(file) {
+    this.file = file;
+    this.keys = new Map();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+
+    const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    if (stored.type !== KEY_FILE_TYPE) {
+      throw new Error(`${this.file} is not a mock KMS key file`);
+    }
+    for (const entry of stored.keys || []) {
+      this.keys.set(entry.keyId, {
+        ...entry,
+        privateKey: crypto.createPrivateKey(entry.privateKey)
+      });
+    }
+  }
+
+  save() {
+    const keys = [...this.keys.values()].map(entry => ({
+      ...entry,
+      privateKey: entry.privateKey.export({ type: 'pkcs8', format: 'pem' })
+    }));
+    fs.writeFileSync(this.file, JSON.stringify({ type: KEY_FILE_TYPE, keys }, null, 2), { mode: 0o600 });
+  }
+
+  create({ keyId, algorithm }) {
+    if (!KEY_ID_PATTERN.test(keyId || '')) {
+      throw new KmsError('Key IDs use letters, digits, ".", "_" and "-" (at most 64)', 400);
+    }
+    if (!ALGORITHMS[algorithm]) {
+      throw new KmsError(`Unsupported algorithm ${algorithm}`, 400);
+    }
+    if (this.keys.has(keyId)) {
+      throw new KmsError(`Key ${keyId} already exists`, 409);
+    }
+
+    const { privateKey } = ALGORITHMS[algorithm].generate();
+    this.keys.set(keyId, { keyId, algorithm, createdAt: new Date().toISOString(), privateKey });
+    this.save();
+    return this.describe(keyId);
+  }
+
+  get(keyId) {
+    const entry = this.keys.get(keyId);
+    if (!entry) {
+      throw new KmsError(`Key ${keyId} was not found`, 404);
+    }
+    return entry;
+  }
+
+  // Public description: never includes the private key
+  describe(keyId) {
+    const { algorithm, createdAt, privateKey } = this.get(keyId);
+    const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+    return { keyId, algorithm, createdAt, publicKey: publicKey.toString('base64') };
+  }
+
+  sign(keyId, data) {
+    const { algorithm, privateKey } = this.get(keyId);
+    // Raw r||s for ECDSA and a 32-byte salt for RSA-PSS, as Web Crypto verifies
+    const signature = sign(privateKey, data);
+    return { keyId, algorithm, signature: signature.toString('base64') };
+  }
+}
+
+// CORS headers for an allowed origin; other origins get none, so browsers
+// keep their pages from reading the answer
+function corsHeaders(origin, origins) {
+  if (!origin || !origins.includes(origin)) return {};
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    Vary: 'Origin'
+  };
+}
+
+function send(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { ...headers, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_REQUEST_BYTES) {
+        reject(new KmsError('Request too large', 413));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+async function readJSONObject(req) {
+  const body = JSON.parse(await readBody(req));
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new KmsError('Expected a JSON object', 400);
+  }
+  return body;
+}
+
+function isAuthorized(req, token) {
+  if (!token) return true;
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(req.headers.authorization || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function createServer(store, { token = null, origins = [] } = {}) {
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const { origin } = req.headers;
+    const cors = corsHeaders(origin, origins);
+
+    // Pages from other origins may not even trigger signing
+    if (origin && !origins.includes(origin)) {
+      send(res, 403, { error: `Origin ${origin} is not allowed` });
+      return;
+    }
+    if (req.method === 'OPTIONS') {
+      send(res, 204, {}, cors);
+      return;
+    }
+    if (!isAuthorized(req, token)) {
+      send(res, 401, { error: 'Missing or wrong access token' }, cors);
+      return;
+    }
+
+    try {
+      // /keys, /keys/:id or /keys/:id/sign
+      const [, collection, keyId, action, ...rest] = pathname.split('/').map(decodeURIComponent);
+      if (collection !== 'keys' || rest.length > 0 || (action && action !== 'sign')) {
+        throw new KmsError('Not found', 404);
+      }
+
+      if (!keyId && req.method === 'GET') {
+        send(res, 200, { keys: [...store.keys.keys()].map(id => store.describe(id)) }, cors);
+      } else if (!keyId && req.method === 'POST') {
+        const key = store.create(await readJSONObject(req));
+        console.log(`${new Date().toISOString()} created ${key.algorithm} key ${key.keyId}`);
+        send(res, 201, key, cors);
+      } else if (keyId && !action && req.method === 'GET') {
+        send(res, 200, store.describe(keyId), cors);
+      } else if (keyId && action === 'sign' && req.method === 'POST') {
+        const { data } = await readJSONObject(req);
+        if (typeof data !== 'string' || data.length === 0) {
+          throw new KmsError('Expected base64 data to sign', 400);
+        }
+        const bytes = Buffer.from(data, 'base64');
+        const result = store.sign(keyId, bytes);
+        console.log(`${new Date().toISOString()} signed ${bytes.length} bytes with ${keyId} (${result.algorithm})`);
+        send(res, 200, result, cors);
+      } else {
+        throw new KmsError('Method not allowed', 405);
+      }
+    } catch (error) {
+      const statusCode = error instanceof KmsError
+        ? error.statusCode
+        // Malformed JSON bodies and percent-encoding in the path
+        : error instanceof SyntaxError || error instanceof URIError ? 400 : 500;
+      if (statusCode === 500) {
+        console.error('Request failed:', error);
+      }
+      send(res, statusCode, { error: error.message }, cors);
+    }
+  });
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  const store = new KeyStore(options.keys);
+  try {
+    store.load();
+  } catch (error) {
+    console.error(`Cannot load key file ${options.keys}: ${error.message}`);
+    process.exit(1);
+  }
+  if (store.keys.size === 0) {
+    store.create(DEFAULT_KEY);
+    console.log(`Created ${DEFAULT_KEY.algorithm} key "${DEFAULT_KEY.keyId}" in ${options.keys}`);
+  }
+
+  // Without a configured token a fresh one is required each run
+  const token = options.token || crypto.randomBytes(24).toString('base64url');
+
+  createServer(store, { token, origins: options.origins }).listen(options.port, HOST, () => {
+    console.log(`Mock KMS listening on http://localhost:${options.port}/keys`);
+    console.log(`Keys: ${[...store.keys.values()].map(key => `${key.keyId} (${key.algorithm})`).join(', ')}`);
+    console.log(`Allowed origins: ${options.origins.join(', ') || 'none'}`);
+    if (!options.token) {
+      console.log(`Access token: ${token}`);
+      console.log('Start the studio with REACT_APP_REMOTE_SIGNER_TOKEN set to it, or set KMS_TOKEN to keep one across restarts');
+    }
+  });
+}
+
+module.exports = { createServer, KeyStore, ALGORITHMS };
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer, KeyStore } = require('./kms-server');
+
+const TOKEN = 'test-token';
+const ORIGIN = 'http://localhost:3000';
+
+// Starts a service with one key and passes its base URL to `run`
+async function withService(run) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kms-'));
+  const store = new KeyStore(path.join(directory, 'keys.json'));
+  store.create({ keyId: 'default', algorithm: 'ES256' });
+  const server = createServer(store, { token: TOKEN, origins: [ORIGIN] });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+const post = (url, body, headers = {}) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}`, ...headers },
+  body
+});
+
+test('rejects requests without the access token', () => withService(async url => {
+  const response = await fetch(`${url}/keys`);
+  assert.strictEqual(response.status, 401);
+}));
+
+test('answers the configured origin and refuses others', () => withService(async url => {
+  const allowed = await post(`${url}/keys/default/sign`, JSON.stringify({ data: 'aGVsbG8=' }), { Origin: ORIGIN });
+  assert.strictEqual(allowed.status, 200);
+  assert.strictEqual(allowed.headers.get('access-control-allow-origin'), ORIGIN);
+
+  const refused = await post(`${url}/keys/default/sign`, JSON.stringify({ data: 'aGVsbG8=' }), { Origin: 'https://example.com' });
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual(refused.headers.get('access-control-allow-origin'), null);
+}));
+
+test('rejects JSON bodies that are not objects with 400', () => withService(async url => {
+  for (const body of ['null', '[]', '"text"', '42']) {
+    assert.strictEqual((await post(`${url}/keys`, body)).status, 400);
+    assert.strictEqual((await post(`${url}/keys/default/sign`, body)).status, 400);
+  }
+}));
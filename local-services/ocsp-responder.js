@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+// Local certificate status responder (OCSP-style)
+//
+// Answers "is this serial number revoked?" for the certificate authorities
+// exported from the studio's CA mode ("Export responder bundle"). Each answer
+// is signed with the key of a delegated responder certificate the CA issued,
+// carries that certificate and a validity window; clients cache it until
+// nextUpdate. Listens on 127.0.0.1 only.
+//
+//   node ocsp-responder.js [--port 8787] [--bundles ./responder-bundles]
+//
+// POST /ocsp  { issuerName, issuerKeyId, serialNumber }
+// GET  /      list of the authorities served
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const der = require('./der');
+const { keyAlgorithm, sign } = require('./algorithms');
+
+const BUNDLE_TYPE = 'aic-revocation-responder';
+const MAX_REQUEST_BYTES = 16 * 1024;
+const HOST = '127.0.0.1';
+
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.OCSP_PORT) || 8787,
+    bundles: process.env.OCSP_BUNDLES || path.join(__dirname, 'responder-bundles')
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') options.port = Number(argv[++i]);
+    else if (argv[i] === '--bundles') options.bundles = path.resolve(argv[++i]);
+  }
+  return options;
+}
+
+// RFC 8785 canonical JSON, matching WebCryptoUtils.canonicalize in the apps
+function canonicalize(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (typeof value === 'object') {
+    const members = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Serial numbers compare as the minimal DER integer bytes in lowercase hex
+function normalizeSerial(serialNumber) {
+  let serial = String(serialNumber || '').replace(/[^0-9a-f]/gi, '').toLowerCase();
+  if (serial.length % 2 === 1) serial = `0${serial}`;
+  while (serial.length > 2 && serial.startsWith('00')) serial = serial.substring(2);
+  return serial;
+}
+
+class ResponderStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.authorities = [];
+    this.signature = null;
+    // Signed responses are reused until they expire or the bundles change
+    this.responses = new Map();
+  }
+
+  // Re-read the bundle directory whenever a file in it changed
+  refresh() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const files = fs.readdirSync(this.directory).filter(file => file.endsWith('.json')).sort();
+    const signature = files
+      .map(file => `${file}:${fs.statSync(path.join(this.directory, file)).mtimeMs}`)
+      .join('|');
+    if (signature === this.signature) return;
+
+    this.authorities = [];
+    for (const file of files) {
+      try {
+        const bundle = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        if (bundle.type !== BUNDLE_TYPE) {
+          console.warn(`Skipping ${file}: not a responder bundle`);
+          continue;
+        }
+        // Bundles before version 2 held the CA key itself
+        const [certificate] = der.pemBlocks(bundle.responder?.certificate || '', 'CERTIFICATE');
+        if (!certificate) {
+          console.warn(`Skipping ${file}: no responder certificate; export the bundle again from the studio`);
+          continue;
+        }
+        const privateKey = crypto.createPrivateKey(bundle.privateKey);
+        if (!new crypto.X509Certificate(certificate).checkPrivateKey(privateKey)) {
+          throw new Error('Private key does not belong to the responder certificate');
+        }
+        this.authorities.push({
+          file,
+          name: bundle.issuer.name,
+          keyId: bundle.issuer.keyId,
+          responderName: bundle.responder.name,
+          certificate,
+          privateKey,
+          algorithm: keyAlgorithm(privateKey),
+          validityMinutes: bundle.responseValidityMinutes || 60,
+          revocations: new Map((bundle.revocations || [])
+            .map(entry => [normalizeSerial(entry.serialNumber), entry])),
+          exportedAt: bundle.exportedAt
+        });
+        console.log(`Loaded ${file}: ${bundle.issuer.name}, ${keyAlgorithm(privateKey)} (${(bundle.revocations || []).length} revoked)`);
+      } catch (error) {
+        console.error(`Failed to load ${file}:`, error.message);
+      }
+    }
+    this.signature = signature;
+    this.responses.clear();
+  }
+
+  findAuthority({ issuerName, issuerKeyId }) {
+    return this.authorities.find(authority =>
+      (issuerKeyId && authority.keyId === issuerKeyId) || (!issuerKeyId && authority.name === issuerName)
+    ) || null;
+  }
+
+  respond(request) {
+    this.refresh();
+
+    const serialNumber = normalizeSerial(request.serialNumber);
+    const authority = this.findAuthority(request);
+    if (!serialNumber || !authority) {
+      return null;
+    }
+
+    const cacheKey = `${authority.keyId || authority.name}|${serialNumber}`;
+    const cached = this.responses.get(cacheKey);
+    if (cached && new Date(cached.tbsResponse.nextUpdate) > new Date()) {
+      return cached;
+    }
+
+    const now = new Date(Math.floor(Date.now() / 1000) * 1000);
+    const entry = authority.revocations.get(serialNumber);
+    const tbsResponse = {
+      responderId: { name: authority.responderName },
+      issuerName: authority.name,
+      issuerKeyId: authority.keyId,
+      serialNumber,
+      certStatus: entry ? 'revoked' : 'good',
+      producedAt: now.toISOString(),
+      thisUpdate: now.toISOString(),
+      nextUpdate: new Date(now.getTime() + authority.validityMinutes * 60 * 1000).toISOString()
+    };
+    if (entry) {
+      tbsResponse.revocationTime = entry.revocationDate;
+      tbsResponse.revocationReason = entry.reason || 'unspecified';
+      tbsResponse.invalidityDate = entry.invalidityDate || null;
+    }
+
+    // Signed with the key's own algorithm, in the form Web Crypto verifies
+    const signature = sign(authority.privateKey, Buffer.from(canonicalize(tbsResponse), 'utf8'));
+    const response = {
+      responseStatus: 'successful',
+      tbsResponse,
+      signatureAlgorithm: authority.algorithm,
+      signature: signature.toString('base64'),
+      // The responder certificate shows the issuer delegated signing to it
+      certificates: [authority.certificate.toString('base64')]
+    };
+    this.responses.set(cacheKey, response);
+    return response;
+  }
+}
+
+function send(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    ...headers
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_REQUEST_BYTES) {
+        reject(new Error('Request too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function createServer(store) {
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      send(res, 204, {});
+      return;
+    }
+
+    if (req.method === 'GET' && pathname === '/') {
+      store.refresh();
+      send(res, 200, {
+        authorities: store.authorities.map(authority => ({
+          name: authority.name,
+          keyId: authority.keyId,
+          revoked: authority.revocations.size,
+          exportedAt: authority.exportedAt
+        }))
+      });
+      return;
+    }
+
+    if (req.method !== 'POST' || pathname !== '/ocsp') {
+      send(res, 404, { responseStatus: 'malformedRequest', error: 'Not found' });
+      return;
+    }
+
+    try {
+      const request = JSON.parse(await readBody(req));
+      const response = store.respond(request);
+      if (!response) {
+        // RFC 6960 "unauthorized": this responder does not serve that issuer
+        send(res, 404, { responseStatus: 'unauthorized' });
+        return;
+      }
+
+      const maxAge = Math.max(0, Math.floor((new Date(response.tbsResponse.nextUpdate) - Date.now()) / 1000));
+      console.log(`${response.tbsResponse.certStatus} ${response.tbsResponse.serialNumber} (${response.tbsResponse.issuerName})`);
+      send(res, 200, response, { 'Cache-Control': `public, max-age=${maxAge}` });
+    } catch (error) {
+      send(res, 400, { responseStatus: 'malformedRequest', error: error.message });
+    }
+  });
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  const store = new ResponderStore(options.bundles);
+  store.refresh();
+  createServer(store).listen(options.port, HOST, () => {
+    console.log(`Status responder listening on http://localhost:${options.port}/ocsp`);
+    console.log(`Reading responder bundles from ${options.bundles}`);
+  });
+}
+
+module.exports = { createServer, ResponderStore, canonicalize, normalizeSerial };
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const der = require('./der');
+const { ResponderStore, canonicalize } = require('./ocsp-responder');
+const { ALGORITHMS, keyAlgorithm, sign, algorithmIdentifier } = require('./algorithms');
+
+// How the apps import the responder key with Web Crypto
+const WEB_CRYPTO = {
+  ES256: [{ name: 'ECDSA', namedCurve: 'P-256' }, { name: 'ECDSA', hash: 'SHA-256' }],
+  PS256: [{ name: 'RSA-PSS', hash: 'SHA-256' }, { name: 'RSA-PSS', saltLength: 32 }],
+  Ed25519: [{ name: 'Ed25519' }, { name: 'Ed25519' }]
+};
+
+const OCSP_SIGNING = '1.3.6.1.5.5.7.3.9';
+
+// A delegated responder certificate, as the studio issues it
+function issueResponderCertificate(issuerKey, responderPublicKey) {
+  const name = commonName => der.sequence(der.set(der.sequence(der.oid('2.5.4.3'), der.utf8String(commonName))));
+  const signatureAlgorithm = algorithmIdentifier(keyAlgorithm(issuerKey));
+  const now = Date.now();
+  const tbs = der.sequence(
+    der.contextSpecific(0, der.integer(2)),
+    der.integer(crypto.randomBytes(8)),
+    signatureAlgorithm,
+    name('Agency Issuing CA'),
+    der.sequence(der.generalizedTime(new Date(now - 60 * 1000)), der.generalizedTime(new Date(now + 24 * 60 * 60 * 1000))),
+    name('Agency Status Responder'),
+    responderPublicKey.export({ type: 'spki', format: 'der' }),
+    der.contextSpecific(3, der.sequence(
+      der.sequence(der.oid('2.5.29.37'), der.octetString(der.sequence(der.oid(OCSP_SIGNING))))
+    ))
+  );
+  const signature = sign(issuerKey, tbs, { encoding: 'der' });
+  return der.sequence(tbs, signatureAlgorithm, der.tlv(0x03, Buffer.concat([Buffer.from([0]), signature])));
+}
+
+const toPEM = certificate => `-----BEGIN CERTIFICATE-----\n${certificate.toString('base64')}\n-----END CERTIFICATE-----\n`;
+
+function writeBundle(directory, { certificate, privateKey }) {
+  fs.writeFileSync(path.join(directory, 'ca.json'), JSON.stringify({
+    type: 'aic-revocation-responder',
+    version: 2,
+    issuer: { name: 'CN=Agency Issuing CA', keyId: 'ab12' },
+    responder: { name: 'CN=Agency Status Responder', certificate: certificate && toPEM(certificate) },
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    revocations: [{ serialNumber: '0a', revocationDate: new Date().toISOString(), reason: 'keyCompromise' }]
+  }));
+}
+
+for (const algorithm of Object.keys(WEB_CRYPTO)) {
+  test(`signs status responses with a responder key of type ${algorithm} the way Web Crypto verifies them`, async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'responder-'));
+    const issuer = ALGORITHMS.ES256.generate();
+    const { privateKey, publicKey } = ALGORITHMS[algorithm].generate();
+    writeBundle(directory, { certificate: issueResponderCertificate(issuer.privateKey, publicKey), privateKey });
+
+    try {
+      const response = new ResponderStore(directory).respond({ issuerKeyId: 'ab12', serialNumber: '0A' });
+
+      assert.strictEqual(response.signatureAlgorithm, algorithm);
+      assert.strictEqual(response.tbsResponse.certStatus, 'revoked');
+
+      // The response carries the responder certificate the issuer signed
+      const certificate = new crypto.X509Certificate(Buffer.from(response.certificates[0], 'base64'));
+      assert.ok(certificate.verify(issuer.publicKey));
+
+      const [keyParameters, signParameters] = WEB_CRYPTO[algorithm];
+      const key = await crypto.subtle.importKey(
+        'spki', certificate.publicKey.export({ type: 'spki', format: 'der' }), keyParameters, false, ['verify']
+      );
+      const valid = await crypto.subtle.verify(
+        signParameters,
+        key,
+        Buffer.from(response.signature, 'base64'),
+        Buffer.from(canonicalize(response.tbsResponse), 'utf8')
+      );
+      assert.ok(valid);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+}
+
+test('does not serve bundles without a matching responder certificate', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'responder-'));
+  const issuer = ALGORITHMS.ES256.generate();
+  const responder = ALGORITHMS.ES256.generate();
+  try {
+    // Bundles that hold the CA key itself
+    writeBundle(directory, { certificate: null, privateKey: issuer.privateKey });
+    assert.strictEqual(new ResponderStore(directory).respond({ issuerKeyId: 'ab12', serialNumber: '0a' }), null);
+
+    writeBundle(directory, { certificate: issueResponderCertificate(issuer.privateKey, responder.publicKey), privateKey: issuer.privateKey });
+    assert.strictEqual(new ResponderStore(directory).respond({ issuerKeyId: 'ab12', serialNumber: '0a' }), null);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+// Local RFC 3161 timestamp authority for development
+//
+// Signs TimeStampReq messages with a time-stamping certificate issued from
+// the studio's CA mode ("Issue TSA certificate"), so verifiers that trust
+// the organization root also trust the timestamps.
+//
+// The bundle holds the TSA private key unencrypted. It is meant to stay on
+// the machine running this server, readable only by its user; the server
+// listens on 127.0.0.1 only.
+//
+//   node tsa-server.js [--port 8788] [--bundle ./tsa-bundle.json]
+//
+// POST /tsa   Content-Type: application/timestamp-query
+//             -> application/timestamp-reply
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const der = require('./der');
+const { ALGORITHMS, HASH_OIDS, keyAlgorithm, sign, algorithmIdentifier } = require('./algorithms');
+
+const BUNDLE_TYPE = 'aic-timestamp-authority';
+const MAX_REQUEST_BYTES = 16 * 1024;
+const HOST = '127.0.0.1';
+
+const OIDS = {
+  signedData: '1.2.840.113549.1.7.2',
+  tstInfo: '1.2.840.113549.1.9.16.1.4',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47'
+};
+
+// Accepted message imprints: OID -> [node hash name, digest length]
+const HASH_ALGORITHMS = {
+  '2.16.840.1.101.3.4.2.1': ['sha256', 32],
+  '2.16.840.1.101.3.4.2.2': ['sha384', 48],
+  '2.16.840.1.101.3.4.2.3': ['sha512', 64]
+};
+
+// PKIFailureInfo bits (RFC 3161 2.4.2)
+const FAILURE = {
+  badAlg: 0,
+  badRequest: 2,
+  badDataFormat: 5,
+  unacceptedPolicy: 15,
+  unacceptedExtension: 16,
+  systemFailure: 25
+};
+
+class TimestampRequestError extends Error {
+  constructor(message, failure) {
+    super(message);
+    this.name = 'TimestampRequestError';
+    this.failure = failure;
+  }
+}
+
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.TSA_PORT) || 8788,
+    bundle: process.env.TSA_BUNDLE || path.join(__dirname, 'tsa-bundle.json')
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') options.port = Number(argv[++i]);
+    else if (argv[i] === '--bundle') options.bundle = path.resolve(argv[++i]);
+  }
+  return options;
+}
+
+/**
+ * Load a TSA bundle: the time-stamping certificate followed by its issuing
+ * CAs, the certificate's private key and the policy to stamp under
+ */
+function loadAuthority(bundlePath) {
+  const bundle = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+  if (bundle.type !== BUNDLE_TYPE) {
+    throw new Error(`${bundlePath} is not a timestamp authority bundle`);
+  }
+
+  const certificates = der.pemBlocks(bundle.certificates, 'CERTIFICATE');
+  if (certificates.length === 0) {
+    throw new Error('Bundle contains no certificate');
+  }
+
+  // tbsCertificate: [0] version, serialNumber, signature, issuer, validity, subject, ...
+  const tbs = der.decode(certificates[0]).children[0];
+  const fields = tbs.children[0].tag === 0xa0 ? tbs.children.slice(1) : tbs.children;
+  const x509 = new crypto.X509Certificate(certificates[0]);
+  const privateKey = crypto.createPrivateKey(bundle.privateKey);
+
+  return {
+    name: x509.subject.replace(/\n/g, ', '),
+    validTo: x509.validTo,
+    certificates,
+    serialNumber: fields[0].raw,
+    issuer: fields[2].raw,
+    subject: fields[4].raw,
+    privateKey,
+    algorithm: keyAlgorithm(privateKey),
+    policy: bundle.policy,
+    accuracySeconds: bundle.accuracySeconds || 1
+  };
+}
+
+function parseRequest(body) {
+  let request;
+  try {
+    request = der.decode(body);
+  } catch (error) {
+    throw new TimestampRequestError(error.message, FAILURE.badDataFormat);
+  }
+  if (request.tag !== 0x30 || request.end !== body.length) {
+    throw new TimestampRequestError('Not a TimeStampReq', FAILURE.badDataFormat);
+  }
+
+  const [versionNode, imprintNode, ...optional] = request.children;
+  if (!versionNode || versionNode.tag !== 0x02 || versionNode.content[0] !== 1 || !imprintNode) {
+    throw new TimestampRequestError('Unsupported TimeStampReq version', FAILURE.badRequest);
+  }
+
+  const hashAlgorithm = der.decodeOID(imprintNode.children[0].children[0]);
+  const hashedMessage = imprintNode.children[1].content;
+  if (!HASH_ALGORITHMS[hashAlgorithm]) {
+    throw new TimestampRequestError(`Unsupported hash algorithm ${hashAlgorithm}`, FAILURE.badAlg);
+  }
+  if (hashedMessage.length !== HASH_ALGORITHMS[hashAlgorithm][1]) {
+    throw new TimestampRequestError('Message imprint has the wrong length', FAILURE.badDataFormat);
+  }
+
+  const policyNode = optional.find(node => node.tag === 0x06);
+  const nonceNode = optional.find(node => node.tag === 0x02);
+  const certReqNode = optional.find(node => node.tag === 0x01);
+  if (optional.some(node => node.tag === 0xa0)) {
+    throw new TimestampRequestError('Request extensions are not supported', FAILURE.unacceptedExtension);
+  }
+
+  return {
+    messageImprint: imprintNode.raw,
+    policy: policyNode ? der.decodeOID(policyNode) : null,
+    nonce: nonceNode ? nonceNode.raw : null,
+    certReq: certReqNode ? certReqNode.content[0] !== 0 : false
+  };
+}
+
+function createToken(authority, request, genTime) {
+  if (request.policy && request.policy !== authority.policy) {
+    throw new TimestampRequestError(`Policy ${request.policy} is not offered`, FAILURE.unacceptedPolicy);
+  }
+
+  const serialNumber = crypto.randomBytes(16);
+  serialNumber[0] &= 0x7f;
+
+  const tstInfo = der.sequence(
+    der.integer(1),
+    der.oid(authority.policy),
+    request.messageImprint,
+    der.integer(serialNumber),
+    der.generalizedTime(genTime),
+    der.sequence(der.integer(authority.accuracySeconds)),
+    request.nonce,
+    // tsa [0] GeneralName: directoryName [4]
+    der.contextSpecific(0, der.contextSpecific(4, authority.subject))
+  );
+
+  // The content digest and signature follow the TSA key's algorithm
+  const algorithm = keyAlgorithm(authority.privateKey);
+  const { digest } = ALGORITHMS[algorithm];
+  const certificateHash = crypto.createHash('sha256').update(authority.certificates[0]).digest();
+  const signedAttributes = [
+    der.sequence(der.oid(OIDS.contentType), der.set(der.oid(OIDS.tstInfo))),
+    der.sequence(der.oid(OIDS.messageDigest), der.set(der.octetString(crypto.createHash(digest).update(tstInfo).digest()))),
+    // ESSCertIDv2 with the default SHA-256 hash algorithm omitted
+    der.sequence(der.oid(OIDS.signingCertificateV2), der.set(der.sequence(der.sequence(der.sequence(der.octetString(certificateHash))))))
+  ];
+
+  // The signature covers the attributes encoded as a SET; they are then
+  // stored under the implicit [0] tag
+  const signedAttributesSet = der.set(...signedAttributes);
+  const signature = sign(authority.privateKey, signedAttributesSet, { encoding: 'der' });
+
+  const signerInfo = der.sequence(
+    der.integer(1),
+    der.sequence(authority.issuer, authority.serialNumber),
+    der.sequence(der.oid(HASH_OIDS[digest])),
+    der.tlv(0xa0, der.decode(signedAttributesSet).content),
+    algorithmIdentifier(algorithm),
+    der.octetString(signature)
+  );
+
+  const signedData = der.sequence(
+    der.integer(3),
+    der.set(der.sequence(der.oid(HASH_OIDS[digest]))),
+    der.sequence(der.oid(OIDS.tstInfo), der.contextSpecific(0, der.octetString(tstInfo))),
+    request.certReq ? der.tlv(0xa0, Buffer.concat(authority.certificates)) : null,
+    der.set(signerInfo)
+  );
+
+  return der.sequence(der.oid(OIDS.signedData), der.contextSpecific(0, signedData));
+}
+
+function createResponse(authority, body) {
+  try {
+    const request = parseRequest(body);
+    const token = createToken(authority, request, new Date());
+    return { status: 'granted', reply: der.sequence(der.sequence(der.integer(0)), token) };
+  } catch (error) {
+    const failure = error instanceof TimestampRequestError ? error.failure : FAILURE.systemFailure;
+    if (!(error instanceof TimestampRequestError)) {
+      console.error('Timestamp signing failed:', error);
+    }
+    return {
+      status: `rejected (${error.message})`,
+      reply: der.sequence(der.sequence(
+        der.integer(2),
+        der.sequence(der.utf8String(error.message)),
+        der.bitString([failure])
+      ))
+    };
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_REQUEST_BYTES) {
+        reject(new Error('Request too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function createServer(authority) {
+  const cors = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  };
+
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, cors);
+      res.end();
+      return;
+    }
+
+    if (req.method === 'GET' && pathname === '/') {
+      res.writeHead(200, { ...cors, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ name: authority.name, policy: authority.policy, validTo: authority.validTo }));
+      return;
+    }
+
+    if (req.method !== 'POST' || pathname !== '/tsa') {
+      res.writeHead(404, cors);
+      res.end();
+      return;
+    }
+
+    try {
+      const { status, reply } = createResponse(authority, await readBody(req));
+      console.log(`${new Date().toISOString()} ${status}`);
+      res.writeHead(200, { ...cors, 'Content-Type': 'application/timestamp-reply' });
+      res.end(reply);
+    } catch (error) {
+      res.writeHead(413, cors);
+      res.end();
+    }
+  });
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  let authority;
+  try {
+    authority = loadAuthority(options.bundle);
+  } catch (error) {
+    console.error(`Cannot load TSA bundle ${options.bundle}: ${error.message}`);
+    console.error('Issue a TSA certificate in the studio (Certificate Authority > Issue TSA certificate) and save it there.');
+    process.exit(1);
+  }
+
+  // Group or world access to the key file is worth a warning, not a refusal
+  if (process.platform !== 'win32' && fs.statSync(options.bundle).mode & 0o077) {
+    console.warn(`${options.bundle} is readable by other users; restrict it with chmod 600`);
+  }
+
+  createServer(authority).listen(options.port, HOST, () => {
+    console.log(`Timestamp authority "${authority.name}" listening on http://localhost:${options.port}/tsa`);
+    console.log(`Policy ${authority.policy}, ${authority.algorithm} certificate valid until ${authority.validTo}`);
+  });
+}
+
+module.exports = { createServer, createResponse, loadAuthority };
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const der = require('./der');
+const { createResponse } = require('./tsa-server');
+const { ALGORITHMS, HASH_OIDS } = require('./algorithms');
+
+const timestampRequest = () => der.sequence(
+  der.integer(1),
+  der.sequence(der.sequence(der.oid(HASH_OIDS.sha256)), der.octetString(crypto.randomBytes(32)))
+);
+
+// The parts of a TimeStampResp a verifier checks the signature with
+function readSignerInfo(reply) {
+  const [status, token] = der.decode(reply).children;
+  assert.strictEqual(status.children[0].content[0], 0);
+  const signedData = token.children[1].children[0];
+  const [, digestAlgorithm, signedAttributes, signatureAlgorithm, signature] =
+    signedData.children[signedData.children.length - 1].children[0].children.slice(1);
+  return {
+    digestAlgorithm: der.decodeOID(digestAlgorithm.children[0]),
+    // Signed as a SET, stored under [0]
+    signedAttributes: Buffer.concat([Buffer.from([0x31]), signedAttributes.raw.subarray(1)]),
+    signatureAlgorithm: der.decodeOID(signatureAlgorithm.children[0]),
+    signatureParameters: signatureAlgorithm.children[1] || null,
+    signature: signature.content
+  };
+}
+
+const VERIFY_OPTIONS = {
+  ES256: key => ({ key, dsaEncoding: 'der' }),
+  PS256: key => ({ key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 }),
+  Ed25519: key => key
+};
+
+for (const algorithm of Object.keys(VERIFY_OPTIONS)) {
+  test(`signs timestamp tokens with a TSA key of type ${algorithm}`, () => {
+    const { privateKey, publicKey } = ALGORITHMS[algorithm].generate();
+    const authority = {
+      certificates: [Buffer.from('certificate')],
+      serialNumber: der.integer(7),
+      issuer: der.sequence(),
+      subject: der.sequence(),
+      privateKey,
+      policy: '1.3.6.1.4.1.99999.1.1',
+      accuracySeconds: 1
+    };
+
+    const { status, reply } = createResponse(authority, timestampRequest());
+    assert.strictEqual(status, 'granted');
+
+    const signerInfo = readSignerInfo(reply);
+    const { digest, oid, prehash } = ALGORITHMS[algorithm];
+    assert.strictEqual(signerInfo.digestAlgorithm, HASH_OIDS[digest]);
+    assert.strictEqual(signerInfo.signatureAlgorithm, oid);
+    // RSA-PSS names its hash, mask generation and salt length
+    assert.strictEqual(!!signerInfo.signatureParameters, algorithm === 'PS256');
+    assert.ok(crypto.verify(
+      prehash === false ? null : digest,
+      signerInfo.signedAttributes,
+      VERIFY_OPTIONS[algorithm](publicKey),
+      signerInfo.signature
+    ));
+  });
+}
@@ -2,134 +2,20 @@ import React, { useState, useRef, useEffect } from 'react';
 import { Shield, CheckCircle, AlertTriangle, XCircle, Upload, Eye, MapPin, Camera, FileImage, Settings, Plus, Trash2, X } from 'lucide-react';
 import { CertificationExtractor } from './utils/extraction/CertificationExtractor';
 import { PEMParser } from './utils/certificates/PEMParser';
+import { X509Certificate } from './utils/certificates/X509Certificate';
+import { CertificateRevocationList } from './utils/certificates/CertificateRevocationList';
+import { RevocationStatusClient } from './utils/certificates/RevocationStatusClient';
 import { ExifExtractor } from './utils/metadata/ExifExtractor';
-
-// Web Crypto API utilities for verification
-class WebCryptoVerifier {
-  static async importPublicKey(keyData) {
-    return await crypto.subtle.importKey(
-      "spki",
-      new Uint8Array(keyData),
-      {
-        name: "ECDSA",
-        namedCurve: "P-384",
-      },
-      true,
-      ["verify"]
-    );
-  }
-
-  static async verifySignature(publicKey, signature, data) {
-    const encoder = new TextEncoder();
-    const encodedData = encoder.encode(data);
-    
-    try {
-      return await crypto.subtle.verify(
-        {
-          name: "ECDSA",
-          hash: "SHA-384",
-        },
-        publicKey,
-        new Uint8Array(signature),
-        encodedData
-      );
-    } catch (error) {
-      return false;
-    }
-  }
-
-  static async hashImageDataWithoutMetadata(imageBuffer, certificationData) {
-    // Strip certification metadata and hash clean image
-    const uint8Array = new Uint8Array(imageBuffer);
-    
-    // Determine format and strip our certification data
-    if (uint8Array[0] === 0xFF && uint8Array[1] === 0xD8) {
-      // JPEG - remove our APP15 segment
-      const cleanBuffer = this.stripJPEGCertification(uint8Array);
-      const hashBuffer = await crypto.subtle.digest('SHA-384', cleanBuffer);
-      return Array.from(new Uint8Array(hashBuffer));
-    }
-    
-    // Check for PNG
-    const pngSignature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
-    let isPNG = true;
-    for (let i = 0; i < 8; i++) {
-      if (uint8Array[i] !== pngSignature[i]) {
-        isPNG = false;
-        break;
-      }
-    }
-    
-    if (isPNG) {
-      // PNG - remove our tRST chunk
-      const cleanBuffer = this.stripPNGCertification(uint8Array);
-      const hashBuffer = await crypto.subtle.digest('SHA-384', cleanBuffer);
-      return Array.from(new Uint8Array(hashBuffer));
-    }
-    
-    // Unknown format - hash as-is
-    const hashBuffer = await crypto.subtle.digest('SHA-384', imageBuffer);
-    return Array.from(new Uint8Array(hashBuffer));
-  }
-
-  static stripJPEGCertification(uint8Array) {
-    const result = [];
-    let i = 0;
-    
-    // Copy everything except our APP15 certification segment
-    while (i < uint8Array.length - 1) {
-      if (uint8Array[i] === 0xFF && uint8Array[i + 1] === 0xEF) {
-        // Found APP15 segment - check if it's our certification
-        if (i + 12 < uint8Array.length) {
-          const segmentLength = (uint8Array[i + 2] << 8) | uint8Array[i + 3];
-          const signature = new TextDecoder().decode(uint8Array.slice(i + 4, i + 12));
-          if (signature === 'IMGTRUST') {
-            // Skip our certification segment
-            i += segmentLength + 2;
-            continue;
-          }
-        }
-      }
-      
-      result.push(uint8Array[i]);
-      i++;
-    }
-    
-    if (i < uint8Array.length) {
-      result.push(uint8Array[i]);
-    }
-    
-    return new Uint8Array(result).buffer;
-  }
-
-  static stripPNGCertification(uint8Array) {
-    const result = [];
-    result.push(...uint8Array.slice(0, 8)); // PNG signature
-    
-    let i = 8;
-    while (i < uint8Array.length) {
-      const chunkLength = (uint8Array[i] << 24) | (uint8Array[i + 1] << 16) | 
-                         (uint8Array[i + 2] << 8) | uint8Array[i + 3];
-      const chunkType = String.fromCharCode(uint8Array[i + 4], uint8Array[i + 5], 
-                                          uint8Array[i + 6], uint8Array[i + 7]);
-      
-      // Skip our tRST chunk, keep everything else
-      if (chunkType !== 'tRST') {
-        result.push(...uint8Array.slice(i, i + chunkLength + 12));
-      }
-      
-      i += chunkLength + 12;
-    }
-    
-    return new Uint8Array(result).buffer;
-  }
-}
+import { PerceptualHash } from './utils/metadata/PerceptualHash';
+import { C2PAManifest } from './utils/c2pa/C2PAManifest';
+import { C2PAReader } from './utils/c2pa/C2PAReader';
+import { WebCryptoUtils } from './utils/crypto/WebCryptoUtils';
 
 // Trust store implementation
 class TrustStore {
   static async openDB() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open('ImageTrustStore', 1);
+      const request = indexedDB.open('ImageTrustStore', 3);
       
       request.onerror = () => reject(request.error);
       request.onsuccess = () => resolve(request.result);
@@ -140,6 +26,15 @@ class TrustStore {
           const store = db.createObjectStore('certificates', { keyPath: 'id' });
           store.createIndex('subject', 'subject', { unique: false });
         }
+        // v2: latest CRL per issuer, keyed by the issuer's distinguished name
+        if (!db.objectStoreNames.contains('revocationLists')) {
+          db.createObjectStore('revocationLists', { keyPath: 'id' });
+        }
+        // v3: certified images verified here, by their signed perceptual hash
+        if (!db.objectStoreNames.contains('certifiedImages')) {
+          const store = db.createObjectStore('certifiedImages', { keyPath: 'manifestId' });
+          store.createIndex('perceptualHash', 'perceptualHash', { unique: false });
+        }
       };
     });
   }
@@ -179,207 +74,416 @@ class TrustStore {
       request.onsuccess = () => resolve(request.result);
     });
   }
-}
 
+  static async storeRevocationList(crl) {
+    const db = await this.openDB();
+    const transaction = db.transaction(['revocationLists'], 'readwrite');
+    const store = transaction.objectStore('revocationLists');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(crl);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
 
-export default function TrustVerifier() {
-  const [uploadedImage, setUploadedImage] = useState(null);
-  const [imagePreview, setImagePreview] = useState(null);
-  const [certificationData, setCertificationData] = useState(null);
-  const [verificationResult, setVerificationResult] = useState(null);
-  const [trustedCertificates, setTrustedCertificates] = useState([]);
-  const [isVerifying, setIsVerifying] = useState(false);
-  const [status, setStatus] = useState('Ready to verify images');
-  const [showTrustStore, setShowTrustStore] = useState(false);
-  const fileInputRef = useRef(null);
-  const certInputRef = useRef(null);
+  static async deleteRevocationList(id) {
+    const db = await this.openDB();
+    const transaction = db.transaction(['revocationLists'], 'readwrite');
+    const store = transaction.objectStore('revocationLists');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
 
-  // Helper functions
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case 'verified': return <CheckCircle className="w-6 h-6 text-green-600" />;
-      case 'failed': return <XCircle className="w-6 h-6 text-red-600" />;
-      case 'error': return <AlertTriangle className="w-6 h-6 text-yellow-600" />;
-      default: return <Shield className="w-6 h-6 text-gray-600" />;
-    }
-  };
+  static async getAllRevocationLists() {
+    const db = await this.openDB();
+    const transaction = db.transaction(['revocationLists'], 'readonly');
+    const store = transaction.objectStore('revocationLists');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'verified': return 'bg-green-50 border-green-200 text-green-800';
-      case 'failed': return 'bg-red-50 border-red-200 text-red-800';
-      case 'error': return 'bg-yellow-50 border-yellow-200 text-yellow-800';
-      default: return 'bg-gray-50 border-gray-200 text-gray-800';
+  static async storeCertifiedImage(entry) {
+    const db = await this.openDB();
+    const transaction = db.transaction(['certifiedImages'], 'readwrite');
+    const store = transaction.objectStore('certifiedImages');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(entry);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
+
+  static async getAllCertifiedImages() {
+    const db = await this.openDB();
+    const transaction = db.transaction(['certifiedImages'], 'readonly');
+    const store = transaction.objectStore('certifiedImages');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
+}
+
+
+// Verification of extracted certification data against the trust store,
+// kept apart from the component so it can run without the UI
+export class CertificationVerifier {
+  /**
+   * Verify certification data extracted from `file`. Returns the result
+   * shown by the verifier, the status line and the signed certification.
+   */
+  static async verify(certificationData, file, { currentExifData, trustedCertificates, revocationLists }) {
+    if (certificationData.c2pa) {
+      return this.verifyContentCredentials(certificationData.c2pa, file, { currentExifData, trustedCertificates, revocationLists });
     }
-  };
 
-  const formatGPSCoordinate = (decimal, isLatitude) => {
-    const direction = isLatitude ? (decimal >= 0 ? 'N' : 'S') : (decimal >= 0 ? 'E' : 'W');
-    const absolute = Math.abs(decimal);
-    const degrees = Math.floor(absolute);
-    const minutes = Math.floor((absolute - degrees) * 60);
-    const seconds = ((absolute - degrees) * 60 - minutes) * 60;
-    return `${degrees}°${minutes}'${seconds.toFixed(2)}"${direction}`;
-  };
+    console.log('Certification data:', certificationData);
+    console.log('Current EXIF:', currentExifData);
 
-  const getOrientationDescription = (orientation) => {
-    const orientations = {
-      1: 'Normal', 2: 'Flip horizontal', 3: 'Rotate 180°', 4: 'Flip vertical',
-      5: 'Rotate 90° CW + flip horizontal', 6: 'Rotate 90° CW', 
-      7: 'Rotate 90° CCW + flip horizontal', 8: 'Rotate 90° CCW'
-    };
-    return orientations[orientation] || 'Unknown';
-  };
+    // Only data inside the signed claim is used; anything stored beside it
+    // could have been edited without breaking the signature
+    const unsignedFields = CertificationExtractor.findUnsignedFields(certificationData);
+    const manifest = CertificationExtractor.extractManifest(certificationData);
+    const signedData = C2PAManifest.getSignedCertification(manifest);
 
-  useEffect(() => {
-    loadTrustedCertificates();
+    if (unsignedFields.length > 0 || !signedData) {
+      const envelopeError = unsignedFields.length > 0
+        ? `Fields outside the signed envelope: ${unsignedFields.join(', ')}`
+        : 'No signed certification envelope found';
+      return {
+        result: {
+          overallStatus: 'failed',
+          trusted: false,
+          certificateValid: false,
+          signatureValid: false,
+          signatureError: envelopeError,
+          imageHashValid: false,
+          exifIntegrityValid: false,
+          details: { error: envelopeError },
+          trustIssues: [envelopeError]
+        },
+        status: `❌ Verification failed: ${envelopeError}`
+      };
+    }
+
+    const { certFingerprint, description, timestamp } = signedData;
     
-    // Cleanup on unmount
-    return () => {
-      if (imagePreview) {
-        URL.revokeObjectURL(imagePreview);
+    console.log('Certificate fingerprint:', certFingerprint);
+    console.log('Description:', description);
+    console.log('Timestamp:', timestamp);
+
+    // Certificates embedded next to the signature: the signing certificate
+    // first, then its issuing CAs. They are not signed themselves, so the
+    // signing certificate only counts if it matches the signed fingerprint.
+    const embeddedChain = await C2PAManifest.getCertificateChain(manifest);
+    const embeddedCert = embeddedChain.find(cert => cert.fingerprint?.sha256 === certFingerprint) || null;
+
+    // Find trusted certificate by fingerprint
+    const trustedCert = trustedCertificates.find(tc => {
+      // Match by SHA-256 fingerprint
+      if (tc.fingerprint?.sha256) {
+        const match = tc.fingerprint.sha256 === certFingerprint;
+        if (match) {
+          console.log('Found matching certificate:', tc);
+        }
+        return match;
       }
-    };
-  }, []);
+      return false;
+    });
+    const signingCert = embeddedCert || trustedCert || null;
 
-  const loadTrustedCertificates = async () => {
+    // A timestamp authority token countersigns the claim signature with
+    // the TSA's clock. Certificates are judged at that trusted time, or
+    // at the time in the signed claim, so images stay verifiable after
+    // the photographer's certificate expires.
+    let timestampResult = null;
     try {
-      const certificates = await TrustStore.getAllCertificates();
-      setTrustedCertificates(certificates);
-      if (certificates.length === 0) {
-        setStatus('No trusted certificates. Import certificates to verify images.');
-      } else {
-        setStatus(`Ready to verify (${certificates.length} trusted certificates)`);
-      }
+      timestampResult = await C2PAManifest.verifySignatureTimestamp(manifest, {
+        trustAnchors: trustedCertificates,
+        intermediates: embeddedChain
+      });
     } catch (error) {
-      setStatus('Error loading certificates');
+      console.error('Timestamp token verification error:', error);
+      timestampResult = { valid: false, trusted: false, errors: [error.message] };
     }
-  };
-
-  const handleImageUpload = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    try {
-      // Clear previous results
-      setVerificationResult(null);
-      setStatus('Extracting embedded certification and current EXIF...');
-      
-      // Clean up previous preview if exists
-      if (imagePreview) {
-        URL.revokeObjectURL(imagePreview);
+    const signingTime = {
+      ...C2PAManifest.resolveSigningTime(manifest, timestampResult),
+      valid: !timestampResult || timestampResult.valid,
+      token: timestampResult && {
+        trusted: timestampResult.trusted,
+        genTime: timestampResult.genTime || null,
+        tsa: timestampResult.tsa || null,
+        accuracy: timestampResult.accuracy || null,
+        errors: timestampResult.errors
       }
-      
-      const preview = URL.createObjectURL(file);
-      setImagePreview(preview);
-      setUploadedImage(file);
+    };
+    console.log('Signing time:', signingTime);
 
-      // Extract BOTH certification data AND current EXIF
-      const [certData, currentExif] = await Promise.all([
-        CertificationExtractor.extractFromImage(file),
-        ExifExtractor.extractFromFile(file)
-      ]);
-      
-      if (certData) {
-        console.log('Extracted certification data:', certData);
-        console.log('Certified EXIF present:', certData.exifData ? 'Yes' : 'No');
-        console.log('Current EXIF extracted:', currentExif ? 'Yes' : 'No');
-        
-        // Add current EXIF to certification data for comparison during verification
-        certData.currentExifData = currentExif;
-        
-        if (certData.exifData && currentExif) {
-          console.log('Will compare certified EXIF with current EXIF');
-          console.log('Certified EXIF:', JSON.stringify(certData.exifData, null, 2));
-          console.log('Current EXIF:', JSON.stringify(currentExif, null, 2));
-        }
-        
-        setCertificationData(certData);
-        setStatus('Certification found - ready to verify');
-      } else {
-        setCertificationData(null);
-        setStatus('No certification found in image metadata');
-      }
-      
+    // Archive timestamps added after signing cover the signature and
+    // every earlier timestamp; each one must have been issued while the
+    // timestamp before it was still valid
+    let archiveTimestamps = null;
+    try {
+      archiveTimestamps = await C2PAManifest.verifyArchiveTimestamps(manifest, {
+        trustAnchors: trustedCertificates,
+        intermediates: embeddedChain
+      });
     } catch (error) {
-      setStatus(`Error: ${error.message}`);
+      console.error('Archive timestamp verification error:', error);
+      archiveTimestamps = { valid: false, trusted: false, entries: [], errors: [error.message] };
     }
-  };
+    console.log('Archive timestamps:', archiveTimestamps);
 
-  const resetVerification = () => {
-    // Clean up preview URL
-    if (imagePreview) {
-      URL.revokeObjectURL(imagePreview);
+    // Build the certification path from the signing certificate to a
+    // trusted certificate: an imported root CA or the certificate itself
+    let chainResult = null;
+    const verifyCertificatePath = trustAnchors => X509Certificate.verifyCertificate(signingCert, {
+      trustAnchors,
+      intermediates: embeddedChain.filter(cert => cert !== signingCert),
+      validationTime: signingTime.time,
+      // Ask the issuer's status responder when the certificate names one,
+      // otherwise the imported CRLs. Revocation only spares signatures
+      // a trusted TSA dates before the invalidity date; the signer's own
+      // clock is whatever the holder of the key wrote.
+      revocationCheck: RevocationStatusClient.createRevocationCheck(revocationLists, {
+        signingTime: signingTime.source === 'tsa' ? signingTime.time : null
+      })
+    });
+    if (signingCert?.der) {
+      chainResult = await verifyCertificatePath(trustedCertificates);
+      console.log('Certificate path:', chainResult.links);
     }
-    // Reset all states
-    setUploadedImage(null);
-    setImagePreview(null);
-    setCertificationData(null);
-    setVerificationResult(null);
-    setStatus('Ready to verify images');
-    // Clear file input
-    if (fileInputRef.current) {
-      fileInputRef.current.value = '';
+
+    // A self-signed renewal names the certificate it replaced, whose key
+    // signed the new one. When that earlier certificate is trusted and
+    // not revoked today, the path runs through it to its trust anchor.
+    let renewedIdentity = null;
+    try {
+      renewedIdentity = await C2PAManifest.verifyRenewedIdentity(manifest, signingCert, {
+        trustAnchors: trustedCertificates,
+        intermediates: embeddedChain,
+        validationTime: signingTime.time,
+        revocationCheck: RevocationStatusClient.createRevocationCheck(revocationLists)
+      });
+    } catch (error) {
+      console.error('Renewed identity verification error:', error);
+      renewedIdentity = { certificates: [], trustedPredecessor: null, path: null, complete: false, errors: [error.message] };
+    }
+    if (chainResult && !chainResult.trusted && renewedIdentity?.path) {
+      chainResult = renewedIdentity.path;
+      console.log('Trusted as renewal of:', renewedIdentity.trustedPredecessor.subject);
     }
-  };
 
-  const handleCertificateImport = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+    const isTrusted = chainResult ? chainResult.trusted : !!trustedCert;
+    console.log('Trust verification:', isTrusted ? 'TRUSTED' : 'NOT TRUSTED', signingCert);
 
-    try {
-      
-      console.log('Importing certificate file:', file.name);
-      const text = await file.text();
-      
-      // Parse PEM certificate
-      let cert;
-      try {
-        cert = PEMParser.parseCertificate(text);
-      } catch (parseError) {
-        // If PEM parsing fails, try JSON for backward compatibility
-        console.log('PEM parsing failed, trying JSON format...');
-        cert = JSON.parse(text);
+    if (!isTrusted) {
+      return {
+        result: {
+          valid: false,
+          trusted: false,
+          validPeriod: false,
+          signatureValid: false,
+          imageHashValid: false,
+          certificatePath: chainResult?.links || null,
+          renewedIdentity: renewedIdentity,
+          details: {
+            error: chainResult ? chainResult.errors[chainResult.errors.length - 1] : 'Certificate not found in trust store',
+            certFingerprint: certFingerprint,
+            description: description,
+            timestamp: timestamp
+          }
+        },
+        status: 'Verification failed - certificate not trusted'
+      };
+    }
+
+    // Certificate validity at signing time along the whole path, or for the
+    // trusted certificate alone when it predates DER encoding
+    const signedAt = new Date(signingTime.time);
+    let isValidPeriod = true;
+    let expiredSince = null;
+    
+    if (chainResult) {
+      isValidPeriod = chainResult.links.every(link => link.validityValid);
+      expiredSince = chainResult.links
+        .map(link => link.expiredSince)
+        .filter(Boolean)
+        .sort((a, b) => new Date(a) - new Date(b))[0] || null;
+    } else {
+      const validity = signingCert.tbsCertificate?.validity;
+      if (validity?.notBefore) {
+        const validFrom = new Date(validity.notBefore);
+        isValidPeriod = isValidPeriod && signedAt >= validFrom;
       }
       
-      console.log('Certificate parsed:', cert);
-      
-      // Ensure certificate has required fields
-      if (!cert.fingerprint?.sha256) {
-        // Generate fingerprint if missing
-        cert.fingerprint = await PEMParser.calculateFingerprint(cert);
+      if (validity?.notAfter) {
+        const validTo = new Date(validity.notAfter);
+        isValidPeriod = isValidPeriod && signedAt <= validTo;
+        expiredSince = isValidPeriod && new Date() > validTo ? validity.notAfter : null;
       }
-      
-      // Get certificate info
-      const certInfo = PEMParser.getCertificateInfo(cert);
-      console.log('Certificate info:', certInfo);
-      
-      // Add display info to certificate
-      cert.displayName = certInfo.subject || 'Unknown Subject';
-      cert.issuerName = certInfo.issuer || 'Unknown Issuer';
-      cert.id = cert.id || `cert-${Date.now()}`;
+    }
+    const chainValid = chainResult ? chainResult.valid : isValidPeriod;
 
-      await TrustStore.storeCertificate(cert);
-      await loadTrustedCertificates();
-      setStatus(`✅ Certificate imported: ${cert.displayName}`);
-      
+    // "Valid when signed, expired since" is a pass; only a certificate
+    // that was not valid at the signing time fails
+    const signingValidity = {
+      status: !isValidPeriod ? 'invalid' : expiredSince ? 'expired-since-signing' : 'valid',
+      checkedAt: signingTime.time,
+      source: signingTime.source,
+      expiredSince
+    };
+
+    const revocation = this.summarizeRevocation(chainResult);
+    // Status of the signing certificate itself, as answered by its issuer
+    const revocationStatus = chainResult?.links[0]?.revocation || null;
+
+    // Rebuild the signed claim from the embedded manifest and verify it
+    // against the signing certificate's public key
+    let signatureValid = false;
+    let signatureError = null;
+    try {
+      const publicKeyData = PEMParser.extractPublicKey(signingCert);
+      const signatureResult = await C2PAManifest.verifyManifestSignature(manifest, publicKeyData);
+      signatureValid = signatureResult.valid;
+      signatureError = signatureResult.reason;
     } catch (error) {
-      console.error('Import error:', error);
-      setStatus(`Import failed: ${error.message}`);
+      console.error('Signature verification error:', error);
+      signatureError = error.message;
     }
-  };
+    console.log('Signature verification:', signatureValid ? 'VALID' : `INVALID (${signatureError})`);
 
-  const deleteCertificate = async (certId) => {
+    // Image integrity check - recompute the hash over the file outside the
+    // signed exclusion ranges (or, for older manifests, with the signer's
+    // stripping rules) and compare it to the hash in the signed claim
+    let imageHashValid = false;
+    let imageHashError = null;
     try {
-      await TrustStore.deleteCertificate(certId);
-      await loadTrustedCertificates();
-      setStatus('Certificate removed from trust store');
+      const signedHash = signedData.imageHash;
+      if (!signedHash) {
+        imageHashError = 'No signed image hash found in the manifest';
+      } else {
+        const imageBuffer = await CertificationExtractor.fileToArrayBuffer(file);
+        // Excluded bytes are unsigned, so they may only hold the manifest
+        const exclusionError = signedData.imageHashExclusions
+          ? CertificationExtractor.checkExclusions(imageBuffer, signedData.imageHashExclusions)
+          : null;
+        if (exclusionError) {
+          imageHashError = exclusionError;
+        } else {
+          const currentHash = await C2PAManifest.hashImage(manifest, imageBuffer);
+          imageHashValid = WebCryptoUtils.bytesEqual(currentHash, signedHash);
+          if (!imageHashValid) {
+            imageHashError = signedData.imageHashExclusions
+              ? 'Image file modified since signing'
+              : 'Pixels modified since signing';
+          }
+        }
+      }
+      console.log('Image hash verification:', imageHashValid ? 'MATCH' : `MISMATCH (${imageHashError})`);
     } catch (error) {
-      setStatus(`Delete failed: ${error.message}`);
+      console.error('Image integrity verification error:', error);
+      imageHashError = error.message;
+    }
+
+    // Extract details from the signing certificate and certification data
+    const certInfo = PEMParser.getCertificateInfo(signingCert);
+    const details = {
+      certificateId: signingCert.tbsCertificate?.serialNumber || certFingerprint || 'Unknown',
+      subject: certInfo.subject || 'Unknown',
+      issuer: certInfo.issuer || 'Unknown',
+      validFrom: certInfo.validFrom || null,
+      validTo: certInfo.validTo || null,
+      processingType: 'Digital Signature',
+      timestamp: timestamp || null,
+      description: description || 'No description',
+      originalFilename: file?.name || null,
+      fingerprint: certFingerprint || null
+    };
+
+    // Check EXIF integrity
+    const exifComparison = this.compareExifData(signedData.exifData, currentExifData);
+    const exifIntegrityValid = exifComparison.isValid;
+    
+    console.log('EXIF integrity check:', exifComparison);
+    
+    const result = {
+      trusted: isTrusted,
+      certificateValid: isValidPeriod,
+      chainValid: chainValid,
+      revoked: revocation.status === 'revoked',
+      revocation: revocation,
+      revocationStatus: revocationStatus,
+      validity: signingValidity,
+      signingTime: signingTime,
+      archiveTimestamps: archiveTimestamps,
+      renewedIdentity: renewedIdentity,
+      certificatePath: chainResult?.links || null,
+      signatureValid: signatureValid,
+      signatureError: signatureError,
+      signatureAlgorithm: manifest.manifests[manifest.active_manifest].claim_signature?.algorithm || null,
+      imageHashValid: imageHashValid,
+      imageHashAlgorithm: signedData.imageHashAlgorithm,
+      imageHashError: imageHashError,
+      exifIntegrityValid: exifIntegrityValid,
+      exifIssues: exifComparison.issues,
+      overallStatus: (isTrusted && chainValid && signatureValid && signingTime.valid && (!archiveTimestamps || archiveTimestamps.valid) && imageHashValid && exifIntegrityValid) ? 'verified' : 'failed',
+      details: details,
+      exifData: signedData.exifData || null,
+      currentExifData: currentExifData || null,
+      trustIssues: []
+    };
+    
+    console.log('Result created with exifData:', result.exifData);
+
+    // Collect trust issues
+    if (!isTrusted) result.trustIssues.push('Certificate not in trust store');
+    if (!isValidPeriod) {
+      result.trustIssues.push(signingTime.source === 'current-time'
+        ? 'Certificate expired or not yet valid'
+        : 'Certificate was not valid when the image was signed');
+    }
+    if (isValidPeriod && !chainValid) {
+      result.trustIssues.push(...chainResult.errors);
+    } else if (revocation.status === 'revoked') {
+      result.trustIssues.push(signingTime.source === 'tsa'
+        ? 'Certificate was revoked before the image was signed'
+        : 'Certificate was revoked and no trusted timestamp shows the image was signed earlier');
+    }
+    if (!signatureValid) result.trustIssues.push(`Cryptographic signature verification failed: ${signatureError}`);
+    if (!signingTime.valid) result.trustIssues.push(`Timestamp token invalid: ${signingTime.token.errors[0]}`);
+    if (archiveTimestamps && !archiveTimestamps.valid) {
+      result.trustIssues.push(`Archive timestamps invalid: ${archiveTimestamps.errors[0]}`);
+    }
+    if (!imageHashValid) result.trustIssues.push(imageHashError || 'Pixels modified since signing');
+    if (!exifIntegrityValid) {
+      result.trustIssues.push('EXIF metadata has been tampered with');
+      console.warn('⚠️ EXIF tampering detected:', exifComparison.issues);
     }
-  };
 
-  const compareExifData = (certifiedExif, currentExif) => {
+    return {
+      result,
+      status: result.overallStatus === 'verified'
+        ? '✅ Verification successful - Trust chain and EXIF integrity intact'
+        : `❌ Verification failed: ${result.trustIssues.join(', ')}`,
+      // Only certifications from a trusted signer are matched against later
+      signedData: isTrusted && chainValid && signatureValid ? signedData : null
+    };
+  }
+
+  static compareExifData(certifiedExif, currentExif) {
     const issues = [];
     
     console.log('Comparing EXIF data:');
@@ -526,173 +630,456 @@ export default function TrustVerifier() {
         issues.push(`Lens information added`);
       }
     }
-    
-    return {
-      isValid: issues.length === 0,
-      issues: issues
-    };
+    
+    return {
+      isValid: issues.length === 0,
+      issues: issues
+    };
+  }
+
+  // Summarize revocation along the path for display
+  static summarizeRevocation(chainResult) {
+    const revokedLinks = (chainResult?.links || []).filter(link => link.revocation?.status === 'revoked');
+    if (revokedLinks.some(link => link.revocation.affectsSignature)) {
+      return { status: 'revoked', links: revokedLinks };
+    }
+    if (revokedLinks.length > 0) {
+      return { status: 'revoked-after-signing', links: revokedLinks };
+    }
+    if (chainResult?.links[0]?.revocation?.status === 'good') {
+      return { status: 'good' };
+    }
+    return { status: 'unknown' };
+  }
+
+  // Content credentials written by other C2PA tools (cameras, editors):
+  // the COSE claim signature, the certificate path of its x5chain signer
+  // and the data hash binding the claim to this file. They carry no
+  // certification assertion, so there is no signed EXIF to compare.
+  static async verifyContentCredentials(store, file, { currentExifData, trustedCertificates, revocationLists }) {
+    const manifest = C2PAReader.getActiveManifest(store);
+    const embeddedChain = await C2PAReader.getCertificateChain(manifest);
+    const [signingCert] = embeddedChain;
+
+    if (!manifest?.claim || !signingCert) {
+      const error = manifest?.errors[0] || 'No signing certificate in the claim signature';
+      return {
+        result: {
+          overallStatus: 'failed',
+          trusted: false,
+          certificateValid: false,
+          signatureValid: false,
+          signatureError: error,
+          imageHashValid: false,
+          exifIntegrityValid: null,
+          details: { error },
+          trustIssues: [error]
+        },
+        status: `❌ Verification failed: ${error}`
+      };
+    }
+
+    // Without a trusted timestamp the certificates are judged now
+    const signingTime = { time: new Date().toISOString(), source: 'current-time', valid: true, token: null };
+    const chainResult = await X509Certificate.verifyCertificate(signingCert, {
+      trustAnchors: trustedCertificates,
+      intermediates: embeddedChain.slice(1),
+      validationTime: signingTime.time,
+      revocationCheck: RevocationStatusClient.createRevocationCheck(revocationLists, {
+        signingTime: signingTime.time
+      })
+    });
+    console.log('Certificate path:', chainResult.links);
+    const isValidPeriod = chainResult.links.every(link => link.validityValid);
+    const revocation = this.summarizeRevocation(chainResult);
+    // An expired certificate may well have been valid when the credentials
+    // were signed; without a timestamp that cannot be shown, so say so
+    // instead of failing like any other path error
+    const expiredOn = (chainResult.path || [])
+      .map(cert => cert.tbsCertificate.validity.notAfter)
+      .filter(notAfter => new Date(notAfter) < new Date(signingTime.time))
+      .sort((a, b) => new Date(a) - new Date(b))[0] || null;
+
+    let signatureResult;
+    try {
+      signatureResult = await C2PAReader.verifySignature(manifest, PEMParser.extractPublicKey(signingCert));
+    } catch (error) {
+      console.error('Signature verification error:', error);
+      signatureResult = { valid: false, reason: error.message };
+    }
+    console.log('Signature verification:', signatureResult.valid ? 'VALID' : `INVALID (${signatureResult.reason})`);
+
+    const imageBuffer = await CertificationExtractor.fileToArrayBuffer(file);
+    let binding = await C2PAReader.verifyHardBinding(manifest, imageBuffer);
+    const exclusions = manifest.assertions.find(assertion => assertion.label === C2PAReader.DATA_HASH_LABEL)?.data?.exclusions;
+    const exclusionError = binding.valid && exclusions ? CertificationExtractor.checkExclusions(imageBuffer, exclusions) : null;
+    if (exclusionError) {
+      binding = { ...binding, valid: false, reason: exclusionError };
+    }
+    console.log('Data hash verification:', binding.valid ? 'MATCH' : `MISMATCH (${binding.reason})`);
+
+    const certInfo = PEMParser.getCertificateInfo(signingCert);
+    const result = {
+      trusted: chainResult.trusted,
+      certificateValid: isValidPeriod,
+      chainValid: chainResult.valid,
+      revoked: revocation.status === 'revoked',
+      revocation: revocation,
+      revocationStatus: chainResult.links[0]?.revocation || null,
+      validity: {
+        status: expiredOn ? 'expired-now' : isValidPeriod ? 'valid' : 'invalid',
+        checkedAt: signingTime.time,
+        source: signingTime.source,
+        expiredSince: null,
+        expiredOn
+      },
+      signingTime: signingTime,
+      certificatePath: chainResult.links,
+      signatureValid: signatureResult.valid,
+      signatureError: signatureResult.reason,
+      signatureAlgorithm: manifest.signature?.algorithm || null,
+      imageHashValid: binding.valid,
+      imageHashAlgorithm: binding.algorithm,
+      imageHashError: binding.reason,
+      exifIntegrityValid: null,
+      contentCredentials: {
+        claimGenerator: manifest.claimGenerator,
+        title: manifest.title,
+        format: manifest.format,
+        author: manifest.author,
+        actions: manifest.actions,
+        ingredients: manifest.ingredients,
+        assertions: manifest.assertions.map(({ label, hashValid }) => ({ label, hashValid })),
+        manifestCount: store.manifests.length
+      },
+      details: {
+        certificateId: signingCert.tbsCertificate?.serialNumber || 'Unknown',
+        subject: certInfo.subject || 'Unknown',
+        issuer: certInfo.issuer || 'Unknown',
+        validFrom: certInfo.validFrom || null,
+        validTo: certInfo.validTo || null,
+        processingType: 'C2PA Content Credentials',
+        timestamp: null,
+        description: null,
+        originalFilename: file?.name || null,
+        fingerprint: signingCert.fingerprint?.sha256 || null
+      },
+      exifData: null,
+      currentExifData: currentExifData || null,
+      trustIssues: []
+    };
+
+    if (expiredOn) {
+      result.trustIssues.push(`Certificate expired on ${new Date(expiredOn).toLocaleDateString()} and no trusted timestamp shows it was valid when these credentials were signed`);
+    }
+    if (!chainResult.valid) result.trustIssues.push(...chainResult.errors.filter(error => !error.includes(': Expired on ')));
+    if (!signatureResult.valid) result.trustIssues.push(`Cryptographic signature verification failed: ${signatureResult.reason}`);
+    if (!binding.valid) result.trustIssues.push(binding.reason);
+    result.trustIssues.push(...manifest.errors);
+    result.overallStatus = result.trustIssues.length === 0 ? 'verified' : 'failed';
+
+    return {
+      result,
+      status: result.overallStatus === 'verified'
+        ? '✅ Verification successful - Content Credentials intact and signed by a trusted certificate'
+        : `❌ Verification failed: ${result.trustIssues.join(', ')}`,
+      signedData: null
+    };
+  }
+}
+
+export default function TrustVerifier() {
+  const [uploadedImage, setUploadedImage] = useState(null);
+  const [imagePreview, setImagePreview] = useState(null);
+  const [certificationData, setCertificationData] = useState(null);
+  const [currentExifData, setCurrentExifData] = useState(null);
+  const [verificationResult, setVerificationResult] = useState(null);
+  const [trustedCertificates, setTrustedCertificates] = useState([]);
+  const [revocationLists, setRevocationLists] = useState([]);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [status, setStatus] = useState('Ready to verify images');
+  const [showTrustStore, setShowTrustStore] = useState(false);
+  const [softBindingMatch, setSoftBindingMatch] = useState(null);
+  const fileInputRef = useRef(null);
+  const certInputRef = useRef(null);
+
+  // Helper functions
+  const getStatusIcon = (status) => {
+    switch (status) {
+      case 'verified': return <CheckCircle className="w-6 h-6 text-green-600" />;
+      case 'failed': return <XCircle className="w-6 h-6 text-red-600" />;
+      case 'error': return <AlertTriangle className="w-6 h-6 text-yellow-600" />;
+      default: return <Shield className="w-6 h-6 text-gray-600" />;
+    }
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'verified': return 'bg-green-50 border-green-200 text-green-800';
+      case 'failed': return 'bg-red-50 border-red-200 text-red-800';
+      case 'error': return 'bg-yellow-50 border-yellow-200 text-yellow-800';
+      default: return 'bg-gray-50 border-gray-200 text-gray-800';
+    }
+  };
+
+  const formatGPSCoordinate = (decimal, isLatitude) => {
+    const direction = isLatitude ? (decimal >= 0 ? 'N' : 'S') : (decimal >= 0 ? 'E' : 'W');
+    const absolute = Math.abs(decimal);
+    const degrees = Math.floor(absolute);
+    const minutes = Math.floor((absolute - degrees) * 60);
+    const seconds = ((absolute - degrees) * 60 - minutes) * 60;
+    return `${degrees}°${minutes}'${seconds.toFixed(2)}"${direction}`;
+  };
+
+  const getOrientationDescription = (orientation) => {
+    const orientations = {
+      1: 'Normal', 2: 'Flip horizontal', 3: 'Rotate 180°', 4: 'Flip vertical',
+      5: 'Rotate 90° CW + flip horizontal', 6: 'Rotate 90° CW', 
+      7: 'Rotate 90° CCW + flip horizontal', 8: 'Rotate 90° CCW'
+    };
+    return orientations[orientation] || 'Unknown';
+  };
+
+  useEffect(() => {
+    loadTrustedCertificates();
+    
+    // Cleanup on unmount
+    return () => {
+      if (imagePreview) {
+        URL.revokeObjectURL(imagePreview);
+      }
+    };
+  }, []);
+
+  const loadTrustedCertificates = async () => {
+    try {
+      const certificates = await TrustStore.getAllCertificates();
+      setTrustedCertificates(certificates);
+      setRevocationLists(await TrustStore.getAllRevocationLists());
+      if (certificates.length === 0) {
+        setStatus('No trusted certificates. Import certificates to verify images.');
+      } else {
+        setStatus(`Ready to verify (${certificates.length} trusted certificates)`);
+      }
+    } catch (error) {
+      setStatus('Error loading certificates');
+    }
   };
 
-  const verifyCertification = async () => {
-    if (!certificationData || !uploadedImage) return;
+  const handleImageUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
 
     try {
-      setIsVerifying(true);
-      setStatus('Running cryptographic verification and EXIF integrity check...');
+      // Clear previous results
+      setVerificationResult(null);
+      setSoftBindingMatch(null);
+      setStatus('Extracting embedded certification and current EXIF...');
+      
+      // Clean up previous preview if exists
+      if (imagePreview) {
+        URL.revokeObjectURL(imagePreview);
+      }
+      
+      const preview = URL.createObjectURL(file);
+      setImagePreview(preview);
+      setUploadedImage(file);
 
-      console.log('Certification data:', certificationData);
-      console.log('Certified EXIF:', certificationData.exifData);
-      console.log('Current EXIF:', certificationData.currentExifData);
+      // Extract BOTH certification data AND current EXIF
+      const [certData, currentExif] = await Promise.all([
+        CertificationExtractor.extractFromImage(file),
+        ExifExtractor.extractFromFile(file)
+      ]);
+      
+      // Keep current EXIF separate from the embedded certification so it can
+      // never be mistaken for signed data
+      setCurrentExifData(currentExif);
 
-      // The adobe-mock-client embeds: manifestId, signature, timestamp, description, certFingerprint, exifData
-      const certFingerprint = certificationData.certFingerprint;
-      const signature = certificationData.signature;
-      const description = certificationData.description;
-      const timestamp = certificationData.timestamp;
+      if (certData) {
+        console.log('Extracted certification data:', certData);
+        console.log('Current EXIF extracted:', currentExif ? 'Yes' : 'No');
+        
+        setCertificationData(certData);
+        setStatus('Certification found - ready to verify');
+      } else {
+        setCertificationData(null);
+        setStatus('No certification found in image metadata');
+        await findSoftBindingMatch(file);
+      }
       
-      console.log('Certificate fingerprint:', certFingerprint);
-      console.log('Description:', description);
-      console.log('Timestamp:', timestamp);
-
-      // Find trusted certificate by fingerprint
-      const trustedCert = trustedCertificates.find(tc => {
-        // Match by SHA-256 fingerprint
-        if (tc.fingerprint?.sha256) {
-          const match = tc.fingerprint.sha256 === certFingerprint;
-          if (match) {
-            console.log('Found matching certificate:', tc);
-          }
-          return match;
-        }
-        return false;
+    } catch (error) {
+      setStatus(`Error: ${error.message}`);
+    }
+  };
+
+  // Copies shared online usually lose their metadata. The pixels can still
+  // be matched against certified images verified here before.
+  const findSoftBindingMatch = async (file) => {
+    try {
+      const perceptualHash = await PerceptualHash.fromImage(file);
+      const match = PerceptualHash.findClosest(perceptualHash, await TrustStore.getAllCertifiedImages());
+      console.log('Perceptual hash:', perceptualHash, 'closest certified image:', match);
+      if (match) {
+        setSoftBindingMatch(match);
+        setStatus(`No certification found, but this image closely matches certified image ${match.fileName || match.manifestId} by ${match.photographer}`);
+      }
+    } catch (error) {
+      console.warn('Perceptual hash lookup failed:', error.message);
+    }
+  };
+
+  // Remember authentic certifications by their signed perceptual hash
+  const indexCertifiedImage = async (signedData, details, signingTime) => {
+    if (!signedData.perceptualHash) {
+      return;
+    }
+    try {
+      await TrustStore.storeCertifiedImage({
+        manifestId: signedData.manifestId,
+        perceptualHash: signedData.perceptualHash,
+        photographer: details.subject,
+        description: details.description,
+        signedAt: signingTime.time || null,
+        fileName: uploadedImage?.name || null,
+        indexedAt: new Date().toISOString()
       });
+    } catch (error) {
+      console.warn('Could not index certified image:', error.message);
+    }
+  };
 
-      const isTrusted = !!trustedCert;
-      console.log('Trust verification:', isTrusted ? 'TRUSTED' : 'NOT TRUSTED', trustedCert);
+  const resetVerification = () => {
+    // Clean up preview URL
+    if (imagePreview) {
+      URL.revokeObjectURL(imagePreview);
+    }
+    // Reset all states
+    setUploadedImage(null);
+    setImagePreview(null);
+    setCertificationData(null);
+    setCurrentExifData(null);
+    setVerificationResult(null);
+    setSoftBindingMatch(null);
+    setStatus('Ready to verify images');
+    // Clear file input
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
 
-      if (!isTrusted) {
-        setVerificationResult({
-          valid: false,
-          trusted: false,
-          validPeriod: false,
-          signatureValid: false,
-          imageHashValid: false,
-          details: {
-            error: 'Certificate not found in trust store',
-            certFingerprint: certFingerprint,
-            description: description,
-            timestamp: timestamp
-          }
-        });
-        setStatus('Verification failed - certificate not trusted');
-        setIsVerifying(false);
-        return;
-      }
+  const handleCertificateImport = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
 
-      // Certificate validity verification using trusted certificate
-      const now = new Date();
-      let isValidPeriod = true;
+    try {
       
-      const validity = trustedCert.tbsCertificate?.validity;
-      if (validity?.notBefore) {
-        const validFrom = new Date(validity.notBefore);
-        isValidPeriod = isValidPeriod && now >= validFrom;
+      console.log('Importing certificate file:', file.name);
+      const text = await file.text();
+
+      if (CertificateRevocationList.isRevocationList(text)) {
+        await importRevocationList(text);
+        return;
       }
       
-      if (validity?.notAfter) {
-        const validTo = new Date(validity.notAfter);
-        isValidPeriod = isValidPeriod && now <= validTo;
-      }
-
-      // For demonstration purposes, we'll do simplified verification
-      // In a real implementation, we'd need the full C2PA manifest to verify the signature
-      let signatureValid = false;
+      // Parse PEM certificate
+      let cert;
       try {
-        // Check if signature exists and is proper format
-        if (signature && Array.isArray(signature) && signature.length > 0) {
-          signatureValid = true; // Simplified for demo
-          console.log('Signature present, assuming valid for demo');
-        } else {
-          console.warn('No valid signature found');
-        }
-      } catch (error) {
-        console.error('Signature verification error:', error);
+        cert = PEMParser.parseCertificate(text);
+      } catch (parseError) {
+        // If PEM parsing fails, try JSON for backward compatibility
+        console.log('PEM parsing failed, trying JSON format...');
+        cert = JSON.parse(text);
       }
-
-      // Image integrity check - verify the certification data is intact
-      let imageHashValid = false;
-      try {
-        // Re-extract certification data from the image to verify integrity
-        const reExtractedData = await CertificationExtractor.extractFromImage(uploadedImage);
-        
-        if (reExtractedData && 
-            reExtractedData.certFingerprint === certFingerprint &&
-            reExtractedData.timestamp === timestamp) {
-          imageHashValid = true;
-          console.log('Image integrity verified - certification data intact');
-        } else {
-          console.warn('Image integrity check failed - certification data mismatch');
-        }
-      } catch (error) {
-        console.error('Image integrity verification error:', error);
+      
+      console.log('Certificate parsed:', cert);
+      
+      // Ensure certificate has required fields
+      if (!cert.fingerprint?.sha256) {
+        // Generate fingerprint if missing
+        cert.fingerprint = await PEMParser.calculateFingerprint(cert);
       }
-
-      // Extract details from trusted certificate and certification data
-      const certInfo = trustedCert ? PEMParser.getCertificateInfo(trustedCert) : {};
-      const details = {
-        certificateId: trustedCert?.tbsCertificate?.serialNumber || certFingerprint || 'Unknown',
-        subject: certInfo.subject || 'Unknown',
-        issuer: certInfo.issuer || 'Unknown',
-        validFrom: certInfo.validFrom || null,
-        validTo: certInfo.validTo || null,
-        processingType: 'Digital Signature',
-        timestamp: timestamp || null,
-        description: description || 'No description',
-        originalFilename: uploadedImage?.name || null,
-        fingerprint: certFingerprint || null
-      };
-
-      // Check EXIF integrity
-      const exifComparison = compareExifData(certificationData.exifData, certificationData.currentExifData);
-      const exifIntegrityValid = exifComparison.isValid;
       
-      console.log('EXIF integrity check:', exifComparison);
-      console.log('About to create result, certificationData.exifData:', certificationData.exifData);
+      // Get certificate info
+      const certInfo = PEMParser.getCertificateInfo(cert);
+      console.log('Certificate info:', certInfo);
       
-      const result = {
-        trusted: isTrusted,
-        certificateValid: isValidPeriod,
-        signatureValid: signatureValid,
-        imageHashValid: imageHashValid,
-        exifIntegrityValid: exifIntegrityValid,
-        exifIssues: exifComparison.issues,
-        overallStatus: (isTrusted && isValidPeriod && signatureValid && imageHashValid && exifIntegrityValid) ? 'verified' : 'failed',
-        details: details,
-        exifData: certificationData.exifData || null,
-        currentExifData: certificationData.currentExifData || null,
-        trustIssues: []
-      };
+      // Add display info to certificate
+      cert.displayName = certInfo.subject || 'Unknown Subject';
+      cert.issuerName = certInfo.issuer || 'Unknown Issuer';
+      cert.id = cert.id || `cert-${Date.now()}`;
+
+      await TrustStore.storeCertificate(cert);
+      await loadTrustedCertificates();
+      setStatus(`✅ Certificate imported: ${cert.displayName}`);
       
-      console.log('Result created with exifData:', result.exifData);
-
-      // Collect trust issues
-      if (!isTrusted) result.trustIssues.push('Certificate not in trust store');
-      if (!isValidPeriod) result.trustIssues.push('Certificate expired or not yet valid');
-      if (!signatureValid) result.trustIssues.push('Cryptographic signature verification failed');
-      if (!imageHashValid) result.trustIssues.push('Image data has been modified since signing');
-      if (!exifIntegrityValid) {
-        result.trustIssues.push('EXIF metadata has been tampered with');
-        console.warn('⚠️ EXIF tampering detected:', exifComparison.issues);
-      }
+    } catch (error) {
+      console.error('Import error:', error);
+      setStatus(`Import failed: ${error.message}`);
+    }
+  };
+
+  const importRevocationList = async (text) => {
+    const crl = CertificateRevocationList.parse(text);
+    const id = crl.tbsCertList.issuer.string;
+
+    // Lists from a trusted issuer are checked now; others are checked
+    // against the issuing certificate when an image is verified
+    const trustedIssuer = trustedCertificates.find(cert => cert.tbsCertificate?.subject?.string === id && cert.der);
+    if (trustedIssuer && !(await CertificateRevocationList.verify(crl, trustedIssuer))) {
+      throw new Error('CRL signature does not verify with the trusted issuer certificate');
+    }
+
+    const existing = revocationLists.find(list => list.id === id);
+    if (existing && (existing.tbsCertList.crlNumber || 0) > (crl.tbsCertList.crlNumber || 0)) {
+      setStatus(`A newer revocation list from ${id} is already imported`);
+      return;
+    }
+
+    await TrustStore.storeRevocationList({ ...crl, id, importedAt: new Date().toISOString() });
+    await loadTrustedCertificates();
+    setStatus(`✅ Revocation list imported: ${id} (${crl.tbsCertList.revokedCertificates.length} revoked)`);
+  };
+
+  const deleteRevocationList = async (id) => {
+    try {
+      await TrustStore.deleteRevocationList(id);
+      await loadTrustedCertificates();
+      setStatus('Revocation list removed');
+    } catch (error) {
+      setStatus(`Delete failed: ${error.message}`);
+    }
+  };
+
+  const deleteCertificate = async (certId) => {
+    try {
+      await TrustStore.deleteCertificate(certId);
+      await loadTrustedCertificates();
+      setStatus('Certificate removed from trust store');
+    } catch (error) {
+      setStatus(`Delete failed: ${error.message}`);
+    }
+  };
+
+
+  const verifyCertification = async () => {
+    if (!certificationData || !uploadedImage) return;
 
+    try {
+      setIsVerifying(true);
+      setStatus(certificationData.c2pa
+        ? 'Verifying C2PA Content Credentials...'
+        : 'Running cryptographic verification and EXIF integrity check...');
+
+      const { result, status, signedData } = await CertificationVerifier.verify(certificationData, uploadedImage, {
+        currentExifData,
+        trustedCertificates,
+        revocationLists
+      });
       setVerificationResult(result);
-      
-      if (result.overallStatus === 'verified') {
-        setStatus('✅ Verification successful - Trust chain and EXIF integrity intact');
-      } else {
-        setStatus(`❌ Verification failed: ${result.trustIssues.join(', ')}`);
+      if (signedData) {
+        await indexCertifiedImage(signedData, result.details, result.signingTime);
       }
-
+      setStatus(status);
     } catch (error) {
       setStatus(`Verification error: ${error.message}`);
       setVerificationResult({ overallStatus: 'error', error: error.message });
@@ -758,7 +1145,7 @@ export default function TrustVerifier() {
                     Import Certificate
                   </button>
                   <p className="text-sm text-gray-500 mt-2">
-                    Import PEM certificates (.pem files) exported from the signing app
+                    Import PEM certificates (.pem files) or revocation lists (.crl files) exported from the signing app
                   </p>
                 </div>
 
@@ -796,6 +1183,31 @@ export default function TrustVerifier() {
                     ))
                   )}
                 </div>
+
+                {revocationLists.length > 0 && (
+                  <div className="mt-6">
+                    <h3 className="font-semibold text-gray-800 mb-3">Revocation Lists</h3>
+                    <div className="space-y-3">
+                      {revocationLists.map(crl => (
+                        <div key={crl.id} className="p-4 border border-gray-200 rounded-lg flex items-start justify-between">
+                          <div className="flex-1">
+                            <h4 className="font-medium text-gray-800">{crl.id}</h4>
+                            <p className="text-sm text-gray-600">
+                              CRL #{crl.tbsCertList.crlNumber ?? 'N/A'} · {crl.tbsCertList.revokedCertificates.length} revoked · next update{' '}
+                              {crl.tbsCertList.nextUpdate ? new Date(crl.tbsCertList.nextUpdate).toLocaleDateString() : 'N/A'}
+                            </p>
+                          </div>
+                          <button
+                            onClick={() => deleteRevocationList(crl.id)}
+                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -853,9 +1265,34 @@ export default function TrustVerifier() {
                   <div className="flex items-center gap-2 mb-2">
                     <FileImage className={`w-5 h-5 ${certificationData ? 'text-green-600' : 'text-yellow-600'}`} />
                     <span className={`font-medium ${certificationData ? 'text-green-800' : 'text-yellow-800'}`}>
-                      {certificationData ? 'Certification Found' : 'No Certification'}
+                      {certificationData?.c2pa ? 'C2PA Content Credentials Found' : certificationData ? 'Certification Found' : 'No Certification'}
                     </span>
                   </div>
+                  {certificationData?.c2pa && (
+                    <p className="text-xs text-green-700">
+                      Written by {C2PAReader.getActiveManifest(certificationData.c2pa)?.claimGenerator || 'an unknown C2PA tool'}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {!certificationData && softBindingMatch && (
+                <div className="mt-4 p-4 rounded-lg border bg-blue-50 border-blue-200">
+                  <div className="flex items-center gap-2 mb-2">
+                    <Eye className="w-5 h-5 text-blue-600" />
+                    <span className="font-medium text-blue-800">Closely Matches a Certified Image</span>
+                  </div>
+                  <div className="text-sm text-blue-900 space-y-1">
+                    <p>
+                      <strong>{softBindingMatch.fileName || softBindingMatch.manifestId}</strong> by <strong>{softBindingMatch.photographer}</strong>
+                    </p>
+                    {softBindingMatch.description && <p>{softBindingMatch.description}</p>}
+                    {softBindingMatch.signedAt && <p>Signed {new Date(softBindingMatch.signedAt).toLocaleString()}</p>}
+                    <p className="text-xs text-blue-700">
+                      Perceptual hash {softBindingMatch.distance} of 64 bits apart. The pixels look the same but this copy
+                      carries no certification, so edits since signing cannot be ruled out.
+                    </p>
+                  </div>
                 </div>
               )}
 
@@ -912,29 +1349,192 @@ export default function TrustVerifier() {
                     </div>
                     <div className="flex justify-between">
                       <span>Validity:</span>
-                      <span className={verificationResult.certificateValid ? 'text-green-600' : 'text-red-600'}>
-                        {verificationResult.certificateValid ? '✓ Valid' : '✗ Expired'}
+                      <span className={
+                        !verificationResult.certificateValid ? 'text-red-600'
+                          : verificationResult.validity?.status === 'expired-since-signing' ? 'text-amber-600'
+                          : 'text-green-600'
+                      }>
+                        {!verificationResult.certificateValid
+                          ? (verificationResult.validity && verificationResult.validity.source !== 'current-time' ? '✗ Not valid when signed' : '✗ Expired')
+                          : verificationResult.validity && verificationResult.validity.source !== 'current-time' ? '✓ Valid when signed'
+                          : '✓ Valid'}
                       </span>
                     </div>
+                    {verificationResult.validity?.status === 'expired-since-signing' && (
+                      <p className="text-xs text-amber-600 text-right">
+                        Certificate expired {new Date(verificationResult.validity.expiredSince).toLocaleDateString()}, after this image was signed
+                      </p>
+                    )}
+                    {verificationResult.validity?.status === 'expired-now' && (
+                      <p className="text-xs text-red-600 text-right">
+                        Certificate expired {new Date(verificationResult.validity.expiredOn).toLocaleDateString()}; without a trusted timestamp it is checked against today's date
+                      </p>
+                    )}
+                    {verificationResult.revocation && (
+                      <div className="flex justify-between">
+                        <span>Revocation:</span>
+                        <span className={
+                          verificationResult.revocation.status === 'revoked' ? 'text-red-600'
+                            : verificationResult.revocation.status === 'revoked-after-signing' ? 'text-amber-600'
+                            : verificationResult.revocation.status === 'good' ? 'text-green-600'
+                            : 'text-gray-500'
+                        }>
+                          {verificationResult.revocation.status === 'revoked' ? '✗ Revoked'
+                            : verificationResult.revocation.status === 'revoked-after-signing' ? '✓ Revoked after signing'
+                            : verificationResult.revocation.status === 'good' ? '✓ Not revoked'
+                            : 'Status unknown'}
+                          {verificationResult.revocationStatus?.source === 'ocsp' && verificationResult.revocationStatus.status !== 'unknown' && (
+                            <span className="text-gray-500"> (online{verificationResult.revocationStatus.cached ? ', cached' : ''})</span>
+                          )}
+                          {verificationResult.revocationStatus?.source === 'crl' && verificationResult.revocationStatus.status !== 'unknown' && (
+                            <span className="text-gray-500"> (CRL #{verificationResult.revocationStatus.crlNumber})</span>
+                          )}
+                        </span>
+                      </div>
+                    )}
+                    {verificationResult.revocationStatus?.error && verificationResult.revocationStatus.responderUrl && (
+                      <div className="text-xs text-amber-600">
+                        Status responder unavailable: {verificationResult.revocationStatus.error}
+                      </div>
+                    )}
                     <div className="flex justify-between">
                       <span>Signature:</span>
                       <span className={verificationResult.signatureValid ? 'text-green-600' : 'text-red-600'}>
                         {verificationResult.signatureValid ? '✓ Valid' : '✗ Invalid'}
+                        {verificationResult.signatureAlgorithm && ` (${verificationResult.signatureAlgorithm})`}
                       </span>
                     </div>
+                    {!verificationResult.signatureValid && verificationResult.signatureError && (
+                      <p className="text-xs text-red-600 text-right">{verificationResult.signatureError}</p>
+                    )}
+                    {verificationResult.signingTime && verificationResult.signingTime.source !== 'current-time' && (
+                      <div className="flex justify-between">
+                        <span>Signed at:</span>
+                        <span className={
+                          !verificationResult.signingTime.valid ? 'text-red-600'
+                            : verificationResult.signingTime.source === 'tsa' ? 'text-green-600'
+                            : verificationResult.signingTime.token ? 'text-amber-600'
+                            : 'text-gray-500'
+                        }>
+                          {new Date(verificationResult.signingTime.time).toLocaleString()}
+                          <span className="text-gray-500">
+                            {!verificationResult.signingTime.valid ? ' (invalid timestamp)'
+                              : verificationResult.signingTime.source === 'tsa' ? ' (trusted time)'
+                              : verificationResult.signingTime.token ? ' (signer clock, TSA not trusted)'
+                              : ' (signer clock)'}
+                          </span>
+                        </span>
+                      </div>
+                    )}
+                    {verificationResult.signingTime?.token?.tsa && (
+                      <p className="text-xs text-gray-500 text-right">
+                        Timestamp authority: {verificationResult.signingTime.token.tsa}
+                        {verificationResult.signingTime.token.accuracy?.seconds ? ` (±${verificationResult.signingTime.token.accuracy.seconds}s)` : ''}
+                      </p>
+                    )}
+                    {verificationResult.signingTime?.valid && verificationResult.signingTime.token && !verificationResult.signingTime.token.trusted && (
+                      <p className="text-xs text-amber-600 text-right">
+                        Import the timestamp authority's root CA to trust this time: {verificationResult.signingTime.token.errors[0]}
+                      </p>
+                    )}
+                    {verificationResult.archiveTimestamps && (
+                      <div className="flex justify-between">
+                        <span>Archive timestamps:</span>
+                        <span className={
+                          !verificationResult.archiveTimestamps.valid ? 'text-red-600'
+                            : verificationResult.archiveTimestamps.trusted ? 'text-green-600'
+                            : 'text-amber-600'
+                        }>
+                          {!verificationResult.archiveTimestamps.valid ? '✗ Invalid'
+                            : `${verificationResult.archiveTimestamps.trusted ? '✓' : '⚠'} ${verificationResult.archiveTimestamps.entries.length}, latest ${new Date(verificationResult.archiveTimestamps.latestTime).toLocaleString()}`}
+                        </span>
+                      </div>
+                    )}
+                    {verificationResult.archiveTimestamps?.entries.map(entry => (
+                      <p key={entry.index} className={`text-xs text-right ${entry.valid ? 'text-gray-500' : 'text-red-600'}`}>
+                        #{entry.index + 1} {entry.time ? new Date(entry.time).toLocaleString() : 'unknown time'}
+                        {entry.tsa ? ` by ${entry.tsa}` : ''}
+                        {entry.hashAlgorithm ? ` (${entry.hashAlgorithm})` : ''}
+                      </p>
+                    ))}
+                    {verificationResult.archiveTimestamps?.valid && !verificationResult.archiveTimestamps.trusted && (
+                      <p className="text-xs text-amber-600 text-right">
+                        Archive chain not trusted: {verificationResult.archiveTimestamps.errors[0]}
+                      </p>
+                    )}
                     <div className="flex justify-between">
                       <span>Image Integrity:</span>
                       <span className={verificationResult.imageHashValid ? 'text-green-600' : 'text-red-600'}>
                         {verificationResult.imageHashValid ? '✓ Intact' : '✗ Modified'}
+                        {verificationResult.imageHashAlgorithm && ` (${verificationResult.imageHashAlgorithm})`}
                       </span>
                     </div>
-                    <div className="flex justify-between">
-                      <span>EXIF Integrity:</span>
-                      <span className={verificationResult.exifIntegrityValid ? 'text-green-600' : 'text-red-600'}>
-                        {verificationResult.exifIntegrityValid ? '✓ Intact' : '✗ Tampered'}
-                      </span>
-                    </div>
+                    {!verificationResult.imageHashValid && verificationResult.imageHashError && (
+                      <p className="text-xs text-red-600 text-right">{verificationResult.imageHashError}</p>
+                    )}
+                    {verificationResult.exifIntegrityValid !== null && (
+                      <div className="flex justify-between">
+                        <span>EXIF Integrity:</span>
+                        <span className={verificationResult.exifIntegrityValid ? 'text-green-600' : 'text-red-600'}>
+                          {verificationResult.exifIntegrityValid ? '✓ Intact' : '✗ Tampered'}
+                        </span>
+                      </div>
+                    )}
                   </div>
+
+                  {/* Certification Path */}
+                  {verificationResult.certificatePath?.length > 0 && (
+                    <div className="mt-4 pt-4 border-t border-current border-opacity-20">
+                      <h4 className="text-sm font-semibold mb-2">Certificate Chain</h4>
+                      <ol className="space-y-2 text-xs">
+                        {verificationResult.certificatePath.map((link, idx) => (
+                          <li key={idx} style={{ marginLeft: idx * 12 }}>
+                            <div className="flex justify-between gap-2">
+                              <span className="font-mono break-all">{link.subject}</span>
+                              <span className={link.valid ? 'text-green-600' : 'text-red-600'}>
+                                {link.valid ? '✓' : '✗'} {link.role === 'trust-anchor' ? 'Trusted root' : link.role === 'intermediate' ? 'Intermediate CA' : link.role === 'renewed' ? 'Renewed certificate' : 'Signer'}
+                              </span>
+                            </div>
+                            {link.errors.map((linkError, errorIdx) => (
+                              <p key={errorIdx} className="text-red-600">{linkError}</p>
+                            ))}
+                            {link.revocation?.status === 'revoked' && !link.revocation.affectsSignature && (
+                              <p className="text-amber-600">
+                                Revoked ({link.revocation.reason}) effective {new Date(link.revocation.effectiveDate).toLocaleString()}, after this image was signed
+                              </p>
+                            )}
+                          </li>
+                        ))}
+                      </ol>
+                    </div>
+                  )}
+
+                  {/* Earlier certificates of the same photographer */}
+                  {verificationResult.renewedIdentity && (
+                    <div className="mt-4 pt-4 border-t border-current border-opacity-20">
+                      <h4 className="text-sm font-semibold mb-2">Renewed Identity</h4>
+                      <p className="text-xs mb-2">
+                        {verificationResult.renewedIdentity.trustedPredecessor
+                          ? `Same photographer as the trusted certificate renewed on ${new Date(verificationResult.renewedIdentity.trustedPredecessor.renewedAt).toLocaleDateString()}`
+                          : 'The signing certificate renews certificates that are not trusted'}
+                      </p>
+                      <ol className="space-y-1 text-xs">
+                        {verificationResult.renewedIdentity.certificates.slice(1).map(previous => (
+                          <li key={previous.serialNumber} className="flex justify-between gap-2">
+                            <span className="font-mono break-all">
+                              Serial {previous.serialNumber.slice(0, 16)}… {new Date(previous.notBefore).toLocaleDateString()} – {new Date(previous.notAfter).toLocaleDateString()}
+                            </span>
+                            <span className={previous.trusted ? 'text-green-600' : 'text-gray-500'}>
+                              {previous.trusted ? '✓ Trusted' : 'Renewed'}
+                            </span>
+                          </li>
+                        ))}
+                      </ol>
+                      {verificationResult.renewedIdentity.errors.map((identityError, idx) => (
+                        <p key={idx} className="text-xs text-amber-600">{identityError}</p>
+                      ))}
+                    </div>
+                  )}
                 </div>
 
                 {/* EXIF Tampering Warning */}
@@ -956,8 +1556,64 @@ export default function TrustVerifier() {
                   </div>
                 )}
 
+                {/* Claim and assertions of third-party Content Credentials */}
+                {verificationResult.contentCredentials && (
+                  <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
+                    <h4 className="font-semibold text-gray-800 mb-3 flex items-center gap-2">
+                      <FileImage className="w-5 h-5" />
+                      C2PA Content Credentials
+                    </h4>
+                    <div className="text-sm text-gray-700 space-y-1">
+                      <p>Claim generator: {verificationResult.contentCredentials.claimGenerator || 'Not stated'}</p>
+                      {verificationResult.contentCredentials.title && <p>Title: {verificationResult.contentCredentials.title}</p>}
+                      {verificationResult.contentCredentials.format && <p>Format: {verificationResult.contentCredentials.format}</p>}
+                      {verificationResult.contentCredentials.author && <p>Author: {verificationResult.contentCredentials.author}</p>}
+                      {verificationResult.contentCredentials.manifestCount > 1 && (
+                        <p>Manifests in store: {verificationResult.contentCredentials.manifestCount} (earlier edits)</p>
+                      )}
+                    </div>
+                    {verificationResult.contentCredentials.actions.length > 0 && (
+                      <div className="mt-3">
+                        <h5 className="text-xs font-semibold text-gray-600 mb-1">Actions</h5>
+                        <ul className="text-xs text-gray-700 space-y-1">
+                          {verificationResult.contentCredentials.actions.map((action, idx) => (
+                            <li key={idx}>
+                              {action.action}
+                              {action.softwareAgent ? ` by ${action.softwareAgent}` : ''}
+                              {action.when ? `, ${new Date(action.when).toLocaleString()}` : ''}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                    {verificationResult.contentCredentials.ingredients.length > 0 && (
+                      <div className="mt-3">
+                        <h5 className="text-xs font-semibold text-gray-600 mb-1">Ingredients</h5>
+                        <ul className="text-xs text-gray-700 space-y-1">
+                          {verificationResult.contentCredentials.ingredients.map((ingredient, idx) => (
+                            <li key={idx}>{ingredient.title || 'Untitled'}{ingredient.relationship ? ` (${ingredient.relationship})` : ''}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                    <div className="mt-3">
+                      <h5 className="text-xs font-semibold text-gray-600 mb-1">Assertions</h5>
+                      <ul className="text-xs space-y-1">
+                        {verificationResult.contentCredentials.assertions.map((assertion, idx) => (
+                          <li key={idx} className="flex justify-between gap-2">
+                            <span className="font-mono break-all text-gray-700">{assertion.label}</span>
+                            <span className={assertion.hashValid ? 'text-green-600' : 'text-red-600'}>
+                              {assertion.hashValid ? '✓ Matches claim' : '✗ Altered or missing'}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  </div>
+                )}
+
                 {/* Signed Metadata Summary */}
-                {verificationResult.overallStatus === 'verified' && (
+                {verificationResult.overallStatus === 'verified' && !verificationResult.contentCredentials && (
                   <div className="bg-green-50 border border-green-200 rounded-xl p-4">
                     <h4 className="font-semibold text-green-800 mb-3 flex items-center gap-2">
                       <Shield className="w-5 h-5" />
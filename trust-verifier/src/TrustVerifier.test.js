@@ -0,0 +1,150 @@
+import { CertificationVerifier } from './TrustVerifier';
+import { CertificationExtractor } from './utils/extraction/CertificationExtractor';
+import { PEMParser } from './utils/certificates/PEMParser';
+import { ASN1 } from './utils/certificates/ASN1';
+// The signing side lives in the signing app
+import { CertificateAuthority } from '../../adobe-mock-client/src/utils/certificates/CertificateAuthority';
+import { X509Certificate } from '../../adobe-mock-client/src/utils/certificates/X509Certificate';
+import { C2PAManifest } from '../../adobe-mock-client/src/utils/c2pa/C2PAManifest';
+import { JPEGEmbedder } from '../../adobe-mock-client/src/utils/metadata/JPEGEmbedder';
+
+describe('CertificationVerifier', () => {
+  let root;
+  let photographer;
+  let trustedCertificates;
+
+  // SOI, APP0, DQT, SOS with a few scan bytes, EOI
+  const createJPEG = () => {
+    const app0 = [0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00];
+    const dqt = [0xFF, 0xDB, 0x00, 0x43, 0x00, ...new Array(64).fill(1)];
+    const sos = [0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3F, 0x00, 0x12, 0x34, 0x56];
+    return new Uint8Array([0xFF, 0xD8, ...app0, ...dqt, ...sos, 0xFF, 0xD9]).buffer;
+  };
+
+  // The signing app's certification steps: hash the image outside the
+  // region reserved for the manifest, sign, then embed into that region
+  const certifyImage = async (certificate, { reservedBytes = 256 } = {}) => {
+    const embedOptions = { format: JPEGEmbedder.FORMATS.JUMBF };
+    const baseBuffer = createJPEG();
+    const offset = JPEGEmbedder.getCertificationOffset(baseBuffer);
+    const algorithm = X509Certificate.getImageHashAlgorithm(certificate);
+    const hash = Array.from(new Uint8Array(await crypto.subtle.digest(algorithm, new Uint8Array(baseBuffer))));
+    const createManifest = length => C2PAManifest.createManifest(
+      { hash, algorithm, exclusions: [{ start: offset, length }] },
+      certificate,
+      'Harbour at dawn',
+      null
+    );
+
+    const sign = async length => C2PAManifest.createCertificationData(
+      await C2PAManifest.signManifest(await createManifest(length), certificate)
+    );
+
+    // Reserve the unsigned manifest's length, and sign again once the
+    // signature's length is known
+    const unsignedLength = await JPEGEmbedder.getCertificationLength(
+      C2PAManifest.createCertificationData(await createManifest(0)),
+      embedOptions
+    );
+    let certificationData = await sign(unsignedLength + reservedBytes);
+    const signedLength = await JPEGEmbedder.getCertificationLength(certificationData, embedOptions);
+    if (signedLength > unsignedLength + reservedBytes) {
+      certificationData = await sign(signedLength + reservedBytes);
+    }
+    return new Uint8Array(await JPEGEmbedder.embedCertification(baseBuffer, certificationData, embedOptions));
+  };
+
+  // What the verifier does after an upload
+  const verifyImage = async (bytes, tamperCertificationData = data => data) => {
+    const file = new File([bytes], 'certified.jpg', { type: 'image/jpeg' });
+    const certificationData = tamperCertificationData(await CertificationExtractor.extractFromImage(file));
+    return CertificationVerifier.verify(certificationData, file, {
+      currentExifData: null,
+      trustedCertificates,
+      revocationLists: []
+    });
+  };
+
+  const findBytes = (bytes, text) => {
+    const needle = new TextEncoder().encode(text);
+    return bytes.findIndex((_, index) => needle.every((byte, i) => bytes[index + i] === byte));
+  };
+
+  beforeAll(async () => {
+    root = await CertificateAuthority.createRootCA({ name: 'Studio Root CA', organization: 'Studio' });
+    const intermediate = await CertificateAuthority.createIntermediateCA({ name: 'Studio Issuing CA' }, root);
+    photographer = await CertificateAuthority.issueCertificate({ name: 'Jane Photographer' }, intermediate);
+
+    // Imported into the trust store as a PEM file
+    const anchor = PEMParser.parseCertificate(ASN1.toPEM(root.der, 'CERTIFICATE'));
+    if (!anchor.fingerprint?.sha256) {
+      anchor.fingerprint = await PEMParser.calculateFingerprint(anchor);
+    }
+    trustedCertificates = [anchor];
+  });
+
+  it('should verify an image certified by a photographer under the trusted root', async () => {
+    const { result, signedData } = await verifyImage(await certifyImage(photographer));
+
+    expect(result.trustIssues).toEqual([]);
+    expect(result).toMatchObject({
+      overallStatus: 'verified',
+      trusted: true,
+      chainValid: true,
+      signatureValid: true,
+      imageHashValid: true
+    });
+    expect(result.certificatePath).toHaveLength(3);
+    expect(result.details.description).toBe('Harbour at dawn');
+    expect(signedData.description).toBe('Harbour at dawn');
+  });
+
+  it('should fail when image bytes outside the manifest changed', async () => {
+    const bytes = await certifyImage(photographer);
+    bytes[bytes.length - 3] ^= 0xFF;
+
+    const { result } = await verifyImage(bytes);
+
+    expect(result.overallStatus).toBe('failed');
+    expect(result.imageHashValid).toBe(false);
+    expect(result.trustIssues).toContain('Image file modified since signing');
+  });
+
+  it('should fail when the claim signature was altered', async () => {
+    const { result } = await verifyImage(await certifyImage(photographer), certificationData => {
+      const claimSignature = certificationData.manifest.manifests[certificationData.manifest.active_manifest].claim_signature;
+      claimSignature.signature[claimSignature.signature.length - 1] ^= 0xFF;
+      return certificationData;
+    });
+
+    expect(result.overallStatus).toBe('failed');
+    expect(result.signatureValid).toBe(false);
+  });
+
+  it('should not trust a chain to a look-alike root', async () => {
+    const impostorRoot = await CertificateAuthority.createRootCA({ name: 'Studio Root CA', organization: 'Studio' });
+    const impostorIssuer = await CertificateAuthority.createIntermediateCA({ name: 'Studio Issuing CA' }, impostorRoot);
+    const impostor = await CertificateAuthority.issueCertificate({ name: 'Jane Photographer' }, impostorIssuer);
+
+    const { result, status } = await verifyImage(await certifyImage(impostor));
+
+    expect(result.trusted).toBe(false);
+    expect(result.signatureValid).toBe(false);
+    expect(status).toBe('Verification failed - certificate not trusted');
+  });
+
+  it('should fail when the excluded range holds more than the manifest', async () => {
+    const bytes = await certifyImage(photographer);
+    // Turn the reserved padding into an APP1 segment: still excluded from
+    // the hash, but no longer part of the certification
+    const padding = findBytes(bytes, JPEGEmbedder.PADDING_SIGNATURE) - 4;
+    expect(bytes[padding + 1]).toBe(JPEGEmbedder.MARKER_COM);
+    bytes[padding + 1] = 0xE1;
+
+    const { result } = await verifyImage(bytes);
+
+    expect(result.overallStatus).toBe('failed');
+    expect(result.imageHashValid).toBe(false);
+    expect(result.imageHashError).toBe('Excluded bytes contain a marker segment (0xFFE1) that is not part of the certification');
+  });
+});
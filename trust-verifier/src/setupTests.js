@@ -0,0 +1,12 @@
+// Jest's jsdom environment ships without Web Crypto or the encoding API,
+// so expose Node's implementations to the utilities under test.
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+
+if (!global.crypto?.subtle) {
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+}
+if (!global.TextEncoder) {
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}
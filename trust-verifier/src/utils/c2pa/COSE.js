@@ -0,0 +1,129 @@
+import { CBOR } from './CBOR';
+import { WebCryptoUtils } from '../crypto/WebCryptoUtils';
+
+/**
+ * COSE_Sign1 (RFC 9052) as C2PA uses it for claim signatures: the
+ * algorithm and the X.509 chain (x5chain, RFC 9360) sit in the protected
+ * header, the payload is detached (the serialized claim), and the signature
+ * is in Web Crypto form, which for ECDSA is already COSE's r||s.
+ */
+export class COSE {
+  static SIGN1_TAG = 18;
+  static CONTEXT = 'Signature1';
+
+  static HEADERS = {
+    ALG: 1,
+    X5CHAIN: 33
+  };
+
+  // COSE algorithm identifiers (IANA COSE Algorithms registry)
+  static ALGORITHMS = {
+    ES256: -7,
+    ES384: -35,
+    PS256: -37,
+    Ed25519: -8
+  };
+
+  static getAlgorithmName(identifier) {
+    const name = Object.keys(this.ALGORITHMS).find(key => this.ALGORITHMS[key] === identifier);
+    if (!name) {
+      throw new Error(`Unsupported COSE algorithm: ${identifier}`);
+    }
+    return name;
+  }
+
+  /**
+   * Serialized protected header for an algorithm and DER certificate chain,
+   * signing certificate first
+   */
+  static encodeProtectedHeader(algorithm, certificateChain = []) {
+    if (this.ALGORITHMS[algorithm] === undefined) {
+      throw new Error(`Unsupported COSE algorithm: ${algorithm}`);
+    }
+    const header = new Map([[this.HEADERS.ALG, this.ALGORITHMS[algorithm]]]);
+    const certificates = certificateChain.map(der => Uint8Array.from(der));
+    if (certificates.length > 0) {
+      // A single certificate is a byte string, several are an array
+      header.set(this.HEADERS.X5CHAIN, certificates.length === 1 ? certificates[0] : certificates);
+    }
+    return CBOR.encode(header);
+  }
+
+  /**
+   * The bytes that are actually signed (Sig_structure, RFC 9052 section 4.4)
+   */
+  static createToBeSigned(protectedHeader, payload, externalAad = new Uint8Array(0)) {
+    return CBOR.encode([this.CONTEXT, Uint8Array.from(protectedHeader), Uint8Array.from(externalAad), Uint8Array.from(payload)]);
+  }
+
+  /**
+   * Sign a detached payload. Returns the protected header and signature
+   * bytes; encodeSign1 turns them into the COSE_Sign1 structure.
+   */
+  static async sign(payload, signer, { certificateChain = [] } = {}) {
+    const protectedHeader = this.encodeProtectedHeader(signer.algorithm, certificateChain);
+    const signature = await signer.sign(this.createToBeSigned(protectedHeader, payload));
+    return { algorithm: signer.algorithm, protectedHeader: Array.from(protectedHeader), signature: Array.from(signature) };
+  }
+
+  /**
+   * Tagged COSE_Sign1 with a detached (nil) payload
+   */
+  static encodeSign1({ protectedHeader, unprotected = {}, signature }) {
+    return CBOR.encode(new CBOR.Tagged(this.SIGN1_TAG, [
+      Uint8Array.from(protectedHeader),
+      unprotected,
+      null,
+      Uint8Array.from(signature)
+    ]));
+  }
+
+  static decodeSign1(bytes) {
+    let value = CBOR.decode(bytes);
+    if (value instanceof CBOR.Tagged) {
+      if (value.tag !== this.SIGN1_TAG) {
+        throw new Error(`Expected a COSE_Sign1 structure, found tag ${value.tag}`);
+      }
+      value = value.value;
+    }
+    if (!Array.isArray(value) || value.length !== 4) {
+      throw new Error('Malformed COSE_Sign1 structure');
+    }
+
+    const [protectedHeader, unprotected, payload, signature] = value;
+    const header = protectedHeader.length > 0 ? CBOR.decode(protectedHeader) : new Map();
+    const get = label => (header instanceof Map ? header.get(label) : undefined);
+    // C2PA requires the signer's chain to be covered by the signature
+    if (unprotected instanceof Map && unprotected.has(this.HEADERS.X5CHAIN)) {
+      throw new Error('Certificate chain must be in the protected header');
+    }
+    const x5chain = get(this.HEADERS.X5CHAIN);
+
+    return {
+      protectedHeader: Array.from(protectedHeader),
+      algorithm: this.getAlgorithmName(get(this.HEADERS.ALG)),
+      certificateChain: (Array.isArray(x5chain) ? x5chain : x5chain ? [x5chain] : []).map(der => Array.from(der)),
+      unprotected,
+      payload: payload ? Array.from(payload) : null,
+      signature: Array.from(signature)
+    };
+  }
+
+  /**
+   * Verify a signature over a detached payload with an SPKI public key.
+   * Returns { valid, reason }.
+   */
+  static async verify({ protectedHeader, algorithm, signature }, payload, publicKeyData) {
+    let publicKey;
+    try {
+      publicKey = await WebCryptoUtils.importPublicKey(publicKeyData, algorithm);
+    } catch (error) {
+      return { valid: false, reason: `Certificate public key could not be imported: ${error.message}` };
+    }
+
+    const valid = await WebCryptoUtils.verifySignature(publicKey, signature, this.createToBeSigned(protectedHeader, payload));
+    return valid
+      ? { valid: true, reason: null }
+      : { valid: false, reason: 'Signature does not match the signed claim' };
+  }
+}
@@ -0,0 +1,271 @@
+import { WebCryptoUtils } from '../crypto/WebCryptoUtils';
+import { ASN1 } from './ASN1';
+import { X509Certificate } from './X509Certificate';
+
+/**
+ * X.509 v2 certificate revocation lists (RFC 5280 section 5)
+ * A CA publishes a signed list of revoked serial numbers, each with a reason
+ * code and an optional invalidity date: the time from which the key is
+ * suspected to be compromised. Signatures made before that date stay valid.
+ */
+export class CertificateRevocationList {
+  static PEM_LABEL = 'X509 CRL';
+  static DEFAULT_NEXT_UPDATE_DAYS = 7;
+
+  static EXTENSIONS = {
+    CRL_NUMBER: '2.5.29.20',
+    REASON_CODE: '2.5.29.21',
+    INVALIDITY_DATE: '2.5.29.24'
+  };
+
+  // CRLReason codes; 7 is not used
+  static REASONS = {
+    unspecified: 0,
+    keyCompromise: 1,
+    cACompromise: 2,
+    affiliationChanged: 3,
+    superseded: 4,
+    cessationOfOperation: 5,
+    certificateHold: 6,
+    removeFromCRL: 8,
+    privilegeWithdrawn: 9,
+    aACompromise: 10
+  };
+
+  static REVOCATION_STATUS = {
+    GOOD: 'good',
+    REVOKED: 'revoked',
+    UNKNOWN: 'unknown'
+  };
+
+  /**
+   * Create a CRL signed by a certificate authority.
+   * `revocations` are { serialNumber, reason, revocationDate, invalidityDate }.
+   */
+  static async create(issuerCA, revocations = [], options = {}) {
+    if (!issuerCA?.keyPair?.privateKey) {
+      throw new Error('Certificate authority private key is not available');
+    }
+
+    const thisUpdate = new Date(Math.floor((options.thisUpdate || new Date()).getTime() / 1000) * 1000);
+    const nextUpdate = new Date(thisUpdate.getTime() +
+      (options.nextUpdateDays || this.DEFAULT_NEXT_UPDATE_DAYS) * 24 * 60 * 60 * 1000);
+    const authorityKeyId = X509Certificate.getExtension(issuerCA, X509Certificate.EXTENSIONS.SUBJECT_KEY_ID)?.extnValue;
+
+    const revokedCertificates = revocations.length > 0
+      ? ASN1.sequence(...revocations.map(entry => this.encodeRevokedCertificate(entry)))
+      : null;
+
+    const crlExtensions = [
+      authorityKeyId ? X509Certificate.encodeExtension({
+        extnID: X509Certificate.EXTENSIONS.AUTHORITY_KEY_ID,
+        critical: false,
+        extnValue: { keyIdentifier: authorityKeyId }
+      }) : null,
+      this.encodeExtension(this.EXTENSIONS.CRL_NUMBER, ASN1.integer(options.crlNumber || 1))
+    ].filter(Boolean);
+
+    const algorithm = WebCryptoUtils.getKeyAlgorithm(issuerCA.keyPair.privateKey);
+    const tbsCertList = ASN1.sequence(
+      ASN1.integer(1), // v2
+      X509Certificate.encodeAlgorithmIdentifier(algorithm),
+      X509Certificate.encodeName(issuerCA.tbsCertificate.subject),
+      ASN1.time(thisUpdate),
+      ASN1.time(nextUpdate),
+      revokedCertificates,
+      ASN1.contextSpecific(0, ASN1.sequence(...crlExtensions))
+    );
+
+    const { signature } = await X509Certificate.signDER(issuerCA.keyPair.privateKey, tbsCertList);
+    const der = ASN1.sequence(
+      tbsCertList,
+      X509Certificate.encodeAlgorithmIdentifier(algorithm),
+      ASN1.bitString(signature)
+    );
+
+    return this.fromDER(der);
+  }
+
+  static encodeRevokedCertificate(entry) {
+    const extensions = [];
+    if (entry.reason && entry.reason !== 'unspecified') {
+      const code = this.REASONS[entry.reason];
+      if (code === undefined) {
+        throw new Error(`Unknown revocation reason: ${entry.reason}`);
+      }
+      extensions.push(this.encodeExtension(this.EXTENSIONS.REASON_CODE, ASN1.enumerated(code)));
+    }
+    if (entry.invalidityDate) {
+      extensions.push(this.encodeExtension(
+        this.EXTENSIONS.INVALIDITY_DATE,
+        ASN1.generalizedTime(new Date(entry.invalidityDate))
+      ));
+    }
+
+    return ASN1.sequence(
+      ASN1.integer(entry.serialNumber),
+      ASN1.time(new Date(entry.revocationDate)),
+      extensions.length > 0 ? ASN1.sequence(...extensions) : null
+    );
+  }
+
+  static encodeExtension(extnID, value) {
+    return ASN1.sequence(ASN1.oid(extnID), ASN1.octetString(value));
+  }
+
+  /**
+   * Decode a DER CRL into { tbsCertList, signatureAlgorithm, signatureValue, der }
+   */
+  static fromDER(der) {
+    const bytes = ASN1.toBytes(der);
+    const root = ASN1.expect(ASN1.decode(bytes), ASN1.TAGS.SEQUENCE, 'CertificateList');
+    const [tbsNode, algorithmNode, signatureNode] = root.children;
+    ASN1.expect(tbsNode, ASN1.TAGS.SEQUENCE, 'TBSCertList');
+
+    const children = [...tbsNode.children];
+    const version = children[0].tag === ASN1.TAGS.INTEGER ? ASN1.decodeInteger(children.shift()) + 1 : 1;
+    const signature = X509Certificate.decodeAlgorithmIdentifier(children.shift());
+    const issuer = X509Certificate.decodeName(children.shift());
+    const thisUpdate = ASN1.decodeTime(children.shift());
+    const nextUpdate = children[0] && (children[0].tag === ASN1.TAGS.UTC_TIME || children[0].tag === ASN1.TAGS.GENERALIZED_TIME)
+      ? ASN1.decodeTime(children.shift())
+      : null;
+    const revokedNode = children[0]?.tag === ASN1.TAGS.SEQUENCE ? children.shift() : null;
+    const extensionsNode = children.find(child => ASN1.isContext(child, 0));
+
+    let crlNumber = null;
+    let authorityKeyId = null;
+    (extensionsNode?.children[0]?.children || []).forEach(extensionNode => {
+      const extnID = ASN1.decodeOID(extensionNode.children[0]);
+      const valueNode = extensionNode.children[extensionNode.children.length - 1];
+      if (extnID === this.EXTENSIONS.CRL_NUMBER) {
+        crlNumber = ASN1.decodeInteger(ASN1.decode(valueNode.content));
+      } else if (extnID === X509Certificate.EXTENSIONS.AUTHORITY_KEY_ID) {
+        authorityKeyId = X509Certificate.decodeExtension(extensionNode).extnValue.keyIdentifier;
+      }
+    });
+
+    return {
+      tbsCertList: {
+        version,
+        signature,
+        issuer,
+        thisUpdate: thisUpdate.toISOString(),
+        nextUpdate: nextUpdate ? nextUpdate.toISOString() : null,
+        revokedCertificates: (revokedNode?.children || []).map(entry => this.decodeRevokedCertificate(entry)),
+        crlNumber,
+        authorityKeyId
+      },
+      signatureAlgorithm: X509Certificate.decodeAlgorithmIdentifier(algorithmNode),
+      signatureValue: Array.from(ASN1.decodeBitString(signatureNode).bytes),
+      der: Array.from(bytes)
+    };
+  }
+
+  static decodeRevokedCertificate(node) {
+    const [serialNode, dateNode, extensionsNode] = node.children;
+    let reason = 'unspecified';
+    let invalidityDate = null;
+
+    (extensionsNode?.children || []).forEach(extensionNode => {
+      const extnID = ASN1.decodeOID(extensionNode.children[0]);
+      const value = ASN1.decode(extensionNode.children[extensionNode.children.length - 1].content);
+      if (extnID === this.EXTENSIONS.REASON_CODE) {
+        const code = ASN1.decodeInteger(value);
+        reason = Object.keys(this.REASONS).find(name => this.REASONS[name] === code) || `reason-${code}`;
+      } else if (extnID === this.EXTENSIONS.INVALIDITY_DATE) {
+        invalidityDate = ASN1.decodeTime(value).toISOString();
+      }
+    });
+
+    return {
+      serialNumber: ASN1.decodeIntegerHex(serialNode),
+      revocationDate: ASN1.decodeTime(dateNode).toISOString(),
+      reason,
+      invalidityDate
+    };
+  }
+
+  static toPEM(crl) {
+    return ASN1.toPEM(crl.der, this.PEM_LABEL);
+  }
+
+  static parse(pem) {
+    const block = ASN1.fromPEM(pem).find(b => b.label === this.PEM_LABEL);
+    if (!block) {
+      throw new Error('No X509 CRL block found');
+    }
+    return this.fromDER(block.der);
+  }
+
+  static isRevocationList(text) {
+    return typeof text === 'string' && text.includes(`-----BEGIN ${this.PEM_LABEL}-----`);
+  }
+
+  /**
+   * A CRL has the same outer shape as a certificate, so the certificate
+   * signature check applies with the issuer's key
+   */
+  static async verify(crl, issuerCertificate) {
+    if (crl.tbsCertList.issuer.string !== issuerCertificate.tbsCertificate.subject.string) {
+      return false;
+    }
+    return X509Certificate.verifySignedBy(crl, issuerCertificate);
+  }
+
+  /**
+   * Build a revocation check for X509Certificate.verifyCertificate.
+   * A revoked certificate only invalidates signatures made at or after its
+   * invalidity date (or its revocation date when none is given); without a
+   * signing time every use of the certificate is rejected. Pass only a
+   * time the signer could not choose, i.e. from a trusted TSA token.
+   * A list past its nextUpdate no longer vouches for unlisted certificates.
+   */
+  static createRevocationCheck(crls = [], { signingTime = null } = {}) {
+    return async (certificate, issuer) => {
+      const candidates = crls.filter(crl => crl.tbsCertList.issuer.string === certificate.tbsCertificate.issuer.string);
+      const verified = [];
+      for (const crl of candidates) {
+        if (await this.verify(crl, issuer)) {
+          verified.push(crl);
+        }
+      }
+
+      if (verified.length === 0) {
+        return { status: this.REVOCATION_STATUS.UNKNOWN, source: 'crl' };
+      }
+
+      // Only the newest list from an issuer counts
+      const latest = verified.reduce((newest, crl) =>
+        (crl.tbsCertList.crlNumber || 0) > (newest.tbsCertList.crlNumber || 0) ? crl : newest
+      );
+      const entry = latest.tbsCertList.revokedCertificates.find(revoked =>
+        revoked.serialNumber === certificate.tbsCertificate.serialNumber && revoked.reason !== 'removeFromCRL'
+      );
+
+      const checked = {
+        source: 'crl',
+        crlNumber: latest.tbsCertList.crlNumber,
+        thisUpdate: latest.tbsCertList.thisUpdate,
+        nextUpdate: latest.tbsCertList.nextUpdate
+      };
+      if (!entry) {
+        const stale = checked.nextUpdate && new Date(checked.nextUpdate) < new Date();
+        return stale
+          ? { ...checked, status: this.REVOCATION_STATUS.UNKNOWN, error: 'Revocation list is out of date' }
+          : { ...checked, status: this.REVOCATION_STATUS.GOOD };
+      }
+
+      const effectiveDate = entry.invalidityDate || entry.revocationDate;
+      return {
+        ...checked,
+        status: this.REVOCATION_STATUS.REVOKED,
+        reason: entry.reason,
+        revocationDate: entry.revocationDate,
+        invalidityDate: entry.invalidityDate,
+        effectiveDate,
+        affectsSignature: !signingTime || new Date(signingTime) >= new Date(effectiveDate)
+      };
+    };
+  }
+}
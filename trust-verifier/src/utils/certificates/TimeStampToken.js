@@ -0,0 +1,391 @@
+import { ASN1 } from './ASN1';
+import { X509Certificate } from './X509Certificate';
+
+/**
+ * RFC 3161 time-stamp protocol
+ * A timestamp authority (TSA) signs the hash of some data together with
+ * its own clock reading. The token is a CMS SignedData around a TSTInfo
+ * structure, so anyone trusting the TSA certificate can later prove the
+ * data existed at that time without trusting the signer's clock.
+ */
+export class TimeStampToken {
+  static CONTENT_TYPES = {
+    QUERY: 'application/timestamp-query',
+    REPLY: 'application/timestamp-reply'
+  };
+
+  static OIDS = {
+    SIGNED_DATA: '1.2.840.113549.1.7.2',
+    TST_INFO: '1.2.840.113549.1.9.16.1.4',
+    CONTENT_TYPE: '1.2.840.113549.1.9.3',
+    MESSAGE_DIGEST: '1.2.840.113549.1.9.4',
+    SIGNING_CERTIFICATE: '1.2.840.113549.1.9.16.2.12',
+    SIGNING_CERTIFICATE_V2: '1.2.840.113549.1.9.16.2.47',
+    EC_PUBLIC_KEY: '1.2.840.10045.2.1'
+  };
+
+  static HASH_ALGORITHMS = {
+    'SHA-1': '1.3.14.3.2.26',
+    'SHA-256': '2.16.840.1.101.3.4.2.1',
+    'SHA-384': '2.16.840.1.101.3.4.2.2',
+    'SHA-512': '2.16.840.1.101.3.4.2.3'
+  };
+
+  // Policy of the bundled local TSA (local-services/tsa-server.js)
+  static DEFAULT_POLICY = '1.3.6.1.4.1.54321.2.1';
+  static DEFAULT_HASH_ALGORITHM = 'SHA-384';
+  static REQUEST_TIMEOUT_MS = 10000;
+
+  // PKIStatus values; 0 and 1 carry a token
+  static STATUS = ['granted', 'grantedWithMods', 'rejection', 'waiting', 'revocationWarning', 'revocationNotification'];
+
+  // PKIFailureInfo bits used by RFC 3161
+  static FAILURE_INFO = {
+    0: 'badAlg',
+    2: 'badRequest',
+    5: 'badDataFormat',
+    14: 'timeNotAvailable',
+    15: 'unacceptedPolicy',
+    16: 'unacceptedExtension',
+    17: 'addInfoNotAvailable',
+    25: 'systemFailure'
+  };
+
+  static async digest(hashAlgorithm, data) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+    return new Uint8Array(await crypto.subtle.digest(hashAlgorithm, bytes));
+  }
+
+  static hashAlgorithmName(oid) {
+    return Object.keys(this.HASH_ALGORITHMS).find(name => this.HASH_ALGORITHMS[name] === oid) || null;
+  }
+
+  /**
+   * Encode a TimeStampReq for a message digest
+   */
+  static createRequest(hashedMessage, { hashAlgorithm = this.DEFAULT_HASH_ALGORITHM, nonce = null, policy = null, certReq = true } = {}) {
+    const oid = this.HASH_ALGORITHMS[hashAlgorithm];
+    if (!oid) {
+      throw new Error(`Unsupported hash algorithm: ${hashAlgorithm}`);
+    }
+
+    return ASN1.sequence(
+      ASN1.integer(1),
+      ASN1.sequence(ASN1.sequence(ASN1.oid(oid)), ASN1.octetString(hashedMessage)),
+      policy ? ASN1.oid(policy) : null,
+      nonce ? ASN1.integer(nonce) : null,
+      certReq ? ASN1.boolean(true) : null
+    );
+  }
+
+  static generateNonce() {
+    const bytes = new Uint8Array(8);
+    crypto.getRandomValues(bytes);
+    bytes[0] = (bytes[0] & 0x7F) || 0x01;
+    return ASN1.bytesToHex(bytes);
+  }
+
+  /**
+   * Send the hash of `data` to a TSA and return the checked token.
+   * The token must cover exactly the digest we sent and echo our nonce.
+   */
+  static async requestToken(url, data, { hashAlgorithm = this.DEFAULT_HASH_ALGORITHM, policy = null } = {}) {
+    const hashedMessage = await this.digest(hashAlgorithm, data);
+    const nonce = this.generateNonce();
+    const request = this.createRequest(hashedMessage, { hashAlgorithm, nonce, policy });
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.REQUEST_TIMEOUT_MS);
+    let responseBytes;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': this.CONTENT_TYPES.QUERY },
+        body: new Uint8Array(request),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`Timestamp authority returned HTTP ${response.status}`);
+      }
+      responseBytes = new Uint8Array(await response.arrayBuffer());
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const { status, statusString, failInfo, token } = this.parseResponse(responseBytes);
+    if (!token) {
+      throw new Error(`Timestamp request ${status}${failInfo.length ? ` (${failInfo.join(', ')})` : ''}${statusString ? `: ${statusString}` : ''}`);
+    }
+
+    const parsed = this.parse(token);
+    const { messageImprint } = parsed.tstInfo;
+    if (messageImprint.hashAlgorithm !== hashAlgorithm || ASN1.bytesToHex(messageImprint.hashedMessage) !== ASN1.bytesToHex(hashedMessage)) {
+      throw new Error('Timestamp token does not cover the requested digest');
+    }
+    if (parsed.tstInfo.nonce !== nonce) {
+      throw new Error('Timestamp token nonce does not match the request');
+    }
+    return parsed;
+  }
+
+  /**
+   * Decode a TimeStampResp into { status, statusString, failInfo, token }
+   */
+  static parseResponse(der) {
+    const root = ASN1.expect(ASN1.decode(der), ASN1.TAGS.SEQUENCE, 'TimeStampResp');
+    const [statusInfo, tokenNode] = root.children;
+    const [statusNode, ...rest] = ASN1.expect(statusInfo, ASN1.TAGS.SEQUENCE, 'PKIStatusInfo').children;
+    const statusCode = ASN1.decodeInteger(statusNode);
+
+    const textNode = rest.find(node => node.tag === ASN1.TAGS.SEQUENCE);
+    const failNode = rest.find(node => node.tag === ASN1.TAGS.BIT_STRING);
+
+    return {
+      status: this.STATUS[statusCode] || `status-${statusCode}`,
+      statusString: textNode ? textNode.children.map(node => ASN1.decodeString(node)).join(' ') : null,
+      failInfo: failNode ? ASN1.decodeNamedBits(failNode).map(bit => this.FAILURE_INFO[bit] || `bit-${bit}`) : [],
+      token: statusCode <= 1 && tokenNode ? Array.from(tokenNode.raw) : null
+    };
+  }
+
+  /**
+   * Decode a TimeStampToken (CMS ContentInfo with SignedData)
+   */
+  static parse(der) {
+    const bytes = ASN1.toBytes(der);
+    const contentInfo = ASN1.expect(ASN1.decode(bytes), ASN1.TAGS.SEQUENCE, 'ContentInfo');
+    if (ASN1.decodeOID(contentInfo.children[0]) !== this.OIDS.SIGNED_DATA) {
+      throw new Error('Timestamp token is not CMS SignedData');
+    }
+
+    const signedData = ASN1.expect(contentInfo.children[1].children[0], ASN1.TAGS.SEQUENCE, 'SignedData');
+    const children = [...signedData.children];
+    children.shift(); // version
+    children.shift(); // digestAlgorithms
+    const encapContentInfo = children.shift();
+    const certificatesNode = ASN1.isContext(children[0], 0) ? children.shift() : null;
+    if (ASN1.isContext(children[0], 1)) {
+      children.shift(); // crls
+    }
+    const signerInfos = ASN1.expect(children.shift(), ASN1.TAGS.SET, 'SignerInfos').children;
+
+    const eContentType = ASN1.decodeOID(encapContentInfo.children[0]);
+    const eContent = encapContentInfo.children[1]?.children[0]?.content;
+    if (eContentType !== this.OIDS.TST_INFO || !eContent) {
+      throw new Error('Timestamp token does not contain TSTInfo');
+    }
+    if (signerInfos.length !== 1) {
+      throw new Error('Timestamp token must have exactly one signer');
+    }
+
+    return {
+      tstInfo: this.decodeTSTInfo(eContent),
+      eContent: Array.from(eContent),
+      certificates: (certificatesNode?.children || [])
+        .filter(node => node.tag === ASN1.TAGS.SEQUENCE)
+        .map(node => X509Certificate.fromDER(node.raw)),
+      signerInfo: this.decodeSignerInfo(signerInfos[0]),
+      der: Array.from(bytes)
+    };
+  }
+
+  static decodeTSTInfo(bytes) {
+    const node = ASN1.expect(ASN1.decode(bytes), ASN1.TAGS.SEQUENCE, 'TSTInfo');
+    const [versionNode, policyNode, imprintNode, serialNode, genTimeNode, ...optional] = node.children;
+    if (ASN1.decodeInteger(versionNode) !== 1) {
+      throw new Error('Unsupported TSTInfo version');
+    }
+
+    const accuracyNode = optional.find(child => child.tag === ASN1.TAGS.SEQUENCE);
+    const nonceNode = optional.find(child => child.tag === ASN1.TAGS.INTEGER);
+    let accuracy = null;
+    if (accuracyNode) {
+      accuracy = { seconds: 0, millis: 0, micros: 0 };
+      accuracyNode.children.forEach(child => {
+        if (child.tag === ASN1.TAGS.INTEGER) accuracy.seconds = ASN1.decodeInteger(child);
+        else if (ASN1.isContext(child, 0)) accuracy.millis = ASN1.decodeInteger(child);
+        else if (ASN1.isContext(child, 1)) accuracy.micros = ASN1.decodeInteger(child);
+      });
+    }
+
+    const [algorithmNode, hashNode] = imprintNode.children;
+    return {
+      policy: ASN1.decodeOID(policyNode),
+      messageImprint: {
+        hashAlgorithm: this.hashAlgorithmName(ASN1.decodeOID(algorithmNode.children[0])) || ASN1.decodeOID(algorithmNode.children[0]),
+        hashedMessage: Array.from(hashNode.content)
+      },
+      serialNumber: ASN1.decodeIntegerHex(serialNode),
+      genTime: ASN1.decodeTime(genTimeNode).toISOString(),
+      accuracy,
+      nonce: nonceNode ? ASN1.decodeIntegerHex(nonceNode) : null
+    };
+  }
+
+  static decodeSignerInfo(node) {
+    const children = [...node.children];
+    children.shift(); // version
+    const sidNode = children.shift();
+    const digestAlgorithmNode = children.shift();
+    const signedAttrsNode = ASN1.isContext(children[0], 0) ? children.shift() : null;
+    const signatureAlgorithmNode = children.shift();
+    const signatureNode = children.shift();
+
+    const sid = ASN1.isContext(sidNode, 0)
+      ? { subjectKeyIdentifier: ASN1.bytesToHex(sidNode.content) }
+      : {
+          issuer: X509Certificate.decodeName(sidNode.children[0]).string,
+          serialNumber: ASN1.decodeIntegerHex(sidNode.children[1])
+        };
+
+    const signedAttrs = {};
+    (signedAttrsNode?.children || []).forEach(attribute => {
+      const type = ASN1.decodeOID(attribute.children[0]);
+      const value = attribute.children[1].children[0];
+      if (type === this.OIDS.CONTENT_TYPE) {
+        signedAttrs.contentType = ASN1.decodeOID(value);
+      } else if (type === this.OIDS.MESSAGE_DIGEST) {
+        signedAttrs.messageDigest = Array.from(value.content);
+      } else if (type === this.OIDS.SIGNING_CERTIFICATE_V2 || type === this.OIDS.SIGNING_CERTIFICATE) {
+        // SigningCertificate(V2) ::= SEQUENCE { certs SEQUENCE OF ESSCertID(v2), ... }
+        const essCertId = value.children[0].children[0];
+        const algorithmNode = essCertId.children[0].tag === ASN1.TAGS.SEQUENCE ? essCertId.children[0] : null;
+        const hashNode = essCertId.children.find(child => child.tag === ASN1.TAGS.OCTET_STRING);
+        signedAttrs.signingCertificate = {
+          hashAlgorithm: type === this.OIDS.SIGNING_CERTIFICATE
+            ? 'SHA-1'
+            : algorithmNode ? this.hashAlgorithmName(ASN1.decodeOID(algorithmNode.children[0])) : 'SHA-256',
+          certHash: Array.from(hashNode.content)
+        };
+      }
+    });
+
+    return {
+      sid,
+      digestAlgorithm: this.hashAlgorithmName(ASN1.decodeOID(digestAlgorithmNode.children[0])),
+      signedAttrs,
+      // The signature covers the attributes re-tagged as a SET (RFC 5652 5.4)
+      signedAttrsDer: signedAttrsNode
+        ? Array.from(ASN1.encode(ASN1.TAGS.SET, signedAttrsNode.content))
+        : null,
+      signatureAlgorithm: ASN1.decodeOID(signatureAlgorithmNode.children[0]),
+      signature: Array.from(signatureNode.content)
+    };
+  }
+
+  static findSigner(sid, certificates) {
+    return certificates.find(certificate => sid.subjectKeyIdentifier
+      ? X509Certificate.getExtension(certificate, X509Certificate.EXTENSIONS.SUBJECT_KEY_ID)?.extnValue === sid.subjectKeyIdentifier
+      : certificate.tbsCertificate.issuer.string === sid.issuer && certificate.tbsCertificate.serialNumber === sid.serialNumber
+    ) || null;
+  }
+
+  /**
+   * Verify a token over `data`. `valid` means the token is intact, signed by
+   * a time-stamping certificate and covers the data; `trusted` additionally
+   * requires that certificate to chain to a trust anchor at genTime.
+   *
+   * options.trustAnchors, options.intermediates and options.revocationCheck
+   * are passed to X509Certificate.verifyCertificate. The TSA certificate is
+   * checked at genTime unless options.validationTime says otherwise, e.g.
+   * the time a later archive timestamp proved the token existed.
+   */
+  static async verify(token, data, options = {}) {
+    const { trustAnchors = [], intermediates = [], revocationCheck = null, validationTime = null } = options;
+    const errors = [];
+
+    let parsed;
+    try {
+      parsed = token?.tstInfo ? token : this.parse(token);
+    } catch (error) {
+      return { valid: false, trusted: false, genTime: null, errors: [`Undecodable timestamp token: ${error.message}`] };
+    }
+    const { tstInfo, signerInfo } = parsed;
+
+    // The token must be about this data
+    const imprintAlgorithm = tstInfo.messageImprint.hashAlgorithm;
+    if (!this.HASH_ALGORITHMS[imprintAlgorithm] || imprintAlgorithm === 'SHA-1') {
+      errors.push(`Unsupported message imprint algorithm: ${imprintAlgorithm}`);
+    } else {
+      const expected = await this.digest(imprintAlgorithm, data);
+      if (ASN1.bytesToHex(expected) !== ASN1.bytesToHex(tstInfo.messageImprint.hashedMessage)) {
+        errors.push('Timestamp does not cover this signature');
+      }
+    }
+
+    // Signed attributes bind the TSTInfo and the signing certificate
+    const { signedAttrs } = signerInfo;
+    if (!signerInfo.signedAttrsDer || signedAttrs.contentType !== this.OIDS.TST_INFO) {
+      errors.push('Timestamp signer attributes are missing or have the wrong content type');
+    }
+    if (!signerInfo.digestAlgorithm || !signedAttrs.messageDigest ||
+        ASN1.bytesToHex(await this.digest(signerInfo.digestAlgorithm, parsed.eContent)) !== ASN1.bytesToHex(signedAttrs.messageDigest)) {
+      errors.push('Timestamp content digest does not match');
+    }
+
+    const signer = this.findSigner(signerInfo.sid, [...parsed.certificates, ...intermediates, ...trustAnchors]);
+    if (!signer) {
+      errors.push('Timestamp authority certificate not found');
+      return { valid: false, trusted: false, genTime: tstInfo.genTime, tstInfo, errors };
+    }
+
+    if (!signedAttrs.signingCertificate) {
+      errors.push('Timestamp does not identify its signing certificate');
+    } else {
+      const certHash = await this.digest(signedAttrs.signingCertificate.hashAlgorithm, signer.der);
+      if (ASN1.bytesToHex(certHash) !== ASN1.bytesToHex(signedAttrs.signingCertificate.certHash)) {
+        errors.push('Timestamp signing certificate hash does not match');
+      }
+    }
+
+    // ecdsa-with-SHAxxx, or a bare ecPublicKey combined with the digest algorithm
+    const algorithmName = Object.keys(X509Certificate.SIGNATURE_ALGORITHMS)
+      .find(name => X509Certificate.SIGNATURE_ALGORITHMS[name].oid === signerInfo.signatureAlgorithm) ||
+      (signerInfo.signatureAlgorithm === this.OIDS.EC_PUBLIC_KEY
+        ? Object.keys(X509Certificate.SIGNATURE_ALGORITHMS).find(name => X509Certificate.SIGNATURE_ALGORITHMS[name].hash === signerInfo.digestAlgorithm)
+        : null);
+    let signatureValid = false;
+    try {
+      signatureValid = !!signerInfo.signedAttrsDer && await X509Certificate.verifyDERSignature(
+        signer,
+        algorithmName,
+        signerInfo.signature,
+        signerInfo.signedAttrsDer
+      );
+    } catch (error) {
+      console.warn('Timestamp signature check failed:', error.message);
+    }
+    if (!signatureValid) {
+      errors.push('Timestamp signature does not verify');
+    }
+
+    // RFC 3161 2.3: the TSA certificate has one critical extended key usage
+    const extendedKeyUsage = X509Certificate.getExtension(signer, X509Certificate.EXTENSIONS.EXTENDED_KEY_USAGE);
+    if (!extendedKeyUsage?.critical ||
+        extendedKeyUsage.extnValue.length !== 1 ||
+        extendedKeyUsage.extnValue[0] !== X509Certificate.EXTENDED_KEY_USAGE.TIMESTAMPING) {
+      errors.push('Signer is not a time-stamping certificate');
+    }
+
+    const valid = errors.length === 0;
+    const chain = await X509Certificate.verifyCertificate(signer, {
+      trustAnchors,
+      intermediates: [...parsed.certificates.filter(certificate => certificate !== signer), ...intermediates],
+      validationTime: validationTime ? new Date(validationTime) : new Date(tstInfo.genTime),
+      revocationCheck
+    });
+
+    return {
+      valid,
+      trusted: valid && chain.valid,
+      genTime: tstInfo.genTime,
+      accuracy: tstInfo.accuracy,
+      policy: tstInfo.policy,
+      serialNumber: tstInfo.serialNumber,
+      tsa: signer.tbsCertificate.subject.string,
+      tstInfo,
+      chain,
+      errors: chain.valid ? errors : [...errors, ...chain.errors]
+    };
+  }
+}
@@ -0,0 +1,1340 @@
+import { WebCryptoUtils } from '../crypto/WebCryptoUtils';
+import { Signer } from '../crypto/Signer';
+import { ASN1 } from './ASN1';
+
+/**
+ * X.509 v3 certificate implementation following RFC 5280
+ * Certificates are DER encoded and signed with Web Crypto; the decoded
+ * fields are kept next to the DER bytes for display and lookups
+ */
+export class X509Certificate {
+  static VERSION = {
+    V1: 0,
+    V2: 1,
+    V3: 2
+  };
+
+  static SIGNATURE_ALGORITHMS = {
+    'ES384': {
+      name: 'ECDSA',
+      hash: 'SHA-384',
+      oid: '1.2.840.10045.4.3.3' // ecdsa-with-SHA384
+    },
+    'ES256': {
+      name: 'ECDSA',
+      hash: 'SHA-256',
+      oid: '1.2.840.10045.4.3.2' // ecdsa-with-SHA256
+    },
+    'PS256': {
+      name: 'RSA-PSS',
+      hash: 'SHA-256',
+      saltLength: 32,
+      oid: '1.2.840.113549.1.1.10' // id-RSASSA-PSS
+    },
+    'Ed25519': {
+      name: 'Ed25519',
+      hash: null,
+      oid: '1.3.101.112' // id-Ed25519
+    }
+  };
+
+  static HASH_OIDS = {
+    'SHA-256': '2.16.840.1.101.3.4.2.1',
+    'SHA-384': '2.16.840.1.101.3.4.2.2',
+    'SHA-512': '2.16.840.1.101.3.4.2.3'
+  };
+
+  static MGF1_OID = '1.2.840.113549.1.1.8';
+
+  static KEY_ALGORITHMS = {
+    '1.2.840.10045.2.1': 'ecPublicKey',
+    '1.2.840.113549.1.1.1': 'rsaEncryption',
+    '1.2.840.113549.1.1.10': 'RSASSA-PSS',
+    '1.3.101.112': 'Ed25519'
+  };
+
+  static NAMED_CURVES = {
+    '1.2.840.10045.3.1.7': 'prime256v1',
+    '1.3.132.0.34': 'secp384r1',
+    '1.3.132.0.35': 'secp521r1'
+  };
+
+  static KEY_USAGE = {
+    DIGITAL_SIGNATURE: 0x80,
+    NON_REPUDIATION: 0x40,
+    KEY_ENCIPHERMENT: 0x20,
+    DATA_ENCIPHERMENT: 0x10,
+    KEY_AGREEMENT: 0x08,
+    KEY_CERT_SIGN: 0x04,
+    CRL_SIGN: 0x02
+  };
+
+  // keyUsage BIT STRING positions (RFC 5280 section 4.2.1.3)
+  static KEY_USAGE_BITS = [
+    'digitalSignature',
+    'contentCommitment',
+    'keyEncipherment',
+    'dataEncipherment',
+    'keyAgreement',
+    'keyCertSign',
+    'cRLSign',
+    'encipherOnly',
+    'decipherOnly'
+  ];
+
+  static EXTENDED_KEY_USAGE = {
+    CONTENT_COMMITMENT: '1.3.6.1.4.1.62558.2.1', // c2pa-kp-claimSigning
+    TIMESTAMPING: '1.3.6.1.5.5.7.3.8',
+    OCSP_SIGNING: '1.3.6.1.5.5.7.3.9',
+    DOCUMENT_SIGNING: '1.3.6.1.4.1.311.10.3.12'
+  };
+
+  static EXTENSIONS = {
+    BASIC_CONSTRAINTS: '2.5.29.19',
+    KEY_USAGE: '2.5.29.15',
+    EXTENDED_KEY_USAGE: '2.5.29.37',
+    SUBJECT_ALT_NAME: '2.5.29.17',
+    AUTHORITY_KEY_ID: '2.5.29.35',
+    SUBJECT_KEY_ID: '2.5.29.14',
+    AUTHORITY_INFO_ACCESS: '1.3.6.1.5.5.7.1.1',
+    C2PA: '1.3.6.1.4.1.54321.1', // Custom OID for C2PA compatibility
+    PREDECESSOR: '1.3.6.1.4.1.54321.2' // Certificate this one renews
+  };
+
+  // accessMethod values in authorityInfoAccess
+  static ACCESS_METHODS = {
+    ocsp: '1.3.6.1.5.5.7.48.1',
+    caIssuers: '1.3.6.1.5.5.7.48.2'
+  };
+
+  // Distinguished name attributes in display order
+  static DN_ATTRIBUTES = [
+    { key: 'commonName', oid: '2.5.4.3', abbreviation: 'CN' },
+    { key: 'organizationName', oid: '2.5.4.10', abbreviation: 'O' },
+    { key: 'organizationalUnitName', oid: '2.5.4.11', abbreviation: 'OU' },
+    { key: 'localityName', oid: '2.5.4.7', abbreviation: 'L' },
+    { key: 'stateOrProvinceName', oid: '2.5.4.8', abbreviation: 'ST' },
+    { key: 'countryName', oid: '2.5.4.6', abbreviation: 'C', stringType: 'printable' },
+    { key: 'emailAddress', oid: '1.2.840.113549.1.9.1', abbreviation: 'E', stringType: 'ia5' }
+  ];
+
+  // GeneralName choices used in subjectAltName
+  static GENERAL_NAME_TAGS = {
+    email: 1,
+    dns: 2,
+    uri: 6
+  };
+
+  /**
+   * Generate a new X.509 v3 certificate. The issuer is either distinguished
+   * name info (legacy, self-signed key) or an issuing certificate with its
+   * key pair, in which case the new certificate is signed by that issuer.
+   */
+  static async generateCertificate(subjectInfo, issuerInfo = null, options = {}) {
+    // options.publicKey certifies a key held elsewhere (e.g. from a CSR or
+    // a signing service); the result then carries no key pair. Without an
+    // issuer, options.signer self-signs with that key.
+    const keyPair = options.publicKey ? null : await WebCryptoUtils.generateKeyPair(options.signatureAlgorithm);
+    if (options.hashAlgorithm && !WebCryptoUtils.HASH_ALGORITHMS.includes(options.hashAlgorithm)) {
+      throw new Error(`Unsupported hash algorithm: ${options.hashAlgorithm}`);
+    }
+    const publicKeyData = options.publicKey
+      ? Array.from(options.publicKey)
+      : await WebCryptoUtils.exportPublicKey(keyPair.publicKey);
+    const privateKeyData = keyPair ? await WebCryptoUtils.exportPrivateKey(keyPair.privateKey) : null;
+
+    // DER times carry whole seconds only
+    const now = new Date();
+    const validityPeriod = options.validityDays || 365;
+    const notBefore = new Date(Math.floor((options.notBefore || now).getTime() / 1000) * 1000);
+    const notAfter = new Date(notBefore.getTime() + validityPeriod * 24 * 60 * 60 * 1000);
+
+    // Generate certificate serial number (should be unique)
+    const serialNumber = this.generateSerialNumber();
+
+    // If self-signed, issuer is same as subject
+    const issuerCertificate = issuerInfo?.tbsCertificate ? issuerInfo : null;
+    if (issuerCertificate && !issuerCertificate.keyPair?.privateKey) {
+      throw new Error('Issuer certificate has no private key to sign with');
+    }
+    if (options.publicKey && !issuerCertificate && !options.signer) {
+      throw new Error('A certificate for an external public key must be issued by a CA');
+    }
+    const actualIssuer = issuerCertificate
+      ? issuerCertificate.tbsCertificate.subject
+      : issuerInfo || subjectInfo;
+    const subjectKeyId = await this.calculateKeyIdentifier(publicKeyData);
+    // A renewal is vouched for by the key being replaced
+    const predecessorLink = options.predecessor
+      ? await this.createPredecessorLink(options.predecessor)
+      : null;
+    const issuerKeyId = issuerCertificate
+      ? this.getExtension(issuerCertificate, this.EXTENSIONS.SUBJECT_KEY_ID)?.extnValue || null
+      : null;
+    const signer = Signer.resolve(issuerCertificate
+      ? issuerCertificate.keyPair.privateKey
+      : options.signer || keyPair.privateKey);
+
+    // Create TBS (To Be Signed) certificate structure
+    const tbsCertificate = {
+      version: this.VERSION.V3,
+      serialNumber: serialNumber,
+      signature: {
+        algorithm: signer.algorithm,
+        parameters: null
+      },
+      issuer: this.formatDistinguishedName(actualIssuer),
+      validity: {
+        notBefore: notBefore.toISOString(),
+        notAfter: notAfter.toISOString()
+      },
+      subject: this.formatDistinguishedName(subjectInfo),
+      subjectPublicKeyInfo: this.decodeSubjectPublicKeyInfo(ASN1.decode(publicKeyData)),
+      extensions: this.createExtensions({
+        ...options,
+        subjectKeyId,
+        predecessorLink,
+        authorityKeyId: options.authorityKeyId || issuerKeyId || (issuerInfo ? null : subjectKeyId)
+      })
+    };
+
+    if (predecessorLink) {
+      await this.signPredecessorLink(options.predecessor, tbsCertificate);
+    }
+
+    const tbsDer = this.encodeTBSCertificate(tbsCertificate);
+    const { algorithm, signature } = await this.signDER(signer, tbsDer);
+    const der = ASN1.sequence(
+      tbsDer,
+      this.encodeAlgorithmIdentifier(algorithm),
+      ASN1.bitString(signature)
+    );
+
+    // Fingerprint (thumbprint) over the complete DER certificate
+    const fingerprint = await this.calculateFingerprint(der);
+    const decoded = this.fromDER(der);
+
+    const certificate = {
+      // Add ID for IndexedDB storage
+      id: `cert-${serialNumber}-${Date.now()}`,
+
+      // X.509 v3 Certificate Structure
+      ...decoded,
+
+      // Additional metadata
+      fingerprint: {
+        sha256: fingerprint.sha256,
+        sha384: fingerprint.sha384
+      },
+      keyPair: keyPair,
+      privateKey: privateKeyData,
+
+      // Certificate chain info
+      isSelfSigned: !issuerInfo,
+      trustChain: options.trustChain || (issuerCertificate
+        ? [issuerCertificate.tbsCertificate.subject.string, ...(issuerCertificate.trustChain || [])]
+            .filter(entry => entry !== 'self-signed')
+        : ['self-signed']),
+      // DER certificates of the issuing CAs below the root, nearest first
+      chain: issuerCertificate && !issuerCertificate.isSelfSigned
+        ? [issuerCertificate.der, ...(issuerCertificate.chain || [])]
+        : [],
+      // DER certificates this one renews, most recent first
+      predecessors: options.predecessor
+        ? [options.predecessor.der, ...(options.predecessor.predecessors || [])]
+        : [],
+
+      // C2PA compatibility fields
+      c2pa: {
+        version: '1.0',
+        claim_generator: 'Image Certification Studio/2.0',
+        claim_generator_info: [
+          {
+            name: 'Image Certification Studio',
+            version: '2.0',
+            icon: null
+          }
+        ]
+      }
+    };
+
+    return certificate;
+  }
+
+  /**
+   * Format Distinguished Name following X.500 standard
+   */
+  static formatDistinguishedName(info) {
+    const dn = {
+      commonName: info.name || info.commonName || 'Unknown',
+      organizationName: info.organization || info.organizationName || null,
+      organizationalUnitName: info.organizationalUnit || info.department || info.organizationalUnitName || null,
+      localityName: info.locality || info.city || info.localityName || null,
+      stateOrProvinceName: info.state || info.stateOrProvinceName || null,
+      countryName: info.country || info.countryName || null,
+      emailAddress: info.email || info.emailAddress || null
+    };
+
+    // Create string representation
+    const dnString = Object.entries(dn)
+      .filter(([_, value]) => value !== null)
+      .map(([key, value]) => {
+        const abbreviation = this.getDNAbbreviation(key);
+        return `${abbreviation}=${value}`;
+      })
+      .join(', ');
+
+    return {
+      ...dn,
+      string: dnString
+    };
+  }
+
+  static getDNAbbreviation(key) {
+    const attribute = this.DN_ATTRIBUTES.find(a => a.key === key);
+    return attribute ? attribute.abbreviation : key;
+  }
+
+  /**
+   * Create X.509 v3 extensions
+   */
+  static createExtensions(options) {
+    const extensions = [];
+
+    // Basic Constraints (critical for CA certificates)
+    extensions.push({
+      extnID: this.EXTENSIONS.BASIC_CONSTRAINTS,
+      critical: true,
+      extnValue: {
+        cA: options.isCA || false,
+        pathLenConstraint: options.isCA && Number.isInteger(options.pathLenConstraint)
+          ? options.pathLenConstraint
+          : null
+      }
+    });
+
+    // Key Usage
+    extensions.push({
+      extnID: this.EXTENSIONS.KEY_USAGE,
+      critical: true,
+      extnValue: options.keyUsage || (options.isCA
+        ? ['digitalSignature', 'keyCertSign', 'cRLSign']
+        : ['digitalSignature', 'contentCommitment'])
+    });
+
+    // Extended Key Usage for content authenticity, or a dedicated purpose
+    // such as time-stamping (which RFC 3161 requires to be critical)
+    if (!options.isCA) {
+      extensions.push({
+        extnID: this.EXTENSIONS.EXTENDED_KEY_USAGE,
+        critical: !!options.extendedKeyUsageCritical,
+        extnValue: options.extendedKeyUsage || [
+          this.EXTENDED_KEY_USAGE.CONTENT_COMMITMENT,
+          this.EXTENDED_KEY_USAGE.DOCUMENT_SIGNING
+        ]
+      });
+    }
+
+    // Subject Alternative Name (if provided)
+    if (options.subjectAltNames && options.subjectAltNames.length > 0) {
+      extensions.push({
+        extnID: this.EXTENSIONS.SUBJECT_ALT_NAME,
+        critical: false,
+        extnValue: options.subjectAltNames
+      });
+    }
+
+    // Subject Key Identifier
+    if (options.subjectKeyId) {
+      extensions.push({
+        extnID: this.EXTENSIONS.SUBJECT_KEY_ID,
+        critical: false,
+        extnValue: options.subjectKeyId
+      });
+    }
+
+    // Authority Key Identifier
+    if (options.authorityKeyId) {
+      extensions.push({
+        extnID: this.EXTENSIONS.AUTHORITY_KEY_ID,
+        critical: false,
+        extnValue: {
+          keyIdentifier: options.authorityKeyId
+        }
+      });
+    }
+
+    // Authority Information Access: where the issuer answers status queries
+    if (options.ocspUrl) {
+      extensions.push({
+        extnID: this.EXTENSIONS.AUTHORITY_INFO_ACCESS,
+        critical: false,
+        extnValue: [{ method: 'ocsp', location: options.ocspUrl }]
+      });
+    }
+
+    // Link to the certificate this one renews
+    if (options.predecessorLink) {
+      extensions.push({
+        extnID: this.EXTENSIONS.PREDECESSOR,
+        critical: false,
+        extnValue: options.predecessorLink
+      });
+    }
+
+    // C2PA specific extension for content authenticity
+    extensions.push({
+      extnID: this.EXTENSIONS.C2PA,
+      critical: false,
+      extnValue: {
+        purpose: 'content-authenticity',
+        capabilities: ['capture', 'edit', 'sign'],
+        trustModel: options.trustModel || 'self-signed-development',
+        // Digest the holder binds images with
+        hashAlgorithm: options.hashAlgorithm
+      }
+    });
+
+    return extensions;
+  }
+
+  /**
+   * Generate unique serial number (positive, at most 20 octets)
+   */
+  static generateSerialNumber() {
+    const bytes = new Uint8Array(20);
+    crypto.getRandomValues(bytes);
+    bytes[0] = (bytes[0] & 0x7F) || 0x01;
+    return Array.from(bytes)
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Key identifier: SHA-1 of the subjectPublicKey bits (RFC 5280 4.2.1.2)
+   */
+  static async calculateKeyIdentifier(spki) {
+    const spkiNode = ASN1.decode(spki);
+    const { bytes } = ASN1.decodeBitString(spkiNode.children[1]);
+    const digest = await crypto.subtle.digest('SHA-1', new Uint8Array(bytes));
+    return ASN1.bytesToHex(new Uint8Array(digest));
+  }
+
+  /**
+   * Calculate certificate fingerprint over DER bytes (or a string)
+   */
+  static async calculateFingerprint(data) {
+    const dataBytes = typeof data === 'string'
+      ? new TextEncoder().encode(data)
+      : new Uint8Array(data);
+
+    const sha256Buffer = await crypto.subtle.digest('SHA-256', dataBytes);
+    const sha384Buffer = await crypto.subtle.digest('SHA-384', dataBytes);
+
+    return {
+      sha256: this.bufferToHex(sha256Buffer),
+      sha384: this.bufferToHex(sha384Buffer)
+    };
+  }
+
+  static bufferToHex(buffer) {
+    const bytes = new Uint8Array(buffer);
+    return Array.from(bytes)
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join(':')
+      .toUpperCase();
+  }
+
+  // DER encoding
+
+  static encodeTBSCertificate(tbs) {
+    const extensions = tbs.extensions || [];
+    return ASN1.sequence(
+      ASN1.contextSpecific(0, ASN1.integer(tbs.version)),
+      ASN1.integer(tbs.serialNumber),
+      this.encodeAlgorithmIdentifier(tbs.signature.algorithm),
+      this.encodeName(tbs.issuer),
+      ASN1.sequence(
+        ASN1.time(tbs.validity.notBefore),
+        ASN1.time(tbs.validity.notAfter)
+      ),
+      this.encodeName(tbs.subject),
+      // Web Crypto exports the complete SubjectPublicKeyInfo structure
+      new Uint8Array(tbs.subjectPublicKeyInfo.publicKey),
+      extensions.length > 0
+        ? ASN1.contextSpecific(3, ASN1.sequence(...extensions.map(ext => this.encodeExtension(ext))))
+        : null
+    );
+  }
+
+  /**
+   * ECDSA and Ed25519 AlgorithmIdentifiers omit the parameters field
+   * (RFC 5758, RFC 8410); RSASSA-PSS spells out its hash, MGF1 hash and
+   * salt length (RFC 4055)
+   */
+  static encodeAlgorithmIdentifier(algorithm) {
+    const info = this.SIGNATURE_ALGORITHMS[algorithm];
+    if (!info) {
+      throw new Error(`Unsupported signature algorithm: ${algorithm}`);
+    }
+    if (info.name === 'RSA-PSS') {
+      const hashAlgorithm = ASN1.sequence(ASN1.oid(this.HASH_OIDS[info.hash]), ASN1.null());
+      return ASN1.sequence(ASN1.oid(info.oid), ASN1.sequence(
+        ASN1.contextSpecific(0, hashAlgorithm),
+        ASN1.contextSpecific(1, ASN1.sequence(ASN1.oid(this.MGF1_OID), hashAlgorithm)),
+        ASN1.contextSpecific(2, ASN1.integer(info.saltLength))
+      ));
+    }
+    return ASN1.sequence(ASN1.oid(info.oid));
+  }
+
+  /**
+   * Sign DER data with a Web Crypto key or a signer. X.509 and CMS carry
+   * ECDSA signatures as a DER Ecdsa-Sig-Value rather than Web Crypto's raw
+   * r||s; RSA-PSS and Ed25519 signatures are used as-is.
+   */
+  static async signDER(keyOrSigner, data) {
+    const { algorithm, sign } = Signer.resolve(keyOrSigner);
+    const rawSignature = await sign(data);
+    return {
+      algorithm,
+      signature: this.SIGNATURE_ALGORITHMS[algorithm].name === 'ECDSA'
+        ? ASN1.encodeECDSASignature(rawSignature)
+        : new Uint8Array(rawSignature)
+    };
+  }
+
+  /**
+   * Encode a Name as an RDNSequence, most general attribute first
+   */
+  static encodeName(dn) {
+    const rdns = [...this.DN_ATTRIBUTES]
+      .reverse()
+      .filter(attribute => dn[attribute.key])
+      .map(attribute => {
+        const value = String(dn[attribute.key]);
+        const encodedValue = attribute.stringType === 'printable'
+          ? ASN1.printableString(value)
+          : attribute.stringType === 'ia5'
+            ? ASN1.ia5String(value)
+            : ASN1.utf8String(value);
+        return ASN1.set(ASN1.sequence(ASN1.oid(attribute.oid), encodedValue));
+      });
+    return ASN1.sequence(...rdns);
+  }
+
+  static encodeExtension(extension) {
+    return ASN1.sequence(
+      ASN1.oid(extension.extnID),
+      // DER omits BOOLEAN fields equal to their DEFAULT (FALSE)
+      extension.critical ? ASN1.boolean(true) : null,
+      ASN1.octetString(this.encodeExtensionValue(extension))
+    );
+  }
+
+  static encodeExtensionValue({ extnID, extnValue }) {
+    switch (extnID) {
+      case this.EXTENSIONS.BASIC_CONSTRAINTS:
+        return ASN1.sequence(
+          extnValue.cA ? ASN1.boolean(true) : null,
+          extnValue.cA && Number.isInteger(extnValue.pathLenConstraint)
+            ? ASN1.integer(extnValue.pathLenConstraint)
+            : null
+        );
+      case this.EXTENSIONS.KEY_USAGE: {
+        const bits = new Set(extnValue.map(name =>
+          name === 'nonRepudiation' ? 1 : this.KEY_USAGE_BITS.indexOf(name)
+        ));
+        bits.delete(-1);
+        return ASN1.namedBitString([...bits]);
+      }
+      case this.EXTENSIONS.EXTENDED_KEY_USAGE:
+        return ASN1.sequence(...extnValue.map(oid => ASN1.oid(oid)));
+      case this.EXTENSIONS.SUBJECT_ALT_NAME:
+        return ASN1.sequence(...extnValue.map(name => {
+          const tag = this.GENERAL_NAME_TAGS[name.type];
+          if (tag === undefined) {
+            throw new Error(`Unsupported subjectAltName type: ${name.type}`);
+          }
+          return ASN1.contextSpecific(tag, new TextEncoder().encode(name.value), false);
+        }));
+      case this.EXTENSIONS.SUBJECT_KEY_ID:
+        return ASN1.octetString(ASN1.hexToBytes(extnValue));
+      case this.EXTENSIONS.AUTHORITY_KEY_ID:
+        return ASN1.sequence(
+          ASN1.contextSpecific(0, ASN1.hexToBytes(extnValue.keyIdentifier), false)
+        );
+      case this.EXTENSIONS.AUTHORITY_INFO_ACCESS:
+        return ASN1.sequence(...extnValue.map(access => ASN1.sequence(
+          ASN1.oid(this.ACCESS_METHODS[access.method] || access.method),
+          ASN1.contextSpecific(this.GENERAL_NAME_TAGS.uri, new TextEncoder().encode(access.location), false)
+        )));
+      case this.EXTENSIONS.C2PA:
+        return ASN1.utf8String(WebCryptoUtils.canonicalize(extnValue));
+      case this.EXTENSIONS.PREDECESSOR:
+        return ASN1.sequence(
+          ASN1.octetString(ASN1.hexToBytes(extnValue.certificateHash)),
+          ASN1.integer(extnValue.serialNumber),
+          ASN1.octetString(ASN1.hexToBytes(extnValue.linkSignature))
+        );
+      default:
+        // Unrecognized extensions keep their DER value as hex
+        return ASN1.hexToBytes(extnValue);
+    }
+  }
+
+  // DER decoding
+
+  /**
+   * Decode a DER certificate into the tbsCertificate structure used
+   * throughout the app. The DER bytes are kept for export and fingerprints.
+   */
+  static fromDER(der) {
+    const bytes = ASN1.toBytes(der);
+    const root = ASN1.expect(ASN1.decode(bytes), ASN1.TAGS.SEQUENCE, 'Certificate');
+    const [tbsNode, signatureAlgorithmNode, signatureValueNode] = root.children;
+    if (!signatureValueNode) {
+      throw new Error('Certificate is missing its signature');
+    }
+
+    const tbsCertificate = this.decodeTBSCertificate(tbsNode);
+    const signatureAlgorithm = this.decodeAlgorithmIdentifier(signatureAlgorithmNode);
+    ASN1.expect(signatureValueNode, ASN1.TAGS.BIT_STRING, 'signatureValue');
+
+    return {
+      tbsCertificate,
+      signatureAlgorithm: {
+        algorithm: signatureAlgorithm.algorithm,
+        oid: signatureAlgorithm.oid
+      },
+      signatureValue: Array.from(ASN1.decodeBitString(signatureValueNode).bytes),
+      der: Array.from(bytes),
+      isSelfSigned: tbsCertificate.issuer.string === tbsCertificate.subject.string
+    };
+  }
+
+  /**
+   * Get the DER-encoded TBSCertificate exactly as it was signed
+   */
+  static getTBSBytes(certificate) {
+    if (!certificate.der) {
+      throw new Error('Certificate has no DER encoding');
+    }
+    return ASN1.decode(certificate.der).children[0].raw;
+  }
+
+  static decodeTBSCertificate(node) {
+    ASN1.expect(node, ASN1.TAGS.SEQUENCE, 'TBSCertificate');
+    const children = node.children;
+    let index = 0;
+
+    let version = this.VERSION.V1;
+    if (ASN1.isContext(children[0], 0)) {
+      version = ASN1.decodeInteger(children[0].children[0]);
+      index++;
+    }
+
+    const serialNumber = ASN1.decodeIntegerHex(ASN1.expect(children[index++], ASN1.TAGS.INTEGER, 'serialNumber'));
+    const signature = this.decodeAlgorithmIdentifier(children[index++]);
+    const issuer = this.decodeName(children[index++]);
+    const validityNode = ASN1.expect(children[index++], ASN1.TAGS.SEQUENCE, 'validity');
+    const subject = this.decodeName(children[index++]);
+    const subjectPublicKeyInfo = this.decodeSubjectPublicKeyInfo(children[index++]);
+
+    let extensions = [];
+    for (; index < children.length; index++) {
+      if (ASN1.isContext(children[index], 3)) {
+        extensions = children[index].children[0].children.map(ext => this.decodeExtension(ext));
+      }
+    }
+
+    return {
+      version,
+      serialNumber,
+      signature,
+      issuer,
+      validity: {
+        notBefore: ASN1.decodeTime(validityNode.children[0]).toISOString(),
+        notAfter: ASN1.decodeTime(validityNode.children[1]).toISOString()
+      },
+      subject,
+      subjectPublicKeyInfo,
+      extensions
+    };
+  }
+
+  static decodeAlgorithmIdentifier(node) {
+    ASN1.expect(node, ASN1.TAGS.SEQUENCE, 'AlgorithmIdentifier');
+    const oid = ASN1.decodeOID(node.children[0]);
+    let name = Object.keys(this.SIGNATURE_ALGORITHMS)
+      .find(key => this.SIGNATURE_ALGORITHMS[key].oid === oid);
+    if (name === 'PS256') {
+      // RSASSA-PSS names its hash in the parameters (SHA-1 when absent)
+      const hashNode = node.children[1]?.children?.find(child => ASN1.isContext(child, 0));
+      const hashOid = hashNode ? ASN1.decodeOID(hashNode.children[0].children[0]) : null;
+      if (hashOid !== this.HASH_OIDS['SHA-256']) {
+        name = null;
+      }
+    }
+    return {
+      algorithm: name || oid,
+      oid,
+      parameters: null
+    };
+  }
+
+  static decodeSubjectPublicKeyInfo(node) {
+    ASN1.expect(node, ASN1.TAGS.SEQUENCE, 'SubjectPublicKeyInfo');
+    const [algorithmNode] = node.children;
+    const keyOid = ASN1.decodeOID(algorithmNode.children[0]);
+    const parametersNode = algorithmNode.children[1];
+    const parameters = parametersNode && parametersNode.tag === ASN1.TAGS.OID
+      ? this.NAMED_CURVES[ASN1.decodeOID(parametersNode)] || ASN1.decodeOID(parametersNode)
+      : null;
+
+    return {
+      algorithm: {
+        algorithm: this.KEY_ALGORITHMS[keyOid] || keyOid,
+        parameters
+      },
+      // Keep the full SPKI so it can be imported with Web Crypto directly
+      publicKey: Array.from(node.raw)
+    };
+  }
+
+  static decodeName(node) {
+    ASN1.expect(node, ASN1.TAGS.SEQUENCE, 'Name');
+    const dn = {};
+    this.DN_ATTRIBUTES.forEach(attribute => {
+      dn[attribute.key] = null;
+    });
+    const otherAttributes = [];
+
+    node.children.forEach(rdn => {
+      rdn.children.forEach(attributeNode => {
+        const oid = ASN1.decodeOID(attributeNode.children[0]);
+        const value = ASN1.decodeString(attributeNode.children[1]);
+        const attribute = this.DN_ATTRIBUTES.find(a => a.oid === oid);
+        if (attribute) {
+          if (dn[attribute.key] === null) {
+            dn[attribute.key] = value;
+          }
+        } else {
+          otherAttributes.push(`${oid}=${value}`);
+        }
+      });
+    });
+
+    const dnString = [
+      ...this.DN_ATTRIBUTES
+        .filter(attribute => dn[attribute.key] !== null)
+        .map(attribute => `${attribute.abbreviation}=${dn[attribute.key]}`),
+      ...otherAttributes
+    ].join(', ');
+
+    return {
+      ...dn,
+      string: dnString
+    };
+  }
+
+  static decodeExtension(node) {
+    const extnID = ASN1.decodeOID(node.children[0]);
+    let critical = false;
+    let valueNode = node.children[1];
+    if (valueNode.tag === ASN1.TAGS.BOOLEAN) {
+      critical = ASN1.decodeBoolean(valueNode);
+      valueNode = node.children[2];
+    }
+    const valueBytes = ASN1.expect(valueNode, ASN1.TAGS.OCTET_STRING, 'extnValue').content;
+
+    return {
+      extnID,
+      critical,
+      extnValue: this.decodeExtensionValue(extnID, valueBytes)
+    };
+  }
+
+  static decodeExtensionValue(extnID, bytes) {
+    switch (extnID) {
+      case this.EXTENSIONS.BASIC_CONSTRAINTS: {
+        const children = ASN1.decode(bytes).children;
+        const cA = children[0]?.tag === ASN1.TAGS.BOOLEAN ? ASN1.decodeBoolean(children[0]) : false;
+        const pathLenNode = children.find(child => child.tag === ASN1.TAGS.INTEGER);
+        return {
+          cA,
+          pathLenConstraint: pathLenNode ? ASN1.decodeInteger(pathLenNode) : null
+        };
+      }
+      case this.EXTENSIONS.KEY_USAGE:
+        return ASN1.decodeNamedBits(ASN1.decode(bytes))
+          .map(bit => this.KEY_USAGE_BITS[bit])
+          .filter(Boolean);
+      case this.EXTENSIONS.EXTENDED_KEY_USAGE:
+        return ASN1.decode(bytes).children.map(child => ASN1.decodeOID(child));
+      case this.EXTENSIONS.SUBJECT_ALT_NAME:
+        return ASN1.decode(bytes).children.map(child => {
+          const type = Object.keys(this.GENERAL_NAME_TAGS)
+            .find(key => this.GENERAL_NAME_TAGS[key] === child.tagNumber);
+          return type
+            ? { type, value: ASN1.decodeString(child) }
+            : { type: 'other', tag: child.tagNumber, value: ASN1.bytesToHex(child.raw) };
+        });
+      case this.EXTENSIONS.SUBJECT_KEY_ID:
+        return ASN1.bytesToHex(ASN1.decode(bytes).content);
+      case this.EXTENSIONS.AUTHORITY_KEY_ID: {
+        const keyIdNode = ASN1.decode(bytes).children.find(child => ASN1.isContext(child, 0));
+        return {
+          keyIdentifier: keyIdNode ? ASN1.bytesToHex(keyIdNode.content) : null
+        };
+      }
+      case this.EXTENSIONS.AUTHORITY_INFO_ACCESS:
+        return ASN1.decode(bytes).children.map(description => {
+          const [methodNode, locationNode] = description.children;
+          const oid = ASN1.decodeOID(methodNode);
+          return {
+            method: Object.keys(this.ACCESS_METHODS).find(key => this.ACCESS_METHODS[key] === oid) || oid,
+            location: locationNode.tagNumber === this.GENERAL_NAME_TAGS.uri ? ASN1.decodeString(locationNode) : null
+          };
+        });
+      case this.EXTENSIONS.C2PA:
+        return JSON.parse(ASN1.decodeString(ASN1.decode(bytes)));
+      case this.EXTENSIONS.PREDECESSOR: {
+        const [hashNode, serialNode, signatureNode] = ASN1.decode(bytes).children;
+        return {
+          certificateHash: ASN1.bytesToHex(hashNode.content),
+          serialNumber: ASN1.decodeIntegerHex(serialNode),
+          linkSignature: ASN1.bytesToHex(signatureNode.content)
+        };
+      }
+      default:
+        return ASN1.bytesToHex(bytes);
+    }
+  }
+
+  /**
+   * Export certificate in PEM format (RFC 7468) followed by its issuing
+   * CA certificates, optionally followed by the PKCS#8 private key
+   */
+  static exportCertificate(certificate, includePrivateKey = false) {
+    if (!certificate.der) {
+      throw new Error('Certificate has no DER encoding; generate a new certificate to export it');
+    }
+
+    const pemCert = [certificate.der, ...(certificate.chain || [])]
+      .map(der => ASN1.toPEM(der, 'CERTIFICATE'))
+      .join('\n');
+
+    if (includePrivateKey && certificate.privateKey) {
+      const pemKey = ASN1.toPEM(certificate.privateKey, 'PRIVATE KEY');
+      return `${pemCert}\n\n${pemKey}`;
+    }
+
+    return pemCert;
+  }
+
+  static getExtension(certificate, extnID) {
+    const tbs = certificate.tbsCertificate || certificate;
+    return (tbs.extensions || []).find(ext => ext.extnID === extnID) || null;
+  }
+
+  /**
+   * Signature algorithm the certificate's key signs with (e.g. ES256)
+   */
+  static getSignatureAlgorithm(certificate) {
+    return WebCryptoUtils.detectKeyAlgorithm(certificate.tbsCertificate.subjectPublicKeyInfo.publicKey);
+  }
+
+  /**
+   * Digest the certificate holder binds images with, from the C2PA
+   * extension; certificates that predate the choice use the default
+   */
+  static getImageHashAlgorithm(certificate) {
+    return this.getExtension(certificate, this.EXTENSIONS.C2PA)?.extnValue?.hashAlgorithm ||
+      certificate.hashAlgorithm ||
+      WebCryptoUtils.DEFAULT_HASH_ALGORITHM;
+  }
+
+  // Expiry and renewal
+
+  /**
+   * Where a certificate stands in its validity window: 'valid', 'expiring'
+   * (within warningDays of notAfter), 'expired' or 'not-yet-valid'
+   */
+  static getExpiryStatus(certificate, { now = new Date(), warningDays = 30 } = {}) {
+    const validity = certificate?.tbsCertificate?.validity;
+    if (!validity?.notAfter) {
+      return { status: 'valid', notAfter: null, daysRemaining: null };
+    }
+
+    const notAfter = new Date(validity.notAfter);
+    const daysRemaining = Math.floor((notAfter - now) / (24 * 60 * 60 * 1000));
+    let status = 'valid';
+    if (validity.notBefore && now < new Date(validity.notBefore)) {
+      status = 'not-yet-valid';
+    } else if (now > notAfter) {
+      status = 'expired';
+    } else if (daysRemaining < warningDays) {
+      status = 'expiring';
+    }
+    return { status, notAfter: validity.notAfter, daysRemaining };
+  }
+
+  /**
+   * Bytes the old key signs when it hands over to a new key: the complete
+   * TBSCertificate of the successor, with an empty link signature in the
+   * predecessor extension
+   */
+  static getPredecessorLinkData(certificate) {
+    const fields = ASN1.decode(this.getTBSBytes(certificate)).children;
+    const extensions = fields[fields.length - 1];
+    if (!ASN1.isContext(extensions, 3)) {
+      throw new Error('Certificate has no extensions');
+    }
+
+    const unsigned = extensions.children[0].children.map(node => {
+      const extension = this.decodeExtension(node);
+      return extension.extnID === this.EXTENSIONS.PREDECESSOR
+        ? this.encodeExtension({ ...extension, extnValue: { ...extension.extnValue, linkSignature: '' } })
+        : node.raw;
+    });
+    return ASN1.sequence(
+      ...fields.slice(0, -1).map(field => field.raw),
+      ASN1.contextSpecific(3, ASN1.sequence(...unsigned))
+    );
+  }
+
+  /**
+   * Predecessor extension value naming the certificate being renewed. The
+   * link signature is added by signPredecessorLink once the rest of the
+   * successor is known.
+   */
+  static async createPredecessorLink(predecessor) {
+    if (!predecessor?.der || !predecessor.keyPair?.privateKey) {
+      throw new Error('Unlock the current signing key to renew its certificate');
+    }
+    if (this.getExpiryStatus(predecessor).status === 'expired') {
+      throw new Error('Certificates can only be renewed before they expire');
+    }
+
+    const certificateHash = new Uint8Array(await crypto.subtle.digest('SHA-256', new Uint8Array(predecessor.der)));
+    return {
+      certificateHash: ASN1.bytesToHex(certificateHash),
+      serialNumber: predecessor.tbsCertificate.serialNumber,
+      linkSignature: ''
+    };
+  }
+
+  /**
+   * Sign the successor's TBSCertificate with the (unlocked) private key of
+   * the certificate being renewed and fill in the link signature
+   */
+  static async signPredecessorLink(predecessor, tbsCertificate) {
+    const extension = tbsCertificate.extensions.find(ext => ext.extnID === this.EXTENSIONS.PREDECESSOR);
+    const { signature } = await this.signDER(
+      predecessor.keyPair.privateKey,
+      this.encodeTBSCertificate(tbsCertificate)
+    );
+    extension.extnValue = { ...extension.extnValue, linkSignature: ASN1.bytesToHex(signature) };
+  }
+
+  /**
+   * Check that `certificate` renews `predecessor`: it names the
+   * predecessor, has the same subject, was issued while the predecessor was
+   * valid, is valid no longer than the predecessor was, and the
+   * predecessor's key signed the rest of it. Returns { valid, reason }.
+   */
+  static async verifyPredecessorLink(certificate, predecessor) {
+    const link = this.getExtension(certificate, this.EXTENSIONS.PREDECESSOR)?.extnValue;
+    if (!link) {
+      return { valid: false, reason: 'Certificate does not renew another certificate' };
+    }
+    if (!predecessor?.der) {
+      return { valid: false, reason: 'Previous certificate is missing' };
+    }
+
+    const certificateHash = new Uint8Array(await crypto.subtle.digest('SHA-256', new Uint8Array(predecessor.der)));
+    if (ASN1.bytesToHex(certificateHash) !== link.certificateHash ||
+        predecessor.tbsCertificate.serialNumber !== link.serialNumber) {
+      return { valid: false, reason: 'Certificate renews a different certificate' };
+    }
+    if (certificate.tbsCertificate.subject.string !== predecessor.tbsCertificate.subject.string) {
+      return { valid: false, reason: 'Renewed certificate names a different subject' };
+    }
+
+    const validity = certificate.tbsCertificate.validity;
+    const { notBefore, notAfter } = predecessor.tbsCertificate.validity;
+    const issuedAt = new Date(validity.notBefore);
+    if (issuedAt < new Date(notBefore) || issuedAt > new Date(notAfter)) {
+      return { valid: false, reason: `Renewed outside the previous certificate's validity (${notBefore} to ${notAfter})` };
+    }
+    // A renewal cannot stretch the identity further than the key it replaces
+    if (new Date(validity.notAfter) - issuedAt > new Date(notAfter) - new Date(notBefore)) {
+      return { valid: false, reason: 'Renewed certificate is valid for longer than the previous one' };
+    }
+
+    let signatureValid = false;
+    try {
+      signatureValid = await this.verifyDERSignature(
+        predecessor,
+        this.getSignatureAlgorithm(predecessor),
+        ASN1.hexToBytes(link.linkSignature),
+        this.getPredecessorLinkData(certificate)
+      );
+    } catch (error) {
+      console.warn('Predecessor link check failed:', error.message);
+    }
+    return signatureValid
+      ? { valid: true, reason: null }
+      : { valid: false, reason: 'Previous key did not sign over the new certificate' };
+  }
+
+  /**
+   * Follow renewal links from a certificate back through its predecessors
+   * (most recent first). Returns the certificates that verifiably belong to
+   * the same identity, starting with `certificate`, and why the walk
+   * stopped early if it did.
+   */
+  static async resolveIdentity(certificate, predecessors = []) {
+    const identity = [certificate];
+    for (const predecessor of predecessors) {
+      const link = await this.verifyPredecessorLink(identity[identity.length - 1], predecessor);
+      if (!link.valid) {
+        return { certificates: identity, complete: false, reason: link.reason };
+      }
+      identity.push(predecessor);
+    }
+    return { certificates: identity, complete: true, reason: null };
+  }
+
+  /**
+   * Validate a self-signed certificate through the renewal links that
+   * resolveIdentity followed to a trusted predecessor, instead of anchoring
+   * it. `renewed` holds the certificates from the signing certificate down
+   * to (not including) the predecessor, which every one of them must have
+   * been renewed from; `predecessorPath` is the verifyCertificate result
+   * for that predecessor. Returns a result shaped like verifyCertificate's.
+   */
+  static async verifyRenewedCertificate(renewed, predecessorPath, { validationTime = new Date() } = {}) {
+    const links = [];
+    for (let index = 0; index < renewed.length; index++) {
+      const certificate = renewed[index];
+      // Each renewed certificate is checked when it signed or was renewed
+      const time = index === 0 ? validationTime : renewed[index - 1].tbsCertificate.validity.notBefore;
+      const link = await this.validateLink([certificate], 0, { anchor: certificate, validationTime: time });
+      if (certificate.tbsCertificate.issuer.string !== certificate.tbsCertificate.subject.string) {
+        link.errors.push('Certificates issued by a CA must chain to it, not to the certificate they renew');
+        link.valid = false;
+      }
+      links.push({ ...link, role: index === 0 ? 'end-entity' : 'renewed' });
+    }
+
+    const errors = [
+      ...links.flatMap(link => link.errors.map(error => `${link.subject}: ${error}`)),
+      ...predecessorPath.errors
+    ];
+    const [certificate] = renewed;
+    return {
+      valid: predecessorPath.trusted && errors.length === 0,
+      trusted: predecessorPath.trusted,
+      path: [...renewed, ...predecessorPath.path],
+      links: [...links, ...predecessorPath.links],
+      anchor: predecessorPath.anchor,
+      errors,
+      revoked: !!predecessorPath.revoked,
+      validationTime: new Date(validationTime).toISOString(),
+      issuer: certificate.tbsCertificate.issuer.string,
+      subject: certificate.tbsCertificate.subject.string,
+      fingerprint: certificate.fingerprint,
+      validFrom: certificate.tbsCertificate.validity.notBefore,
+      validTo: certificate.tbsCertificate.validity.notAfter
+    };
+  }
+
+  // Certificate path validation
+
+  static MAX_PATH_LENGTH = 10;
+
+  static WEB_CRYPTO_CURVES = {
+    prime256v1: { namedCurve: 'P-256', coordinateLength: 32 },
+    secp384r1: { namedCurve: 'P-384', coordinateLength: 48 },
+    secp521r1: { namedCurve: 'P-521', coordinateLength: 66 }
+  };
+
+  static RECOGNIZED_CRITICAL_EXTENSIONS = [
+    '2.5.29.19', // basicConstraints
+    '2.5.29.15', // keyUsage
+    '2.5.29.37', // extKeyUsage
+    '2.5.29.17' // subjectAltName
+  ];
+
+  /**
+   * Check that a certificate's signature was made by the issuer's key
+   */
+  static async verifySignedBy(certificate, issuerCertificate) {
+    try {
+      return await this.verifyDERSignature(
+        issuerCertificate,
+        certificate.signatureAlgorithm?.algorithm,
+        certificate.signatureValue,
+        this.getTBSBytes(certificate)
+      );
+    } catch (error) {
+      console.warn('Certificate signature check failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Verify a signature over `data` with a certificate's key, as used by
+   * X.509 and CMS structures (ECDSA signatures are DER Ecdsa-Sig-Values)
+   */
+  static async verifyDERSignature(signerCertificate, algorithmName, derSignature, data) {
+    const algorithm = this.SIGNATURE_ALGORITHMS[algorithmName];
+    const keyInfo = signerCertificate.tbsCertificate.subjectPublicKeyInfo;
+    if (!algorithm) {
+      return false;
+    }
+
+    let keyAlgorithm = { name: algorithm.name };
+    let verifyAlgorithm = { name: algorithm.name };
+    let signature = derSignature;
+    if (algorithm.name === 'ECDSA') {
+      // The curve comes from the key; the digest from the algorithm
+      const curve = this.WEB_CRYPTO_CURVES[keyInfo.algorithm?.parameters];
+      if (!curve) {
+        return false;
+      }
+      keyAlgorithm = { name: 'ECDSA', namedCurve: curve.namedCurve };
+      verifyAlgorithm = { name: 'ECDSA', hash: algorithm.hash };
+      signature = ASN1.decodeECDSASignature(derSignature, curve.coordinateLength);
+    } else if (algorithm.name === 'RSA-PSS') {
+      keyAlgorithm = { name: 'RSA-PSS', hash: algorithm.hash };
+      verifyAlgorithm = { name: 'RSA-PSS', saltLength: algorithm.saltLength };
+    }
+
+    const publicKey = await crypto.subtle.importKey(
+      'spki',
+      new Uint8Array(keyInfo.publicKey),
+      keyAlgorithm,
+      false,
+      ['verify']
+    );
+
+    return crypto.subtle.verify(
+      verifyAlgorithm,
+      publicKey,
+      new Uint8Array(signature),
+      new Uint8Array(data)
+    );
+  }
+
+  static isSameCertificate(a, b) {
+    if (a.der && b.der) {
+      return WebCryptoUtils.bytesEqual(a.der, b.der);
+    }
+    return !!a.fingerprint?.sha256 && a.fingerprint.sha256 === b.fingerprint?.sha256;
+  }
+
+  /**
+   * Could `candidate` have issued `certificate`? Names must chain and key
+   * identifiers must agree when both are present.
+   */
+  static isPossibleIssuer(certificate, candidate) {
+    if (certificate.tbsCertificate.issuer.string !== candidate.tbsCertificate.subject.string) {
+      return false;
+    }
+    const authorityKeyId = this.getExtension(certificate, this.EXTENSIONS.AUTHORITY_KEY_ID)?.extnValue?.keyIdentifier;
+    const subjectKeyId = this.getExtension(candidate, this.EXTENSIONS.SUBJECT_KEY_ID)?.extnValue;
+    return !authorityKeyId || !subjectKeyId || authorityKeyId === subjectKeyId;
+  }
+
+  /**
+   * Build and validate the certification path from a certificate to one of
+   * the trust anchors. Returns the full path (leaf first) together with a
+   * status for every link.
+   *
+   * options.trustAnchors   trusted certificates (e.g. from TrustStore)
+   * options.intermediates  untrusted certificates that may complete the path
+   * options.validationTime time at which validity windows are checked
+   * options.revocationCheck async (certificate, issuer) => revocation status,
+   *                        e.g. CertificateRevocationList.createRevocationCheck
+   */
+  static async verifyCertificate(certificate, options = {}) {
+    const {
+      trustAnchors = [],
+      intermediates = [],
+      validationTime = new Date(),
+      revocationCheck = null
+    } = options;
+
+    try {
+      // Build the path: prefer anchors, and prefer issuers whose key actually
+      // verifies the signature so a name collision cannot hijack the path
+      const path = [certificate];
+      const signatureResults = [];
+      let anchor = trustAnchors.find(trusted => this.isSameCertificate(trusted, certificate)) || null;
+
+      while (!anchor && path.length <= this.MAX_PATH_LENGTH) {
+        const current = path[path.length - 1];
+        const candidates = [...trustAnchors, ...intermediates].filter(candidate =>
+          !path.some(inPath => this.isSameCertificate(inPath, candidate)) &&
+          this.isPossibleIssuer(current, candidate)
+        );
+
+        let issuer = null;
+        let signatureValid = false;
+        for (const candidate of candidates) {
+          if (candidate.der && current.der && await this.verifySignedBy(current, candidate)) {
+            issuer = candidate;
+            signatureValid = true;
+            break;
+          }
+        }
+        issuer = issuer || candidates[0];
+        if (!issuer) {
+          break;
+        }
+
+        signatureResults[path.length - 1] = signatureValid;
+        path.push(issuer);
+        anchor = trustAnchors.find(trusted => this.isSameCertificate(trusted, issuer)) || null;
+      }
+
+      // Revocation is asked of the issuer for every certificate below the anchor
+      const links = [];
+      for (let index = 0; index < path.length; index++) {
+        const isAnchor = !!anchor && this.isSameCertificate(anchor, path[index]);
+        const revocation = revocationCheck && path[index + 1] && !isAnchor
+          ? await revocationCheck(path[index], path[index + 1])
+          : null;
+        links.push(await this.validateLink(path, index, {
+          anchor,
+          signatureValid: signatureResults[index],
+          validationTime,
+          revocation
+        }));
+      }
+
+      const errors = links.flatMap(link => link.errors.map(error => `${link.subject}: ${error}`));
+      if (!anchor) {
+        const last = path[path.length - 1];
+        errors.push(path.length > this.MAX_PATH_LENGTH
+          ? 'Certification path is too long'
+          : `No trust anchor found for issuer ${last.tbsCertificate.issuer.string}`);
+      }
+
+      return {
+        valid: !!anchor && errors.length === 0,
+        trusted: !!anchor,
+        path,
+        links,
+        anchor,
+        errors,
+        revoked: links.some(link => link.revocation?.status === 'revoked' && link.revocation.affectsSignature),
+        validationTime: new Date(validationTime).toISOString(),
+        issuer: certificate.tbsCertificate.issuer.string,
+        subject: certificate.tbsCertificate.subject.string,
+        fingerprint: certificate.fingerprint,
+        validFrom: certificate.tbsCertificate.validity.notBefore,
+        validTo: certificate.tbsCertificate.validity.notAfter
+      };
+    } catch (error) {
+      return {
+        valid: false,
+        trusted: false,
+        path: [certificate],
+        links: [],
+        anchor: null,
+        errors: [error.message],
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Validate one certificate of a path (index 0 is the end entity)
+   */
+  static async validateLink(path, index, { anchor, signatureValid, validationTime, revocation = null }) {
+    const certificate = path[index];
+    const tbs = certificate.tbsCertificate;
+    const isAnchor = !!anchor && this.isSameCertificate(anchor, certificate);
+    const errors = [];
+
+    if (!certificate.der) {
+      errors.push('Certificate has no DER encoding');
+    }
+
+    // Signature: by the next certificate in the path, or self-signed at the top
+    const issuer = path[index + 1];
+    if (issuer) {
+      if (!signatureValid) {
+        errors.push(`Signature does not verify with the key of ${issuer.tbsCertificate.subject.string}`);
+      }
+    } else if (!isAnchor) {
+      signatureValid = false;
+    } else if (tbs.issuer.string === tbs.subject.string && certificate.der) {
+      signatureValid = await this.verifySignedBy(certificate, certificate);
+      if (!signatureValid) {
+        errors.push('Self-signature does not verify');
+      }
+    } else {
+      // Trust anchors that are not self-signed are trusted as configured
+      signatureValid = null;
+    }
+
+    // Validity window
+    const notBefore = new Date(tbs.validity.notBefore);
+    const notAfter = new Date(tbs.validity.notAfter);
+    const time = new Date(validationTime);
+    const validityValid = time >= notBefore && time <= notAfter;
+    if (time < notBefore) {
+      errors.push(`Not valid before ${tbs.validity.notBefore}`);
+    } else if (time > notAfter) {
+      errors.push(`Expired on ${tbs.validity.notAfter}`);
+    }
+    // Valid at the validation time (e.g. when an image was signed) but
+    // expired since then, which long-term validation accepts
+    const expiredSince = validityValid && new Date() > notAfter ? tbs.validity.notAfter : null;
+
+    // Issuing certificates must be CAs allowed to sign certificates, and
+    // must not have more intermediates below them than pathLen allows
+    if (index > 0) {
+      const basicConstraints = this.getExtension(certificate, this.EXTENSIONS.BASIC_CONSTRAINTS)?.extnValue;
+      if (!basicConstraints?.cA) {
+        errors.push('Issuer is not a CA (basicConstraints cA is not set)');
+      } else if (Number.isInteger(basicConstraints.pathLenConstraint) && index - 1 > basicConstraints.pathLenConstraint) {
+        errors.push(`Path length constraint ${basicConstraints.pathLenConstraint} exceeded`);
+      }
+
+      const keyUsage = this.getExtension(certificate, this.EXTENSIONS.KEY_USAGE)?.extnValue;
+      if (keyUsage && !keyUsage.includes('keyCertSign')) {
+        errors.push('Issuer key usage does not include keyCertSign');
+      }
+    }
+
+    // Revoked certificates fail only for uses at or after the effective date
+    if (revocation?.status === 'revoked' && revocation.affectsSignature) {
+      errors.push(`Revoked (${revocation.reason}) effective ${revocation.effectiveDate}`);
+    }
+
+    const unknownCritical = (tbs.extensions || []).filter(ext =>
+      ext.critical && !this.RECOGNIZED_CRITICAL_EXTENSIONS.includes(ext.extnID)
+    );
+    unknownCritical.forEach(ext => errors.push(`Unrecognized critical extension ${ext.extnID}`));
+
+    return {
+      subject: tbs.subject.string,
+      issuer: tbs.issuer.string,
+      serialNumber: tbs.serialNumber,
+      fingerprint: certificate.fingerprint || null,
+      role: isAnchor ? 'trust-anchor' : index === 0 ? 'end-entity' : 'intermediate',
+      signatureValid,
+      validityValid,
+      expiredSince,
+      revocation,
+      valid: errors.length === 0,
+      errors
+    };
+  }
+}
@@ -0,0 +1,146 @@
+import { WebCryptoUtils } from './WebCryptoUtils';
+
+/**
+ * Signing without holding the key. A signer is
+ * { type, algorithm, publicKey, sign(data) } where publicKey is the SPKI
+ * bytes (when known) and sign resolves to the signature in Web Crypto form
+ * (raw r||s for ECDSA). Local signers wrap a CryptoKey in the page; remote
+ * signers ask a signing service such as local-services/kms-server.js, so
+ * the private key never enters the browser.
+ */
+export class Signer {
+  static REQUEST_TIMEOUT_MS = 10000;
+
+  static local(privateKey, publicKey = null) {
+    return {
+      type: 'local',
+      algorithm: WebCryptoUtils.getKeyAlgorithm(privateKey),
+      publicKey: publicKey ? Array.from(publicKey) : null,
+      sign: data => WebCryptoUtils.signData(privateKey, data)
+    };
+  }
+
+  /**
+   * Signer for a key held by a signing service. Signatures are checked
+   * against publicKey when it is given, so a service answering with the
+   * wrong key is caught before anything is embedded.
+   */
+  static remote({ url, keyId, algorithm, publicKey = null, accessToken = null }) {
+    if (!url || !keyId) {
+      throw new Error('A signing service URL and key ID are required');
+    }
+    WebCryptoUtils.getAlgorithm(algorithm);
+
+    return {
+      type: 'remote',
+      algorithm,
+      publicKey: publicKey ? Array.from(publicKey) : null,
+      url,
+      keyId,
+      sign: async data => {
+        const response = await this.request(this.keyUrl(url, keyId, 'sign'), {
+          data: this.toBase64(WebCryptoUtils.encodeData(data))
+        }, accessToken);
+        if (response.algorithm !== algorithm) {
+          throw new Error(`Signing service signed with ${response.algorithm} instead of ${algorithm}`);
+        }
+
+        const signature = this.fromBase64(response.signature);
+        if (publicKey) {
+          const verificationKey = await WebCryptoUtils.importPublicKey(publicKey, algorithm);
+          if (!(await WebCryptoUtils.verifySignature(verificationKey, signature, data))) {
+            throw new Error('Signing service returned a signature that does not match the key');
+          }
+        }
+        return signature;
+      }
+    };
+  }
+
+  /**
+   * Look up a key at a signing service and return a remote signer for it
+   */
+  static async connect(url, keyId, { accessToken = null } = {}) {
+    const key = await this.request(this.keyUrl(url, keyId), null, accessToken);
+    if (key.keyId !== keyId || !key.publicKey) {
+      throw new Error(`Signing service did not describe key ${keyId}`);
+    }
+
+    const publicKey = this.fromBase64(key.publicKey);
+    const algorithm = WebCryptoUtils.detectKeyAlgorithm(publicKey);
+    if (key.algorithm !== algorithm) {
+      throw new Error(`Signing service reports ${key.algorithm} for a ${algorithm} key`);
+    }
+    return this.remote({ url, keyId, algorithm, publicKey, accessToken });
+  }
+
+  /**
+   * Signer for a stored certificate: its unlocked key pair, or the signing
+   * service its key lives in (certificate.remoteSigner). Null when neither
+   * is available.
+   */
+  static forCertificate(certificate, { accessToken = null } = {}) {
+    const publicKey = certificate?.tbsCertificate?.subjectPublicKeyInfo?.publicKey || null;
+    if (certificate?.keyPair?.privateKey) {
+      return this.local(certificate.keyPair.privateKey, publicKey);
+    }
+    if (certificate?.remoteSigner && publicKey) {
+      return this.remote({
+        url: certificate.remoteSigner.url,
+        keyId: certificate.remoteSigner.keyId,
+        algorithm: WebCryptoUtils.detectKeyAlgorithm(publicKey),
+        publicKey,
+        accessToken
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Accept either a signer or a Web Crypto private key
+   */
+  static resolve(keyOrSigner) {
+    return typeof keyOrSigner?.sign === 'function' ? keyOrSigner : this.local(keyOrSigner);
+  }
+
+  static keyUrl(url, keyId, action = null) {
+    return `${url.replace(/\/+$/, '')}/keys/${encodeURIComponent(keyId)}${action ? `/${action}` : ''}`;
+  }
+
+  static async request(url, body, accessToken) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.REQUEST_TIMEOUT_MS);
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (accessToken) {
+        headers.Authorization = `Bearer ${accessToken}`;
+      }
+      const response = await fetch(url, {
+        method: body ? 'POST' : 'GET',
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Signing service returned ${result.error || response.status}`);
+      }
+      return result;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  static toBase64(bytes) {
+    // Claims can be large; avoid spreading them into one call
+    let binary = '';
+    for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+  }
+
+  static fromBase64(text) {
+    return Array.from(atob(text || ''), char => char.charCodeAt(0));
+  }
+}
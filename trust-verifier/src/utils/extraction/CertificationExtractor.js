@@ -1,7 +1,13 @@
 import { JPEGExtractor } from './JPEGExtractor';
 import { PNGExtractor } from './PNGExtractor';
+import { C2PAManifest } from '../c2pa/C2PAManifest';
+import { C2PAReader } from '../c2pa/C2PAReader';
 
 export class CertificationExtractor {
+  // Top-level fields allowed next to the signed manifest
+  static ENVELOPE_FIELDS = ['version', 'manifestId', 'manifest'];
+  static MANIFEST_FIELDS = ['@context', '@type', 'active_manifest', 'manifests'];
+
   static async extractFromImage(file) {
     if (!file) {
       throw new Error('No file provided');
@@ -15,17 +21,28 @@ export class CertificationExtractor {
       const fileType = file.type.toLowerCase();
       
       let certificationData = null;
+      let jumbf = null;
       
       if (fileType.includes('jpeg') || fileType.includes('jpg')) {
         console.log('Extracting from JPEG...');
         certificationData = await JPEGExtractor.extractCertification(arrayBuffer);
+        jumbf = JPEGExtractor.extractJUMBF(arrayBuffer);
       } else if (fileType.includes('png')) {
         console.log('Extracting from PNG...');
         certificationData = await PNGExtractor.extractCertification(arrayBuffer);
+        jumbf = certificationData ? null : PNGExtractor.extractJUMBF(arrayBuffer);
       } else {
         console.warn('Unsupported image format:', fileType);
         return null;
       }
+
+      if (certificationData && jumbf) {
+        // Archive timestamps are only written to the manifest store
+        certificationData = await this.withStoredArchiveTimestamps(certificationData, jumbf);
+      } else if (jumbf) {
+        console.log('Reading C2PA manifest store...');
+        certificationData = await this.readManifestStore(jumbf);
+      }
       
       if (certificationData) {
         console.log('Certification data extracted:', certificationData);
@@ -40,6 +57,59 @@ export class CertificationExtractor {
     }
   }
 
+  /**
+   * Certification data for a C2PA manifest store. Stores written by the
+   * signing app carry the certification assertion and get the full checks;
+   * any other store is returned as read, under `c2pa`.
+   */
+  static async readManifestStore(jumbf) {
+    try {
+      const manifest = await C2PAManifest.fromJUMBF(jumbf);
+      if (C2PAManifest.getSignedCertification(manifest)) {
+        return C2PAManifest.createCertificationData(manifest);
+      }
+    } catch (error) {
+      console.log('Manifest store was written by another C2PA implementation:', error.message);
+    }
+
+    return { c2pa: await C2PAReader.read(jumbf) };
+  }
+
+  static async withStoredArchiveTimestamps(certificationData, jumbf) {
+    try {
+      return C2PAManifest.withArchiveTimestampsFrom(certificationData, await C2PAManifest.fromJUMBF(jumbf));
+    } catch (error) {
+      console.log('Manifest store beside the APP15 payload could not be read:', error.message);
+      return certificationData;
+    }
+  }
+
+  /**
+   * Why the byte ranges the signed image hash excludes hold anything other
+   * than the embedded manifest and its padding, or null when they don't.
+   * Otherwise metadata a viewer shows could be swapped in after signing.
+   */
+  static checkExclusions(imageBuffer, exclusions) {
+    const uint8Array = new Uint8Array(imageBuffer);
+    const extractor = JPEGExtractor.isValidJPEG(uint8Array) ? JPEGExtractor
+      : PNGExtractor.isValidPNG(uint8Array) ? PNGExtractor
+      : null;
+    if (!extractor) {
+      return 'Excluded bytes cannot be checked in this image format';
+    }
+
+    for (const { start, length } of exclusions) {
+      if (!Number.isInteger(start) || !Number.isInteger(length) || start < 0 || length < 0 || start + length > uint8Array.length) {
+        return 'Excluded bytes lie outside the image';
+      }
+      const reason = extractor.checkExcludedRange(uint8Array, start, start + length);
+      if (reason) {
+        return reason;
+      }
+    }
+    return null;
+  }
+
   static fileToArrayBuffer(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
@@ -80,6 +150,47 @@ export class CertificationExtractor {
     return null;
   }
 
+  /**
+   * Extract the signed C2PA manifest from certification data.
+   * Returns null unless the embedded manifest is the one named by manifestId.
+   */
+  static extractManifest(certificationData) {
+    const manifest = certificationData?.manifest;
+    if (!manifest?.manifests || !manifest.active_manifest) {
+      return null;
+    }
+
+    if (certificationData.manifestId && manifest.active_manifest !== certificationData.manifestId) {
+      return null;
+    }
+
+    return manifest;
+  }
+
+  /**
+   * List fields of the certification data that are not covered by the
+   * claim signature. Anything reported here must cause verification to fail.
+   */
+  static findUnsignedFields(certificationData) {
+    if (!certificationData) return [];
+
+    const unsigned = Object.keys(certificationData)
+      .filter(key => !this.ENVELOPE_FIELDS.includes(key));
+
+    const manifest = certificationData.manifest;
+    if (manifest && typeof manifest === 'object') {
+      Object.keys(manifest)
+        .filter(key => !this.MANIFEST_FIELDS.includes(key))
+        .forEach(key => unsigned.push(`manifest.${key}`));
+
+      Object.keys(manifest.manifests || {})
+        .filter(id => id !== manifest.active_manifest)
+        .forEach(id => unsigned.push(`manifest.manifests.${id}`));
+    }
+
+    return unsigned;
+  }
+
   /**
    * Get verification details from certification data
    */
@@ -1,6 +1,16 @@
+import { JUMBF } from '../c2pa/JUMBF';
+
 export class JPEGExtractor {
+  static MARKER_APP11 = 0xEB;
   static MARKER_APP15 = 0xEF;
+  static MARKER_COM = 0xFE;
   static SIGNATURE = 'IMGTRUST';
+  // COM segments the signer pads the certification region with
+  static PADDING_SIGNATURE = 'IMGTRUST PADDING';
+  // APP11 JUMBF segments: 'JP', box instance, sequence number, then the
+  // box header repeated in every segment before its share of the box
+  static JUMBF_COMMON_IDENTIFIER = 0x4A50;
+  static JUMBF_SEGMENT_OVERHEAD = 2 + 2 + 2 + 4 + 8;
 
   static async extractCertification(imageBuffer) {
     const uint8Array = new Uint8Array(imageBuffer);
@@ -41,6 +51,142 @@ export class JPEGExtractor {
     return null;
   }
 
+  /**
+   * The C2PA manifest store carried in APP11 JUMBF segments, reassembled,
+   * or null. Any C2PA implementation writes it this way.
+   */
+  static extractJUMBF(imageBuffer) {
+    const uint8Array = new Uint8Array(imageBuffer);
+    if (!this.isValidJPEG(uint8Array)) {
+      return null;
+    }
+
+    for (const bytes of this.assembleJUMBF(uint8Array).values()) {
+      try {
+        if (JUMBF.parse(bytes)[0]?.description?.type === JUMBF.TYPES.C2PA_MANIFEST_STORE) {
+          return bytes;
+        }
+      } catch (error) {
+        console.warn('Skipping unreadable JUMBF box:', error.message);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Marker segments before the scan data
+   */
+  static findSegments(uint8Array) {
+    const segments = [];
+    let offset = 2;
+    while (offset < uint8Array.length - 4 && uint8Array[offset] === 0xFF) {
+      const marker = uint8Array[offset + 1];
+      if (marker === 0xFF) {
+        offset++;
+        continue;
+      }
+      if (marker === 0xDA) {
+        break;
+      }
+
+      const end = offset + 2 + ((uint8Array[offset + 2] << 8) | uint8Array[offset + 3]);
+      segments.push({ marker, offset, end });
+      offset = end;
+    }
+    return segments;
+  }
+
+  /**
+   * Reassemble each JUMBF box from its APP11 segments, by instance number
+   */
+  static assembleJUMBF(uint8Array) {
+    const instances = new Map();
+    this.findSegments(uint8Array)
+      .filter(({ marker, offset, end }) => marker === this.MARKER_APP11 &&
+        end - offset >= 2 + this.JUMBF_SEGMENT_OVERHEAD &&
+        ((uint8Array[offset + 4] << 8) | uint8Array[offset + 5]) === this.JUMBF_COMMON_IDENTIFIER)
+      .forEach(segment => {
+        const view = new DataView(uint8Array.buffer, uint8Array.byteOffset + segment.offset);
+        const instance = view.getUint16(6);
+        instances.set(instance, [...(instances.get(instance) || []), { ...segment, sequence: view.getUint32(8) }]);
+      });
+
+    const boxes = new Map();
+    instances.forEach((segments, instance) => {
+      segments.sort((a, b) => a.sequence - b.sequence);
+      const header = uint8Array.subarray(segments[0].offset + 12, segments[0].offset + 20);
+      const headerLength = new DataView(header.buffer, header.byteOffset).getUint32(0) === 1 ? 16 : 8;
+      boxes.set(instance, JUMBF.concat(
+        uint8Array.subarray(segments[0].offset + 12, segments[0].offset + 12 + headerLength),
+        ...segments.map(segment => uint8Array.subarray(segment.offset + 12 + headerLength, segment.end))
+      ));
+    });
+    return boxes;
+  }
+
+  /**
+   * Why the bytes from start to end, which the signed image hash excludes,
+   * hold anything but C2PA manifest store, certification and padding
+   * segments (and 0xFF fill bytes), or null when they don't
+   */
+  static checkExcludedRange(uint8Array, start, end) {
+    let manifestStores = null;
+    let offset = start;
+    while (offset < end) {
+      if (uint8Array[offset] !== 0xFF) {
+        return `Excluded bytes at offset ${offset} are not a JPEG marker segment`;
+      }
+      // Fill bytes may precede any marker
+      if (offset + 1 === end || uint8Array[offset + 1] === 0xFF) {
+        offset++;
+        continue;
+      }
+
+      const marker = uint8Array[offset + 1];
+      const segmentEnd = offset + 2 + ((uint8Array[offset + 2] << 8) | uint8Array[offset + 3]);
+      if (offset + 4 > end || segmentEnd > end) {
+        return 'Excluded bytes end inside a JPEG marker segment';
+      }
+
+      let allowed = false;
+      if (marker === this.MARKER_APP15) {
+        allowed = this.hasSignature(uint8Array, offset, this.SIGNATURE);
+      } else if (marker === this.MARKER_COM) {
+        allowed = this.hasSignature(uint8Array, offset, this.PADDING_SIGNATURE);
+      } else if (marker === this.MARKER_APP11 && segmentEnd - offset >= 2 + this.JUMBF_SEGMENT_OVERHEAD &&
+          ((uint8Array[offset + 4] << 8) | uint8Array[offset + 5]) === this.JUMBF_COMMON_IDENTIFIER) {
+        manifestStores = manifestStores || this.findManifestStoreInstances(uint8Array);
+        allowed = manifestStores.has((uint8Array[offset + 6] << 8) | uint8Array[offset + 7]);
+      }
+      if (!allowed) {
+        return `Excluded bytes contain a marker segment (0xFF${marker.toString(16).toUpperCase()}) that is not part of the certification`;
+      }
+      offset = segmentEnd;
+    }
+    return null;
+  }
+
+  static hasSignature(uint8Array, offset, signature) {
+    return new TextDecoder().decode(uint8Array.slice(offset + 4, offset + 4 + signature.length)) === signature;
+  }
+
+  /**
+   * Instance numbers of the JUMBF boxes that are C2PA manifest stores
+   */
+  static findManifestStoreInstances(uint8Array) {
+    const instances = new Set();
+    this.assembleJUMBF(uint8Array).forEach((bytes, instance) => {
+      try {
+        if (JUMBF.parse(bytes)[0]?.description?.type === JUMBF.TYPES.C2PA_MANIFEST_STORE) {
+          instances.add(instance);
+        }
+      } catch (error) {
+        // Not a JUMBF box we can read
+      }
+    });
+    return instances;
+  }
+
   static isValidJPEG(uint8Array) {
     return uint8Array.length >= 2 && 
            uint8Array[0] === 0xFF && 
@@ -1,5 +1,6 @@
 export class PNGExtractor {
   static CHUNK_TYPE = 'tRST'; // Custom chunk for trust/certification data
+  static C2PA_CHUNK_TYPE = 'caBX'; // C2PA manifest store as JUMBF
   static PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
 
   static async extractCertification(imageBuffer) {
@@ -44,6 +45,49 @@ export class PNGExtractor {
     return null;
   }
 
+  /**
+   * The JUMBF manifest store from a caBX chunk, or null
+   */
+  static extractJUMBF(imageBuffer) {
+    const uint8Array = new Uint8Array(imageBuffer);
+    if (!this.isValidPNG(uint8Array)) {
+      return null;
+    }
+
+    const view = new DataView(uint8Array.buffer, uint8Array.byteOffset, uint8Array.byteLength);
+    let offset = 8;
+    while (offset + 12 <= uint8Array.length) {
+      const chunkLength = view.getUint32(offset);
+      const chunkType = String.fromCharCode(...uint8Array.subarray(offset + 4, offset + 8));
+      if (chunkType === this.C2PA_CHUNK_TYPE) {
+        return uint8Array.slice(offset + 8, offset + 8 + chunkLength);
+      }
+      offset += chunkLength + 12;
+    }
+    return null;
+  }
+
+  /**
+   * Why the bytes from start to end, which the signed image hash excludes,
+   * are not whole certification or C2PA manifest store chunks, or null
+   * when they are
+   */
+  static checkExcludedRange(uint8Array, start, end) {
+    const view = new DataView(uint8Array.buffer, uint8Array.byteOffset, uint8Array.byteLength);
+    let offset = start;
+    while (offset < end) {
+      if (offset + 12 > end || offset + 12 + view.getUint32(offset) > end) {
+        return 'Excluded bytes end inside a PNG chunk';
+      }
+      const chunkType = String.fromCharCode(...uint8Array.subarray(offset + 4, offset + 8));
+      if (chunkType !== this.CHUNK_TYPE && chunkType !== this.C2PA_CHUNK_TYPE) {
+        return `Excluded bytes contain a chunk (${chunkType}) that is not part of the certification`;
+      }
+      offset += view.getUint32(offset) + 12;
+    }
+    return null;
+  }
+
   static isValidPNG(uint8Array) {
     if (uint8Array.length < 8) return false;
     